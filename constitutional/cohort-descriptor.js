@@ -0,0 +1,225 @@
+/**
+ * cohort-descriptor.js — Cohort descriptors and equity matching rules
+ *
+ * A cohort is described by the ethnicities it includes, an age band and an
+ * area deprivation level (NZDep). Ethnicity uses total-response counting as
+ * Stats NZ does: a cohort (or person) may list several ethnicities, and each
+ * one counts. Pacific peoples are disaggregated — Samoan, Tongan, Cook
+ * Islands Māori, Niuean and others — with 'pacific' as their parent group.
+ *
+ * Which equity coefficient applies is decided by explicit matching rules,
+ * not a fixed Māori > Pacific priority. Rules travel with a signed
+ * coefficient set, so changing them needs the same SME sign-off.
+ */
+
+// ---------------------------------------------------------------------------
+// Ethnicity vocabulary (Stats NZ level 1 groups + Pacific level 2 groups)
+// ---------------------------------------------------------------------------
+export const PACIFIC_ETHNICITIES = [
+  'samoan',
+  'tongan',
+  'cook_islands_maori',
+  'niuean',
+  'fijian',
+  'tokelauan',
+  'tuvaluan',
+  'other_pacific',
+];
+
+export const ETHNICITIES = new Set([
+  'maori',
+  'pacific',
+  ...PACIFIC_ETHNICITIES,
+  'european',
+  'asian',
+  'melaa',
+  'other',
+]);
+
+// ---------------------------------------------------------------------------
+// Default matching — Tangata Whenua first, then disaggregated Pacific
+// coefficients falling back to the aggregate Pacific figure
+// ---------------------------------------------------------------------------
+export const DEFAULT_MATCHING = {
+  strategy: 'priority',
+  rules: [
+    { rule_id: 'maori', when: { ethnicity_any: ['maori'] }, use: ['maori'] },
+    { rule_id: 'pacific_disaggregated', when: { ethnicity_any: PACIFIC_ETHNICITIES }, use: ['$ethnicity', 'pacific'] },
+    { rule_id: 'pacific', when: { ethnicity_any: ['pacific'] }, use: ['pacific'] },
+  ],
+};
+
+const STRATEGIES = new Set(['priority', 'max', 'mean']);
+const AGE_BAND = /^(\d{1,3})-(\d{1,3})$|^(\d{1,3})\+$/;
+
+// ---------------------------------------------------------------------------
+// Descriptor normalisation
+// ---------------------------------------------------------------------------
+
+/**
+ * Normalise a cohort descriptor. Accepts the legacy boolean flags
+ * ({ maori: true, pacific: true }) as well as the full descriptor.
+ *
+ * @param {{ maori?: boolean, pacific?: boolean, ethnicities?: string[],
+ *           age_band?: string, nzdep_quintile?: number, nzdep_decile?: number }} input
+ * @returns {{ ethnicities: string[], age_band: string|null, nzdep_quintile: number|null }}
+ */
+export function normaliseCohortDescriptor(input = {}) {
+  const ethnicities = new Set();
+  if (input.maori) ethnicities.add('maori');
+  if (input.pacific) ethnicities.add('pacific');
+  if (input.ethnicities !== undefined) {
+    if (!Array.isArray(input.ethnicities)) {
+      throw new Error('COHORT_INVALID: ethnicities must be an array (total response — list every ethnicity)');
+    }
+    for (const raw of input.ethnicities) {
+      const e = String(raw).trim().toLowerCase().replace(/[\s-]+/g, '_');
+      if (!ETHNICITIES.has(e)) {
+        throw new Error(`COHORT_INVALID: ethnicity '${raw}' is not recognised. Known: ${[...ETHNICITIES].join(', ')}`);
+      }
+      ethnicities.add(e);
+    }
+  }
+  // Total response: any Pacific sub-ethnicity also counts toward the Pacific group
+  if (PACIFIC_ETHNICITIES.some(e => ethnicities.has(e))) ethnicities.add('pacific');
+
+  let age_band = null;
+  if (input.age_band != null) {
+    const m = String(input.age_band).trim().match(AGE_BAND);
+    if (!m || (m[1] !== undefined && Number(m[1]) > Number(m[2]))) {
+      throw new Error(`COHORT_INVALID: age_band '${input.age_band}' must look like '45-64' or '85+'`);
+    }
+    age_band = m[0];
+  }
+
+  let nzdep_quintile = null;
+  if (input.nzdep_quintile != null) {
+    if (!Number.isInteger(input.nzdep_quintile) || input.nzdep_quintile < 1 || input.nzdep_quintile > 5) {
+      throw new Error('COHORT_INVALID: nzdep_quintile must be an integer 1 (least deprived) to 5 (most deprived)');
+    }
+    nzdep_quintile = input.nzdep_quintile;
+  } else if (input.nzdep_decile != null) {
+    if (!Number.isInteger(input.nzdep_decile) || input.nzdep_decile < 1 || input.nzdep_decile > 10) {
+      throw new Error('COHORT_INVALID: nzdep_decile must be an integer 1 to 10');
+    }
+    nzdep_quintile = Math.ceil(input.nzdep_decile / 2);
+  }
+
+  return { ethnicities: [...ethnicities], age_band, nzdep_quintile };
+}
+
+// ---------------------------------------------------------------------------
+// Matching rule validation
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {{ strategy: string, rules: Object[] }} matching
+ * @returns {{ valid: boolean, reason: string }}
+ */
+export function validateMatching(matching) {
+  if (!matching || typeof matching !== 'object') {
+    return { valid: false, reason: 'MATCHING_INVALID: matching must be an object { strategy, rules }' };
+  }
+  if (!STRATEGIES.has(matching.strategy)) {
+    return { valid: false, reason: `MATCHING_INVALID: strategy must be one of ${[...STRATEGIES].join(', ')}` };
+  }
+  if (!Array.isArray(matching.rules) || matching.rules.length === 0) {
+    return { valid: false, reason: 'MATCHING_INVALID: rules must be a non-empty array' };
+  }
+  const ids = new Set();
+  for (const [i, rule] of matching.rules.entries()) {
+    const where = `rules[${i}]`;
+    if (!rule?.rule_id || ids.has(rule.rule_id)) {
+      return { valid: false, reason: `MATCHING_INVALID: ${where}.rule_id must be present and unique` };
+    }
+    ids.add(rule.rule_id);
+    const when = rule.when ?? {};
+    if (when.ethnicity_any !== undefined &&
+        (!Array.isArray(when.ethnicity_any) || when.ethnicity_any.some(e => !ETHNICITIES.has(e)))) {
+      return { valid: false, reason: `MATCHING_INVALID: ${where}.when.ethnicity_any must list known ethnicities` };
+    }
+    if (when.age_bands !== undefined && (!Array.isArray(when.age_bands) || when.age_bands.some(b => !AGE_BAND.test(b)))) {
+      return { valid: false, reason: `MATCHING_INVALID: ${where}.when.age_bands must list bands like '45-64'` };
+    }
+    if (when.nzdep_quintiles !== undefined &&
+        (!Array.isArray(when.nzdep_quintiles) || when.nzdep_quintiles.some(q => !Number.isInteger(q) || q < 1 || q > 5))) {
+      return { valid: false, reason: `MATCHING_INVALID: ${where}.when.nzdep_quintiles must list integers 1-5` };
+    }
+    if (!Array.isArray(rule.use) || rule.use.length === 0 || rule.use.some(k => typeof k !== 'string' || !k)) {
+      return { valid: false, reason: `MATCHING_INVALID: ${where}.use must list coefficient keys to try in order` };
+    }
+  }
+  return { valid: true, reason: 'MATCHING_VALID' };
+}
+
+// ---------------------------------------------------------------------------
+// Rule evaluation
+// ---------------------------------------------------------------------------
+
+// Ethnicities in the descriptor that satisfy a rule (one entry if the rule has no ethnicity condition)
+function ruleMatches(rule, descriptor) {
+  const when = rule.when ?? {};
+  if (when.age_bands && !when.age_bands.includes(descriptor.age_band)) return [];
+  if (when.nzdep_quintiles && !when.nzdep_quintiles.includes(descriptor.nzdep_quintile)) return [];
+  if (!when.ethnicity_any) return [null];
+  return when.ethnicity_any.filter(e => descriptor.ethnicities.includes(e));
+}
+
+/**
+ * Evaluate matching rules for a condition. Every rule whose conditions hold
+ * and which resolves to a coefficient becomes a candidate; the strategy then
+ * picks one (priority), the largest (max), or averages them (mean).
+ *
+ * @param {Object} descriptor — from normaliseCohortDescriptor
+ * @param {{ strategy: string, rules: Object[] }} matching
+ * @param {Object} coefficients — { cohortKey: { condition: entry } }
+ * @param {string} condition
+ * @returns {{ coefficient: number, entries: Object[], rule_fired: Object|null, candidates: Object[], strategy: string }}
+ */
+export function evaluateMatching(descriptor, matching, coefficients, condition) {
+  const candidates = [];
+  for (const rule of matching.rules) {
+    for (const ethnicity of ruleMatches(rule, descriptor)) {
+      const key = rule.use
+        .map(k => (k === '$ethnicity' ? ethnicity : k))
+        .find(k => k && coefficients[k]?.[condition]);
+      if (!key) continue;
+      candidates.push({
+        rule_id: rule.rule_id,
+        matched_ethnicity: ethnicity,
+        coefficient_key: key,
+        coefficient: coefficients[key][condition].coefficient,
+        entry: coefficients[key][condition],
+      });
+    }
+  }
+
+  if (candidates.length === 0) {
+    return { coefficient: 1.0, entries: [], rule_fired: null, candidates: [], strategy: matching.strategy };
+  }
+
+  let chosen;
+  let coefficient;
+  if (matching.strategy === 'priority') {
+    chosen = [candidates[0]];
+    coefficient = candidates[0].coefficient;
+  } else if (matching.strategy === 'max') {
+    const top = candidates.reduce((a, b) => (b.coefficient > a.coefficient ? b : a));
+    chosen = [top];
+    coefficient = top.coefficient;
+  } else {
+    chosen = candidates;
+    coefficient = candidates.reduce((s, c) => s + c.coefficient, 0) / candidates.length;
+  }
+
+  const strip = ({ entry, ...rest }) => rest;
+  return {
+    coefficient,
+    entries: chosen.map(c => c.entry),
+    rule_fired: matching.strategy === 'mean'
+      ? { rule_id: 'mean_of_candidates', combined: chosen.map(strip) }
+      : strip(chosen[0]),
+    candidates: candidates.map(strip),
+    strategy: matching.strategy,
+  };
+}
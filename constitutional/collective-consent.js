@@ -0,0 +1,123 @@
+/**
+ * collective-consent.js — Collective governance approval for Māori data
+ *
+ * Under Māori data sovereignty (Te Mana Raraunga principles; CARE — Collective
+ * benefit, Authority to control, Responsibility, Ethics), a clinician's
+ * authorisation is not enough for data about Māori. A consent whose cohort
+ * contains Māori data also needs approval from a registered data-governance
+ * body — an iwi or hapū authority, or a Māori data governance group.
+ *
+ * The body signs the consent's approval hash with its Ed25519 key. The hash
+ * covers the consent ID, cohort, scope and permitted uses, so an approval
+ * cannot be carried over to a different purpose. The body may revoke its
+ * approval at any time by signing a revocation of the same hash.
+ */
+
+import { createHash } from 'crypto';
+import nacl from 'tweetnacl';
+import { canonicalJson } from './equity-signoff.js';
+import { permittedUsesOf } from './consent-protocol.js';
+
+export const GOVERNANCE_BODY_KINDS = ['iwi', 'hapu', 'maori_data_governance'];
+
+// ---------------------------------------------------------------------------
+// Approval content
+// ---------------------------------------------------------------------------
+
+/**
+ * Hash a collective approval covers — the consent and the uses it permits.
+ *
+ * @param {{ consent_record_id: string, cohort: string, scope: string, permitted_uses: Object|null }} record
+ * @returns {string} — SHA-256 hex
+ */
+export function collectiveApprovalHash(record) {
+  const content = {
+    consent_record_id: record.consent_record_id,
+    cohort: record.cohort,
+    scope: record.scope,
+    permitted_uses: permittedUsesOf(record),
+  };
+  return createHash('sha256').update(canonicalJson(content)).digest('hex');
+}
+
+/**
+ * Hash a revocation is signed over — distinct from the approval itself, so
+ * an approval signature cannot be replayed as a revocation.
+ *
+ * @param {string} approvalHash
+ * @returns {string} — SHA-256 hex
+ */
+export function collectiveRevocationHash(approvalHash) {
+  return createHash('sha256').update(`REVOKE:${approvalHash}`).digest('hex');
+}
+
+/**
+ * Verify a governance body's Ed25519 signature over a hash (raw bytes).
+ *
+ * @param {string} hash       — SHA-256 hex
+ * @param {string} signature  — 64-byte signature, hex
+ * @param {string} publicKey  — 32-byte Ed25519 public key, hex
+ * @returns {{ valid: boolean, reason: string }}
+ */
+export function verifyCollectiveSignature(hash, signature, publicKey) {
+  if (!/^[0-9a-f]{128}$/i.test(String(signature ?? ''))) {
+    return { valid: false, reason: 'COLLECTIVE_SIGNATURE_INVALID: signature must be 64 bytes of hex' };
+  }
+  const ok = nacl.sign.detached.verify(
+    new Uint8Array(Buffer.from(hash, 'hex')),
+    new Uint8Array(Buffer.from(signature, 'hex')),
+    new Uint8Array(Buffer.from(publicKey, 'hex')),
+  );
+  return ok
+    ? { valid: true, reason: 'COLLECTIVE_SIGNATURE_VALID' }
+    : { valid: false, reason: 'COLLECTIVE_SIGNATURE_INVALID: signature does not verify against the governance body key' };
+}
+
+// ---------------------------------------------------------------------------
+// Does this request touch Māori data?
+// ---------------------------------------------------------------------------
+
+/**
+ * A consent declares Māori data when generated; a request can also reveal it
+ * through an equity cohort that lists Māori.
+ *
+ * @param {{ maori_data?: boolean }|null} record
+ * @param {{ maori_data?: boolean, equity?: { cohort?: Object } }} ctx
+ * @returns {boolean}
+ */
+export function involvesMaoriData(record, ctx) {
+  if (record?.maori_data || ctx.maori_data) return true;
+  const cohort = ctx.equity?.cohort;
+  return Boolean(cohort?.maori || (Array.isArray(cohort?.ethnicities) && cohort.ethnicities.includes('maori')));
+}
+
+/**
+ * Check collective approval for a consent. Only approvals still active and
+ * signed over the record's current approval hash count.
+ *
+ * @param {Object} record — from getConsentRecord()
+ * @param {Object[]} approvals — from listCollectiveApprovals()
+ * @returns {{ valid: boolean, reason: string, approvals: Object[] }}
+ */
+export function validateCollectiveConsent(record, approvals) {
+  const hash = collectiveApprovalHash(record);
+  const inForce = approvals.filter(a => a.status === 'active' && a.content_hash === hash);
+  const shown = inForce.map(a => ({
+    approval_id: a.approval_id,
+    body_id: a.body_id,
+    body_name: a.body_name,
+    body_kind: a.body_kind,
+    approved_ts: a.ts,
+  }));
+  if (inForce.length === 0) {
+    const revoked = approvals.some(a => a.status === 'revoked');
+    return {
+      valid: false,
+      reason: revoked
+        ? 'COLLECTIVE_CONSENT_REVOKED: the governance body approval for this Māori cohort has been withdrawn'
+        : 'COLLECTIVE_CONSENT_REQUIRED: cohort contains Māori data — a registered iwi/hapū or Māori data governance body must approve this consent',
+      approvals: shown,
+    };
+  }
+  return { valid: true, reason: 'COLLECTIVE_CONSENT_APPROVED', approvals: shown };
+}
@@ -9,6 +9,15 @@
  * take data or run analysis without informed consent from those whose
  * health and futures are at stake.
  *
+ * A matching hash is necessary but not sufficient. Each stored record has a
+ * validity window and a lifecycle status — active, suspended, revoked or
+ * expired — and consent that has been withdrawn blocks assessment even though
+ * its hash still matches.
+ *
+ * Consent is also purpose-limited. A record declares the uses it covers —
+ * assessment types, a population ceiling, patient-facing use, downstream
+ * integrations — and anything outside that envelope is blocked.
+ *
  * Machine Elves sprint M2-STEP 3 (2026-02-24)
  */
 
@@ -80,6 +89,226 @@ export function validateConsentRecord(consent_record_id, { cohort, scope, clinic
   return { valid: true, reason: 'CONSENT_VALID' };
 }
 
+// ---------------------------------------------------------------------------
+// Consent lifecycle
+// ---------------------------------------------------------------------------
+
+export const CONSENT_STATUSES = ['active', 'suspended', 'revoked', 'expired'];
+export const DEFAULT_CONSENT_DAYS = 365;
+const MAX_CONSENT_DAYS = 5 * 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Resolve a validity window from request fields. An explicit valid_until
+ * wins over valid_for_days; both default to DEFAULT_CONSENT_DAYS from start.
+ *
+ * @param {{ valid_from?: string, valid_until?: string, valid_for_days?: number }} params
+ * @param {Date} [now]
+ * @returns {{ valid_from: string, valid_until: string }} — ISO-8601 timestamps
+ */
+export function consentWindow({ valid_from, valid_until, valid_for_days } = {}, now = new Date()) {
+  const from = valid_from ? new Date(valid_from) : now;
+  if (Number.isNaN(from.getTime())) {
+    throw new Error('CONSENT_ERROR: valid_from must be an ISO-8601 date');
+  }
+  let until;
+  if (valid_until) {
+    until = new Date(valid_until);
+    if (Number.isNaN(until.getTime())) {
+      throw new Error('CONSENT_ERROR: valid_until must be an ISO-8601 date');
+    }
+  } else {
+    const days = valid_for_days ?? DEFAULT_CONSENT_DAYS;
+    if (!Number.isInteger(days) || days < 1 || days > MAX_CONSENT_DAYS) {
+      throw new Error(`CONSENT_ERROR: valid_for_days must be an integer in [1, ${MAX_CONSENT_DAYS}]`);
+    }
+    until = new Date(from.getTime() + days * DAY_MS);
+  }
+  if (until <= from) {
+    throw new Error('CONSENT_ERROR: valid_until must be after valid_from');
+  }
+  if (until.getTime() - from.getTime() > MAX_CONSENT_DAYS * DAY_MS) {
+    throw new Error(`CONSENT_ERROR: a consent window may not exceed ${MAX_CONSENT_DAYS} days`);
+  }
+  return { valid_from: from.toISOString(), valid_until: until.toISOString() };
+}
+
+/**
+ * Status of a stored record as of now. An active record whose window has
+ * closed is expired, whether or not anyone has written that to the table.
+ *
+ * @param {{ status: string, valid_until: string|null }} record
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function effectiveConsentStatus(record, now = new Date()) {
+  if (record.status === 'active' && record.valid_until && new Date(record.valid_until) <= now) {
+    return 'expired';
+  }
+  return record.status;
+}
+
+/**
+ * Check a stored consent record's lifecycle. Returns { valid, reason }.
+ *
+ * @param {Object|null} record — from getConsentRecord()
+ * @param {Date} [now]
+ * @returns {{ valid: boolean, reason: string }}
+ */
+export function validateConsentLifecycle(record, now = new Date()) {
+  if (!record) {
+    return { valid: false, reason: 'CONSENT_UNREGISTERED: consent record was never generated through the consent endpoint' };
+  }
+  const status = effectiveConsentStatus(record, now);
+  if (status === 'revoked') {
+    return { valid: false, reason: `CONSENT_REVOKED: ${record.status_reason ?? 'consent withdrawn'}` };
+  }
+  if (status === 'suspended') {
+    return { valid: false, reason: `CONSENT_SUSPENDED: ${record.status_reason ?? 'consent suspended'}` };
+  }
+  if (status === 'expired') {
+    return { valid: false, reason: `CONSENT_EXPIRED: validity window ended ${record.valid_until}` };
+  }
+  if (record.valid_from && new Date(record.valid_from) > now) {
+    return { valid: false, reason: `CONSENT_NOT_YET_VALID: validity window opens ${record.valid_from}` };
+  }
+  return { valid: true, reason: 'CONSENT_ACTIVE' };
+}
+
+// ---------------------------------------------------------------------------
+// Purpose limitation — the consented envelope
+// ---------------------------------------------------------------------------
+
+export const CONSENT_INTEGRATIONS = ['drug_discovery', 'dr_bot'];
+
+// What a new consent covers when it does not say: the narrowest useful envelope
+export const DEFAULT_PERMITTED_USES = {
+  assessment_types: ['population_mortality'],
+  max_population: 10000,
+  patient_facing_allowed: false,
+  integrations: [],
+};
+
+// Records stored before purpose limitation declare nothing. They keep what
+// they were consented for then — no limit on use — rather than losing the
+// integrations and types they already run under; null means unlimited
+export const LEGACY_PERMITTED_USES = {
+  assessment_types: null,
+  max_population: null,
+  patient_facing_allowed: true,
+  integrations: [...CONSENT_INTEGRATIONS],
+};
+
+/**
+ * The envelope a stored record is held to.
+ *
+ * @param {{ permitted_uses: Object|null }} record
+ * @returns {Object}
+ */
+export function permittedUsesOf(record) {
+  return record.permitted_uses ?? LEGACY_PERMITTED_USES;
+}
+
+/**
+ * Whether two complete permitted-uses declarations cover the same envelope.
+ *
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+export function samePermittedUses(a, b) {
+  const sorted = list => (list ? [...list].sort() : null);
+  return JSON.stringify(sorted(a.assessment_types)) === JSON.stringify(sorted(b.assessment_types)) &&
+    a.max_population === b.max_population &&
+    a.patient_facing_allowed === b.patient_facing_allowed &&
+    JSON.stringify(sorted(a.integrations)) === JSON.stringify(sorted(b.integrations));
+}
+
+/**
+ * Validate and complete a permitted-uses declaration. Omitted fields take
+ * DEFAULT_PERMITTED_USES values.
+ *
+ * @param {{ assessment_types?: string[], max_population?: number,
+ *           patient_facing_allowed?: boolean, integrations?: string[] }} [input]
+ * @returns {Object} — complete permitted uses
+ */
+export function normalisePermittedUses(input) {
+  if (input === undefined || input === null) return { ...DEFAULT_PERMITTED_USES };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('CONSENT_ERROR: permitted_uses must be an object');
+  }
+  const uses = { ...DEFAULT_PERMITTED_USES, ...input };
+  if (!Array.isArray(uses.assessment_types) || uses.assessment_types.length === 0 ||
+      uses.assessment_types.some(t => typeof t !== 'string' || !t)) {
+    throw new Error('CONSENT_ERROR: permitted_uses.assessment_types must list at least one assessment type');
+  }
+  if (!Number.isInteger(uses.max_population) || uses.max_population < 1) {
+    throw new Error('CONSENT_ERROR: permitted_uses.max_population must be a positive integer');
+  }
+  if (typeof uses.patient_facing_allowed !== 'boolean') {
+    throw new Error('CONSENT_ERROR: permitted_uses.patient_facing_allowed must be true or false');
+  }
+  if (!Array.isArray(uses.integrations) || uses.integrations.some(i => !CONSENT_INTEGRATIONS.includes(i))) {
+    throw new Error(`CONSENT_ERROR: permitted_uses.integrations may only list ${CONSENT_INTEGRATIONS.join(', ')}`);
+  }
+  return {
+    assessment_types: [...new Set(uses.assessment_types)],
+    max_population: uses.max_population,
+    patient_facing_allowed: uses.patient_facing_allowed,
+    integrations: [...new Set(uses.integrations)],
+  };
+}
+
+/**
+ * Check a request against the consented envelope. The reason names the
+ * first limit crossed; field, observed and permitted describe it.
+ *
+ * @param {Object} uses — from permittedUsesOf(record)
+ * @param {{ assessment_type?: string, population_size?: number, patient_facing?: boolean, integration?: string }} ctx
+ * @returns {{ valid: boolean, reason: string, field?: string, observed?: *, permitted?: * }}
+ */
+export function validatePermittedUse(uses, ctx) {
+  const { assessment_type, population_size = 0, patient_facing = false, integration } = ctx;
+
+  if (assessment_type && uses.assessment_types && !uses.assessment_types.includes(assessment_type)) {
+    return {
+      valid: false,
+      reason: `CONSENT_LIMIT_EXCEEDED: assessment_type '${assessment_type}' is not consented (permitted: ${uses.assessment_types.join(', ')})`,
+      field: 'assessment_type',
+      observed: assessment_type,
+      permitted: uses.assessment_types,
+    };
+  }
+  if (uses.max_population !== null && population_size > uses.max_population) {
+    return {
+      valid: false,
+      reason: `CONSENT_LIMIT_EXCEEDED: population_size ${population_size} exceeds consented max_population ${uses.max_population}`,
+      field: 'population_size',
+      observed: population_size,
+      permitted: uses.max_population,
+    };
+  }
+  if (patient_facing && !uses.patient_facing_allowed) {
+    return {
+      valid: false,
+      reason: 'CONSENT_LIMIT_EXCEEDED: patient_facing use is not consented',
+      field: 'patient_facing',
+      observed: true,
+      permitted: false,
+    };
+  }
+  if (integration && !uses.integrations.includes(integration)) {
+    return {
+      valid: false,
+      reason: `CONSENT_LIMIT_EXCEEDED: integration '${integration}' is not consented (permitted: ${uses.integrations.join(', ') || 'none'})`,
+      field: 'integration',
+      observed: integration,
+      permitted: uses.integrations,
+    };
+  }
+  return { valid: true, reason: 'CONSENT_WITHIN_PURPOSE' };
+}
+
 // ---------------------------------------------------------------------------
 // Consent summary (for audit trail)
 // ---------------------------------------------------------------------------
@@ -0,0 +1,259 @@
+/**
+ * constitution.js — Constitution as configuration
+ *
+ * The rules the Five Yamas gates enforce — composite weights, the pass
+ * threshold, forbidden assessment types, the large-population equity trigger
+ * and the validated scope list — live in a versioned constitution document,
+ * not in code. constitution.json is the founding document; amendments are
+ * stored in SQLite and take effect only once enough registered governance
+ * bodies have signed their content hash — never fewer than two, and a
+ * supermajority for an amendment that weakens a safeguard. An amendment is
+ * drafted against the version in force; once another version takes effect
+ * it is stale and must be proposed again.
+ *
+ * Every verdict records the content hash of the constitution it was judged
+ * under, so any historical decision can be traced to the rules that applied.
+ * Its weights name every gate in force, so the hash covers the set of gates
+ * as well as their rules. A registered gate it does not weight yet is
+ * advisory — evaluated and reported with its declared weight proposed for
+ * ratification, but neither blocking nor scored — until an amendment weights
+ * it. A weighted gate that is not registered stops scoring: a safeguard the
+ * constitution relies on has gone.
+ */
+
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { canonicalJson } from './equity-signoff.js';
+import { getGate, listGates } from './gate-registry.js';
+import {
+  getActiveConstitutionRow, insertConstitution, activateConstitution,
+} from '../storage/actuary-store.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const FOUNDING_DOCUMENT = join(__dirname, 'constitution.json');
+
+export const YAMAS = ['ahimsa', 'satya', 'asteya', 'brahmacharya', 'aparigraha'];
+const WEIGHT_TOLERANCE = 1e-9;
+
+// No amendment takes effect on one body's word, whatever a document says
+export const MIN_AMENDMENT_QUORUM = 2;
+
+// ---------------------------------------------------------------------------
+// Validation and hashing
+// ---------------------------------------------------------------------------
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(v => typeof v === 'string' && v.length > 0);
+}
+
+/**
+ * @param {Object} doc — constitution document
+ * @returns {{ valid: boolean, reason: string }}
+ */
+export function validateConstitution(doc) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    return { valid: false, reason: 'CONSTITUTION_INVALID: document must be an object' };
+  }
+  const { weights, pass_threshold, forbidden_assessment_types, large_population_threshold,
+          validated_scopes, amendment_quorum } = doc;
+
+  if (!weights || typeof weights !== 'object') {
+    return { valid: false, reason: `CONSTITUTION_INVALID: weights must give a weight for each of ${YAMAS.join(', ')}` };
+  }
+  // Registered gates beyond the Five Yamas may be weighted too (gate-registry.js)
+  const extra = Object.keys(weights).filter(k => !YAMAS.includes(k) && !getGate(k));
+  if (extra.length) {
+    return { valid: false, reason: `CONSTITUTION_INVALID: weights has unknown gates: ${extra.join(', ')}` };
+  }
+  for (const yama of YAMAS) {
+    if (typeof weights[yama] !== 'number' || weights[yama] < 0) {
+      return { valid: false, reason: `CONSTITUTION_INVALID: weights.${yama} must be a non-negative number` };
+    }
+  }
+  for (const [gate, weight] of Object.entries(weights)) {
+    if (typeof weight !== 'number' || weight < 0) {
+      return { valid: false, reason: `CONSTITUTION_INVALID: weights.${gate} must be a non-negative number` };
+    }
+  }
+  const total = Object.values(weights).reduce((s, w) => s + w, 0);
+  if (Math.abs(total - 1) > WEIGHT_TOLERANCE) {
+    return { valid: false, reason: `CONSTITUTION_INVALID: weights must sum to 1 (got ${total})` };
+  }
+  if (typeof pass_threshold !== 'number' || pass_threshold <= 0 || pass_threshold >= 1) {
+    return { valid: false, reason: 'CONSTITUTION_INVALID: pass_threshold must be a number in (0, 1)' };
+  }
+  if (!isStringList(forbidden_assessment_types)) {
+    return { valid: false, reason: 'CONSTITUTION_INVALID: forbidden_assessment_types must be a list of assessment types' };
+  }
+  if (!Number.isInteger(large_population_threshold) || large_population_threshold < 1) {
+    return { valid: false, reason: 'CONSTITUTION_INVALID: large_population_threshold must be a positive integer' };
+  }
+  if (!isStringList(validated_scopes) || validated_scopes.length === 0) {
+    return { valid: false, reason: 'CONSTITUTION_INVALID: validated_scopes must list at least one scope' };
+  }
+  if (!Number.isInteger(amendment_quorum) || amendment_quorum < 1) {
+    return { valid: false, reason: 'CONSTITUTION_INVALID: amendment_quorum must be a positive integer' };
+  }
+  return { valid: true, reason: 'CONSTITUTION_VALID' };
+}
+
+/**
+ * @param {Object} doc
+ * @returns {string} — SHA-256 hex of the canonical document
+ */
+export function constitutionHash(doc) {
+  return createHash('sha256').update(canonicalJson(doc)).digest('hex');
+}
+
+/**
+ * @param {Object} doc — constitution document
+ * @returns {string|null} — which weighted gates are not registered, or null
+ */
+export function gatesMismatch(doc) {
+  const unregistered = Object.keys(doc.weights ?? {}).filter(name => !getGate(name));
+  if (!unregistered.length) return null;
+  return `CONSTITUTION_GATES_MISMATCH: weighted gates not registered: ${unregistered.join(', ')}` +
+    ' — register them or amend the constitution before scoring';
+}
+
+/**
+ * Registered gates the constitution does not weight — run as advisory, each
+ * with its declared weight as the one an amendment would ratify.
+ *
+ * @param {Object} doc — constitution document
+ * @returns {{ name: string, proposed_weight: number }[]}
+ */
+export function advisoryGates(doc) {
+  return listGates()
+    .filter(g => !Object.hasOwn(doc.weights ?? {}, g.name))
+    .map(g => ({ name: g.name, proposed_weight: g.weight }));
+}
+
+// ---------------------------------------------------------------------------
+// Active constitution
+// ---------------------------------------------------------------------------
+
+function loadFoundingDocument() {
+  let doc;
+  try {
+    doc = JSON.parse(readFileSync(FOUNDING_DOCUMENT, 'utf-8'));
+  } catch (err) {
+    throw new Error(`CONSTITUTION_INVALID: cannot read ${FOUNDING_DOCUMENT}: ${err.message}`);
+  }
+  const check = validateConstitution(doc);
+  if (!check.valid) throw new Error(`${check.reason} (${FOUNDING_DOCUMENT})`);
+  return doc;
+}
+
+/**
+ * The constitution in force. On first use the founding document is adopted
+ * as version 1; after that only approved amendments change it.
+ *
+ * @returns {{ constitution_id: string, version: number, document: Object, content_hash: string }}
+ */
+export function getActiveConstitution() {
+  let active = getActiveConstitutionRow();
+  if (!active) {
+    const document = loadFoundingDocument();
+    const { constitution_id } = insertConstitution({
+      document,
+      content_hash: constitutionHash(document),
+      rationale: 'Founding document (constitutional/constitution.json)',
+    });
+    active = activateConstitution(constitution_id);
+  }
+  return active;
+}
+
+/**
+ * Validate the constitution in force — called at startup so a malformed
+ * document stops the server rather than the first assessment. Gates out of
+ * step with its weights do not stop startup (an amendment is how they are
+ * brought back into line) but are reported: advisory gates, and weighted
+ * gates that are missing, for which no verdict is scored.
+ *
+ * @returns {{ constitution_id: string, version: number, content_hash: string, gates_mismatch: string|null,
+ *   advisory_gates: Object[] }}
+ */
+export function initConstitution() {
+  loadFoundingDocument();
+  const active = getActiveConstitution();
+  const check = validateConstitution(active.document);
+  if (!check.valid) throw new Error(`${check.reason} (${active.constitution_id})`);
+  if (constitutionHash(active.document) !== active.content_hash) {
+    throw new Error(`CONSTITUTION_INVALID: ${active.constitution_id} content does not match its recorded hash`);
+  }
+  return {
+    constitution_id: active.constitution_id,
+    version: active.version,
+    content_hash: active.content_hash,
+    gates_mismatch: gatesMismatch(active.document),
+    advisory_gates: advisoryGates(active.document),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Amendment approval
+// ---------------------------------------------------------------------------
+
+/**
+ * Approvals an ordinary amendment needs under a constitution.
+ *
+ * @param {Object} doc — the constitution being amended
+ * @returns {number}
+ */
+export function amendmentQuorum(doc) {
+  return Math.max(MIN_AMENDMENT_QUORUM, doc.amendment_quorum);
+}
+
+/**
+ * Safeguards an amendment weakens: a lower amendment quorum or pass
+ * threshold, an assessment type no longer forbidden, a higher population
+ * before Ahimsa asks for an equity flag, a scope newly treated as validated,
+ * or weight moved off a gate the constitution weights — every weighted gate
+ * blocks, so less weight is less say in the composite score.
+ *
+ * @param {Object} current — the constitution being amended
+ * @param {Object} proposed
+ * @returns {string[]} — one description per weakened safeguard
+ */
+export function weakenedSafeguards(current, proposed) {
+  const weakened = [];
+  if (proposed.amendment_quorum < current.amendment_quorum) {
+    weakened.push(`amendment_quorum lowered from ${current.amendment_quorum} to ${proposed.amendment_quorum}`);
+  }
+  if (proposed.pass_threshold < current.pass_threshold) {
+    weakened.push(`pass_threshold lowered from ${current.pass_threshold} to ${proposed.pass_threshold}`);
+  }
+  const unforbidden = current.forbidden_assessment_types.filter(t => !proposed.forbidden_assessment_types.includes(t));
+  if (unforbidden.length) weakened.push(`forbidden_assessment_types no longer lists ${unforbidden.join(', ')}`);
+  if (proposed.large_population_threshold > current.large_population_threshold) {
+    weakened.push(`large_population_threshold raised from ${current.large_population_threshold} to ${proposed.large_population_threshold}`);
+  }
+  const newScopes = proposed.validated_scopes.filter(s => !current.validated_scopes.includes(s));
+  if (newScopes.length) weakened.push(`validated_scopes adds ${newScopes.join(', ')}`);
+  for (const [gate, weight] of Object.entries(current.weights)) {
+    const now = proposed.weights[gate] ?? 0;
+    if (now < weight - WEIGHT_TOLERANCE) weakened.push(`weights.${gate} lowered from ${weight} to ${now}`);
+  }
+  return weakened;
+}
+
+/**
+ * Approvals an amendment needs. One that weakens a safeguard needs a body
+ * beyond the quorum and at least two thirds of the registered bodies.
+ *
+ * @param {Object} current — the constitution being amended
+ * @param {Object} proposed
+ * @param {number} registeredBodies — governance bodies in the registry
+ * @returns {{ required: number, quorum: number, supermajority: boolean, weakened: string[] }}
+ */
+export function approvalsRequired(current, proposed, registeredBodies) {
+  const quorum = amendmentQuorum(current);
+  const weakened = weakenedSafeguards(current, proposed);
+  if (weakened.length === 0) return { required: quorum, quorum, supermajority: false, weakened };
+  const required = Math.max(quorum + 1, Math.ceil((registeredBodies * 2) / 3));
+  return { required, quorum, supermajority: true, weakened };
+}
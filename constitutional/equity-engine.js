@@ -3,35 +3,43 @@
  *
  * Equity coefficient application for actuarial risk scoring.
  * Implements Te Tiriti-aligned adjustments for Māori and Pacific peoples.
+ * Cohorts may list several ethnicities (total response), disaggregated Pacific
+ * ethnicities, an age band and NZDep; which coefficient applies is decided by
+ * the set's matching rules (constitutional/cohort-descriptor.js).
  *
- * STATUS: PROVISIONAL SCAFFOLD
- * SME_CLEARANCE = false — DO NOT USE IN PRODUCTION
- *
- * All coefficients below are PROVISIONAL placeholders.
- * They must be reviewed and validated by:
- *   - Te Whatu Ora (Health New Zealand) clinical epidemiologists
- *   - Māori health equity specialists (e.g., Te ORA advisory panel)
- *   - Pacific health equity specialists (e.g., Le Va advisory panel)
+ * Coefficients live in SQLite as versioned, content-hashed sets
+ * (storage/actuary-store.js). A set becomes active only after each required
+ * reviewer role has signed its content hash with an Ed25519 key
+ * (constitutional/equity-signoff.js):
+ *   - Te Whatu Ora (Health New Zealand) clinical epidemiologist
+ *   - Māori health equity advisor (e.g., Te ORA advisory panel)
+ *   - Pacific health equity advisor (e.g., Le Va advisory panel)
  *   - An independent biostatistician
  *
- * This engine WILL NOT ACTIVATE until SME_CLEARANCE = true.
- * Setting SME_CLEARANCE = true without the above validation is a
- * constitutional violation (Ahimsa — non-harm to vulnerable populations).
+ * This engine WILL NOT ACTIVATE until a signed set is active. There is no
+ * in-source switch: activating without the sign-offs is impossible, not
+ * merely a constitutional violation (Ahimsa — non-harm to vulnerable populations).
  *
  * Phase 2 — Actuary Bot Equity Engine
  * Sprint: beta/sprint-drug-completion-shared-yamas (2026-02-24)
  * SCAR reference: SCAR-054 (Aparigraha advisory→blocking, 5/5 gates live)
  */
 
-// ─────────────────────────────────────────────────────────────────────────────
-// PRODUCTION GUARD — DO NOT REMOVE
-// This must remain false until formal SME validation is complete.
-// ─────────────────────────────────────────────────────────────────────────────
-const SME_CLEARANCE = false;
+import { getActiveEquityCoefficientSet } from '../storage/actuary-store.js';
+import { REQUIRED_REVIEWER_ROLES } from './equity-signoff.js';
+import {
+  DEFAULT_MATCHING,
+  PACIFIC_ETHNICITIES,
+  normaliseCohortDescriptor,
+  evaluateMatching,
+} from './cohort-descriptor.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // PROVISIONAL EQUITY COEFFICIENTS
 //
+// Seed content for a first draft set only — never applied directly. A draft
+// built from these must still collect every reviewer sign-off to activate.
+//
 // Each coefficient is a multiplier applied to the base actuarial risk score.
 // > 1.0 = elevated risk (condition historically underdiagnosed or underfunded)
 // < 1.0 = reduced base risk (condition has protective population factors)
@@ -44,33 +52,38 @@ const SME_CLEARANCE = false;
 //  - He Ara Oranga (Mental Health and Addiction Inquiry 2018)
 //  - Pacific Peoples' Health Report 2024 (Te Whatu Ora)
 // ─────────────────────────────────────────────────────────────────────────────
-const PROVISIONAL_EQUITY_COEFFICIENTS = {
+export const PROVISIONAL_EQUITY_COEFFICIENTS = {
   // ── Māori (Tangata Whenua) ──────────────────────────────────────────────
   maori: {
     gout: {
       coefficient: 1.35,
       validated: false,
       note: 'PROVISIONAL — Māori have significantly higher gout prevalence (est. 3-5x general population). Source: NZ Gout Longitudinal Study placeholder.',
+      sources: ['NZ Gout Longitudinal Study (placeholder)'],
     },
     rheumatic_fever: {
       coefficient: 1.80,
       validated: false,
       note: 'PROVISIONAL — Acute rheumatic fever incidence in Māori children estimated 8-15x general population in high-deprivation areas. Source: ARF surveillance reports placeholder.',
+      sources: ['ARF surveillance reports (placeholder)'],
     },
     type2_diabetes: {
       coefficient: 1.45,
       validated: false,
       note: 'PROVISIONAL — Type 2 diabetes prevalence approximately 1.5-2x general population. Source: NZ Health Survey 2022/23 placeholder.',
+      sources: ['NZ Health Survey 2022/23 (placeholder)'],
     },
     cardiovascular: {
       coefficient: 1.30,
       validated: false,
       note: 'PROVISIONAL — Cardiovascular disease mortality rates approximately 1.3-1.5x general population after age standardisation. Source: NZHIS placeholder.',
+      sources: ['NZHIS (placeholder)'],
     },
     sudi: {
       coefficient: 2.10,
       validated: false,
       note: 'PROVISIONAL — Sudden Unexpected Death in Infancy rates approximately 2-3x general population. This coefficient is particularly sensitive — requires specialist SME validation before any actuarial use. Source: Plunket/MoH SUDI monitoring placeholder.',
+      sources: ['Plunket/MoH SUDI monitoring (placeholder)'],
     },
   },
 
@@ -80,138 +93,216 @@ const PROVISIONAL_EQUITY_COEFFICIENTS = {
       coefficient: 1.65,
       validated: false,
       note: 'PROVISIONAL — Pacific peoples have highest gout prevalence of any NZ ethnic group (est. 5-8x general population). Coefficient is aggregate across Samoan, Tongan, Cook Island, Niuean populations — disaggregated data required. Source: NZ Gout Longitudinal Study placeholder.',
+      sources: ['NZ Gout Longitudinal Study (placeholder)'],
     },
     rheumatic_fever: {
       coefficient: 2.20,
       validated: false,
       note: 'PROVISIONAL — ARF incidence in Pacific children is among the highest globally in NZ context. Population-disaggregated (Samoan vs Tongan vs Cook Island) coefficients needed. Source: ARF surveillance placeholder.',
+      sources: ['ARF surveillance (placeholder)'],
     },
     type2_diabetes: {
       coefficient: 1.60,
       validated: false,
       note: 'PROVISIONAL — Type 2 diabetes prevalence 1.5-2x general population across Pacific sub-groups, with variation. Source: NZ Health Survey 2022/23 placeholder.',
+      sources: ['NZ Health Survey 2022/23 (placeholder)'],
     },
     cardiovascular: {
       coefficient: 1.40,
       validated: false,
       note: 'PROVISIONAL — Cardiovascular disease burden elevated, partly mediated by high rheumatic heart disease rates. Source: NZHIS placeholder.',
+      sources: ['NZHIS (placeholder)'],
     },
     sudi: {
       coefficient: 1.75,
       validated: false,
       note: 'PROVISIONAL — SUDI rates elevated in Pacific communities. Coefficient is aggregate — disaggregated data by Pacific ethnicity required. Source: MoH SUDI monitoring placeholder.',
+      sources: ['MoH SUDI monitoring (placeholder)'],
     },
   },
 };
 
 // ─────────────────────────────────────────────────────────────────────────────
-// SUPPORTED CONDITIONS — must match keys in PROVISIONAL_EQUITY_COEFFICIENTS
+// Conditions covered by a coefficient set (union across cohorts)
 // ─────────────────────────────────────────────────────────────────────────────
-const SUPPORTED_CONDITIONS = new Set([
-  'gout',
-  'rheumatic_fever',
-  'type2_diabetes',
-  'cardiovascular',
-  'sudi',
-]);
+function supportedConditions(coefficients) {
+  const conditions = new Set();
+  for (const cohort of Object.values(coefficients)) {
+    for (const condition of Object.keys(cohort)) conditions.add(condition);
+  }
+  return conditions;
+}
+
+// Interval for the applied coefficient. A single entry keeps its own; a mean
+// of entries takes the mean of each bound at the lowest stated level. Any
+// entry without an interval means no interval can be claimed.
+function combineIntervals(entries) {
+  if (entries.length === 0 || entries.some(e => !e.interval)) return null;
+  const mean = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
+  return {
+    lower: mean(entries.map(e => e.interval.lower)),
+    upper: mean(entries.map(e => e.interval.upper)),
+    level: Math.min(...entries.map(e => e.interval.level)),
+  };
+}
+
+function setReference(set) {
+  return set ? { set_id: set.set_id, version: set.version, content_hash: set.content_hash } : null;
+}
 
 // ─────────────────────────────────────────────────────────────────────────────
 // applyEquityCoefficients
 //
-// Apply Te Tiriti-aligned equity coefficients to a base actuarial risk score.
+// Apply Te Tiriti-aligned equity coefficients to a base actuarial risk score,
+// using the active signed coefficient set.
 //
 // @param {number} baseRiskScore    — Raw actuarial risk score (0.0 – 1.0)
-// @param {Object} cohortFlags      — Ethnicity flags from consent context
-//   @param {boolean} [cohortFlags.maori]    — Tangata Whenua flag
-//   @param {boolean} [cohortFlags.pacific]  — Pacific peoples flag
-// @param {string}  condition       — Medical condition key (see SUPPORTED_CONDITIONS)
+// @param {Object} cohort           — Cohort descriptor (constitutional/cohort-descriptor.js)
+//   @param {string[]} [cohort.ethnicities]   — Total response; Pacific may be disaggregated
+//   @param {string}   [cohort.age_band]      — e.g. '45-64', '85+'
+//   @param {number}   [cohort.nzdep_quintile] — or nzdep_decile
+//   @param {boolean}  [cohort.maori]         — Legacy Tangata Whenua flag
+//   @param {boolean}  [cohort.pacific]       — Legacy Pacific peoples flag
+// @param {string}  condition       — Medical condition key (must exist in the active set)
+//
+// The base score is treated as fixed: the adjusted interval is the base score
+// times each bound of the coefficient interval, capped at 1.0.
 //
 // @returns {{
+//   base_score:        number,
 //   adjusted_score:    number,
 //   coefficient_applied: number,
 //   sme_clearance:     boolean,
 //   provisional:       boolean,
 //   warning:           string | null,
 //   cohort_matched:    string | null,
+//   cohort_descriptor: Object,
+//   rule_fired:        { rule_id, matched_ethnicity, coefficient_key, coefficient } | null,
+//   candidates:        Object[],
+//   strategy:          string | null,
 //   condition:         string,
 //   note:              string | null,
+//   coefficient_interval: { lower, upper, level } | null,
+//   adjusted_interval:    { lower, upper, level } | null,
+//   coefficient_set:   { set_id, version, content_hash } | null,
 // }}
 // ─────────────────────────────────────────────────────────────────────────────
-export function applyEquityCoefficients(baseRiskScore, cohortFlags = {}, condition) {
+export function applyEquityCoefficients(baseRiskScore, cohort = {}, condition) {
+  const cohort_descriptor = normaliseCohortDescriptor(cohort);
+  const active = getActiveEquityCoefficientSet();
+
   // ── SME Production Guard ─────────────────────────────────────────────────
-  if (!SME_CLEARANCE) {
+  if (!active) {
     console.warn(
-      '[EQUITY-ENGINE] ⚠️  SME_CLEARANCE=false — returning base score unmodified. ' +
-      'Equity coefficients are PROVISIONAL and have NOT been validated by ' +
-      'Te Whatu Ora, Māori health equity SMEs, or Pacific health equity SMEs. ' +
-      'This engine must not be used in production risk scoring until SME_CLEARANCE=true.'
+      '[EQUITY-ENGINE] ⚠️  No signed equity coefficient set is active — returning base score unmodified. ' +
+      'A set activates only after Te Whatu Ora, Māori health equity, Pacific health equity and ' +
+      'biostatistics reviewers have each signed its content hash.'
     );
     return {
+      base_score: baseRiskScore,
       adjusted_score: baseRiskScore,
       coefficient_applied: 1.0,
       sme_clearance: false,
       provisional: true,
-      warning: 'SME_CLEARANCE=false — equity coefficients not applied. Base score returned unchanged.',
+      warning: 'No active signed coefficient set — equity coefficients not applied. Base score returned unchanged.',
       cohort_matched: null,
+      cohort_descriptor,
+      rule_fired: null,
+      candidates: [],
+      strategy: null,
       condition,
-      note: 'Set SME_CLEARANCE=true only after formal validation by Te Whatu Ora and designated Māori/Pacific health equity advisors.',
+      note: `Activation requires Ed25519 sign-off from: ${REQUIRED_REVIEWER_ROLES.join(', ')}.`,
+      coefficient_interval: null,
+      adjusted_interval: null,
+      coefficient_set: null,
     };
   }
 
+  const coefficients = active.coefficients;
+  const matching = active.matching ?? DEFAULT_MATCHING;
+  const coefficient_set = setReference(active);
+
   // ── Condition Validation ─────────────────────────────────────────────────
-  if (!SUPPORTED_CONDITIONS.has(condition)) {
+  if (!supportedConditions(coefficients).has(condition)) {
     return {
+      base_score: baseRiskScore,
       adjusted_score: baseRiskScore,
       coefficient_applied: 1.0,
       sme_clearance: true,
       provisional: false,
-      warning: `Condition '${condition}' not in SUPPORTED_CONDITIONS — no equity coefficient available.`,
+      warning: `Condition '${condition}' not in coefficient set ${active.set_id} — no equity coefficient available.`,
       cohort_matched: null,
+      cohort_descriptor,
+      rule_fired: null,
+      candidates: [],
+      strategy: matching.strategy,
       condition,
       note: null,
+      coefficient_interval: null,
+      adjusted_interval: null,
+      coefficient_set,
     };
   }
 
-  // ── Cohort Matching (priority: Māori > Pacific > none) ──────────────────
-  // Te Tiriti priority: Tangata Whenua first.
-  // Note: a person may identify as both Māori and Pacific — use Māori coefficient.
-  let cohortKey = null;
-  if (cohortFlags.maori) {
-    cohortKey = 'maori';
-  } else if (cohortFlags.pacific) {
-    cohortKey = 'pacific';
-  }
+  // ── Cohort Matching (rules travel with the signed set) ─────────────────
+  const match = evaluateMatching(cohort_descriptor, matching, coefficients, condition);
 
-  // No equity cohort match — return base score unchanged
-  if (!cohortKey) {
+  // No rule resolved to a coefficient — return base score unchanged
+  if (!match.rule_fired) {
     return {
+      base_score: baseRiskScore,
       adjusted_score: baseRiskScore,
       coefficient_applied: 1.0,
       sme_clearance: true,
       provisional: false,
       warning: null,
       cohort_matched: null,
+      cohort_descriptor,
+      rule_fired: null,
+      candidates: [],
+      strategy: match.strategy,
       condition,
-      note: 'No equity cohort flags set — base score returned.',
+      note: 'No matching rule fired for this cohort — base score returned.',
+      coefficient_interval: null,
+      adjusted_interval: null,
+      coefficient_set,
     };
   }
 
   // ── Apply Coefficient ────────────────────────────────────────────────────
-  const entry = PROVISIONAL_EQUITY_COEFFICIENTS[cohortKey][condition];
-  const coefficient = entry.coefficient;
+  const coefficient = match.coefficient;
   const adjustedScore = Math.min(1.0, baseRiskScore * coefficient);
+  const provisional = match.entries.some(e => e.validated === false);
+  const keys = match.strategy === 'mean'
+    ? match.rule_fired.combined.map(c => c.coefficient_key)
+    : [match.rule_fired.coefficient_key];
+
+  const coefficientInterval = combineIntervals(match.entries);
 
   return {
+    base_score: baseRiskScore,
     adjusted_score: adjustedScore,
     coefficient_applied: coefficient,
     sme_clearance: true,
-    provisional: entry.validated === false,
-    warning: entry.validated === false
-      ? `PROVISIONAL coefficient applied — not yet validated by SME panel.`
+    provisional,
+    warning: provisional
+      ? `PROVISIONAL coefficient applied — signed into ${active.set_id} but not marked validated.`
       : null,
-    cohort_matched: cohortKey,
+    cohort_matched: keys.join('+'),
+    cohort_descriptor,
+    rule_fired: match.rule_fired,
+    candidates: match.candidates,
+    strategy: match.strategy,
     condition,
-    note: entry.note,
+    note: match.entries.map(e => e.note).filter(Boolean).join(' | ') || null,
+    sources: [...new Set(match.entries.flatMap(e => e.sources))],
+    coefficient_interval: coefficientInterval,
+    adjusted_interval: coefficientInterval && {
+      lower: Math.min(1.0, baseRiskScore * coefficientInterval.lower),
+      upper: Math.min(1.0, baseRiskScore * coefficientInterval.upper),
+      level: coefficientInterval.level,
+    },
+    coefficient_set,
   };
 }
 
@@ -219,28 +310,36 @@ export function applyEquityCoefficients(baseRiskScore, cohortFlags = {}, conditi
 // equityEngineSummary — Introspection / health check
 // ─────────────────────────────────────────────────────────────────────────────
 export function equityEngineSummary() {
-  const cohorts = Object.keys(PROVISIONAL_EQUITY_COEFFICIENTS);
-  const allConditions = new Set();
+  const active = getActiveEquityCoefficientSet();
+  const coefficients = active ? active.coefficients : PROVISIONAL_EQUITY_COEFFICIENTS;
+  const cohorts = Object.keys(coefficients);
   let totalCoefficients = 0;
   let validatedCount = 0;
+  let intervalCount = 0;
 
   for (const cohort of cohorts) {
-    for (const [cond, entry] of Object.entries(PROVISIONAL_EQUITY_COEFFICIENTS[cohort])) {
-      allConditions.add(cond);
+    for (const entry of Object.values(coefficients[cohort])) {
       totalCoefficients++;
       if (entry.validated) validatedCount++;
+      if (entry.interval) intervalCount++;
     }
   }
 
   return {
-    sme_clearance: SME_CLEARANCE,
-    status: SME_CLEARANCE ? 'ACTIVE' : 'SCAFFOLD_ONLY',
+    sme_clearance: Boolean(active),
+    status: active ? 'ACTIVE' : 'SCAFFOLD_ONLY',
+    coefficient_set: setReference(active),
+    coefficient_source: active ? 'active signed set' : 'provisional seed (not applied)',
     cohorts,
-    supported_conditions: [...SUPPORTED_CONDITIONS],
+    supported_conditions: [...supportedConditions(coefficients)],
+    supported_ethnicities: ['maori', 'pacific', ...PACIFIC_ETHNICITIES],
+    matching: active?.matching ?? DEFAULT_MATCHING,
+    matching_source: active?.matching ? 'signed with the active set' : 'default rules',
     total_coefficients: totalCoefficients,
     validated_coefficients: validatedCount,
     provisional_coefficients: totalCoefficients - validatedCount,
-    activation_requirement: 'SME validation from Te Whatu Ora + Māori health equity + Pacific health equity advisors',
+    coefficients_with_interval: intervalCount,
+    activation_requirement: `Ed25519 sign-off of the set content hash by: ${REQUIRED_REVIEWER_ROLES.join(', ')}`,
     sprint: 'beta/sprint-drug-completion-shared-yamas',
     phase: 'Phase 2 scaffold',
   };
@@ -0,0 +1,197 @@
+/**
+ * equity-signoff.js — Multi-party SME sign-off for equity coefficient sets
+ *
+ * A coefficient set is content-addressed: its SHA-256 hash covers every
+ * coefficient, note and source citation. Each required reviewer role signs
+ * that hash with their own Ed25519 key. Only when every role has signed may
+ * the set activate — no single person, and no code edit, can switch the
+ * equity engine on.
+ *
+ * Replaces the in-source SME_CLEARANCE flag (SCAR-054 follow-up).
+ */
+
+import { createHash } from 'crypto';
+import nacl from 'tweetnacl';
+
+// ---------------------------------------------------------------------------
+// Required reviewer roles — every one must sign before activation
+// ---------------------------------------------------------------------------
+export const REQUIRED_REVIEWER_ROLES = [
+  'te_whatu_ora_epidemiologist',
+  'maori_equity_advisor',
+  'pacific_equity_advisor',
+  'biostatistician',
+];
+
+// ---------------------------------------------------------------------------
+// Canonical content hash
+// ---------------------------------------------------------------------------
+
+/**
+ * JSON with object keys sorted at every depth, so the same coefficients
+ * always hash the same regardless of the order they were submitted in.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+export function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Matching rules are part of the signed content when a set carries its own;
+ * a set without them hashes its coefficients alone.
+ *
+ * @param {Object} coefficients — { cohort: { condition: { coefficient, validated, note, sources } } }
+ * @param {Object|null} [matching] — { strategy, rules } (see cohort-descriptor.js)
+ * @returns {string} — SHA-256 hex
+ */
+export function coefficientSetHash(coefficients, matching = null) {
+  const content = matching ? { coefficients, matching } : coefficients;
+  return createHash('sha256').update(canonicalJson(content)).digest('hex');
+}
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+/**
+ * Check a coefficient set's shape. Every coefficient must be a positive
+ * multiplier, carry a validated status, and cite at least one source. An
+ * optional interval { lower, upper, level } must bracket the coefficient.
+ *
+ * @param {Object} coefficients
+ * @returns {{ valid: boolean, reason: string }}
+ */
+export function validateCoefficientSet(coefficients) {
+  if (!coefficients || typeof coefficients !== 'object' || Array.isArray(coefficients)) {
+    return { valid: false, reason: 'EQUITY_SET_INVALID: coefficients must be an object keyed by cohort' };
+  }
+  const cohorts = Object.keys(coefficients);
+  if (cohorts.length === 0) {
+    return { valid: false, reason: 'EQUITY_SET_INVALID: at least one cohort is required' };
+  }
+  for (const cohort of cohorts) {
+    const conditions = coefficients[cohort];
+    if (!conditions || typeof conditions !== 'object' || Object.keys(conditions).length === 0) {
+      return { valid: false, reason: `EQUITY_SET_INVALID: cohort '${cohort}' has no conditions` };
+    }
+    for (const [condition, entry] of Object.entries(conditions)) {
+      const where = `${cohort}.${condition}`;
+      if (typeof entry?.coefficient !== 'number' || !(entry.coefficient > 0)) {
+        return { valid: false, reason: `EQUITY_SET_INVALID: ${where}.coefficient must be a positive number` };
+      }
+      if (typeof entry.validated !== 'boolean') {
+        return { valid: false, reason: `EQUITY_SET_INVALID: ${where}.validated must be true or false` };
+      }
+      if (!Array.isArray(entry.sources) || entry.sources.length === 0) {
+        return { valid: false, reason: `EQUITY_SET_INVALID: ${where}.sources must cite at least one source` };
+      }
+      if (entry.interval !== undefined) {
+        const { lower, upper, level } = entry.interval ?? {};
+        if (!(lower > 0 && lower <= entry.coefficient && upper >= entry.coefficient)) {
+          return { valid: false, reason: `EQUITY_SET_INVALID: ${where}.interval must satisfy 0 < lower <= coefficient <= upper` };
+        }
+        if (!(typeof level === 'number' && level > 0 && level < 1)) {
+          return { valid: false, reason: `EQUITY_SET_INVALID: ${where}.interval.level must be a number in (0, 1), e.g. 0.95` };
+        }
+      }
+    }
+  }
+  return { valid: true, reason: 'EQUITY_SET_VALID' };
+}
+
+// ---------------------------------------------------------------------------
+// Signatures
+// ---------------------------------------------------------------------------
+
+/**
+ * Verify a reviewer's Ed25519 signature over a set's content hash.
+ * The signed message is the 32 raw bytes of the hash (as Kaitiaki signs
+ * artifact hashes), not its hex text.
+ *
+ * @param {string} contentHash — SHA-256 hex
+ * @param {string} signature   — 64-byte signature, hex
+ * @param {string} publicKey   — 32-byte Ed25519 public key, hex
+ * @returns {{ valid: boolean, reason: string }}
+ */
+export function verifySignoff(contentHash, signature, publicKey) {
+  if (!/^[0-9a-f]{128}$/i.test(String(signature ?? ''))) {
+    return { valid: false, reason: 'SIGNOFF_INVALID: signature must be 64 bytes of hex' };
+  }
+  if (!/^[0-9a-f]{64}$/i.test(String(publicKey ?? ''))) {
+    return { valid: false, reason: 'SIGNOFF_INVALID: reviewer public key must be 32 bytes of hex' };
+  }
+  const ok = nacl.sign.detached.verify(
+    new Uint8Array(Buffer.from(contentHash, 'hex')),
+    new Uint8Array(Buffer.from(signature, 'hex')),
+    new Uint8Array(Buffer.from(publicKey, 'hex')),
+  );
+  return ok
+    ? { valid: true, reason: 'SIGNOFF_VALID' }
+    : { valid: false, reason: 'SIGNOFF_INVALID: signature does not verify against the set content hash' };
+}
+
+/**
+ * Which required roles have not yet signed.
+ *
+ * @param {{ role: string }[]} signoffs
+ * @returns {string[]}
+ */
+export function missingRoles(signoffs) {
+  const signed = new Set(signoffs.map(s => s.role));
+  return REQUIRED_REVIEWER_ROLES.filter(r => !signed.has(r));
+}
+
+// ---------------------------------------------------------------------------
+// Separation of duties — each required role is a different person
+// ---------------------------------------------------------------------------
+
+// A reviewer's identity: their name with case, accents and spacing folded
+function identityOf(name) {
+  return String(name ?? '').normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * The registered reviewer sharing a name (identity) or public key with a
+ * new registration, if any.
+ *
+ * @param {{ reviewer_id: string, name: string, role: string, public_key: string }[]} reviewers
+ * @param {{ name: string, public_key: string }} candidate
+ * @returns {Object|null}
+ */
+export function findReviewerIdentity(reviewers, { name, public_key }) {
+  const key = String(public_key ?? '').toLowerCase();
+  return reviewers.find(r => r.public_key === key || identityOf(r.name) === identityOf(name)) ?? null;
+}
+
+/**
+ * Check that no key and no identity signs a set under more than one role —
+ * otherwise one person could supply several of the required sign-offs.
+ *
+ * @param {{ role: string, public_key: string, reviewer_name: string }[]} signoffs
+ * @returns {{ valid: boolean, reason: string }}
+ */
+export function separationOfDuties(signoffs) {
+  const holders = new Map();
+  for (const s of signoffs) {
+    const key = String(s.public_key).toLowerCase();
+    for (const [id, label] of [[`key:${key}`, `key ${key.slice(0, 16)}…`], [`identity:${identityOf(s.reviewer_name)}`, `'${s.reviewer_name}'`]]) {
+      if (!holders.has(id)) holders.set(id, { label, roles: new Set() });
+      holders.get(id).roles.add(s.role);
+    }
+  }
+  for (const { label, roles } of holders.values()) {
+    if (roles.size > 1) {
+      return {
+        valid: false,
+        reason: `SIGNOFF_REJECTED: ${label} would sign as ${[...roles].join(' and ')} — each required role needs a different person`,
+      };
+    }
+  }
+  return { valid: true, reason: 'SIGNOFF_DUTIES_SEPARATE' };
+}
@@ -0,0 +1,167 @@
+/**
+ * gate-registry.js — Pluggable constitutional gates
+ *
+ * The Five Yamas register here (see yamas-gates.js), and so can any further
+ * gate — a Niyama-style observance, an organisation-specific check. A gate
+ * declares:
+ *
+ *   name          — key in the verdict's yamas section, e.g. 'santosha'
+ *   label         — display name for explanations and the UI gate bars
+ *   description   — one line on what it guards
+ *   weight        — proposed composite weight; until an amendment weights
+ *                   it in the constitution the gate is advisory (reported,
+ *                   neither blocking nor scored)
+ *   hard_block    — a failure zeroes the composite (as Brahmacharya does)
+ *   evaluate      — (ctx, rules) => { pass, score, reason, findings, ...extra }
+ *   explanations  — optional templates keyed by finding code,
+ *                   (finding, ctx, rules) => string, overriding renderFinding
+ *   remedies      — (result, ctx, rules) => remedy[] — candidate field changes
+ *                   (see yamas-remedies.js) for the remediation solver
+ *   sections      — result fields lifted to top-level verdict sections
+ *
+ * runAllGates, the gate explainer, the remediation solver, the advisor
+ * simulation and the UI all read this registry, so a registered gate needs
+ * no edits elsewhere.
+ *
+ * Findings are the single statement of why a gate scored as it did — a
+ * stable code, severity ('block' fails the gate, 'note' costs score), the
+ * field, what was observed, what is required and a hint. Explanations are
+ * rendered from them, so they cannot disagree with the verdict.
+ *
+ * Further gates are loaded at startup from constitutional/gates/: each
+ * module there exports `gate` with the shape above.
+ */
+
+import { readdirSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const GATE_MODULE_DIR = join(__dirname, 'gates');
+const GATE_NAME = /^[a-z][a-z0-9_]*$/;
+
+const GATES = new Map();
+
+export const FINDING_SEVERITIES = ['block', 'note'];
+const SEVERITY_LABEL = { block: 'BLOCKED', note: 'NOTE' };
+
+// ---------------------------------------------------------------------------
+// Findings
+// ---------------------------------------------------------------------------
+
+/**
+ * params holds any further values the message and hint mention, so message
+ * catalogues (src/i18n/) can word them in another language.
+ *
+ * @param {{ code: string, severity?: string, field: string|null, observed: *, required: *,
+ *           params?: Object, message: string, hint: string }} f
+ * @returns {Object} — the finding, severity defaulting to 'block'
+ */
+export function gateFinding({
+  code, severity = 'block', field = null, observed = null, required = null, params = {}, message, hint,
+}) {
+  return { code, severity, field, observed, required, params, message, hint };
+}
+
+/**
+ * Text a message catalogue can reword — a param that is itself a message
+ * (a consent limit, a jurisdiction rule), or a remedy's action. Rendered
+ * from the catalogue entry at `key`, filled from `values` (which may nest
+ * further localisable text), else `text`.
+ *
+ * @param {string} key — dotted catalogue path, e.g. 'remedies.raise_model_count'
+ * @param {Object} values
+ * @param {string} text — the English wording
+ * @returns {{ key: string, values: Object, text: string }}
+ */
+export function localisable(key, values, text) {
+  return { key, values, text };
+}
+
+/** Default text for a finding: severity, what is wrong, what to do. */
+export function renderFinding(f) {
+  return `${SEVERITY_LABEL[f.severity] ?? f.severity.toUpperCase()}: ${f.message}. ${f.hint}`;
+}
+
+// ---------------------------------------------------------------------------
+// Registry
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {Object} gate — see module header
+ * @returns {Object} — the registered gate
+ */
+export function registerGate(gate) {
+  if (!gate || !GATE_NAME.test(gate.name ?? '')) {
+    throw new Error('GATE_INVALID: name must be lower_snake_case');
+  }
+  if (GATES.has(gate.name)) {
+    throw new Error(`GATE_INVALID: gate '${gate.name}' is already registered`);
+  }
+  if (typeof gate.evaluate !== 'function') {
+    throw new Error(`GATE_INVALID: ${gate.name}.evaluate must be a function (ctx, rules) => { pass, score, reason }`);
+  }
+  if (typeof gate.weight !== 'number' || gate.weight < 0) {
+    throw new Error(`GATE_INVALID: ${gate.name}.weight must be a non-negative number`);
+  }
+  if (gate.remedies !== undefined && typeof gate.remedies !== 'function') {
+    throw new Error(`GATE_INVALID: ${gate.name}.remedies must be a function (result, ctx, rules) => remedy[]`);
+  }
+  const entry = {
+    label: gate.name.charAt(0).toUpperCase() + gate.name.slice(1),
+    description: '',
+    hard_block: false,
+    explanations: {},
+    remedies: () => [],
+    sections: [],
+    ...gate,
+  };
+  // Explanations come only from findings, through the gate's templates
+  entry.explain = (result, ctx, rules) => (result.findings ?? [])
+    .map(f => (entry.explanations[f.code] ?? renderFinding)(f, ctx, rules));
+  GATES.set(gate.name, entry);
+  return entry;
+}
+
+/** Registered gates in registration order (the Five Yamas first). */
+export function listGates() {
+  return [...GATES.values()];
+}
+
+export function getGate(name) {
+  return GATES.get(name) ?? null;
+}
+
+/**
+ * Public description of each gate — what the UI needs to draw its bars.
+ *
+ * @param {Object} [weights] — constitution weights; a gate they leave out is
+ *   advisory, with weight null and its declared weight proposed
+ */
+export function describeGates(weights = {}) {
+  return listGates().map(g => ({
+    name: g.name,
+    label: g.label,
+    description: g.description,
+    weight: weights[g.name] ?? null,
+    declared_weight: g.weight,
+    advisory: !Object.hasOwn(weights, g.name),
+    hard_block: g.hard_block,
+  }));
+}
+
+/**
+ * Import every gate module in constitutional/gates/ and register its `gate`.
+ *
+ * @returns {Promise<string[]>} — names of the gates loaded
+ */
+export async function loadGateModules(dir = GATE_MODULE_DIR) {
+  if (!existsSync(dir)) return [];
+  const loaded = [];
+  for (const file of readdirSync(dir).filter(f => f.endsWith('.js')).sort()) {
+    const mod = await import(pathToFileURL(join(dir, file)).href);
+    if (!mod.gate) throw new Error(`GATE_INVALID: ${file} does not export a gate`);
+    loaded.push(registerGate(mod.gate).name);
+  }
+  return loaded;
+}
@@ -0,0 +1,98 @@
+/**
+ * jurisdiction-packs.js — Pluggable regulatory jurisdiction packs
+ *
+ * regulatory_jurisdiction names a pack. A pack recognises its own codes and
+ * runs its own checks — cross-border disclosure, special-category data,
+ * automated decisions — each returning a finding. Blocking findings that
+ * fail stop the assessment in Brahmacharya; every finding is reported in the
+ * verdict's jurisdiction section.
+ *
+ * A pack is { code, aliases, name, instruments, checks: [(ctx) => finding] },
+ * where a finding is { rule, citation, field, pass, blocking, message, remedies? }.
+ *
+ * A regulatory_jurisdiction no pack recognises is an input error
+ * (JURISDICTION_UNSUPPORTED), not a gate verdict — there is no regime to
+ * judge the request against.
+ */
+
+import { NZ_PRIVACY_PACK } from './jurisdictions/nz-privacy.js';
+import { EU_GDPR_PACK } from './jurisdictions/eu-gdpr.js';
+import { AU_PRIVACY_PACK } from './jurisdictions/au-privacy.js';
+
+const PACKS = new Map();
+const CODES = new Map();
+
+function normaliseCode(code) {
+  return String(code).trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+/**
+ * Register a jurisdiction pack under its code and aliases.
+ *
+ * @param {{ code: string, aliases?: string[], name: string, instruments: string[], checks: Function[] }} pack
+ */
+export function registerJurisdictionPack(pack) {
+  if (!pack?.code || !pack.name || !Array.isArray(pack.checks)) {
+    throw new Error('JURISDICTION_PACK_INVALID: a pack needs code, name and checks');
+  }
+  for (const code of [pack.code, ...(pack.aliases ?? [])]) {
+    const key = normaliseCode(code);
+    if (CODES.has(key) && CODES.get(key) !== pack.code) {
+      throw new Error(`JURISDICTION_PACK_INVALID: code '${code}' already belongs to ${CODES.get(key)}`);
+    }
+    CODES.set(key, pack.code);
+  }
+  PACKS.set(pack.code, pack);
+}
+
+/**
+ * @param {string} code — as given in regulatory_jurisdiction
+ * @returns {Object|null} — the pack, or null when no pack recognises the code
+ */
+export function resolveJurisdictionPack(code) {
+  const canonical = CODES.get(normaliseCode(code));
+  return canonical ? PACKS.get(canonical) : null;
+}
+
+export function listJurisdictionPacks() {
+  return [...PACKS.values()].map(({ code, aliases = [], name, instruments }) => ({ code, aliases, name, instruments }));
+}
+
+/**
+ * @param {string|null|undefined} code — as given in regulatory_jurisdiction
+ * @returns {string|null} — a JURISDICTION_UNSUPPORTED message, or null when
+ *   the code is absent or a pack recognises it
+ */
+export function unsupportedJurisdiction(code) {
+  if (code === null || code === undefined || code === '' || resolveJurisdictionPack(code)) return null;
+  const known = listJurisdictionPacks().map(p => p.code);
+  return `JURISDICTION_UNSUPPORTED: regulatory_jurisdiction '${code}' is not supported. Known: ${known.join(', ')}`;
+}
+
+/**
+ * Run a jurisdiction's pack against a request.
+ *
+ * @param {Object} ctx — request context (regulatory_jurisdiction, cross_border, legal_basis, ...)
+ * @returns {{ code: string|null, requested: string, recognised: boolean, name: string|null,
+ *             findings: Object[], pass: boolean }}
+ */
+export function evaluateJurisdiction(ctx) {
+  const requested = ctx.regulatory_jurisdiction;
+  const pack = resolveJurisdictionPack(requested);
+  if (!pack) {
+    return { code: null, requested, recognised: false, name: null, findings: [], pass: false };
+  }
+  const findings = pack.checks.map(check => check(ctx));
+  return {
+    code: pack.code,
+    requested,
+    recognised: true,
+    name: pack.name,
+    findings,
+    pass: findings.every(f => f.pass || !f.blocking),
+  };
+}
+
+registerJurisdictionPack(NZ_PRIVACY_PACK);
+registerJurisdictionPack(EU_GDPR_PACK);
+registerJurisdictionPack(AU_PRIVACY_PACK);
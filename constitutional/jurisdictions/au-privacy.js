@@ -0,0 +1,31 @@
+/**
+ * au-privacy.js — Australian Privacy Act 1988 (Australian Privacy Principles)
+ */
+
+import { finding, crossBorderCheck, ruleText } from './common.js';
+
+export const AU_PRIVACY_PACK = {
+  code: 'au-privacy',
+  aliases: ['au', 'au-app', 'au-privacy-act'],
+  name: 'Australian Privacy Act 1988 (Australian Privacy Principles)',
+  instruments: ['Privacy Act 1988 (Cth)'],
+  checks: [
+    // APP 3.3 — health information is sensitive; collection needs consent
+    (ctx) => finding({
+      rule: 'app3_sensitive_information',
+      citation: 'Privacy Act 1988, Sch 1 APP 3.3',
+      field: 'consent_record_id',
+      pass: Boolean(ctx.consent_record_id),
+      message: ctx.consent_record_id
+        ? 'Sensitive health information collected under a consent record'
+        : ruleText('app3_sensitive_information', {}, 'Health information is sensitive information — collection requires consent'),
+    }),
+    crossBorderCheck({
+      rule: 'app8_cross_border',
+      citation: 'Privacy Act 1988, Sch 1 APP 8; s 16C',
+      permitted: ['au'],
+      safeguards: ['app8_reasonable_steps', 'substantially_similar_law', 'informed_consent'],
+      regime: 'APP 8',
+    }),
+  ],
+};
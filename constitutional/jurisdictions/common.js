@@ -0,0 +1,94 @@
+/**
+ * common.js — Shared helpers for jurisdiction packs
+ */
+
+import { localisable } from '../gate-registry.js';
+
+/**
+ * A pack's wording for a catalogue to reword — under jurisdiction_rules (a
+ * failure message) or remedies (an action) in src/i18n/locales/.
+ */
+export const ruleText = (key, values, text) => localisable(`jurisdiction_rules.${key}`, values, text);
+export const remedyText = (key, values, text) => localisable(`remedies.${key}`, values, text);
+
+/**
+ * @param {Object} f
+ * @param {string} f.rule       — pack-local rule code, e.g. 'ipp12_cross_border'
+ * @param {string} f.citation   — statutory reference
+ * @param {string} f.field      — request field the rule reads
+ * @param {boolean} f.pass
+ * @param {boolean} [f.blocking] — whether a failure stops the assessment
+ * @param {string|Object} f.message — text, or ruleText() for a failure a catalogue can reword
+ * @param {Object[]} [f.remedies] — field changes that would satisfy the rule
+ *                                  (shape as in yamas-remedies.js), for failures
+ * @returns {Object} — message as text; a reworded one is also kept as detail
+ */
+export function finding({ rule, citation, field, pass, blocking = true, message, remedies }) {
+  return {
+    rule,
+    citation,
+    field,
+    pass,
+    blocking,
+    message: typeof message === 'string' ? message : message.text,
+    ...(typeof message !== 'string' && { detail: message }),
+    ...(!pass && remedies?.length && { remedies }),
+  };
+}
+
+/**
+ * Read the request's cross-border disclosure, if any.
+ * ctx.cross_border = { destination: 'us', safeguard: 'standard_contractual_clauses' }
+ *
+ * @returns {{ destination: string, safeguard: string|null }|null}
+ */
+export function crossBorder(ctx) {
+  const cb = ctx.cross_border;
+  if (!cb?.destination) return null;
+  return {
+    destination: String(cb.destination).trim().toLowerCase(),
+    safeguard: cb.safeguard ? String(cb.safeguard).trim().toLowerCase() : null,
+  };
+}
+
+/**
+ * Cross-border disclosure check shared by packs: disclosure is allowed to a
+ * destination inside `permitted`, or elsewhere under one of `safeguards`.
+ */
+export function crossBorderCheck({ rule, citation, permitted, safeguards, regime }) {
+  return (ctx) => {
+    const cb = crossBorder(ctx);
+    const field = 'cross_border';
+    if (!cb) return finding({ rule, citation, field, pass: true, message: 'No cross-border disclosure declared' });
+    if (permitted.includes(cb.destination)) {
+      return finding({ rule, citation, field, pass: true, message: `Disclosure to '${cb.destination}' is permitted under ${regime}` });
+    }
+    if (cb.safeguard && safeguards.includes(cb.safeguard)) {
+      return finding({ rule, citation, field, pass: true, message: `Disclosure to '${cb.destination}' relies on safeguard '${cb.safeguard}'` });
+    }
+    const needs = `Disclosure to '${cb.destination}' needs one of: ${safeguards.join(', ')}`;
+    return finding({
+      rule,
+      citation,
+      field,
+      pass: false,
+      message: cb.safeguard
+        ? ruleText('cross_border_safeguard_got', { destination: cb.destination, safeguards, got: cb.safeguard },
+          `${needs} (got '${cb.safeguard}')`)
+        : ruleText('cross_border_safeguard', { destination: cb.destination, safeguards }, needs),
+      remedies: [
+        {
+          changes: { cross_border: { ...ctx.cross_border, safeguard: safeguards[0] } },
+          action: remedyText('declare_safeguard', { regime, safeguard: safeguards[0], destination: cb.destination },
+            `declare the ${regime} safeguard '${safeguards[0]}' for the disclosure to '${cb.destination}'`),
+          requires: remedyText('declare_safeguard_requires', {}, 'that the safeguard is actually in place'),
+        },
+        {
+          changes: { cross_border: null },
+          action: remedyText('keep_in_jurisdiction', { destination: cb.destination },
+            `keep the data in-jurisdiction (no disclosure to '${cb.destination}')`),
+        },
+      ],
+    });
+  };
+}
@@ -0,0 +1,80 @@
+/**
+ * eu-gdpr.js — EU General Data Protection Regulation (Regulation (EU) 2016/679)
+ */
+
+import { finding, crossBorderCheck, ruleText, remedyText } from './common.js';
+
+// Art. 9(2) conditions that can lift the ban on processing health data
+export const ART9_CONDITIONS = [
+  'explicit_consent',      // 9(2)(a)
+  'health_care',           // 9(2)(h)
+  'public_health',         // 9(2)(i)
+  'scientific_research',   // 9(2)(j)
+];
+
+const EEA = [
+  'eu', 'at', 'be', 'bg', 'hr', 'cy', 'cz', 'dk', 'ee', 'fi', 'fr', 'de', 'gr', 'hu', 'ie',
+  'it', 'lv', 'lt', 'lu', 'mt', 'nl', 'pl', 'pt', 'ro', 'sk', 'si', 'es', 'se', 'is', 'li', 'no',
+];
+
+// Art. 45 adequacy decisions ('us': the EU-US Data Privacy Framework, 2023).
+// A destination on this list needs no safeguard; 'adequacy_decision' is not a
+// safeguard a request can claim for one that is not
+const ADEQUATE = ['ad', 'ar', 'ca', 'fo', 'gg', 'il', 'im', 'jp', 'je', 'nz', 'kr', 'ch', 'gb', 'us', 'uy'];
+
+export const EU_GDPR_PACK = {
+  code: 'eu-gdpr',
+  aliases: ['eu', 'gdpr'],
+  name: 'EU General Data Protection Regulation',
+  instruments: ['Regulation (EU) 2016/679'],
+  checks: [
+    (ctx) => {
+      const basis = ctx.legal_basis ? String(ctx.legal_basis).trim().toLowerCase() : null;
+      const pass = ART9_CONDITIONS.includes(basis);
+      const needs = `Health data is special-category data — legal_basis must be one of: ${ART9_CONDITIONS.join(', ')}`;
+      return finding({
+        rule: 'art9_special_category',
+        citation: 'GDPR Art. 9(2)',
+        field: 'legal_basis',
+        pass,
+        message: pass
+          ? `Health data processed under Art. 9(2) condition '${basis}'`
+          : basis
+            ? ruleText('art9_special_category_got', { conditions: ART9_CONDITIONS, got: basis }, `${needs} (got '${basis}')`)
+            : ruleText('art9_special_category', { conditions: ART9_CONDITIONS }, needs),
+        remedies: [{
+          changes: { legal_basis: 'scientific_research' },
+          action: remedyText('declare_research_basis', {}, "declare the Art. 9(2)(j) condition 'scientific_research' as legal_basis"),
+          requires: remedyText('declare_research_basis_requires', {}, 'that the processing meets Art. 89(1) research safeguards'),
+        }],
+      });
+    },
+    crossBorderCheck({
+      rule: 'chapter_v_transfer',
+      citation: 'GDPR Arts. 44-46',
+      permitted: [...EEA, ...ADEQUATE],
+      safeguards: ['standard_contractual_clauses', 'binding_corporate_rules'],
+      regime: 'Chapter V (EEA or adequacy decision)',
+    }),
+    (ctx) => {
+      const needsReview = Boolean(ctx.patient_facing);
+      const pass = !needsReview || ctx.human_review === true;
+      return finding({
+        rule: 'art22_automated_decision',
+        citation: 'GDPR Art. 22',
+        field: 'human_review',
+        pass,
+        message: !needsReview
+          ? 'Not a decision about an individual'
+          : pass
+            ? 'Patient-facing output is subject to human review'
+            : ruleText('art22_automated_decision', {}, 'Patient-facing output is an automated individual decision — set human_review: true'),
+        remedies: [{
+          changes: { human_review: true },
+          action: remedyText('human_review', {}, 'put patient-facing output through human review'),
+          requires: remedyText('human_review_requires', {}, 'a clinician who reviews each output before it reaches the patient'),
+        }],
+      });
+    },
+  ],
+};
@@ -0,0 +1,39 @@
+/**
+ * nz-privacy.js — New Zealand Privacy Act 2020 / Health Information Privacy Code 2020
+ */
+
+import { finding, crossBorderCheck, ruleText } from './common.js';
+
+// IPP 12 — overseas disclosure needs comparable safeguards or informed authorisation
+const IPP12_SAFEGUARDS = [
+  'comparable_safeguards',
+  'individual_authorisation',
+  'contractual_safeguards',
+  'prescribed_country',
+];
+
+export const NZ_PRIVACY_PACK = {
+  code: 'nz-privacy',
+  aliases: ['nz', 'nz-hipc', 'nz-privacy-act', 'hipc'],
+  name: 'New Zealand Privacy Act 2020 / Health Information Privacy Code 2020',
+  instruments: ['Privacy Act 2020', 'Health Information Privacy Code 2020'],
+  checks: [
+    crossBorderCheck({
+      rule: 'ipp12_cross_border',
+      citation: 'Privacy Act 2020, s 22 IPP 12; HIPC 2020 rule 12',
+      permitted: ['nz'],
+      safeguards: IPP12_SAFEGUARDS,
+      regime: 'IPP 12',
+    }),
+    // HIPC rule 11 — health information disclosed only for the purpose it was obtained
+    (ctx) => finding({
+      rule: 'hipc_rule11_disclosure',
+      citation: 'HIPC 2020 rule 11',
+      field: 'consent_record_id',
+      pass: Boolean(ctx.consent_record_id),
+      message: ctx.consent_record_id
+        ? 'Disclosure is covered by the consent record'
+        : ruleText('hipc_rule11_disclosure', {}, 'Health information may only be disclosed under a consent record or a rule 11 exception'),
+    }),
+  ],
+};
@@ -4,15 +4,39 @@
  * All five gates BLOCK from Day 1. No floors. No advisory-only gates.
  * A gate that doesn't block is not a gate — it's a checkbox.
  *
- * Constitutional scoring:
+ * Constitutional scoring (founding weights — the constitution in force sets them,
+ * see constitutional/constitution.js):
  *   C = 0.25*Ahimsa + 0.25*Satya + 0.15*Asteya + 0.20*Brahmacharya + 0.15*Aparigraha
  *   brahmacharya < 0.5 → AUTOMATIC REJECT (regardless of composite)
- *   C < 0.6 → REJECT
+ *   C < pass_threshold (0.6) → REJECT
+ *
+ * Further gates can join through the gate registry (gate-registry.js); the
+ * composite, explanations and UI pick them up without edits here.
  *
  * Machine Elves sprint M2-STEP 4 (2026-02-24)
  */
 
-import { validateConsentRecord } from './consent-protocol.js';
+import { validateConsentRecord, validateConsentLifecycle, validatePermittedUse, permittedUsesOf } from './consent-protocol.js';
+import { involvesMaoriData, validateCollectiveConsent } from './collective-consent.js';
+import { getActiveConstitution, gatesMismatch } from './constitution.js';
+import { evaluateJurisdiction, listJurisdictionPacks, unsupportedJurisdiction } from './jurisdiction-packs.js';
+import { registerGate, listGates, gateFinding, localisable } from './gate-registry.js';
+import {
+  remedyAhimsa, remedySatya, remedyAsteya, remedyBrahmacharya, remedyAparigraha,
+} from './yamas-remedies.js';
+
+// Stored records arrive in ctx.records (withGateRecords in storage/actuary-store.js),
+// each tagged with the ID it was loaded for. One loaded for a different ID —
+// or never loaded — counts as absent, so a gate fails closed.
+function storedRecords(ctx) {
+  const records = ctx.records ?? {};
+  const consentLoaded = Boolean(ctx.consent_record_id) && records.consent_record_id === ctx.consent_record_id;
+  return {
+    registered_model: records.model_version === ctx.model_version ? records.registered_model : null,
+    consent_record: consentLoaded ? records.consent_record ?? null : null,
+    collective_approvals: consentLoaded ? records.collective_approvals ?? [] : [],
+  };
+}
 
 // ---------------------------------------------------------------------------
 // Gate 1 — AHIMSA (non-harm)
@@ -21,25 +45,60 @@ import { validateConsentRecord } from './consent-protocol.js';
 
 /**
  * @param {{ equity_flag?: string, population_size?: number, patient_facing?: boolean, assessment_type?: string }} ctx
- * @returns {{ pass: boolean, score: number, reason: string }}
+ * @param {Object} [rules] — constitution document (defaults to the one in force)
+ * @returns {{ pass: boolean, score: number, reason: string, findings: Object[] }}
  */
-export function ahimsaGate(ctx) {
+export function ahimsaGate(ctx, rules = getActiveConstitution().document) {
   const { equity_flag, population_size = 0, patient_facing = false, assessment_type = '' } = ctx;
+  const violations = [];
 
   // Block discriminatory assessment types
-  const FORBIDDEN_TYPES = ['genetic_exclusion', 'racial_profiling', 'disability_penalty'];
-  if (FORBIDDEN_TYPES.includes(assessment_type)) {
-    return { pass: false, score: 0.0, reason: `AHIMSA_VIOLATION: assessment_type '${assessment_type}' is prohibited` };
+  if (rules.forbidden_assessment_types.includes(assessment_type)) {
+    violations.push([`AHIMSA_VIOLATION: assessment_type '${assessment_type}' is prohibited`, gateFinding({
+      code: 'AHIMSA_FORBIDDEN_ASSESSMENT_TYPE',
+      field: 'assessment_type',
+      observed: assessment_type,
+      required: { not_in: rules.forbidden_assessment_types },
+      message: `Assessment type "${assessment_type}" is permanently blocked — it has caused discriminatory harm`,
+      hint: 'Use a non-discriminatory assessment type instead.',
+    })]);
   }
 
   // Block unflagged equity concerns on large populations
-  if (population_size > 10000 && !equity_flag) {
-    return { pass: false, score: 0.0, reason: 'AHIMSA_VIOLATION: large-population assessment requires equity_flag' };
+  if (population_size > rules.large_population_threshold && !equity_flag) {
+    violations.push(['AHIMSA_VIOLATION: large-population assessment requires equity_flag', gateFinding({
+      code: 'AHIMSA_EQUITY_FLAG_REQUIRED',
+      field: 'equity_flag',
+      observed: equity_flag ?? null,
+      required: `an equity_flag when population_size > ${rules.large_population_threshold}`,
+      params: { population_size, threshold: rules.large_population_threshold },
+      message: `Population ${population_size} exceeds ${rules.large_population_threshold.toLocaleString('en-NZ')} without an equity_flag`,
+      hint: 'Declare the equity consideration, e.g. "age-stratified" or "sex-adjusted".',
+    })]);
   }
 
+  if (violations.length) return blocked(violations);
+
   // Patient-facing assessments require explicit high-confidence path (enforced in Satya)
   const score = patient_facing ? 0.80 : 0.95;
-  return { pass: true, score, reason: 'AHIMSA_PASS' };
+  const findings = patient_facing
+    ? [gateFinding({
+        code: 'AHIMSA_PATIENT_FACING',
+        severity: 'note',
+        field: 'patient_facing',
+        observed: true,
+        required: false,
+        params: { pass_threshold: rules.pass_threshold.toFixed(2) },
+        message: 'Patient-facing assessments reduce Ahimsa from 0.95 to 0.80',
+        hint: `Ensure other gates score well to keep the composite above ${rules.pass_threshold.toFixed(2)}.`,
+      })]
+    : [];
+  return { pass: true, score, reason: 'AHIMSA_PASS', findings };
+}
+
+// A failing gate: score 0, the first violation as its reason, every finding reported
+function blocked(violations, extra = {}) {
+  return { pass: false, score: 0.0, reason: violations[0][0], findings: violations.map(([, f]) => f), ...extra };
 }
 
 // ---------------------------------------------------------------------------
@@ -47,31 +106,116 @@ export function ahimsaGate(ctx) {
 // Are the confidence and data quality claims accurate?
 // ---------------------------------------------------------------------------
 
+// How far a declared confidence may exceed the simulation-derived one
+const CONFIDENCE_TOLERANCE = 0.05;
+const CONFIDENCE_MINIMUM = 0.60;
+const INSUFFICIENT_DATA_QUALITY = ['unknown', 'poor'];
+
 /**
- * @param {{ confidence?: number, data_quality?: string, model_version?: string }} ctx
- * @returns {{ pass: boolean, score: number, reason: string }}
+ * model_version may cite a registry entry (e.g. a life table ID 'LT-…');
+ * if it does, the entry must exist and be active.
+ *
+ * derived_confidence, when present, comes from a seeded Monte Carlo run and
+ * is checked against the declared confidence rather than taken on trust.
+ *
+ * @param {{ confidence?: number, data_quality?: string, model_version?: string, derived_confidence?: number,
+ *           records?: Object }} ctx
+ * @returns {{ pass: boolean, score: number, reason: string, findings: Object[] }}
  */
 export function satyaGate(ctx) {
-  const { confidence = 0, data_quality = 'unknown', model_version } = ctx;
-
-  if (typeof confidence !== 'number' || confidence < 0 || confidence > 1) {
-    return { pass: false, score: 0.0, reason: 'SATYA_VIOLATION: confidence must be a number in [0, 1]' };
+  const { confidence = 0, data_quality = 'unknown', model_version, derived_confidence } = ctx;
+  const violations = [];
+  const validConfidence = typeof confidence === 'number' && confidence >= 0 && confidence <= 1;
+
+  if (!validConfidence) {
+    violations.push(['SATYA_VIOLATION: confidence must be a number in [0, 1]', gateFinding({
+      code: 'SATYA_CONFIDENCE_INVALID',
+      field: 'confidence',
+      observed: confidence,
+      required: 'a number in [0, 1]',
+      message: `Confidence ${JSON.stringify(confidence)} is not a probability`,
+      hint: 'Give the model confidence as a number between 0 and 1.',
+    })]);
+  } else if (confidence < CONFIDENCE_MINIMUM) {
+    violations.push([`SATYA_VIOLATION: confidence ${confidence.toFixed(3)} < minimum 0.60`, gateFinding({
+      code: 'SATYA_CONFIDENCE_BELOW_MINIMUM',
+      field: 'confidence',
+      observed: confidence,
+      required: { min: CONFIDENCE_MINIMUM },
+      params: { minimum: CONFIDENCE_MINIMUM.toFixed(2) },
+      message: `Model confidence ${confidence} is below the ${CONFIDENCE_MINIMUM.toFixed(2)} minimum`,
+      hint: 'Use a better-calibrated model or improve training data.',
+    })]);
   }
 
-  if (confidence < 0.60) {
-    return { pass: false, score: 0.0, reason: `SATYA_VIOLATION: confidence ${confidence.toFixed(3)} < minimum 0.60` };
+  if (INSUFFICIENT_DATA_QUALITY.includes(data_quality)) {
+    violations.push([`SATYA_VIOLATION: data_quality '${data_quality}' is insufficient for actuarial assessment`, gateFinding({
+      code: 'SATYA_DATA_QUALITY_INSUFFICIENT',
+      field: 'data_quality',
+      observed: data_quality,
+      required: { not_in: INSUFFICIENT_DATA_QUALITY },
+      message: `Data quality "${data_quality}" is insufficient for actuarial assessment`,
+      hint: 'Improve the data and declare its assessed quality (e.g. "good").',
+    })]);
   }
 
-  if (data_quality === 'unknown' || data_quality === 'poor') {
-    return { pass: false, score: 0.0, reason: `SATYA_VIOLATION: data_quality '${data_quality}' is insufficient for actuarial assessment` };
+  if (!model_version) {
+    violations.push(['SATYA_VIOLATION: model_version must be declared (prevents hidden model drift)', gateFinding({
+      code: 'SATYA_MODEL_VERSION_MISSING',
+      field: 'model_version',
+      observed: null,
+      required: 'the model or table used',
+      message: 'No model_version specified',
+      hint: 'Name the model used (e.g. "cox-ph-v2.1").',
+    })]);
+  } else {
+    // A model_version that references a registry entry must point at a real, active record
+    const { registered_model: registered } = storedRecords(ctx);
+    if (registered === null) {
+      violations.push([`SATYA_VIOLATION: model_version '${model_version}' is not a registered model or table`, gateFinding({
+        code: 'SATYA_MODEL_VERSION_UNREGISTERED',
+        field: 'model_version',
+        observed: model_version,
+        required: 'a registered life table or GLM',
+        message: `model_version "${model_version}" is not a registered model or table`,
+        hint: 'Register it first, or cite a registered one.',
+      })]);
+    } else if (registered && registered.status !== 'active') {
+      violations.push([`SATYA_VIOLATION: model_version '${model_version}' is ${registered.status} and may not be cited`, gateFinding({
+        code: 'SATYA_MODEL_VERSION_INACTIVE',
+        field: 'model_version',
+        observed: registered.status,
+        required: 'active',
+        params: { model_version },
+        message: `model_version "${model_version}" is ${registered.status}`,
+        hint: 'Cite the active version that replaced it.',
+      })]);
+    }
   }
 
-  if (!model_version) {
-    return { pass: false, score: 0.0, reason: 'SATYA_VIOLATION: model_version must be declared (prevents hidden model drift)' };
+  // Simulation-derived confidence (Monte Carlo projection) — the declared value
+  // may not overclaim it, and the score rests on whichever is lower
+  if (validConfidence && derived_confidence != null && confidence > derived_confidence + CONFIDENCE_TOLERANCE) {
+    violations.push([
+      `SATYA_VIOLATION: declared confidence ${confidence.toFixed(3)} exceeds simulation-derived confidence ` +
+      `${derived_confidence.toFixed(3)} by more than ${CONFIDENCE_TOLERANCE}`,
+      gateFinding({
+        code: 'SATYA_CONFIDENCE_OVERCLAIMED',
+        field: 'confidence',
+        observed: confidence,
+        required: { max: Math.round((derived_confidence + CONFIDENCE_TOLERANCE) * 1000) / 1000 },
+        params: { derived_confidence },
+        message: `Declared confidence ${confidence} is higher than the simulation-derived confidence ${derived_confidence}`,
+        hint: 'Lower the declared value or improve the projection inputs.',
+      }),
+    ]);
   }
 
-  const score = Math.min(1.0, confidence * 1.1); // slight boost for declared model version
-  return { pass: true, score, reason: 'SATYA_PASS' };
+  if (violations.length) return blocked(violations);
+
+  const effective = derived_confidence != null ? Math.min(confidence, derived_confidence) : confidence;
+  const score = Math.min(1.0, effective * 1.1); // slight boost for declared model version
+  return { pass: true, score, reason: 'SATYA_PASS', findings: [] };
 }
 
 // ---------------------------------------------------------------------------
@@ -79,23 +223,97 @@ export function satyaGate(ctx) {
 // Has valid consent been provided?
 // ---------------------------------------------------------------------------
 
+// What each consent-protocol failure means for the request, and what to do
+const CONSENT_FINDINGS = {
+  CONSENT_MISSING: ['No consent_record_id — no analysis without consent',
+    'Generate a consent record with your cohort, scope, and clinician ID.'],
+  CONSENT_INVALID: ['Consent record does not match cohort/scope/clinician',
+    'Generate a new consent record with the current parameters.'],
+  CONSENT_UNREGISTERED: ['Consent record was never generated through the consent endpoint',
+    'Generate the consent record through POST /api/consent/generate.'],
+};
+const WITHDRAWN_HINT = 'Suspended or expired consent can be renewed; revoked consent cannot.';
+
+// Finding for a consent-protocol reason ('CONSENT_EXPIRED: …' → ASTEYA_CONSENT_EXPIRED)
+function consentFinding(reason, consent_record_id) {
+  const key = reason.split(':')[0];
+  const [message, hint] = CONSENT_FINDINGS[key] ?? [`Consent record is no longer in force (${reason})`, WITHDRAWN_HINT];
+  return gateFinding({
+    code: `ASTEYA_${key}`,
+    field: 'consent_record_id',
+    observed: consent_record_id ?? null,
+    required: 'a consent record in force for this cohort, scope and clinician',
+    params: CONSENT_FINDINGS[key] ? {} : { reason },
+    message,
+    hint,
+  });
+}
+
 /**
- * @param {{ consent_record_id?: string, cohort?: string, scope?: string, clinician_id?: string }} ctx
- * @returns {{ pass: boolean, score: number, reason: string }}
+ * @param {{ consent_record_id?: string, cohort?: string, scope?: string, clinician_id?: string,
+ *           assessment_type?: string, population_size?: number, patient_facing?: boolean, integration?: string,
+ *           maori_data?: boolean, equity?: Object, records?: Object }} ctx
+ * @returns {{ pass: boolean, score: number, reason: string, findings: Object[], collective_consent?: Object }}
  */
 export function asteyaGate(ctx) {
   const { consent_record_id, cohort, scope, clinician_id } = ctx;
 
   if (!consent_record_id) {
-    return { pass: false, score: 0.0, reason: 'ASTEYA_VIOLATION: consent_record_id is required — no analysis without consent' };
+    return blocked([['ASTEYA_VIOLATION: consent_record_id is required — no analysis without consent',
+      consentFinding('CONSENT_MISSING')]]);
   }
 
   const validation = validateConsentRecord(consent_record_id, { cohort, scope, clinician_id });
   if (!validation.valid) {
-    return { pass: false, score: 0.0, reason: `ASTEYA_VIOLATION: ${validation.reason}` };
+    return blocked([[`ASTEYA_VIOLATION: ${validation.reason}`, consentFinding(validation.reason, consent_record_id)]]);
+  }
+
+  // The hash matching is not enough — the stored record must still be in force
+  const { consent_record: record, collective_approvals } = storedRecords(ctx);
+  const lifecycle = validateConsentLifecycle(record);
+  if (!lifecycle.valid) {
+    return blocked([[`ASTEYA_VIOLATION: ${lifecycle.reason}`, consentFinding(lifecycle.reason, consent_record_id)]]);
+  }
+
+  // ...and the request must stay inside the purposes consented to
+  const purpose = validatePermittedUse(permittedUsesOf(record), ctx);
+  if (!purpose.valid) {
+    const limit = localisable(`consent_limits.${purpose.field}`, {
+      observed: purpose.observed,
+      permitted: Array.isArray(purpose.permitted) && !purpose.permitted.length ? null : purpose.permitted,
+    }, purpose.reason.replace(/^CONSENT_LIMIT_EXCEEDED: /, ''));
+    return blocked([[`ASTEYA_VIOLATION: ${purpose.reason}`, gateFinding({
+      code: 'ASTEYA_CONSENT_LIMIT_EXCEEDED',
+      field: purpose.field,
+      observed: purpose.observed,
+      required: purpose.permitted,
+      params: { limit },
+      message: `Request goes beyond what the consent covers (${limit.text})`,
+      hint: 'Narrow the request, or generate consent for a new cohort that declares this use.',
+    })]]);
+  }
+
+  // Māori data also needs collective approval — clinician authority alone is not enough
+  if (involvesMaoriData(record, ctx)) {
+    const collective = validateCollectiveConsent(record, collective_approvals);
+    const collective_consent = { required: true, approvals: collective.approvals };
+    if (!collective.valid) {
+      const code = collective.reason.split(':')[0];
+      return blocked([[`ASTEYA_VIOLATION: ${collective.reason}`, gateFinding({
+        code: `ASTEYA_${code}`,
+        field: 'consent_record_id',
+        observed: consent_record_id,
+        required: 'an active approval from a registered iwi/hapū or Māori data governance body',
+        message: code === 'COLLECTIVE_CONSENT_REVOKED'
+          ? 'The governance body approval for this Māori cohort has been withdrawn'
+          : 'This cohort contains Māori data and needs collective approval, in addition to clinician authorisation',
+        hint: 'Ask a registered iwi/hapū or Māori data governance body to sign approval for this consent.',
+      })]], { collective_consent });
+    }
+    return { pass: true, score: 0.95, reason: 'ASTEYA_PASS', findings: [], collective_consent };
   }
 
-  return { pass: true, score: 0.95, reason: 'ASTEYA_PASS' };
+  return { pass: true, score: 0.95, reason: 'ASTEYA_PASS', findings: [], collective_consent: { required: false, approvals: [] } };
 }
 
 // ---------------------------------------------------------------------------
@@ -103,38 +321,85 @@ export function asteyaGate(ctx) {
 // Is this request within the validated scope of actuarial practice?
 // ---------------------------------------------------------------------------
 
-const VALIDATED_SCOPES = new Set([
-  'life_insurance_pricing',
-  'health_insurance_risk',
-  'reinsurance_modelling',
-  'population_mortality',
-  'drug_discovery_integration',
-  'dr_bot_integration',
-]);
-
 /**
- * @param {{ scope?: string, regulatory_jurisdiction?: string }} ctx
- * @returns {{ pass: boolean, score: number, reason: string }}
+ * @param {{ scope?: string, regulatory_jurisdiction?: string, cross_border?: Object, legal_basis?: string }} ctx
+ * @param {Object} [rules] — constitution document (defaults to the one in force)
+ * @returns {{ pass: boolean, score: number, reason: string, findings: Object[], jurisdiction: Object|null }}
  */
-export function brahmaacharyaGate(ctx) {
+export function brahmaacharyaGate(ctx, rules = getActiveConstitution().document) {
   const { scope, regulatory_jurisdiction } = ctx;
+  const validatedScopes = rules.validated_scopes;
+  const violations = [];
 
   if (!scope) {
-    return { pass: false, score: 0.0, reason: 'BRAHMACHARYA_VIOLATION: scope is required' };
+    violations.push(['BRAHMACHARYA_VIOLATION: scope is required', gateFinding({
+      code: 'BRAHMACHARYA_SCOPE_MISSING',
+      field: 'scope',
+      observed: null,
+      required: { one_of: validatedScopes },
+      params: { scopes: validatedScopes },
+      message: 'No scope given',
+      hint: `Valid scopes: ${validatedScopes.join(', ')}.`,
+    })]);
+  } else if (!validatedScopes.includes(scope)) {
+    violations.push([
+      `BRAHMACHARYA_VIOLATION: scope '${scope}' is not in validated scope list. ` +
+      `Validated scopes: ${validatedScopes.join(', ')}`,
+      gateFinding({
+        code: 'BRAHMACHARYA_SCOPE_NOT_VALIDATED',
+        field: 'scope',
+        observed: scope,
+        required: { one_of: validatedScopes },
+        params: { scopes: validatedScopes },
+        message: `Scope "${scope}" is not in the validated whitelist`,
+        hint: `Valid scopes: ${validatedScopes.join(', ')}.`,
+      }),
+    ]);
   }
 
-  if (!VALIDATED_SCOPES.has(scope)) {
+  // No jurisdiction declared — allowed, but without provenance the score is reduced
+  if (!regulatory_jurisdiction) {
+    if (violations.length) return blocked(violations, { jurisdiction: null });
     return {
-      pass: false,
-      score: 0.0,
-      reason: `BRAHMACHARYA_VIOLATION: scope '${scope}' is not in validated scope list. ` +
-              `Validated scopes: ${[...VALIDATED_SCOPES].join(', ')}`,
+      pass: true,
+      score: 0.70,
+      reason: 'BRAHMACHARYA_PASS',
+      findings: [gateFinding({
+        code: 'BRAHMACHARYA_JURISDICTION_MISSING',
+        severity: 'note',
+        field: 'regulatory_jurisdiction',
+        observed: null,
+        required: { one_of: listJurisdictionPacks().map(p => p.code) },
+        message: 'No regulatory_jurisdiction',
+        hint: 'Adding one (e.g. "nz-privacy", "eu-gdpr") improves Brahmacharya from 0.70 to 0.90.',
+      })],
+      jurisdiction: null,
     };
   }
 
-  // Regulatory jurisdiction adds provenance (advisory — but absence reduces score)
-  const score = regulatory_jurisdiction ? 0.90 : 0.70;
-  return { pass: true, score, reason: 'BRAHMACHARYA_PASS' };
+  // A declared jurisdiction must name a pack — one that does not is an input
+  // error for the caller, not a block — and the pack's blocking checks must hold
+  const unsupported = unsupportedJurisdiction(regulatory_jurisdiction);
+  if (unsupported) throw new Error(unsupported);
+  const jurisdiction = evaluateJurisdiction(ctx);
+  const failed = jurisdiction.findings.filter(f => f.blocking && !f.pass);
+  if (failed.length) {
+    const reason = `BRAHMACHARYA_VIOLATION: ${jurisdiction.code} ` +
+      failed.map(f => `${f.rule} (${f.citation}): ${f.message}`).join('; ');
+    violations.push(...failed.map(f => [reason, gateFinding({
+      code: 'BRAHMACHARYA_JURISDICTION_RULE',
+      field: f.field,
+      observed: ctx[f.field] ?? null,
+      required: `${jurisdiction.code}/${f.rule}`,
+      params: {
+        jurisdiction: jurisdiction.name, citation: f.citation, detail: f.detail ?? f.message, example: f.remedies?.[0]?.action,
+      },
+      message: `${jurisdiction.name} — ${f.citation}: ${f.message}`,
+      hint: f.remedies?.length ? `For example: ${f.remedies[0].action.text}.` : 'Resolve the rule before retrying.',
+    })]));
+  }
+  if (violations.length) return blocked(violations, { jurisdiction });
+  return { pass: true, score: 0.90, reason: 'BRAHMACHARYA_PASS', findings: [], jurisdiction };
 }
 
 // ---------------------------------------------------------------------------
@@ -144,7 +409,7 @@ export function brahmaacharyaGate(ctx) {
 
 /**
  * @param {{ model_count?: number, dissent_flag?: boolean }} ctx
- * @returns {{ pass: boolean, score: number, reason: string }}
+ * @returns {{ pass: boolean, score: number, reason: string, findings: Object[] }}
  */
 export function aparigrahaGate(ctx) {
   const { model_count = 1, dissent_flag = false } = ctx;
@@ -152,72 +417,164 @@ export function aparigrahaGate(ctx) {
   // Single-model assessments with no dissent flag are blocked
   // Actuarial decisions should never rest on one model's opinion alone
   if (model_count < 2 && !dissent_flag) {
-    return {
-      pass: false,
-      score: 0.0,
-      reason: 'APARIGRAHA_VIOLATION: assessments must use ≥2 models or carry explicit dissent_flag=true',
-    };
+    return blocked([['APARIGRAHA_VIOLATION: assessments must use ≥2 models or carry explicit dissent_flag=true', gateFinding({
+      code: 'APARIGRAHA_SINGLE_MODEL',
+      field: 'model_count',
+      observed: model_count,
+      required: { min: 2, or: 'dissent_flag=true' },
+      message: `model_count=${model_count} with no dissent_flag`,
+      hint: 'Aparigraha requires at least 2 models or dissent_flag=true for ensemble diversity.',
+    })]]);
   }
 
   const score = model_count >= 3 ? 0.95 : (dissent_flag ? 0.80 : 0.72);
-  return { pass: true, score, reason: 'APARIGRAHA_PASS' };
+  const findings = score === 0.72
+    ? [gateFinding({
+        code: 'APARIGRAHA_NO_DISSENT',
+        severity: 'note',
+        field: 'dissent_flag',
+        observed: false,
+        required: true,
+        message: 'No dissent_flag',
+        hint: 'If alternative interpretations exist, setting dissent_flag=true improves Aparigraha from 0.72 to 0.80.',
+      })]
+    : [];
+  return { pass: true, score, reason: 'APARIGRAHA_PASS', findings };
 }
 
 // ---------------------------------------------------------------------------
-// Composite gate — runs all five, returns structured verdict
+// Registration — the Five Yamas are the first gates in the registry
+// ---------------------------------------------------------------------------
+
+registerGate({
+  name: 'ahimsa',
+  label: 'Ahimsa',
+  description: 'Non-harm — no discriminatory assessment types; equity flag on large populations',
+  weight: 0.25,
+  evaluate: ahimsaGate,
+  remedies: remedyAhimsa,
+});
+registerGate({
+  name: 'satya',
+  label: 'Satya',
+  description: 'Truth — registered model version, confidence floor, adequate data quality',
+  weight: 0.25,
+  evaluate: satyaGate,
+  remedies: remedySatya,
+});
+registerGate({
+  name: 'asteya',
+  label: 'Asteya',
+  description: 'Non-stealing — valid, in-force consent covering this use',
+  weight: 0.15,
+  evaluate: asteyaGate,
+  remedies: remedyAsteya,
+});
+registerGate({
+  name: 'brahmacharya',
+  label: 'Brahmacharya',
+  description: 'Boundaries — validated scope and recognised regulatory jurisdiction',
+  weight: 0.20,
+  hard_block: true,
+  evaluate: brahmaacharyaGate,
+  remedies: remedyBrahmacharya,
+  sections: ['jurisdiction'],
+});
+registerGate({
+  name: 'aparigraha',
+  label: 'Aparigraha',
+  description: 'Non-hoarding — ensemble of models or explicit dissent',
+  weight: 0.15,
+  evaluate: aparigrahaGate,
+  remedies: remedyAparigraha,
+});
+
+// ---------------------------------------------------------------------------
+// Composite gate — runs every registered gate, returns structured verdict
 // ---------------------------------------------------------------------------
 
 /**
- * Run all five Yamas gates and compute a composite constitutional score.
+ * Run every registered gate and compute a composite constitutional score.
+ * Weights come from the constitution and are normalised so they always sum
+ * to 1; a weighted gate that is not registered refuses scoring
+ * (CONSTITUTION_GATES_MISMATCH). A registered gate the constitution does not
+ * weight is advisory: its result is reported, marked with the weight proposed
+ * for it, but it neither blocks nor counts. A failing hard-block gate zeroes
+ * the composite.
  *
  * @param {Object} ctx — merged request context (consent, cohort, scope, etc.)
+ * @param {Object} [constitution] — { constitution_id, version, document, content_hash }; defaults to the one in force
  * @returns {{
  *   pass: boolean,
  *   constitutional_score: number,
  *   yamas: Object,
  *   blocked_by: string[],
- *   receipt_fields: Object
+ *   findings: Object[],
+ *   advisory_gates: string[],
+ *   jurisdiction: Object|null,
+ *   receipt_fields: Object,
+ *   constitution: { constitution_id, version, content_hash }
  * }}
  */
-export function runAllGates(ctx) {
-  const ahimsa      = ahimsaGate(ctx);
-  const satya       = satyaGate(ctx);
-  const asteya      = asteyaGate(ctx);
-  const brahmacharya = brahmaacharyaGate(ctx);
-  const aparigraha  = aparigrahaGate(ctx);
-
-  const scores = { ahimsa, satya, asteya, brahmacharya, aparigraha };
-  const blocked_by = Object.entries(scores)
-    .filter(([, r]) => !r.pass)
-    .map(([name, r]) => `${name}: ${r.reason}`);
-
-  // Brahmacharya is a hard-block — if it fails, composite is 0
-  const brahmaAuto = !brahmacharya.pass;
-
-  const constitutional_score = brahmaAuto ? 0 :
-    0.25 * (ahimsa.score)       +
-    0.25 * (satya.score)        +
-    0.15 * (asteya.score)       +
-    0.20 * (brahmacharya.score) +
-    0.15 * (aparigraha.score);
-
-  const pass = blocked_by.length === 0 && constitutional_score >= 0.60;
+export function runAllGates(ctx, constitution = getActiveConstitution()) {
+  const rules = constitution.document;
+  const mismatch = gatesMismatch(rules);
+  if (mismatch) throw new Error(`${mismatch} (${constitution.constitution_id})`);
+  const gates = listGates();
+
+  const yamas = {};
+  const sections = {};
+  const blocked_by = [];
+  const findings = [];
+  const hard_blocked_by = [];
+  const advisory_gates = [];
+  let weighted = 0;
+  let totalWeight = 0;
+
+  for (const gate of gates) {
+    const { pass, score, reason, ...extra } = gate.evaluate(ctx, rules);
+    for (const section of gate.sections) {
+      sections[section] = extra[section] ?? null;
+      delete extra[section];
+    }
+    if (!Object.hasOwn(rules.weights, gate.name)) {
+      yamas[gate.name] = { score, pass, reason, ...extra, advisory: true, proposed_weight: gate.weight };
+      advisory_gates.push(gate.name);
+      continue;
+    }
+    yamas[gate.name] = { score, pass, reason, ...extra };
+    findings.push(...(extra.findings ?? []).map(f => ({ gate: gate.name, ...f })));
+
+    if (!pass) {
+      blocked_by.push(`${gate.name}: ${reason}`);
+      if (gate.hard_block) hard_blocked_by.push(gate.name);
+    }
+    const weight = rules.weights[gate.name];
+    weighted += weight * score;
+    totalWeight += weight;
+  }
+
+  const constitutional_score = hard_blocked_by.length || totalWeight === 0 ? 0 : weighted / totalWeight;
+  const pass = blocked_by.length === 0 && constitutional_score >= rules.pass_threshold;
 
   return {
     pass,
     constitutional_score: Math.round(constitutional_score * 1000) / 1000,
-    yamas: {
-      ahimsa:       { score: ahimsa.score,       pass: ahimsa.pass,       reason: ahimsa.reason },
-      satya:        { score: satya.score,         pass: satya.pass,         reason: satya.reason },
-      asteya:       { score: asteya.score,        pass: asteya.pass,        reason: asteya.reason },
-      brahmacharya: { score: brahmacharya.score,  pass: brahmacharya.pass,  reason: brahmacharya.reason },
-      aparigraha:   { score: aparigraha.score,    pass: aparigraha.pass,    reason: aparigraha.reason },
-    },
+    yamas,
     blocked_by,
+    findings,
+    advisory_gates,
+    ...sections,
     receipt_fields: {
       constitutional_score,
       gate_timestamp: new Date().toISOString(),
-      brahmacharya_auto_reject: brahmaAuto,
+      brahmacharya_auto_reject: hard_blocked_by.includes('brahmacharya'),
+      hard_blocked_by,
+    },
+    constitution: {
+      constitution_id: constitution.constitution_id,
+      version:         constitution.version,
+      content_hash:    constitution.content_hash,
     },
   };
 }
@@ -0,0 +1,300 @@
+/**
+ * yamas-remedies.js — Candidate fixes for the Five Yamas gates
+ *
+ * Each gate's remedies() reads the finding codes in its result and proposes
+ * field changes that would lift it: a fix for a failure, or a score
+ * improvement for a pass that is holding the composite down. A remedy is
+ *
+ *   { changes: { field: value }, action, requires?, assumes? }
+ *
+ * with action and requires as remedyText() — English, reworded by the message
+ * catalogues under `remedies`.
+ *
+ * `requires` names a real-world step the change depends on — a change that
+ * only restates a claim (confidence, data quality) is never a fix by itself.
+ * `assumes` gives the stored records that step would leave behind
+ * (consent_record, collective_approvals) when it happens outside the
+ * request, such as generating or renewing consent; the gates then judge the
+ * request against them like any other records in ctx.
+ *
+ * A remedy with `input` instead of changes needs a value only the user can
+ * supply (which model was used); it is shown but never simulated.
+ *
+ * Remedies read only the request and the records already in it — the
+ * remediation solver (src/advisor/remediation-solver.js) loads records and
+ * combines them.
+ */
+
+import { generateConsentRecordId } from './consent-protocol.js';
+import { collectiveApprovalHash } from './collective-consent.js';
+import { evaluateJurisdiction } from './jurisdiction-packs.js';
+import { remedyText } from './jurisdictions/common.js';
+
+// Edit distance, for suggesting the nearest valid scope
+function distance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const next = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = next;
+    }
+  }
+  return row[b.length];
+}
+
+function nearest(value, options) {
+  const v = String(value ?? '').toLowerCase();
+  return [...options].sort((x, y) => distance(v, x) - distance(v, y))[0];
+}
+
+// The stored consent record ctx was loaded with, if it is this request's
+function storedConsent(ctx) {
+  return ctx.records?.consent_record_id === ctx.consent_record_id ? ctx.records.consent_record ?? null : null;
+}
+
+/**
+ * Consent for (possibly changed) cohort/scope/clinician: the record for those
+ * parameters, assumed generated with permitted_uses covering this request.
+ * The solver judges a record already stored as it stands (a revoked one
+ * stays revoked). Null when the parameters are incomplete.
+ */
+function consentFor(ctx) {
+  let consent_record_id;
+  try {
+    consent_record_id = generateConsentRecordId(ctx);
+  } catch {
+    return null;
+  }
+  const permitted_uses = {
+    assessment_types: [ctx.assessment_type ?? 'population_mortality'],
+    max_population: Math.max(1, ctx.population_size ?? 0),
+    patient_facing_allowed: Boolean(ctx.patient_facing),
+    integrations: ctx.integration ? [ctx.integration] : [],
+  };
+  return {
+    changes: { consent_record_id },
+    action: remedyText('use_consent', { consent_record_id, cohort: ctx.cohort, scope: ctx.scope },
+      `use consent ${consent_record_id} for cohort '${ctx.cohort}', scope '${ctx.scope}'`),
+    requires: remedyText('use_consent_requires', {},
+      'that consent in force — POST /api/consent/generate with the same cohort, scope and clinician_id, ' +
+      'and permitted_uses covering this request, if it has not been generated'),
+    assumes: {
+      consent_record: {
+        consent_record_id, cohort: ctx.cohort, scope: ctx.scope, status: 'active',
+        valid_from: null, valid_until: null, permitted_uses, maori_data: Boolean(ctx.maori_data),
+      },
+    },
+  };
+}
+
+// Codes of a gate result's findings
+function codes(result) {
+  return new Set((result.findings ?? []).map(f => f.code));
+}
+
+// ---------------------------------------------------------------------------
+// Per-gate remedies — one or more per finding code
+// ---------------------------------------------------------------------------
+
+export function remedyAhimsa(result, ctx, rules) {
+  const out = [];
+  const found = codes(result);
+  if (found.has('AHIMSA_FORBIDDEN_ASSESSMENT_TYPE')) {
+    out.push({
+      changes: { assessment_type: 'population_mortality' },
+      action: remedyText('non_discriminatory_type', {}, 'use a non-discriminatory assessment_type'),
+    });
+  }
+  if (found.has('AHIMSA_EQUITY_FLAG_REQUIRED')) {
+    out.push({
+      changes: { equity_flag: 'age-stratified' },
+      action: remedyText('declare_equity_flag', {}, 'declare an equity_flag for the large population (e.g. "age-stratified")'),
+      requires: remedyText('declare_equity_flag_requires', {}, 'an equity analysis that the flag describes'),
+    });
+    out.push({
+      changes: { population_size: rules.large_population_threshold },
+      action: remedyText('split_cohort', { threshold: rules.large_population_threshold },
+        `split the cohort so population_size ≤ ${rules.large_population_threshold}`),
+    });
+  }
+  if (found.has('AHIMSA_PATIENT_FACING')) {
+    out.push({
+      changes: { patient_facing: false },
+      action: remedyText('population_assessment', {}, 'run as a population (not patient-facing) assessment'),
+    });
+  }
+  return out;
+}
+
+export function remedySatya(result, ctx) {
+  const out = [];
+  const found = codes(result);
+  if (found.has('SATYA_CONFIDENCE_INVALID') || found.has('SATYA_CONFIDENCE_BELOW_MINIMUM')) {
+    out.push({
+      changes: { confidence: 0.60 },
+      action: remedyText('raise_confidence', { minimum: '0.60' }, 'raise confidence to the 0.60 minimum'),
+      requires: remedyText('raise_confidence_requires', {}, 'a better-calibrated model that supports it — do not overstate confidence'),
+    });
+  }
+  if (found.has('SATYA_DATA_QUALITY_INSUFFICIENT')) {
+    out.push({
+      changes: { data_quality: 'good' },
+      action: remedyText('improve_data', {}, "improve the data to 'good' quality"),
+      requires: remedyText('improve_data_requires', {}, 'data that meets the standard — do not relabel it'),
+    });
+  }
+  if (['SATYA_MODEL_VERSION_MISSING', 'SATYA_MODEL_VERSION_UNREGISTERED', 'SATYA_MODEL_VERSION_INACTIVE'].some(c => found.has(c))) {
+    out.push({
+      changes: {},
+      input: 'model_version',
+      action: remedyText('declare_model', {}, 'declare the model used — a registered, active life table or GLM if citing the registry'),
+    });
+  }
+  const overclaimed = (result.findings ?? []).find(f => f.code === 'SATYA_CONFIDENCE_OVERCLAIMED');
+  if (overclaimed) {
+    out.push({
+      changes: { confidence: Math.round(overclaimed.params.derived_confidence * 1000) / 1000 },
+      action: remedyText('lower_confidence', {}, 'lower the declared confidence to the simulation-derived value'),
+    });
+  }
+  return out;
+}
+
+export function remedyAsteya(result, ctx) {
+  const [finding] = result.findings ?? [];
+  switch (finding?.code) {
+    case 'ASTEYA_CONSENT_MISSING':
+    case 'ASTEYA_CONSENT_INVALID':
+    case 'ASTEYA_CONSENT_UNREGISTERED': {
+      const consent = consentFor(ctx);
+      return consent ? [consent] : [];
+    }
+    case 'ASTEYA_CONSENT_SUSPENDED':
+    case 'ASTEYA_CONSENT_EXPIRED': {
+      const record = storedConsent(ctx);
+      if (!record) return [];
+      return [{
+        changes: {},
+        action: remedyText('renew_consent', { consent_record_id: ctx.consent_record_id }, `renew consent ${ctx.consent_record_id}`),
+        requires: remedyText('renew_consent_requires', { consent_record_id: ctx.consent_record_id },
+          `POST /api/consent/${ctx.consent_record_id}/renew`),
+        assumes: { consent_record: { ...record, status: 'active', status_reason: null, valid_until: null } },
+      }];
+    }
+    case 'ASTEYA_COLLECTIVE_CONSENT_REQUIRED':
+    case 'ASTEYA_COLLECTIVE_CONSENT_REVOKED': {
+      const record = storedConsent(ctx);
+      if (!record) return [];
+      return [{
+        changes: {},
+        action: remedyText('collective_approval', {},
+          'obtain collective approval for this consent from a registered iwi/hapū or Māori data governance body'),
+        requires: remedyText('collective_approval_requires', { consent_record_id: ctx.consent_record_id },
+          `POST /api/consent/${ctx.consent_record_id}/collective_approvals`),
+        assumes: {
+          collective_approvals: [
+            ...(ctx.records.collective_approvals ?? []),
+            { approval_id: null, status: 'active', content_hash: collectiveApprovalHash(record), body_id: null, ts: null },
+          ],
+        },
+      }];
+    }
+    case 'ASTEYA_CONSENT_LIMIT_EXCEEDED': {
+      const { field, required } = finding;
+      if (field === 'assessment_type') {
+        return [{
+          changes: { assessment_type: required[0] },
+          action: remedyText('keep_assessment_type', { permitted: required },
+            `keep to a consented assessment_type (${required.join(', ')})`),
+        }];
+      }
+      if (field === 'population_size') {
+        return [{
+          changes: { population_size: required },
+          action: remedyText('reduce_population', { max_population: required }, `reduce population_size to the consented ${required}`),
+        }];
+      }
+      if (field === 'patient_facing') {
+        return [{
+          changes: { patient_facing: false },
+          action: remedyText('drop_patient_facing', {}, 'drop patient-facing use — the consent does not cover it'),
+        }];
+      }
+      return [];
+    }
+    // Revoked consent, or consent not yet valid — nothing this request can change
+    default:
+      return [];
+  }
+}
+
+export function remedyBrahmacharya(result, ctx, rules) {
+  const out = [];
+  for (const f of result.findings ?? []) {
+    switch (f.code) {
+      case 'BRAHMACHARYA_SCOPE_MISSING':
+      case 'BRAHMACHARYA_SCOPE_NOT_VALIDATED': {
+        const scope = rules.validated_scopes.includes(ctx.assessment_type)
+          ? ctx.assessment_type
+          : nearest(ctx.scope, rules.validated_scopes);
+        const consent = consentFor({ ...ctx, scope });
+        if (consent) {
+          out.push({
+            ...consent,
+            changes: { scope, ...consent.changes },
+            action: remedyText('change_scope', { scope, then: consent.action },
+              `change scope to '${scope}' and ${consent.action.text}`),
+          });
+        }
+        break;
+      }
+      case 'BRAHMACHARYA_JURISDICTION_MISSING':
+        for (const code of f.required.one_of) {
+          out.push({
+            changes: { regulatory_jurisdiction: code },
+            action: remedyText('declare_jurisdiction', { code }, `declare regulatory_jurisdiction '${code}'`),
+            requires: remedyText('declare_jurisdiction_requires', {}, 'that this regime actually governs the data'),
+          });
+        }
+        break;
+      default:
+        break;
+    }
+  }
+  // Pack rules carry their own remedies
+  if (codes(result).has('BRAHMACHARYA_JURISDICTION_RULE')) {
+    for (const f of evaluateJurisdiction(ctx).findings.filter(f => f.blocking && !f.pass)) {
+      out.push(...(f.remedies ?? []));
+    }
+  }
+  return out;
+}
+
+export function remedyAparigraha(result, ctx) {
+  const out = [];
+  const model_count = ctx.model_count ?? 1;
+  if (model_count < 2) {
+    out.push({
+      changes: { model_count: 2 },
+      action: remedyText('raise_model_count', { count: 2 }, 'raise model_count to 2'),
+      requires: remedyText('second_model', {}, 'a second, independent model'),
+    });
+  } else if (model_count < 3) {
+    out.push({
+      changes: { model_count: 3 },
+      action: remedyText('raise_model_count', { count: 3 }, 'raise model_count to 3'),
+      requires: remedyText('third_model', {}, 'a third, independent model'),
+    });
+  }
+  if (!ctx.dissent_flag) {
+    out.push({
+      changes: { dissent_flag: true },
+      action: remedyText('set_dissent', {}, 'set dissent_flag and surface alternative interpretations'),
+      requires: remedyText('set_dissent_requires', {}, 'a recorded dissenting view'),
+    });
+  }
+  return out;
+}
@@ -10,6 +10,9 @@
  * Exports:
  *   kaitiakiExpressMiddleware — app.use() for Express servers
  *   kaitiakiWrapResponse(data, domain) — helper for Cloudflare Workers
+ *   kaitiakiSign(message) — detached Ed25519 signature with the same keypair
+ *   KAITIAKI_PUBLIC_KEY — that keypair's public key (hex); null unless it
+ *     comes from KAITIAKI_SIGNING_KEY
  *
  * Turangawaewae Protocol v3 — Regan Duff / Axiom Intelligence
  */
@@ -74,9 +77,27 @@ function loadOrCreateKeypair() {
   return kp;
 }
 
+const SIGNING_KEY_ENV = 'KAITIAKI_SIGNING_KEY';
+
+/**
+ * The service keypair. KAITIAKI_SIGNING_KEY — a 32-byte Ed25519 seed
+ * (64 hex) or a 64-byte secret key (128 hex) — takes precedence. Unset, the
+ * keypair persisted under .kaitiaki-middleware/ still seals transport
+ * receipts across restarts, but it is not a managed secret and is lost with
+ * the filesystem: kaitiakiSign refuses and no public key is published.
+ */
+function loadKeypair() {
+  const secret = (process.env[SIGNING_KEY_ENV] ?? '').trim().toLowerCase();
+  if (!secret) return { ...loadOrCreateKeypair(), fromEnv: false };
+  const bytes = new Uint8Array(Buffer.from(secret, 'hex'));
+  if (/^[0-9a-f]{64}$/.test(secret)) return { ...nacl.sign.keyPair.fromSeed(bytes), fromEnv: true };
+  if (/^[0-9a-f]{128}$/.test(secret)) return { ...nacl.sign.keyPair.fromSecretKey(bytes), fromEnv: true };
+  throw new Error(`KAITIAKI_ERROR: ${SIGNING_KEY_ENV} must be an Ed25519 seed (64 hex characters) or secret key (128 hex characters)`);
+}
+
 // ─── Shared seal state (module-level — PoSC chain is continuous) ─────────────
 
-const keypair       = loadOrCreateKeypair();
+const keypair       = loadKeypair();
 const PUBLIC_KEY    = Buffer.from(keypair.publicKey).toString('hex');
 const GENESIS_HASH  = sha256('turangawaewae_transport_' + PUBLIC_KEY.slice(0, 16));
 
@@ -214,4 +235,33 @@ function kaitiakiWrapResponse(data, domain = 'cloudflare-worker') {
   return data;
 }
 
-module.exports = { kaitiakiExpressMiddleware, kaitiakiWrapResponse };
+// ─── Detached signatures ─────────────────────────────────────────────────────
+
+/**
+ * Sign arbitrary bytes with the Kaitiaki keypair — for artefacts that leave
+ * the process other than as a response (an audit bundle manifest). Verify
+ * with nacl.sign.detached.verify against KAITIAKI_PUBLIC_KEY, obtained apart
+ * from the artefact. Refused unless the keypair comes from
+ * KAITIAKI_SIGNING_KEY: a file-persisted key cannot be pinned by anyone
+ * checking the signature later.
+ *
+ * @param {Buffer|Uint8Array|string} message - strings are signed as UTF-8
+ * @returns {{ algorithm: string, signature: string, public_key: string }}
+ */
+function kaitiakiSign(message) {
+  if (!keypair.fromEnv) {
+    throw new Error(`KAITIAKI_ERROR: ${SIGNING_KEY_ENV} is not set — nothing can be signed for later verification`);
+  }
+  const bytes = typeof message === 'string' ? Buffer.from(message, 'utf-8') : message;
+  const sigBytes = nacl.sign.detached(new Uint8Array(bytes), keypair.secretKey);
+  return {
+    algorithm:  'ed25519',
+    signature:  Buffer.from(sigBytes).toString('hex'),
+    public_key: PUBLIC_KEY,
+  };
+}
+
+module.exports = {
+  kaitiakiExpressMiddleware, kaitiakiWrapResponse, kaitiakiSign,
+  KAITIAKI_PUBLIC_KEY: keypair.fromEnv ? PUBLIC_KEY : null,
+};
@@ -3,26 +3,78 @@
  * Port: 3090
  *
  * Five Yamas blocking gates from Day 1. No equity coefficients until SME
- * validation. No risk scoring engine — pure constitutional skeleton.
+ * validation. Actuarial engines (src/actuarial/) run only after the gates pass.
  *
  * Machine Elves sprint M2-STEP 6 (2026-02-24)
  */
 
 import express from 'express';
-import { createHash } from 'crypto';
+import { createHash, randomBytes } from 'crypto';
+import { once } from 'events';
+import { setImmediate as yieldToEventLoop } from 'timers/promises';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { generateConsentRecordId, validateConsentRecord, consentSummary } from './constitutional/consent-protocol.js';
+import { readFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import {
+  generateConsentRecordId, validateConsentRecord, consentSummary, consentWindow, effectiveConsentStatus,
+  normalisePermittedUses, permittedUsesOf, samePermittedUses,
+} from './constitutional/consent-protocol.js';
 import { runAllGates } from './constitutional/yamas-gates.js';
-import { insertRiskAssessment, upsertConsentRecord, logConstitutionalVerdict } from './storage/actuary-store.js';
+import {
+  getActiveConstitution, initConstitution, validateConstitution, constitutionHash,
+  approvalsRequired, MIN_AMENDMENT_QUORUM,
+} from './constitutional/constitution.js';
+import {
+  insertRiskAssessment, upsertConsentRecord, getConsentRecord, setConsentStatus, renewConsentRecord,
+  listConsentRecords, getConsentTimeline,
+  insertGovernanceBody, getGovernanceBody, listGovernanceBodies,
+  insertCollectiveApproval, getCollectiveApproval, listCollectiveApprovals, revokeCollectiveApproval,
+  insertConstitution, getConstitution, listConstitutions, insertConstitutionApproval, activateConstitution,
+  markConstitutionStale,
+  logConstitutionalVerdict, iterateConstitutionalLog, withGateRecords,
+  insertLifeTable, getLifeTable, listLifeTables, retireLifeTable,
+  getRiskAssessment, listRiskAssessments, insertGlmModel, getGlmModel, listGlmModels, retireGlmModel,
+  insertEquityReviewer, getEquityReviewer, listEquityReviewers,
+  insertEquityCoefficientSet, getEquityCoefficientSet, listEquityCoefficientSets,
+  insertEquitySignoff, activateEquityCoefficientSet, sqliteTimestamp,
+} from './storage/actuary-store.js';
+import { PROVISIONAL_EQUITY_COEFFICIENTS, equityEngineSummary } from './constitutional/equity-engine.js';
+import {
+  REQUIRED_REVIEWER_ROLES, coefficientSetHash, validateCoefficientSet, verifySignoff, missingRoles,
+  findReviewerIdentity, separationOfDuties,
+} from './constitutional/equity-signoff.js';
+import { validateMatching } from './constitutional/cohort-descriptor.js';
+import {
+  GOVERNANCE_BODY_KINDS, collectiveApprovalHash, collectiveRevocationHash, verifyCollectiveSignature,
+} from './constitutional/collective-consent.js';
+import { listJurisdictionPacks, unsupportedJurisdiction } from './constitutional/jurisdiction-packs.js';
+import { describeGates, loadGateModules } from './constitutional/gate-registry.js';
 import { handleAdvisorTurn, handleConsentGeneration, clearSession } from './src/advisor/advisor-chat.js';
 import { explainGates } from './src/advisor/gate-explainer.js';
+import { solveRemediation } from './src/advisor/remediation-solver.js';
+import { sweepSensitivity } from './src/advisor/sensitivity-sweep.js';
+import { negotiateLocale } from './src/i18n/catalogue.js';
+import { analyseConstitutionalLog, analyticsWindow } from './src/analytics/log-analytics.js';
+import { redactPayload } from './src/privacy/pii-redaction.js';
+import {
+  exportAuditBundle, pruneAuditBundles, MANIFEST_FILE, SIGNATURE_FILE, EXPORT_ID,
+} from './src/audit/audit-export.js';
+import { verifyAuditBundle } from './src/audit/verify-bundle.js';
+import { KAITIAKI_PUBLIC_KEY } from './kaitiaki/middleware.cjs';
+import { startJobQueue, submitJob, cancelJob, getJob } from './src/jobs/job-queue.js';
+import { authoriseOperator } from './src/auth/operator-auth.js';
+import { runAssessmentProjection, runAssessmentEngines } from './src/actuarial/scope-engines.js';
+import { getBuiltinLifeTable, listBuiltinLifeTables } from './src/actuarial/life-tables.js';
+import { parseLifeTableCsv, parseXtbml } from './src/actuarial/life-table-import.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const app = express();
 const PORT = process.env.PORT || 3090;
 
-app.use(express.json());
+// Request bodies, JSON or NDJSON — life table imports (XTbML) exceed the 100kb default
+const MAX_BODY_BYTES = 2 * 1024 * 1024;
+
+app.use(express.json({ limit: MAX_BODY_BYTES }));
 app.use(express.static(join(__dirname, 'public')));
 
 // ---------------------------------------------------------------------------
@@ -46,6 +98,47 @@ function kaitiakiReceipt({ endpoint, consent_record_id, constitutional_score, pa
   };
 }
 
+// ---------------------------------------------------------------------------
+// Locale helper — explanations and advisor replies follow a `locale` field
+// (body or query), then Accept-Language; English otherwise
+// ---------------------------------------------------------------------------
+function responseLocale(req, res) {
+  const locale = negotiateLocale(req.body?.locale ?? req.query.locale, req.get('Accept-Language'));
+  res.set('Content-Language', locale);
+  return locale;
+}
+
+// ---------------------------------------------------------------------------
+// Operator routes — open only to the bearer token provisioned for a role
+// (src/auth/operator-auth.js)
+// ---------------------------------------------------------------------------
+function operatorOnly(role) {
+  return (req, res, next) => {
+    const auth = authoriseOperator(req, role);
+    if (auth.ok) return next();
+    res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message,
+      kaitiaki: kaitiakiReceipt({ endpoint: req.route.path, pass: false }),
+    });
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Query helpers — listing endpoints (dates: sqliteTimestamp, storage/)
+// ---------------------------------------------------------------------------
+function pageParams(query, { defaultLimit = 50, maxLimit = 200 } = {}) {
+  const limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    throw new Error(`QUERY_ERROR: limit must be an integer in [1, ${maxLimit}]`);
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error('QUERY_ERROR: offset must be a non-negative integer');
+  }
+  return { limit, offset };
+}
+
 // ---------------------------------------------------------------------------
 // Route: GET /api/health
 // ---------------------------------------------------------------------------
@@ -56,7 +149,8 @@ app.get('/api/health', (_req, res) => {
     version: '0.1.0',
     port: PORT,
     constitution: '5/5 Yamas — all gates active',
-    sprint: 'Machine Elves — Phase 1 skeleton',
+    equity_engine: equityEngineSummary().status,
+    sprint: 'Machine Elves — M2 actuarial engines behind the Yamas gates',
     timestamp: new Date().toISOString(),
     kaitiaki: kaitiakiReceipt({ endpoint: '/api/health', pass: true }),
   });
@@ -67,7 +161,9 @@ app.get('/api/health', (_req, res) => {
 // Generate a consent_record_id from cohort + scope + clinician_id
 // ---------------------------------------------------------------------------
 app.post('/api/consent/generate', (req, res) => {
-  const { cohort, scope, clinician_id } = req.body ?? {};
+  const {
+    cohort, scope, clinician_id, valid_from, valid_until, valid_for_days, permitted_uses, maori_data = false,
+  } = req.body ?? {};
 
   if (!cohort || !scope || !clinician_id) {
     return res.status(400).json({
@@ -78,12 +174,41 @@ app.post('/api/consent/generate', (req, res) => {
 
   try {
     const consent_record_id = generateConsentRecordId({ cohort, scope, clinician_id });
+    const window = consentWindow({ valid_from, valid_until, valid_for_days });
+    const uses = normalisePermittedUses(permitted_uses);
+
+    // Purposes are fixed when a consent is first generated — asking for
+    // different ones under the same id is a conflict, not a quiet no-op
+    const existing = getConsentRecord(consent_record_id);
+    if (existing && permitted_uses !== undefined && !samePermittedUses(permittedUsesOf(existing), uses)) {
+      return res.status(409).json({
+        error: 'CONSENT_PURPOSE_CONFLICT',
+        message: `Consent ${consent_record_id} already declares different permitted_uses; generate consent for a new cohort to declare these`,
+        permitted_uses: permittedUsesOf(existing),
+        kaitiaki: kaitiakiReceipt({ endpoint: '/api/consent/generate', consent_record_id, pass: false }),
+      });
+    }
 
-    // Persist consent record
-    upsertConsentRecord({ consent_record_id, cohort, scope, clinician_id });
+    // Persist consent record — an existing record keeps its window, status and permitted uses
+    const record = upsertConsentRecord({
+      consent_record_id, cohort, scope, clinician_id, ...window, permitted_uses: uses, maori_data: Boolean(maori_data),
+    });
+    if (record.status === 'revoked') {
+      return res.status(409).json({
+        error: 'CONSENT_REVOKED',
+        message: `Consent ${consent_record_id} was revoked and cannot be regenerated: ${record.status_reason ?? 'no reason recorded'}`,
+        kaitiaki: kaitiakiReceipt({ endpoint: '/api/consent/generate', consent_record_id, pass: false }),
+      });
+    }
 
     res.json({
       consent_record_id,
+      status: effectiveConsentStatus(record),
+      valid_from: record.valid_from,
+      valid_until: record.valid_until,
+      permitted_uses: permittedUsesOf(record),
+      maori_data: record.maori_data,
+      collective_approval_hash: record.maori_data ? collectiveApprovalHash(record) : null,
       summary: consentSummary({ consent_record_id, cohort, scope }),
       instructions: 'Include consent_record_id in all /api/v1/assess requests for this cohort+scope.',
       kaitiaki: kaitiakiReceipt({ endpoint: '/api/consent/generate', consent_record_id, pass: true }),
@@ -97,11 +222,303 @@ app.post('/api/consent/generate', (req, res) => {
 });
 
 // ---------------------------------------------------------------------------
-// Route: POST /api/v1/assess
-// Primary actuarial assessment endpoint — all five Yamas gates run first
+// Route: GET /api/consent
+// List consent records — filter by cohort, scope, from/to date; paginated
 // ---------------------------------------------------------------------------
-app.post('/api/v1/assess', (req, res) => {
-  const body = req.body ?? {};
+app.get('/api/consent', (req, res) => {
+  const { cohort, scope, from, to } = req.query;
+  let page;
+  try {
+    page = listConsentRecords({
+      cohort,
+      scope,
+      from: from ? sqliteTimestamp(from, 'from') : undefined,
+      to: to ? sqliteTimestamp(to, 'to', { end: true }) : undefined,
+      ...pageParams(req.query),
+    });
+  } catch (err) {
+    return res.status(400).json({
+      error: err.message,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/consent', pass: false }),
+    });
+  }
+  res.json({
+    ...page,
+    consents: page.consents.map(c => ({ ...c, status: effectiveConsentStatus(c) })),
+    kaitiaki: kaitiakiReceipt({ endpoint: '/api/consent', pass: true }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Route: GET /api/consent/:id
+// ---------------------------------------------------------------------------
+app.get('/api/consent/:id', (req, res) => {
+  const consent_record_id = req.params.id;
+  const record = getConsentRecord(consent_record_id);
+  if (!record) {
+    return res.status(404).json({
+      error: 'CONSENT_NOT_FOUND',
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/consent/:id', consent_record_id, pass: false }),
+    });
+  }
+  res.json({
+    consent: { ...record, status: effectiveConsentStatus(record) },
+    collective_approval_hash: collectiveApprovalHash(record),
+    collective_approvals: listCollectiveApprovals(consent_record_id),
+    kaitiaki: kaitiakiReceipt({ endpoint: '/api/consent/:id', consent_record_id, pass: true }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Route: GET /api/consent/:id/timeline
+// Every assessment and every blocked attempt made under one consent, with its
+// lifecycle events — newest first, paginated with limit/offset
+// ---------------------------------------------------------------------------
+app.get('/api/consent/:id/timeline', (req, res) => {
+  const consent_record_id = req.params.id;
+  const record = getConsentRecord(consent_record_id);
+  if (!record) {
+    return res.status(404).json({
+      error: 'CONSENT_NOT_FOUND',
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/consent/:id/timeline', consent_record_id, pass: false }),
+    });
+  }
+  let page;
+  try {
+    page = getConsentTimeline(consent_record_id, pageParams(req.query, { defaultLimit: 200, maxLimit: 1000 }));
+  } catch (err) {
+    return res.status(400).json({
+      error: err.message,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/consent/:id/timeline', consent_record_id, pass: false }),
+    });
+  }
+  res.json({
+    consent: { ...record, status: effectiveConsentStatus(record) },
+    ...page,
+    assessments: page.counts.assessment_recorded ?? 0,
+    blocked_attempts: page.counts.blocked_attempt ?? 0,
+    kaitiaki: kaitiakiReceipt({ endpoint: '/api/consent/:id/timeline', consent_record_id, pass: true }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Route: POST /api/consent/:id/revoke
+// Withdraw consent (or suspend it with { suspend: true }) — Asteya then blocks.
+// Consent operator only — revocation is final and consent IDs are listable
+// ---------------------------------------------------------------------------
+app.post('/api/consent/:id/revoke', operatorOnly('consent'), (req, res) => {
+  const consent_record_id = req.params.id;
+  const { reason, suspend = false } = req.body ?? {};
+
+  const record = getConsentRecord(consent_record_id);
+  if (!record) {
+    return res.status(404).json({
+      error: 'CONSENT_NOT_FOUND',
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/consent/:id/revoke', consent_record_id, pass: false }),
+    });
+  }
+  if (!reason || typeof reason !== 'string') {
+    return res.status(400).json({
+      error: 'CONSENT_ERROR: reason is required when withdrawing consent',
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/consent/:id/revoke', consent_record_id, pass: false }),
+    });
+  }
+  if (record.status === 'revoked') {
+    return res.status(409).json({
+      error: 'CONSENT_REVOKED',
+      message: 'Consent is already revoked.',
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/consent/:id/revoke', consent_record_id, pass: false }),
+    });
+  }
+
+  const updated = setConsentStatus(consent_record_id, { status: suspend ? 'suspended' : 'revoked', reason });
+  res.json({
+    consent: { ...updated, status: effectiveConsentStatus(updated) },
+    kaitiaki: kaitiakiReceipt({ endpoint: '/api/consent/:id/revoke', consent_record_id, pass: true }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Route: POST /api/consent/:id/renew
+// Open a new validity window and reactivate a suspended or expired consent.
+// Consent operator only — it lifts the expiry and suspension Asteya enforces
+// ---------------------------------------------------------------------------
+app.post('/api/consent/:id/renew', operatorOnly('consent'), (req, res) => {
+  const consent_record_id = req.params.id;
+  const { valid_from, valid_until, valid_for_days, reason } = req.body ?? {};
+
+  const record = getConsentRecord(consent_record_id);
+  if (!record) {
+    return res.status(404).json({
+      error: 'CONSENT_NOT_FOUND',
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/consent/:id/renew', consent_record_id, pass: false }),
+    });
+  }
+  // Revocation is final — renewed analysis needs fresh consent from the cohort
+  if (record.status === 'revoked') {
+    return res.status(409).json({
+      error: 'CONSENT_REVOKED',
+      message: `Revoked consent cannot be renewed: ${record.status_reason ?? 'no reason recorded'}`,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/consent/:id/renew', consent_record_id, pass: false }),
+    });
+  }
+
+  let window;
+  try {
+    window = consentWindow({ valid_from, valid_until, valid_for_days });
+  } catch (err) {
+    return res.status(400).json({
+      error: err.message,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/consent/:id/renew', consent_record_id, pass: false }),
+    });
+  }
+
+  const updated = renewConsentRecord(consent_record_id, { ...window, reason });
+  res.json({
+    consent: { ...updated, status: effectiveConsentStatus(updated) },
+    kaitiaki: kaitiakiReceipt({ endpoint: '/api/consent/:id/renew', consent_record_id, pass: true }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Route: POST /api/v1/governance/bodies
+// Register an iwi/hapū or Māori data governance body's Ed25519 public key.
+// Admin only — the operator provisions each body's key, so nobody can enrol
+// a key of their own and approve Māori data with it
+// ---------------------------------------------------------------------------
+app.post('/api/v1/governance/bodies', operatorOnly('admin'), (req, res) => {
+  const { name, kind, public_key } = req.body ?? {};
+
+  if (!name || !GOVERNANCE_BODY_KINDS.includes(kind) || !/^[0-9a-f]{64}$/i.test(String(public_key ?? ''))) {
+    return res.status(400).json({
+      error: `name, kind (one of ${GOVERNANCE_BODY_KINDS.join(', ')}) and a 32-byte hex Ed25519 public_key are required`,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/governance/bodies', pass: false }),
+    });
+  }
+
+  try {
+    const body = insertGovernanceBody({ name, kind, public_key });
+    res.status(201).json({ body, kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/governance/bodies', pass: true }) });
+  } catch (err) {
+    res.status(400).json({
+      error: `GOVERNANCE_BODY_ERROR: ${err.message}`,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/governance/bodies', pass: false }),
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Route: GET /api/v1/governance/bodies
+// ---------------------------------------------------------------------------
+app.get('/api/v1/governance/bodies', (_req, res) => {
+  res.json({
+    bodies: listGovernanceBodies(),
+    kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/governance/bodies', pass: true }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Route: POST /api/consent/:id/collective_approvals
+// A governance body approves a consent by signing its collective approval hash
+// ---------------------------------------------------------------------------
+app.post('/api/consent/:id/collective_approvals', (req, res) => {
+  const consent_record_id = req.params.id;
+  const { body_id, signature } = req.body ?? {};
+
+  const record = getConsentRecord(consent_record_id);
+  if (!record) {
+    return res.status(404).json({
+      error: 'CONSENT_NOT_FOUND',
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/consent/:id/collective_approvals', consent_record_id, pass: false }),
+    });
+  }
+  if (record.status === 'revoked') {
+    return res.status(409).json({
+      error: 'CONSENT_REVOKED',
+      message: 'A revoked consent cannot be approved.',
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/consent/:id/collective_approvals', consent_record_id, pass: false }),
+    });
+  }
+  const governanceBody = getGovernanceBody(body_id);
+  if (!governanceBody) {
+    return res.status(400).json({
+      error: `GOVERNANCE_BODY_UNKNOWN: '${body_id}' is not a registered governance body`,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/consent/:id/collective_approvals', consent_record_id, pass: false }),
+    });
+  }
+
+  const content_hash = collectiveApprovalHash(record);
+  const check = verifyCollectiveSignature(content_hash, signature, governanceBody.public_key);
+  if (!check.valid) {
+    return res.status(400).json({
+      error: check.reason,
+      collective_approval_hash: content_hash,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/consent/:id/collective_approvals', consent_record_id, pass: false }),
+    });
+  }
+
+  try {
+    const approval = insertCollectiveApproval({ consent_record_id, body_id, content_hash, signature });
+    res.status(201).json({
+      approval,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/consent/:id/collective_approvals', consent_record_id, pass: true }),
+    });
+  } catch (err) {
+    res.status(409).json({
+      error: `COLLECTIVE_APPROVAL_EXISTS: ${governanceBody.name} already has an active approval for this consent`,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/consent/:id/collective_approvals', consent_record_id, pass: false }),
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Route: POST /api/consent/:id/collective_approvals/:approval_id/revoke
+// The approving body withdraws its approval — signed over the revocation hash
+// ---------------------------------------------------------------------------
+app.post('/api/consent/:id/collective_approvals/:approval_id/revoke', (req, res) => {
+  const consent_record_id = req.params.id;
+  const { reason, signature } = req.body ?? {};
+
+  const approval = getCollectiveApproval(Number(req.params.approval_id));
+  if (!approval || approval.consent_record_id !== consent_record_id) {
+    return res.status(404).json({
+      error: 'COLLECTIVE_APPROVAL_NOT_FOUND',
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/consent/:id/collective_approvals/:approval_id/revoke', consent_record_id, pass: false }),
+    });
+  }
+  if (approval.status !== 'active') {
+    return res.status(409).json({
+      error: 'COLLECTIVE_APPROVAL_REVOKED',
+      message: 'Approval is already revoked.',
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/consent/:id/collective_approvals/:approval_id/revoke', consent_record_id, pass: false }),
+    });
+  }
+
+  const revocation_hash = collectiveRevocationHash(approval.content_hash);
+  const governanceBody = getGovernanceBody(approval.body_id);
+  const check = verifyCollectiveSignature(revocation_hash, signature, governanceBody.public_key);
+  if (!check.valid) {
+    return res.status(400).json({
+      error: check.reason,
+      revocation_hash,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/consent/:id/collective_approvals/:approval_id/revoke', consent_record_id, pass: false }),
+    });
+  }
+
+  const revoked = revokeCollectiveApproval(approval.approval_id, { reason, signature });
+  res.json({
+    approval: revoked,
+    kaitiaki: kaitiakiReceipt({ endpoint: '/api/consent/:id/collective_approvals/:approval_id/revoke', consent_record_id, pass: true }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Assessment — gates, projection, scope engine and ledger for one request
+// context. Shared by /api/v1/assess, /api/v1/assess/batch and the assessment
+// job finisher; each step returns the HTTP status and JSON payload rather
+// than writing the response
+// ---------------------------------------------------------------------------
+function assessmentContext(body) {
   const {
     consent_record_id,
     cohort,
@@ -118,8 +535,8 @@ app.post('/api/v1/assess', (req, res) => {
     dissent_flag = false,
   } = body;
 
-  // Build gate context from request body
-  const ctx = {
+  // Build gate context from request body, with the stored records the gates judge it against
+  return withGateRecords({
     consent_record_id,
     cohort,
     scope,
@@ -133,33 +550,69 @@ app.post('/api/v1/assess', (req, res) => {
     assessment_type,
     regulatory_jurisdiction,
     dissent_flag,
-  };
+    maori_data: body.maori_data,
+    equity: body.equity,
+    cross_border: body.cross_border,
+    legal_basis: body.legal_basis,
+    human_review: body.human_review,
+  });
+}
 
-  const verdict = runAllGates(ctx);
+// A regulatory_jurisdiction no pack recognises is refused before the gates
+// run, as a 400 response; a supported (or absent) one as null
+function jurisdictionError(ctx, endpoint) {
+  const message = unsupportedJurisdiction(ctx.regulatory_jurisdiction);
+  if (!message) return null;
+  return { status: 400, payload: {
+    error: 'JURISDICTION_UNSUPPORTED',
+    message,
+    supported: listJurisdictionPacks().map(p => p.code),
+    kaitiaki: kaitiakiReceipt({ endpoint, consent_record_id: ctx.consent_record_id, pass: false }),
+  } };
+}
 
-  // Log every gate verdict — constitutional transparency
+// Log every gate verdict — constitutional transparency. A blocked verdict
+// comes back as its 403 response; a passing one as null
+function gateVerdict(verdict, { endpoint, consent_record_id, batch_id = null, derived_confidence = null }) {
   logConstitutionalVerdict({
-    endpoint: '/api/v1/assess',
+    endpoint,
     consent_record_id,
     constitutional_score: verdict.constitutional_score,
     pass: verdict.pass,
     blocked_by: verdict.blocked_by,
     yamas: verdict.yamas,
+    constitution: verdict.constitution,
+    batch_id,
   });
 
-  if (!verdict.pass) {
-    return res.status(403).json({
-      error: 'CONSTITUTIONAL_BLOCK',
-      blocked_by: verdict.blocked_by,
-      constitutional_score: verdict.constitutional_score,
-      yamas: verdict.yamas,
-      message: 'Assessment blocked by Five Yamas constitutional gates. Resolve all violations before retrying.',
-      kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/assess', consent_record_id, constitutional_score: verdict.constitutional_score, pass: false }),
-    });
-  }
+  if (verdict.pass) return null;
+  return { status: 403, payload: {
+    error: 'CONSTITUTIONAL_BLOCK',
+    blocked_by: verdict.blocked_by,
+    findings: verdict.findings,
+    constitutional_score: verdict.constitutional_score,
+    yamas: verdict.yamas,
+    jurisdiction: verdict.jurisdiction,
+    constitution: verdict.constitution,
+    derived_confidence,
+    message: 'Assessment blocked by Five Yamas constitutional gates. Resolve all violations before retrying.',
+    kaitiaki: kaitiakiReceipt({ endpoint, consent_record_id, constitutional_score: verdict.constitutional_score, pass: false }),
+  } };
+}
+
+function engineErrorResponse(err, verdict, { endpoint, consent_record_id }) {
+  return { status: 400, payload: {
+    error: 'ENGINE_INPUT_ERROR',
+    message: err.message,
+    constitutional_score: verdict.constitutional_score,
+    kaitiaki: kaitiakiReceipt({ endpoint, consent_record_id, constitutional_score: verdict.constitutional_score, pass: false }),
+  } };
+}
 
-  // Constitutional gates passed — persist assessment record
-  insertRiskAssessment({
+// Persist assessment record — verdict and engine numbers in one ledger row
+function recordAssessment(body, verdict, { projection, result, equity }, { endpoint, source }) {
+  const { consent_record_id, cohort, scope } = body;
+  const assessment_id = insertRiskAssessment({
     consent_record_id,
     cohort,
     scope,
@@ -167,82 +620,725 @@ app.post('/api/v1/assess', (req, res) => {
     pass: true,
     yamas: verdict.yamas,
     payload: body,
-    source: 'api',
+    source,
+    result,
+    projection,
+    equity,
+    constitution: verdict.constitution,
   });
 
-  // Phase 1: no equity coefficients (pending SME validation), no risk engine
-  res.json({
+  return { status: 200, payload: {
     status: 'ASSESSMENT_RECORDED',
-    message: 'Constitutional gates passed. Risk scoring engine pending SME validation (Phase 2).',
+    message: result || projection
+      ? 'Constitutional gates passed. Actuarial engine result recorded.'
+      : 'Constitutional gates passed. Risk scoring engine for this scope pending SME validation (Phase 2).',
+    assessment_id,
     constitutional_score: verdict.constitutional_score,
     yamas: verdict.yamas,
+    jurisdiction: verdict.jurisdiction,
+    constitution: verdict.constitution,
     cohort,
     scope,
     consent_record_id,
-    phase: '1-skeleton',
-    kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/assess', consent_record_id, constitutional_score: verdict.constitutional_score, pass: true }),
+    result,
+    projection,
+    equity,
+    phase: result || projection ? '2-engine' : '1-skeleton',
+    kaitiaki: kaitiakiReceipt({ endpoint, consent_record_id, constitutional_score: verdict.constitutional_score, pass: true }),
+  } };
+}
+
+function runAssessment(body, { endpoint = '/api/v1/assess', source = 'api', batch_id = null } = {}) {
+  const ctx = assessmentContext(body);
+  const { consent_record_id } = ctx;
+  const unsupported = jurisdictionError(ctx, endpoint);
+  if (unsupported) return unsupported;
+  let verdict = runAllGates(ctx);
+
+  // A seeded projection runs only once the gates pass. Its derived confidence
+  // then goes back through Satya, and that second verdict is the one recorded.
+  let projection = null;
+  let engineError = null;
+  if (verdict.pass && body.projection) {
+    try {
+      projection = runAssessmentProjection(body);
+      verdict = runAllGates({ ...ctx, derived_confidence: projection.derived_confidence });
+    } catch (err) {
+      engineError = err;
+    }
+  }
+
+  const blocked = gateVerdict(verdict, {
+    endpoint, consent_record_id, batch_id, derived_confidence: projection?.derived_confidence ?? null,
   });
+  if (blocked) return blocked;
+
+  // Constitutional gates passed — run the scope's actuarial engine (if any),
+  // then the equity engine over its base score when a condition is given
+  let engines;
+  try {
+    if (engineError) throw engineError;
+    engines = runAssessmentEngines(body);
+  } catch (err) {
+    return engineErrorResponse(err, verdict, { endpoint, consent_record_id });
+  }
+
+  return recordAssessment(body, verdict, { projection, ...engines }, { endpoint, source });
+}
+
+// ---------------------------------------------------------------------------
+// Route: POST /api/v1/assess
+// Primary actuarial assessment endpoint — all five Yamas gates run first
+// ---------------------------------------------------------------------------
+app.post('/api/v1/assess', (req, res) => {
+  const { status, payload } = runAssessment(req.body ?? {});
+  res.status(status).json(payload);
 });
 
 // ---------------------------------------------------------------------------
-// Route: POST /api/v1/drug_discovery_ingest
-// Ingest candidates from Drug Discovery pipeline for actuarial context
+// Route: POST /api/v1/assess/batch
+// Many assessment contexts in one request — a JSON array, or NDJSON
+// (Content-Type: application/x-ndjson) read line by line as it arrives.
+// Each item runs exactly as /api/v1/assess would; results stream back as
+// NDJSON, one line per item, then a summary line. Every item's verdict is
+// logged under one batch_id. An NDJSON body is held to the same byte limit
+// as a JSON one, and each line to MAX_BATCH_LINE_BYTES
 // ---------------------------------------------------------------------------
-app.post('/api/v1/drug_discovery_ingest', (req, res) => {
-  const { consent_record_id, cohort, scope, clinician_id, candidates = [] } = req.body ?? {};
+const MAX_BATCH_ITEMS = 1000;
+const MAX_BATCH_LINE_BYTES = 64 * 1024;
 
-  const ctx = {
-    consent_record_id,
-    cohort,
-    scope: scope ?? 'drug_discovery_integration',
-    clinician_id,
-    confidence: 0.80,
-    data_quality: 'good',
-    model_version: 'drug-discovery-v1',
-    model_count: 2,
-    assessment_type: 'population_mortality',
-  };
+function ndjsonItem(parts, length) {
+  if (length > MAX_BATCH_LINE_BYTES) {
+    return { error: `BATCH_ITEM_INVALID: line exceeds ${MAX_BATCH_LINE_BYTES} bytes` };
+  }
+  const line = Buffer.concat(parts).toString('utf-8');
+  if (!line.trim()) return null;
+  try {
+    return { context: JSON.parse(line) };
+  } catch (err) {
+    return { error: `BATCH_ITEM_INVALID: line is not JSON (${err.message})` };
+  }
+}
 
-  const verdict = runAllGates(ctx);
-  logConstitutionalVerdict({ endpoint: '/api/v1/drug_discovery_ingest', consent_record_id, ...verdict });
+// Contexts from an NDJSON body, skipping blank lines; a line that does not
+// parse, or is too long, is yielded as { error } so it costs only its own
+// item. Past MAX_BODY_BYTES reading stops with { overflow }. A long line is
+// counted but not kept, so memory stays within one line's limit
+async function* ndjsonContexts(req) {
+  let total = 0;
+  let parts = [];
+  let length = 0;
+  const take = (piece) => {
+    length += piece.length;
+    if (length <= MAX_BATCH_LINE_BYTES) parts.push(piece);
+  };
+  // Stopping early must leave the request open — the response is still being written
+  for await (const chunk of req.iterator({ destroyOnReturn: false })) {
+    total += chunk.length;
+    if (total > MAX_BODY_BYTES) {
+      yield { overflow: `BATCH_TOO_LARGE: body exceeds ${MAX_BODY_BYTES} bytes — stopped reading` };
+      return;
+    }
+    let start = 0;
+    for (let end = chunk.indexOf(0x0a); end !== -1; end = chunk.indexOf(0x0a, start)) {
+      take(chunk.subarray(start, end));
+      const item = ndjsonItem(parts, length);
+      parts = [];
+      length = 0;
+      start = end + 1;
+      if (item) yield item;
+    }
+    take(chunk.subarray(start));
+  }
+  const item = ndjsonItem(parts, length);
+  if (item) yield item;
+}
 
-  if (!verdict.pass) {
-    return res.status(403).json({
-      error: 'CONSTITUTIONAL_BLOCK',
-      blocked_by: verdict.blocked_by,
-      kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/drug_discovery_ingest', consent_record_id, pass: false }),
+app.post('/api/v1/assess/batch', async (req, res) => {
+  const endpoint = '/api/v1/assess/batch';
+  let items;
+  if (req.is('application/x-ndjson')) {
+    if (Number(req.get('Content-Length')) > MAX_BODY_BYTES) {
+      return res.status(413).json({
+        error: 'BATCH_TOO_LARGE',
+        message: `an NDJSON batch holds at most ${MAX_BODY_BYTES} bytes`,
+        kaitiaki: kaitiakiReceipt({ endpoint, pass: false }),
+      });
+    }
+    items = ndjsonContexts(req);
+  } else if (Array.isArray(req.body)) {
+    if (req.body.length > MAX_BATCH_ITEMS) {
+      return res.status(400).json({
+        error: 'BATCH_INPUT_ERROR',
+        message: `a batch holds at most ${MAX_BATCH_ITEMS} contexts (got ${req.body.length})`,
+        kaitiaki: kaitiakiReceipt({ endpoint, pass: false }),
+      });
+    }
+    items = req.body.map(context => ({ context }));
+  } else {
+    return res.status(400).json({
+      error: 'BATCH_INPUT_ERROR',
+      message: 'body must be a JSON array of assessment contexts, or NDJSON with Content-Type: application/x-ndjson',
+      kaitiaki: kaitiakiReceipt({ endpoint, pass: false }),
     });
   }
 
-  // Phase 1: acknowledge receipt, no actuarial computation yet
-  res.json({
-    status: 'INGEST_RECEIVED',
-    candidate_count: candidates.length,
-    message: 'Drug Discovery candidates received. Actuarial integration engine pending Phase 2.',
-    constitutional_score: verdict.constitutional_score,
-    kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/drug_discovery_ingest', consent_record_id, constitutional_score: verdict.constitutional_score, pass: true }),
+  const batch_id = `BATCH-${randomBytes(8).toString('hex')}`;
+  res.status(200).type('application/x-ndjson').set('X-Batch-Id', batch_id);
+  const write = async (line) => {
+    if (!res.write(`${JSON.stringify(line)}\n`)) await once(res, 'drain');
+  };
+
+  const summary = { items: 0, recorded: 0, blocked: 0, errors: 0, truncated: false };
+  let truncation = `stopped after ${MAX_BATCH_ITEMS} contexts`;
+  let scoreTotal = 0;
+  let scored = 0;
+  for await (const { context, error, overflow } of items) {
+    if (res.destroyed) return; // client went away — stop assessing
+    if (overflow) truncation = overflow;
+    if (overflow || summary.items === MAX_BATCH_ITEMS) {
+      summary.truncated = true;
+      break;
+    }
+    const index = summary.items++;
+
+    let status = 400;
+    let payload;
+    if (error) {
+      payload = { error: 'BATCH_ITEM_INVALID', message: error };
+    } else if (!context || typeof context !== 'object' || Array.isArray(context)) {
+      payload = { error: 'BATCH_ITEM_INVALID', message: 'BATCH_ITEM_INVALID: each item must be an assessment context object' };
+    } else {
+      try {
+        ({ status, payload } = runAssessment(context, { endpoint, source: 'batch', batch_id }));
+      } catch (err) {
+        payload = { error: 'BATCH_ITEM_ERROR', message: err.message };
+      }
+    }
+
+    const verdict = status === 200 ? 'recorded' : status === 403 ? 'blocked' : 'error';
+    summary[verdict === 'error' ? 'errors' : verdict]++;
+    if (typeof payload.constitutional_score === 'number') {
+      scoreTotal += payload.constitutional_score;
+      scored++;
+    }
+    await write({ type: 'item', batch_id, index, verdict, http_status: status, ...payload });
+    await yieldToEventLoop(); // let the response flush and other requests run between items
+  }
+
+  await write({
+    type: 'summary',
+    batch_id,
+    ...summary,
+    mean_constitutional_score: scored ? Math.round((scoreTotal / scored) * 1000) / 1000 : null,
+    ...(summary.truncated && { message: truncation }),
+    kaitiaki: kaitiakiReceipt({ endpoint, pass: summary.blocked === 0 && summary.errors === 0 }),
   });
+  res.end();
 });
 
 // ---------------------------------------------------------------------------
-// Route: POST /api/v1/dr_bot_ingest
-// Ingest Dr Bot adversarial/dissent signals for actuarial context
+// Assessment ledger — read back what /api/v1/assess and friends recorded
 // ---------------------------------------------------------------------------
-app.post('/api/v1/dr_bot_ingest', (req, res) => {
-  const { consent_record_id, cohort, scope, clinician_id, adversarial_score, dissent_id } = req.body ?? {};
 
-  const ctx = {
-    consent_record_id,
-    cohort,
-    scope: scope ?? 'dr_bot_integration',
-    clinician_id,
-    confidence: adversarial_score != null ? Math.max(0, 1 - adversarial_score) : 0.70,
-    data_quality: 'good',
+// Opaque keyset cursor — the id the next page starts below
+function encodeCursor(before_id) {
+  return Buffer.from(JSON.stringify({ before_id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { before_id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+    if (Number.isInteger(before_id) && before_id > 0) return before_id;
+  } catch { /* reported below */ }
+  throw new Error('QUERY_ERROR: cursor is not one this API issued');
+}
+
+function scoreParam(value, field) {
+  const score = Number(value);
+  if (value === '' || !Number.isFinite(score) || score < 0 || score > 1) {
+    throw new Error(`QUERY_ERROR: ${field} must be a number in [0, 1]`);
+  }
+  return score;
+}
+
+// ---------------------------------------------------------------------------
+// Route: GET /api/v1/assessments
+// List recorded assessments — filter by cohort, scope, consent_record_id,
+// source, from/to date and min_score/max_score; newest first, paged by cursor
+// ---------------------------------------------------------------------------
+app.get('/api/v1/assessments', (req, res) => {
+  const endpoint = '/api/v1/assessments';
+  const { cohort, scope, consent_record_id, source, from, to, min_score, max_score, cursor } = req.query;
+  let page;
+  let limit;
+  try {
+    ({ limit } = pageParams({ limit: req.query.limit }));
+    const filters = {
+      cohort,
+      scope,
+      consent_record_id,
+      source,
+      from: from ? sqliteTimestamp(from, 'from') : undefined,
+      to: to ? sqliteTimestamp(to, 'to', { end: true }) : undefined,
+      min_score: min_score === undefined ? undefined : scoreParam(min_score, 'min_score'),
+      max_score: max_score === undefined ? undefined : scoreParam(max_score, 'max_score'),
+    };
+    if (filters.min_score > filters.max_score) {
+      throw new Error('QUERY_ERROR: min_score must not exceed max_score');
+    }
+    page = listRiskAssessments({
+      ...filters,
+      before_id: cursor === undefined ? undefined : decodeCursor(cursor),
+      limit,
+    });
+  } catch (err) {
+    return res.status(400).json({
+      error: err.message,
+      kaitiaki: kaitiakiReceipt({ endpoint, consent_record_id, pass: false }),
+    });
+  }
+  const last = page.assessments.at(-1);
+  res.json({
+    assessments: page.assessments.map(a => ({ ...a, links: { self: `/api/v1/assessments/${a.id}` } })),
+    limit,
+    next_cursor: page.has_more ? encodeCursor(last.id) : null,
+    kaitiaki: kaitiakiReceipt({ endpoint, consent_record_id, pass: true }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Route: GET /api/v1/assessments/:id
+// One ledger row — yamas breakdown, engine output and the original payload.
+// Payload PII is redacted unless ?include_pii=true is asked for with the pii
+// operator token
+// ---------------------------------------------------------------------------
+app.get('/api/v1/assessments/:id', (req, res) => {
+  const endpoint = '/api/v1/assessments/:id';
+  const id = Number(req.params.id);
+  const assessment = Number.isInteger(id) && id > 0 ? getRiskAssessment(id) : null;
+  if (!assessment) {
+    return res.status(404).json({
+      error: 'ASSESSMENT_NOT_FOUND',
+      kaitiaki: kaitiakiReceipt({ endpoint, pass: false }),
+    });
+  }
+  const includePii = req.query.include_pii === 'true';
+  const auth = includePii ? authoriseOperator(req, 'pii') : { ok: true };
+  if (!auth.ok) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: `include_pii=true: ${auth.message} — omit it for the redacted payload`,
+      kaitiaki: kaitiakiReceipt({ endpoint, consent_record_id: assessment.consent_record_id, pass: false }),
+    });
+  }
+
+  const { payload, redacted } = includePii
+    ? { payload: assessment.payload, redacted: [] }
+    : redactPayload(assessment.payload);
+  res.json({
+    assessment: { ...assessment, payload },
+    pii: includePii ? 'included' : 'redacted',
+    redacted_fields: redacted,
+    kaitiaki: kaitiakiReceipt({
+      endpoint,
+      consent_record_id: assessment.consent_record_id,
+      constitutional_score: assessment.constitutional_score,
+      pass: true,
+    }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Route: GET /api/v1/constitutional_log/analytics
+// Trends in the constitutional log — block rates by time bucket, endpoint and
+// gate, the score distribution, the commonest violation codes and
+// repeat-blocked consents. Audit operators only. Filter by endpoint and
+// batch_id within a from/to window (default: the last 30 days, at most 366);
+// bucket is hour | day | week | month
+// ---------------------------------------------------------------------------
+app.get('/api/v1/constitutional_log/analytics', operatorOnly('audit'), (req, res) => {
+  const endpoint = '/api/v1/constitutional_log/analytics';
+  const { from, to, bucket, batch_id } = req.query;
+  const intParam = (value, fallback) => (value === undefined ? fallback : Number(value));
+  let analytics;
+  let window;
+  try {
+    window = analyticsWindow({
+      from: from ? sqliteTimestamp(from, 'from') : undefined,
+      to: to ? sqliteTimestamp(to, 'to', { end: true }) : undefined,
+    });
+    const entries = iterateConstitutionalLog({ ...window, endpoint: req.query.endpoint, batch_id });
+    analytics = analyseConstitutionalLog(entries, {
+      bucket,
+      top: intParam(req.query.top, 10),
+      min_blocks: intParam(req.query.min_blocks, 2),
+    });
+  } catch (err) {
+    return res.status(400).json({
+      error: err.message,
+      kaitiaki: kaitiakiReceipt({ endpoint, pass: false }),
+    });
+  }
+  res.json({
+    filters: { ...window, endpoint: req.query.endpoint ?? null, batch_id: batch_id ?? null },
+    ...analytics,
+    kaitiaki: kaitiakiReceipt({ endpoint, pass: true }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Audit export — signed evidence bundles for regulators (src/audit/), kept
+// under data/exports/<export_id>/ (or AUDIT_EXPORT_DIR) for
+// AUDIT_EXPORT_RETENTION_DAYS (default 90).
+// Every route is behind the audit role: bundles hold the ledger itself
+// ---------------------------------------------------------------------------
+const EXPORT_DIR = process.env.AUDIT_EXPORT_DIR || join(__dirname, 'data', 'exports');
+
+function exportRetentionDays() {
+  const configured = Number(process.env.AUDIT_EXPORT_RETENTION_DAYS);
+  return Number.isFinite(configured) && configured > 0 ? configured : 90;
+}
+
+function pruneExports() {
+  return pruneAuditBundles(EXPORT_DIR, { maxAgeDays: exportRetentionDays() });
+}
+
+function exportLinks(export_id, manifest) {
+  const base = `/api/v1/audit/exports/${export_id}`;
+  return {
+    verify: `${base}/verify`,
+    files: Object.fromEntries([MANIFEST_FILE, SIGNATURE_FILE, ...manifest.files.map(f => f.name)]
+      .map(name => [name, `${base}/files/${name}`])),
+  };
+}
+
+// The bundle's own manifest, or null for an unknown or malformed export ID
+function readExportManifest(export_id) {
+  if (!EXPORT_ID.test(export_id)) return null;
+  try {
+    return JSON.parse(readFileSync(join(EXPORT_DIR, export_id, MANIFEST_FILE), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function exportNotFound(res, endpoint, export_id) {
+  return res.status(404).json({
+    error: 'EXPORT_NOT_FOUND',
+    message: `no audit export ${export_id}`,
+    kaitiaki: kaitiakiReceipt({ endpoint, pass: false }),
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Route: POST /api/v1/audit/exports
+// Bundle assessments, consent records and the constitutional log for a date
+// range (from/to) or a consent_record_id, as CSV and/or JSON Lines, with a
+// Kaitiaki-signed manifest of file hashes
+// ---------------------------------------------------------------------------
+app.post('/api/v1/audit/exports', operatorOnly('audit'), (req, res) => {
+  const endpoint = '/api/v1/audit/exports';
+  const { from, to, consent_record_id, formats } = req.body ?? {};
+  if (!KAITIAKI_PUBLIC_KEY) {
+    return res.status(503).json({
+      error: 'SIGNING_KEY_UNSET',
+      message: 'KAITIAKI_SIGNING_KEY is not set — audit bundles cannot be signed',
+      kaitiaki: kaitiakiReceipt({ endpoint, consent_record_id, pass: false }),
+    });
+  }
+  let bundle;
+  try {
+    pruneExports();
+    bundle = exportAuditBundle(EXPORT_DIR, {
+      from: from ? sqliteTimestamp(from, 'from') : undefined,
+      to: to ? sqliteTimestamp(to, 'to', { end: true }) : undefined,
+      consent_record_id,
+      formats,
+    });
+  } catch (err) {
+    return res.status(400).json({
+      error: err.message,
+      kaitiaki: kaitiakiReceipt({ endpoint, consent_record_id, pass: false }),
+    });
+  }
+  res.status(201).location(`/api/v1/audit/exports/${bundle.export_id}/files/${MANIFEST_FILE}`).json({
+    export_id: bundle.export_id,
+    manifest: bundle.manifest,
+    signature: bundle.signature,
+    links: exportLinks(bundle.export_id, bundle.manifest),
+    kaitiaki: kaitiakiReceipt({ endpoint, consent_record_id, pass: true }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Route: GET /api/v1/audit/exports/:id/files/:name
+// Download one file of a bundle — the manifest, its signature or a data file
+// ---------------------------------------------------------------------------
+app.get('/api/v1/audit/exports/:id/files/:name', operatorOnly('audit'), (req, res) => {
+  const endpoint = '/api/v1/audit/exports/:id/files/:name';
+  const manifest = readExportManifest(req.params.id);
+  if (!manifest) return exportNotFound(res, endpoint, req.params.id);
+  const names = [MANIFEST_FILE, SIGNATURE_FILE, ...manifest.files.map(f => f.name)];
+  if (!names.includes(req.params.name)) {
+    return res.status(404).json({
+      error: 'EXPORT_FILE_NOT_FOUND',
+      message: `${req.params.id} has no file ${req.params.name} (files: ${names.join(', ')})`,
+      kaitiaki: kaitiakiReceipt({ endpoint, pass: false }),
+    });
+  }
+  res.download(join(EXPORT_DIR, req.params.id, req.params.name), req.params.name);
+});
+
+// ---------------------------------------------------------------------------
+// Route: GET /api/v1/audit/exports/:id/verify
+// Re-check a stored bundle against this server's Kaitiaki key — the same
+// routine auditors run offline (src/audit/verify-bundle.js)
+// ---------------------------------------------------------------------------
+app.get('/api/v1/audit/exports/:id/verify', operatorOnly('audit'), (req, res) => {
+  const endpoint = '/api/v1/audit/exports/:id/verify';
+  if (!readExportManifest(req.params.id)) return exportNotFound(res, endpoint, req.params.id);
+  const result = verifyAuditBundle(join(EXPORT_DIR, req.params.id), { public_key: KAITIAKI_PUBLIC_KEY ?? undefined });
+  res.json({
+    ...result,
+    kaitiaki: kaitiakiReceipt({ endpoint, pass: result.valid }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Route: GET /api/v1/kaitiaki/public-key
+// The key audit bundles are signed with — pin it when verifying one offline
+// (verify-bundle.js --public-key). Fetch it from here, not from a bundle
+// ---------------------------------------------------------------------------
+app.get('/api/v1/kaitiaki/public-key', (req, res) => {
+  const endpoint = '/api/v1/kaitiaki/public-key';
+  if (!KAITIAKI_PUBLIC_KEY) {
+    return res.status(503).json({
+      error: 'SIGNING_KEY_UNSET',
+      message: 'KAITIAKI_SIGNING_KEY is not set — this server signs nothing that can be verified later',
+      kaitiaki: kaitiakiReceipt({ endpoint, pass: false }),
+    });
+  }
+  res.json({
+    algorithm: 'ed25519',
+    public_key: KAITIAKI_PUBLIC_KEY,
+    kaitiaki: kaitiakiReceipt({ endpoint, pass: true }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Jobs — /api/v1/assess for long-running assessments. The gates run at
+// submission, a worker thread computes (src/jobs/), and the finisher below
+// re-gates on the main thread — consent may have lapsed meanwhile, and a
+// projection's derived confidence goes back through Satya — before recording.
+// A job's verdict is logged once: at submission if blocked there, else here
+// ---------------------------------------------------------------------------
+function finishAssessmentJob(job, { computed, error }) {
+  const endpoint = '/api/v1/jobs';
+  const body = job.payload;
+  const ctx = assessmentContext(body);
+  const { consent_record_id } = ctx;
+  const derived_confidence = computed?.projection?.derived_confidence ?? null;
+  const verdict = runAllGates(derived_confidence === null ? ctx : { ...ctx, derived_confidence });
+
+  const { status, payload } = gateVerdict(verdict, { endpoint, consent_record_id, derived_confidence })
+    ?? (error
+      ? engineErrorResponse(new Error(error), verdict, { endpoint, consent_record_id })
+      : recordAssessment(body, verdict, computed, { endpoint, source: 'job' }));
+  return {
+    status: status === 200 ? 'succeeded' : 'failed',
+    http_status: status,
+    result: payload,
+    error: status === 200 ? null : payload.error,
+  };
+}
+
+function jobView(job) {
+  const self = `/api/v1/jobs/${job.job_id}`;
+  return {
+    job_id: job.job_id,
+    kind: job.kind,
+    consent_record_id: job.consent_record_id,
+    status: job.status,
+    progress: job.progress,
+    stage: job.stage,
+    attempts: job.attempts,
+    submitted_ts: job.submitted_ts,
+    started_ts: job.started_ts,
+    finished_ts: job.finished_ts,
+    error: job.error,
+    links: { self, result: `${self}/result`, cancel: `${self}/cancel` },
+  };
+}
+
+function jobNotFound(res, endpoint, job_id) {
+  return res.status(404).json({
+    error: 'JOB_NOT_FOUND',
+    message: `no job ${job_id}`,
+    kaitiaki: kaitiakiReceipt({ endpoint, pass: false }),
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Route: POST /api/v1/jobs
+// Queue an assessment (same body as /api/v1/assess). Blocked requests are
+// refused here with 403 and logged; a passing one returns 202 and its job ID
+// at once, its verdict logged when the job finishes
+// ---------------------------------------------------------------------------
+app.post('/api/v1/jobs', (req, res) => {
+  const endpoint = '/api/v1/jobs';
+  const body = req.body ?? {};
+  if (typeof body !== 'object' || Array.isArray(body)) {
+    return res.status(400).json({ error: 'JOB_INPUT_ERROR', message: 'body must be an assessment context object' });
+  }
+  const ctx = assessmentContext(body);
+  const unsupported = jurisdictionError(ctx, endpoint);
+  if (unsupported) return res.status(unsupported.status).json(unsupported.payload);
+  const verdict = runAllGates(ctx);
+  if (!verdict.pass) {
+    const blocked = gateVerdict(verdict, { endpoint, consent_record_id: ctx.consent_record_id });
+    return res.status(blocked.status).json(blocked.payload);
+  }
+
+  const job = submitJob({ kind: 'assessment', consent_record_id: ctx.consent_record_id, payload: body });
+  res.status(202).location(`/api/v1/jobs/${job.job_id}`).json({
+    job: jobView(job),
+    constitutional_score: verdict.constitutional_score,
+    kaitiaki: kaitiakiReceipt({ endpoint, consent_record_id: ctx.consent_record_id, constitutional_score: verdict.constitutional_score, pass: true }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Route: GET /api/v1/jobs/:id
+// Status and progress of a job
+// ---------------------------------------------------------------------------
+app.get('/api/v1/jobs/:id', (req, res) => {
+  const endpoint = '/api/v1/jobs/:id';
+  const job = getJob(req.params.id);
+  if (!job) return jobNotFound(res, endpoint, req.params.id);
+  res.json({
+    job: jobView(job),
+    kaitiaki: kaitiakiReceipt({ endpoint, consent_record_id: job.consent_record_id, pass: true }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Route: POST /api/v1/jobs/:id/cancel
+// Cancel a queued or running job — a running job's worker is stopped and
+// nothing it computed is recorded
+// ---------------------------------------------------------------------------
+app.post('/api/v1/jobs/:id/cancel', (req, res) => {
+  const endpoint = '/api/v1/jobs/:id/cancel';
+  const existing = getJob(req.params.id);
+  if (!existing) return jobNotFound(res, endpoint, req.params.id);
+  const job = cancelJob(existing.job_id);
+  if (!job) {
+    const finished = getJob(existing.job_id);
+    return res.status(409).json({
+      error: 'JOB_ALREADY_FINISHED',
+      message: `job ${finished.job_id} is already ${finished.status}`,
+      job: jobView(finished),
+      kaitiaki: kaitiakiReceipt({ endpoint, consent_record_id: finished.consent_record_id, pass: false }),
+    });
+  }
+  res.json({
+    job: jobView(job),
+    kaitiaki: kaitiakiReceipt({ endpoint, consent_record_id: job.consent_record_id, pass: true }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Route: GET /api/v1/jobs/:id/result
+// The finished job's response, with the status /api/v1/assess would have
+// returned (200 recorded, 403 blocked at completion, 400 engine input error).
+// 409 until the job has finished, or if it was cancelled
+// ---------------------------------------------------------------------------
+app.get('/api/v1/jobs/:id/result', (req, res) => {
+  const endpoint = '/api/v1/jobs/:id/result';
+  const job = getJob(req.params.id);
+  if (!job) return jobNotFound(res, endpoint, req.params.id);
+  if (job.status === 'queued' || job.status === 'running' || job.status === 'cancelled') {
+    return res.status(409).json({
+      error: job.status === 'cancelled' ? 'JOB_CANCELLED' : 'JOB_NOT_FINISHED',
+      message: `job ${job.job_id} is ${job.status}`,
+      job: jobView(job),
+      kaitiaki: kaitiakiReceipt({ endpoint, consent_record_id: job.consent_record_id, pass: false }),
+    });
+  }
+  if (!job.result) {
+    // Failed without reaching the finisher — abandoned after repeated worker crashes
+    return res.status(500).json({
+      error: 'JOB_FAILED',
+      message: job.error,
+      job: jobView(job),
+      kaitiaki: kaitiakiReceipt({ endpoint, consent_record_id: job.consent_record_id, pass: false }),
+    });
+  }
+  res.status(job.http_status).json({ job_id: job.job_id, ...job.result });
+});
+
+// ---------------------------------------------------------------------------
+// Route: POST /api/v1/drug_discovery_ingest
+// Ingest candidates from Drug Discovery pipeline for actuarial context
+// ---------------------------------------------------------------------------
+app.post('/api/v1/drug_discovery_ingest', (req, res) => {
+  const { consent_record_id, cohort, scope, clinician_id, candidates = [] } = req.body ?? {};
+
+  const ctx = withGateRecords({
+    consent_record_id,
+    cohort,
+    scope: scope ?? 'drug_discovery_integration',
+    clinician_id,
+    confidence: 0.80,
+    data_quality: 'good',
+    model_version: 'drug-discovery-v1',
+    model_count: 2,
+    assessment_type: 'population_mortality',
+    integration: 'drug_discovery',
+  });
+
+  const verdict = runAllGates(ctx);
+  logConstitutionalVerdict({ endpoint: '/api/v1/drug_discovery_ingest', consent_record_id, ...verdict });
+
+  if (!verdict.pass) {
+    return res.status(403).json({
+      error: 'CONSTITUTIONAL_BLOCK',
+      blocked_by: verdict.blocked_by,
+      findings: verdict.findings,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/drug_discovery_ingest', consent_record_id, pass: false }),
+    });
+  }
+
+  // Phase 1: acknowledge receipt, no actuarial computation yet
+  res.json({
+    status: 'INGEST_RECEIVED',
+    candidate_count: candidates.length,
+    message: 'Drug Discovery candidates received. Actuarial integration engine pending Phase 2.',
+    constitutional_score: verdict.constitutional_score,
+    kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/drug_discovery_ingest', consent_record_id, constitutional_score: verdict.constitutional_score, pass: true }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Route: POST /api/v1/dr_bot_ingest
+// Ingest Dr Bot adversarial/dissent signals for actuarial context
+// ---------------------------------------------------------------------------
+app.post('/api/v1/dr_bot_ingest', (req, res) => {
+  const { consent_record_id, cohort, scope, clinician_id, adversarial_score, dissent_id } = req.body ?? {};
+
+  const ctx = withGateRecords({
+    consent_record_id,
+    cohort,
+    scope: scope ?? 'dr_bot_integration',
+    clinician_id,
+    confidence: adversarial_score != null ? Math.max(0, 1 - adversarial_score) : 0.70,
+    data_quality: 'good',
     model_version: 'dr-bot-v1',
     model_count: 2,
     dissent_flag: true, // Dr Bot signals inherently carry dissent
     assessment_type: 'population_mortality',
-  };
+    integration: 'dr_bot',
+  });
 
   const verdict = runAllGates(ctx);
   logConstitutionalVerdict({ endpoint: '/api/v1/dr_bot_ingest', consent_record_id, ...verdict });
@@ -251,6 +1347,7 @@ app.post('/api/v1/dr_bot_ingest', (req, res) => {
     return res.status(403).json({
       error: 'CONSTITUTIONAL_BLOCK',
       blocked_by: verdict.blocked_by,
+      findings: verdict.findings,
       kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/dr_bot_ingest', consent_record_id, pass: false }),
     });
   }
@@ -269,6 +1366,541 @@ app.post('/api/v1/dr_bot_ingest', (req, res) => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// Route: GET /api/v1/life_tables
+// List registered life tables (active only unless ?include_retired=true)
+// ---------------------------------------------------------------------------
+app.get('/api/v1/life_tables', (req, res) => {
+  const include_retired = req.query.include_retired === 'true';
+  res.json({
+    tables: listLifeTables({ include_retired }),
+    builtin: listBuiltinLifeTables(),
+    kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/life_tables', pass: true }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Route: GET /api/v1/life_tables/:id
+// Fetch one life table with its qx columns (registered or built-in)
+// ---------------------------------------------------------------------------
+app.get('/api/v1/life_tables/:id', (req, res) => {
+  const table = getLifeTable(req.params.id) ?? getBuiltinLifeTable(req.params.id);
+  if (!table) {
+    return res.status(404).json({
+      error: 'LIFE_TABLE_NOT_FOUND',
+      table_id: req.params.id,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/life_tables/:id', pass: false }),
+    });
+  }
+  res.json({ table, kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/life_tables/:id', pass: true }) });
+});
+
+// ---------------------------------------------------------------------------
+// Route: POST /api/v1/life_tables/import
+// Register a new life table version from CSV or SOA XTbML content.
+// Admin only — a registered table is citable as model_version
+// ---------------------------------------------------------------------------
+app.post('/api/v1/life_tables/import', operatorOnly('admin'), (req, res) => {
+  const { name, version, source, format = 'csv', content, sexes } = req.body ?? {};
+
+  if (!content || typeof content !== 'string') {
+    return res.status(400).json({
+      error: 'content (CSV or XTbML text) is required',
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/life_tables/import', pass: false }),
+    });
+  }
+
+  try {
+    let parsed;
+    if (format === 'csv') {
+      parsed = parseLifeTableCsv(content);
+    } else if (format === 'xtbml') {
+      parsed = parseXtbml(content, { sexes });
+    } else {
+      throw new Error(`LIFE_TABLE_ERROR: format '${format}' is not supported (use csv or xtbml)`);
+    }
+
+    const table = insertLifeTable({
+      name: name ?? parsed.name,
+      version,
+      source: source ?? parsed.source ?? null,
+      format,
+      start_age: parsed.start_age,
+      max_age: parsed.max_age,
+      qx: parsed.qx,
+    });
+
+    res.status(201).json({
+      table,
+      instructions: `Cite ${table.table_id} as model_version (or life_table) in /api/v1/assess requests.`,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/life_tables/import', pass: true }),
+    });
+  } catch (err) {
+    res.status(400).json({
+      error: err.message,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/life_tables/import', pass: false }),
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Route: POST /api/v1/life_tables/:id/retire
+// Retire a table version — it stays on record but can no longer be cited.
+// Admin only, with a reason: Satya blocks every assessment citing it afterwards
+// ---------------------------------------------------------------------------
+app.post('/api/v1/life_tables/:id/retire', operatorOnly('admin'), (req, res) => {
+  const { reason } = req.body ?? {};
+  if (!reason || typeof reason !== 'string') {
+    return res.status(400).json({
+      error: 'LIFE_TABLE_ERROR: reason is required when retiring a life table',
+      table_id: req.params.id,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/life_tables/:id/retire', pass: false }),
+    });
+  }
+  const table = retireLifeTable(req.params.id, reason);
+  if (!table) {
+    return res.status(404).json({
+      error: 'LIFE_TABLE_NOT_FOUND_OR_RETIRED',
+      table_id: req.params.id,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/life_tables/:id/retire', pass: false }),
+    });
+  }
+  res.json({ table, kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/life_tables/:id/retire', pass: true }) });
+});
+
+// ---------------------------------------------------------------------------
+// Route: POST /api/v1/models/glm/register
+// Register the GLM fitted by a recorded health_insurance_risk assessment.
+// Admin only — a registered model is citable as model_version
+// ---------------------------------------------------------------------------
+app.post('/api/v1/models/glm/register', operatorOnly('admin'), (req, res) => {
+  const { assessment_id, name, version } = req.body ?? {};
+  const assessment = Number.isInteger(assessment_id) ? getRiskAssessment(assessment_id) : null;
+
+  if (!assessment || assessment.result?.engine !== 'glm-irls') {
+    return res.status(400).json({
+      error: 'assessment_id must reference a recorded health_insurance_risk assessment with a fitted GLM',
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/models/glm/register', pass: false }),
+    });
+  }
+
+  try {
+    const model = insertGlmModel({ name, version, assessment_id, fit: assessment.result });
+    res.status(201).json({
+      model,
+      instructions: `Cite ${model.model_id} as model_version in later /api/v1/assess requests.`,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/models/glm/register', consent_record_id: assessment.consent_record_id, pass: true }),
+    });
+  } catch (err) {
+    res.status(400).json({
+      error: err.message,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/models/glm/register', pass: false }),
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Route: GET /api/v1/models/glm
+// List registered GLMs (active only unless ?include_retired=true)
+// ---------------------------------------------------------------------------
+app.get('/api/v1/models/glm', (req, res) => {
+  res.json({
+    models: listGlmModels({ include_retired: req.query.include_retired === 'true' }),
+    kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/models/glm', pass: true }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Route: GET /api/v1/models/glm/:id
+// Fetch one registered GLM with its fitted coefficients
+// ---------------------------------------------------------------------------
+app.get('/api/v1/models/glm/:id', (req, res) => {
+  const model = getGlmModel(req.params.id);
+  if (!model) {
+    return res.status(404).json({
+      error: 'GLM_MODEL_NOT_FOUND',
+      model_id: req.params.id,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/models/glm/:id', pass: false }),
+    });
+  }
+  res.json({ model, kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/models/glm/:id', pass: true }) });
+});
+
+// ---------------------------------------------------------------------------
+// Route: POST /api/v1/models/glm/:id/retire
+// Retire a registered GLM — Satya will refuse it as model_version afterwards.
+// Admin only, with a reason
+// ---------------------------------------------------------------------------
+app.post('/api/v1/models/glm/:id/retire', operatorOnly('admin'), (req, res) => {
+  const { reason } = req.body ?? {};
+  if (!reason || typeof reason !== 'string') {
+    return res.status(400).json({
+      error: 'GLM_ERROR: reason is required when retiring a model',
+      model_id: req.params.id,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/models/glm/:id/retire', pass: false }),
+    });
+  }
+  const model = retireGlmModel(req.params.id, reason);
+  if (!model) {
+    return res.status(404).json({
+      error: 'GLM_MODEL_NOT_FOUND_OR_RETIRED',
+      model_id: req.params.id,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/models/glm/:id/retire', pass: false }),
+    });
+  }
+  res.json({ model, kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/models/glm/:id/retire', pass: true }) });
+});
+
+// ---------------------------------------------------------------------------
+// Route: POST /api/v1/equity/reviewers
+// Register an SME reviewer's Ed25519 public key under a required role.
+// Admin only — the registry decides whose signatures switch the engine on
+// ---------------------------------------------------------------------------
+app.post('/api/v1/equity/reviewers', operatorOnly('admin'), (req, res) => {
+  const { name, role, public_key } = req.body ?? {};
+
+  if (!name || !REQUIRED_REVIEWER_ROLES.includes(role) || !/^[0-9a-f]{64}$/i.test(String(public_key ?? ''))) {
+    return res.status(400).json({
+      error: `name, role (one of ${REQUIRED_REVIEWER_ROLES.join(', ')}) and a 32-byte hex Ed25519 public_key are required`,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/equity/reviewers', pass: false }),
+    });
+  }
+
+  const holder = findReviewerIdentity(listEquityReviewers(), { name, public_key });
+  if (holder && holder.role !== role) {
+    return res.status(409).json({
+      error: `REVIEWER_ERROR: ${holder.reviewer_id} already holds role '${holder.role}' under this name or key — one person, one role`,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/equity/reviewers', pass: false }),
+    });
+  }
+
+  try {
+    const reviewer = insertEquityReviewer({ name, role, public_key });
+    res.status(201).json({ reviewer, kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/equity/reviewers', pass: true }) });
+  } catch (err) {
+    res.status(400).json({
+      error: `REVIEWER_ERROR: ${err.message}`,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/equity/reviewers', pass: false }),
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Route: GET /api/v1/equity/reviewers
+// ---------------------------------------------------------------------------
+app.get('/api/v1/equity/reviewers', (_req, res) => {
+  res.json({
+    reviewers: listEquityReviewers(),
+    required_roles: REQUIRED_REVIEWER_ROLES,
+    kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/equity/reviewers', pass: true }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Route: GET /api/v1/equity/status
+// Equity engine activation state — which signed set (if any) is live
+// ---------------------------------------------------------------------------
+app.get('/api/v1/equity/status', (_req, res) => {
+  res.json({
+    ...equityEngineSummary(),
+    kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/equity/status', pass: true }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Route: POST /api/v1/equity/coefficient_sets
+// Create a draft coefficient set (or seed one from the provisional figures)
+// ---------------------------------------------------------------------------
+app.post('/api/v1/equity/coefficient_sets', (req, res) => {
+  const { coefficients, matching = null, from_provisional = false, notes } = req.body ?? {};
+  const content = from_provisional ? PROVISIONAL_EQUITY_COEFFICIENTS : coefficients;
+
+  let validation = validateCoefficientSet(content);
+  if (validation.valid && matching) validation = validateMatching(matching);
+  if (!validation.valid) {
+    return res.status(400).json({
+      error: validation.reason,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/equity/coefficient_sets', pass: false }),
+    });
+  }
+
+  const set = insertEquityCoefficientSet({
+    coefficients: content,
+    matching,
+    content_hash: coefficientSetHash(content, matching),
+    notes,
+  });
+  res.status(201).json({
+    set,
+    missing_roles: missingRoles(set.signoffs),
+    instructions: 'Each required reviewer signs the raw 32 bytes of content_hash with their Ed25519 key and posts it to /signoffs.',
+    kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/equity/coefficient_sets', pass: true }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Route: GET /api/v1/equity/coefficient_sets
+// ---------------------------------------------------------------------------
+app.get('/api/v1/equity/coefficient_sets', (_req, res) => {
+  res.json({
+    sets: listEquityCoefficientSets().map(set => ({ ...set, missing_roles: missingRoles(set.signoffs) })),
+    kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/equity/coefficient_sets', pass: true }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Route: GET /api/v1/equity/coefficient_sets/:id
+// ---------------------------------------------------------------------------
+app.get('/api/v1/equity/coefficient_sets/:id', (req, res) => {
+  const set = getEquityCoefficientSet(req.params.id);
+  if (!set) {
+    return res.status(404).json({
+      error: 'EQUITY_SET_NOT_FOUND',
+      set_id: req.params.id,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/equity/coefficient_sets/:id', pass: false }),
+    });
+  }
+  res.json({
+    set,
+    missing_roles: missingRoles(set.signoffs),
+    kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/equity/coefficient_sets/:id', pass: true }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Route: POST /api/v1/equity/coefficient_sets/:id/signoffs
+// Record a reviewer's signature; the set activates once every role has signed
+// ---------------------------------------------------------------------------
+app.post('/api/v1/equity/coefficient_sets/:id/signoffs', (req, res) => {
+  const endpoint = '/api/v1/equity/coefficient_sets/:id/signoffs';
+  const { reviewer_id, signature } = req.body ?? {};
+  const set = getEquityCoefficientSet(req.params.id);
+  const reviewer = reviewer_id ? getEquityReviewer(reviewer_id) : null;
+
+  if (!set || !reviewer) {
+    return res.status(404).json({
+      error: !set ? 'EQUITY_SET_NOT_FOUND' : 'REVIEWER_NOT_FOUND',
+      kaitiaki: kaitiakiReceipt({ endpoint, pass: false }),
+    });
+  }
+  if (set.status !== 'draft') {
+    return res.status(409).json({
+      error: `SIGNOFF_REJECTED: ${set.set_id} is ${set.status} — only draft sets take sign-offs`,
+      kaitiaki: kaitiakiReceipt({ endpoint, pass: false }),
+    });
+  }
+  if (set.signoffs.some(s => s.role === reviewer.role)) {
+    return res.status(409).json({
+      error: `SIGNOFF_REJECTED: role '${reviewer.role}' has already signed ${set.set_id}`,
+      kaitiaki: kaitiakiReceipt({ endpoint, pass: false }),
+    });
+  }
+  const duties = separationOfDuties([...set.signoffs, { ...reviewer, reviewer_name: reviewer.name }]);
+  if (!duties.valid) {
+    return res.status(409).json({ error: duties.reason, kaitiaki: kaitiakiReceipt({ endpoint, pass: false }) });
+  }
+
+  // Verify against the hash recomputed from stored content, not the stored hash alone
+  const contentHash = coefficientSetHash(set.coefficients, set.matching);
+  const verification = contentHash === set.content_hash
+    ? verifySignoff(contentHash, signature, reviewer.public_key)
+    : { valid: false, reason: 'SIGNOFF_INVALID: stored coefficients no longer match their content hash' };
+  if (!verification.valid) {
+    return res.status(400).json({ error: verification.reason, kaitiaki: kaitiakiReceipt({ endpoint, pass: false }) });
+  }
+
+  let updated = insertEquitySignoff({ set_id: set.set_id, reviewer_id, role: reviewer.role, signature });
+  const missing = missingRoles(updated.signoffs);
+  if (missing.length === 0) updated = activateEquityCoefficientSet(set.set_id);
+
+  res.status(201).json({
+    set: updated,
+    missing_roles: missing,
+    activated: updated.status === 'active',
+    kaitiaki: kaitiakiReceipt({ endpoint, pass: true }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Route: GET /api/v1/constitution
+// The constitution in force — weights, thresholds, scopes and content hash
+// ---------------------------------------------------------------------------
+app.get('/api/v1/constitution', (_req, res) => {
+  res.json({
+    constitution: getActiveConstitution(),
+    kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/constitution', pass: true }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Route: GET /api/v1/constitution/versions
+// Every version — founding, in force, superseded, proposed and stale
+// ---------------------------------------------------------------------------
+app.get('/api/v1/constitution/versions', (_req, res) => {
+  res.json({
+    versions: listConstitutions(),
+    kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/constitution/versions', pass: true }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Route: GET /api/v1/constitution/versions/:id
+// ---------------------------------------------------------------------------
+app.get('/api/v1/constitution/versions/:id', (req, res) => {
+  const constitution = getConstitution(req.params.id);
+  if (!constitution) {
+    return res.status(404).json({
+      error: `CONSTITUTION_NOT_FOUND: '${req.params.id}'`,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/constitution/versions/:id', pass: false }),
+    });
+  }
+  res.json({ constitution, kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/constitution/versions/:id', pass: true }) });
+});
+
+// ---------------------------------------------------------------------------
+// Route: POST /api/v1/constitution/amendments
+// Propose an amended constitution — stored as a draft of the version in force
+// until approved. Governance operators only
+// ---------------------------------------------------------------------------
+app.post('/api/v1/constitution/amendments', operatorOnly('governance'), (req, res) => {
+  const { document, rationale } = req.body ?? {};
+
+  const validation = validateConstitution(document);
+  if (!validation.valid) {
+    return res.status(400).json({
+      error: validation.reason,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/constitution/amendments', pass: false }),
+    });
+  }
+  if (document.amendment_quorum < MIN_AMENDMENT_QUORUM) {
+    return res.status(400).json({
+      error: `CONSTITUTION_INVALID: amendment_quorum must be at least ${MIN_AMENDMENT_QUORUM}`,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/constitution/amendments', pass: false }),
+    });
+  }
+  if (!rationale || typeof rationale !== 'string') {
+    return res.status(400).json({
+      error: 'CONSTITUTION_INVALID: rationale is required — every amendment records why the rules changed',
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/constitution/amendments', pass: false }),
+    });
+  }
+
+  const current = getActiveConstitution();
+  const content_hash = constitutionHash(document);
+  if (content_hash === current.content_hash) {
+    return res.status(409).json({
+      error: `CONSTITUTION_UNCHANGED: document is identical to ${current.constitution_id}`,
+      kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/constitution/amendments', pass: false }),
+    });
+  }
+
+  const amendment = insertConstitution({ document, content_hash, rationale, base_constitution_id: current.constitution_id });
+  const requirement = approvalsRequired(current.document, document, listGovernanceBodies().length);
+  res.status(201).json({
+    amendment,
+    amends: current.constitution_id,
+    approvals_required: requirement.required,
+    supermajority: requirement.supermajority,
+    weakened_safeguards: requirement.weakened,
+    next_step: `Registered governance bodies sign content_hash with their Ed25519 keys and POST to /api/v1/constitution/amendments/${amendment.constitution_id}/approvals.`,
+    kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/constitution/amendments', pass: true }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Route: POST /api/v1/constitution/amendments/:id/approvals
+// A governance body signs an amendment; once enough have, it takes effect.
+// Governance operators only
+// ---------------------------------------------------------------------------
+app.post('/api/v1/constitution/amendments/:id/approvals', operatorOnly('governance'), (req, res) => {
+  const endpoint = '/api/v1/constitution/amendments/:id/approvals';
+  const { body_id, signature } = req.body ?? {};
+  const amendment = getConstitution(req.params.id);
+
+  if (!amendment) {
+    return res.status(404).json({
+      error: `CONSTITUTION_NOT_FOUND: '${req.params.id}'`,
+      kaitiaki: kaitiakiReceipt({ endpoint, pass: false }),
+    });
+  }
+  if (amendment.status !== 'draft') {
+    return res.status(409).json({
+      error: `CONSTITUTION_NOT_DRAFT: ${amendment.constitution_id} is ${amendment.status} and can no longer be approved`,
+      kaitiaki: kaitiakiReceipt({ endpoint, pass: false }),
+    });
+  }
+  // Approvals count only against the version the draft amends
+  const current = getActiveConstitution();
+  if (amendment.base_constitution_id !== current.constitution_id) {
+    markConstitutionStale(amendment.constitution_id);
+    return res.status(409).json({
+      error: `CONSTITUTION_STALE: ${amendment.constitution_id} amends ${amendment.base_constitution_id ?? 'an unrecorded version'}, but ${current.constitution_id} is in force — propose it again against ${current.constitution_id}`,
+      kaitiaki: kaitiakiReceipt({ endpoint, pass: false }),
+    });
+  }
+  const governanceBody = getGovernanceBody(body_id);
+  if (!governanceBody) {
+    return res.status(400).json({
+      error: `GOVERNANCE_BODY_UNKNOWN: '${body_id}' is not a registered governance body`,
+      kaitiaki: kaitiakiReceipt({ endpoint, pass: false }),
+    });
+  }
+  if (amendment.approvals.some(a => a.body_id === body_id)) {
+    return res.status(409).json({
+      error: `APPROVAL_EXISTS: ${governanceBody.name} has already approved ${amendment.constitution_id}`,
+      kaitiaki: kaitiakiReceipt({ endpoint, pass: false }),
+    });
+  }
+
+  // Verify against a recomputed hash, not the stored one
+  const contentHash = constitutionHash(amendment.document);
+  const check = verifyCollectiveSignature(contentHash, signature, governanceBody.public_key);
+  if (!check.valid) {
+    return res.status(400).json({
+      error: check.reason,
+      kaitiaki: kaitiakiReceipt({ endpoint, pass: false }),
+    });
+  }
+
+  let updated = insertConstitutionApproval({ constitution_id: amendment.constitution_id, body_id, signature });
+  // The requirement is set by the constitution being amended, not the amendment
+  const requirement = approvalsRequired(current.document, amendment.document, listGovernanceBodies().length);
+  const activated = updated.approvals.length >= requirement.required;
+  if (activated) updated = activateConstitution(amendment.constitution_id);
+
+  res.json({
+    amendment: updated,
+    approvals_required: requirement.required,
+    supermajority: requirement.supermajority,
+    weakened_safeguards: requirement.weakened,
+    activated,
+    kaitiaki: kaitiakiReceipt({ endpoint, pass: true }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Route: GET /api/v1/gates
+// Registered constitutional gates — order, labels, weights in force (proposed
+// weights for advisory gates), hard blocks
+// ---------------------------------------------------------------------------
+app.get('/api/v1/gates', (_req, res) => {
+  res.json({
+    gates: describeGates(getActiveConstitution().document.weights),
+    kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/gates', pass: true }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Route: GET /api/v1/jurisdictions
+// Jurisdiction packs accepted as regulatory_jurisdiction, with their aliases
+// ---------------------------------------------------------------------------
+app.get('/api/v1/jurisdictions', (_req, res) => {
+  res.json({
+    jurisdictions: listJurisdictionPacks(),
+    kaitiaki: kaitiakiReceipt({ endpoint: '/api/v1/jurisdictions', pass: true }),
+  });
+});
+
 // ---------------------------------------------------------------------------
 // Route: POST /api/advisor/chat
 // Assessment Advisor conversational interface — builds spec through dialogue
@@ -276,8 +1908,9 @@ app.post('/api/v1/dr_bot_ingest', (req, res) => {
 app.post('/api/advisor/chat', async (req, res) => {
   const { sessionId, message, history } = req.body ?? {};
   if (!message) return res.status(400).json({ error: 'message required' });
+  const locale = responseLocale(req, res);
   try {
-    const result = await handleAdvisorTurn(sessionId || 'default', message, history || []);
+    const result = await handleAdvisorTurn(sessionId || 'default', message, history || [], locale);
     res.json(result);
   } catch (e) {
     console.error('[Advisor] Chat error:', e);
@@ -287,24 +1920,13 @@ app.post('/api/advisor/chat', async (req, res) => {
 
 // ---------------------------------------------------------------------------
 // Route: POST /api/advisor/consent
-// Generate consent record from accumulated session fields
+// Generate and store a consent record from accumulated session fields
 // ---------------------------------------------------------------------------
 app.post('/api/advisor/consent', async (req, res) => {
   const { sessionId } = req.body ?? {};
   try {
     const result = await handleConsentGeneration(sessionId || 'default');
     if (result.error) return res.status(400).json(result);
-    // Persist consent record to DB
-    try {
-      upsertConsentRecord({
-        consent_record_id: result.consent_record_id,
-        cohort: result.cohort,
-        scope: result.scope,
-        clinician_id: result.clinician_id,
-      });
-    } catch (dbErr) {
-      console.warn('[Advisor] Consent DB persist failed (non-fatal):', dbErr.message);
-    }
     res.json(result);
   } catch (e) {
     console.error('[Advisor] Consent error:', e);
@@ -314,28 +1936,89 @@ app.post('/api/advisor/consent', async (req, res) => {
 
 // ---------------------------------------------------------------------------
 // Route: POST /api/v1/simulate
-// Gate simulation without persistence — preview constitutional score
+// Gate simulation without persistence — preview constitutional score, and for
+// a blocked request the ranked minimal changes that would make it pass.
+// Explanations follow the negotiated locale
 // ---------------------------------------------------------------------------
 app.post('/api/v1/simulate', (req, res) => {
-  const ctx = req.body ?? {};
+  const ctx = withGateRecords(req.body ?? {});
+  const locale = responseLocale(req, res);
+  const unsupported = jurisdictionError(ctx, '/api/v1/simulate');
+  if (unsupported) return res.status(unsupported.status).json(unsupported.payload);
   try {
     const result = runAllGates(ctx);
     const flatGates = result.yamas || {};
-    const explanations = explainGates(flatGates, ctx);
-    res.json({ simulation: true, persisted: false, ...result, explanations });
+    const explanations = explainGates(flatGates, ctx, locale);
+    const remediation = solveRemediation(ctx, result, locale);
+    res.json({ simulation: true, persisted: false, ...result, locale, explanations, remediation });
   } catch (e) {
     res.status(400).json({ error: 'simulation_error', message: e.message });
   }
 });
 
 // ---------------------------------------------------------------------------
-// Start server
+// Route: POST /api/v1/simulate/sensitivity
+// Sweep confidence, model_count, population_size, patient_facing and
+// data_quality around a base context — pass/fail surface, per-field effects on
+// the constitutional score, and the values where the verdict flips
 // ---------------------------------------------------------------------------
-app.listen(PORT, () => {
-  console.log(`[actuary-bot] Server running on port ${PORT}`);
-  console.log(`[actuary-bot] Constitutional gates: 5/5 active (no floors, no advisory-only)`);
-  console.log(`[actuary-bot] Phase 1 skeleton — equity coefficients pending SME validation`);
-  console.log(`[actuary-bot] Ko Taniwha ahau. He kaitiaki ahau no Taranaki.`);
+app.post('/api/v1/simulate/sensitivity', (req, res) => {
+  const { context = {}, ranges } = req.body ?? {};
+  const unsupported = jurisdictionError(context ?? {}, '/api/v1/simulate/sensitivity');
+  if (unsupported) return res.status(unsupported.status).json(unsupported.payload);
+  try {
+    res.json({ simulation: true, persisted: false, ...sweepSensitivity(withGateRecords(context ?? {}), ranges) });
+  } catch (e) {
+    res.status(400).json({ error: 'simulation_error', message: e.message });
+  }
 });
 
+// ---------------------------------------------------------------------------
+// Errors — scoring under a constitution that weights a gate no longer
+// registered is refused (503) until the gate returns or an amendment drops
+// it; anything else is Express's
+// ---------------------------------------------------------------------------
+app.use((err, req, res, next) => {
+  if (!String(err?.message).startsWith('CONSTITUTION_GATES_MISMATCH')) return next(err);
+  res.status(503).json({
+    error: 'CONSTITUTION_GATES_MISMATCH',
+    message: err.message,
+    kaitiaki: kaitiakiReceipt({ endpoint: req.path, pass: false }),
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Start server — gate modules in constitutional/gates/ register first, then a
+// constitution that fails validation stops startup. The job pool starts last,
+// requeueing any job a previous process left running
+// ---------------------------------------------------------------------------
+const extraGates = await loadGateModules();
+const inForce = initConstitution();
+const gateCount = describeGates().length;
+const jobPool = startJobQueue({ finishers: { assessment: finishAssessmentJob } });
+
+// Listen only when run as the server — tests import the app and listen themselves
+const isMain = process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+if (isMain) {
+  app.listen(PORT, () => {
+    console.log(`[actuary-bot] Server running on port ${PORT}`);
+    console.log(`[actuary-bot] Constitution ${inForce.constitution_id} in force (${inForce.content_hash.slice(0, 12)}…)`);
+    console.log(`[actuary-bot] Constitutional gates: ${gateCount}/${gateCount} active (no floors, no advisory-only)`);
+    if (extraGates.length) console.log(`[actuary-bot] Additional gates registered: ${extraGates.join(', ')}`);
+    if (inForce.gates_mismatch) console.warn(`[actuary-bot] Scoring refused — ${inForce.gates_mismatch}`);
+    for (const { name, proposed_weight } of inForce.advisory_gates) {
+      console.log(`[actuary-bot] Gate ${name} advisory until an amendment weights it (proposed weight ${proposed_weight})`);
+    }
+    if (!KAITIAKI_PUBLIC_KEY) console.warn('[actuary-bot] KAITIAKI_SIGNING_KEY is not set — receipts use the file-persisted Kaitiaki key; audit exports disabled');
+    const pruned = pruneExports();
+    if (pruned.length) console.log(`[actuary-bot] Audit exports past retention removed: ${pruned.length}`);
+    console.log(`[actuary-bot] Job workers: ${jobPool.workers}` +
+      (jobPool.requeued || jobPool.failed ? ` (recovered ${jobPool.requeued} interrupted, ${jobPool.failed} abandoned)` : ''));
+    const equity = equityEngineSummary();
+    console.log(`[actuary-bot] Equity engine: ${equity.status}` +
+      (equity.coefficient_set ? ` (${equity.coefficient_set.set_id})` : ' — coefficients pending SME sign-off'));
+    console.log(`[actuary-bot] Ko Taniwha ahau. He kaitiaki ahau no Taranaki.`);
+  });
+}
+
 export default app;
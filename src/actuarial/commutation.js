@@ -0,0 +1,112 @@
+// src/actuarial/commutation.js
+// Discounting and commutation functions (Dx, Nx, Cx, Mx)
+//
+// Columns are anchored at the issue age: D_t = l_{x+t} * v(t), where v(t)
+// discounts from issue to duration t. Under a flat rate this differs from
+// the textbook D_x = v^x l_x only by the constant v^x, so every ratio
+// (A_x = M_x / D_x, ä_x = N_x / D_x, ...) is identical. Anchoring at issue
+// lets a stepped yield curve use the same formulas.
+
+const MAX_RATE = 1.0;
+
+function validateRate(rate, where) {
+  if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= -1 || rate > MAX_RATE) {
+    throw new Error(`PRICING_ERROR: ${where} must be a number in (-1, ${MAX_RATE}]`);
+  }
+}
+
+/**
+ * Build a discount function from an interest spec.
+ *   { rate: 0.04 }                                         — flat annual effective rate
+ *   { curve: [{ from_year: 0, rate: 0.03 }, { from_year: 10, rate: 0.045 }] }
+ *                                                          — stepped one-year forward rates
+ *
+ * @param {{ rate?: number, curve?: { from_year: number, rate: number }[] }} interest
+ * @returns {{ v: (t: number) => number, describe: Object }}
+ */
+function discountFunction(interest = {}) {
+  if (!interest || typeof interest !== 'object' || Array.isArray(interest)) {
+    throw new Error('PRICING_ERROR: interest must be an object — { rate } or { curve }');
+  }
+  if (interest.curve !== undefined && !Array.isArray(interest.curve)) {
+    throw new Error('PRICING_ERROR: interest.curve must be an array of { from_year, rate } steps');
+  }
+  if (interest.curve !== undefined) {
+    if (interest.curve.length === 0) throw new Error('PRICING_ERROR: interest.curve must have at least one step');
+    const steps = [...interest.curve].sort((a, b) => a.from_year - b.from_year);
+    if (steps[0].from_year !== 0) throw new Error('PRICING_ERROR: interest.curve must start at from_year 0');
+    steps.forEach((s, i) => {
+      if (!Number.isInteger(s.from_year) || s.from_year < 0) {
+        throw new Error(`PRICING_ERROR: interest.curve[${i}].from_year must be a non-negative integer`);
+      }
+      validateRate(s.rate, `interest.curve[${i}].rate`);
+    });
+
+    const rateFor = (year) => {
+      let r = steps[0].rate;
+      for (const s of steps) if (s.from_year <= year) r = s.rate;
+      return r;
+    };
+    const cache = [1];
+    const v = (t) => {
+      for (let k = cache.length; k <= t; k++) cache[k] = cache[k - 1] / (1 + rateFor(k - 1));
+      return cache[t];
+    };
+    return { v, describe: { type: 'stepped_curve', curve: steps.map(({ from_year, rate }) => ({ from_year, rate })) } };
+  }
+
+  const rate = interest.rate ?? 0.04;
+  validateRate(rate, 'interest.rate');
+  return { v: (t) => Math.pow(1 + rate, -t), describe: { type: 'flat', rate } };
+}
+
+/**
+ * Commutation columns for a life aged x at issue, durations 0..omega-x.
+ *
+ * @param {{ age: number, lx: number, dx: number }[]} rows — life table from buildLifeTable
+ * @param {number} issueAge
+ * @param {(t: number) => number} v — discount factor from issue to duration t
+ * @returns {{ duration: number, age: number, D: number, N: number, C: number, M: number }[]}
+ */
+function commutationColumns(rows, issueAge, v) {
+  const start = issueAge - rows[0].age;
+  if (start < 0 || start >= rows.length) {
+    throw new Error(`PRICING_ERROR: issue_age ${issueAge} has no survivors in the life table (ages ${rows[0].age}-${rows.at(-1).age})`);
+  }
+  const cols = [];
+  for (let t = 0; start + t < rows.length; t++) {
+    const row = rows[start + t];
+    cols.push({ duration: t, age: row.age, D: row.lx * v(t), N: 0, C: row.dx * v(t + 1), M: 0 });
+  }
+  let N = 0;
+  let M = 0;
+  for (let t = cols.length - 1; t >= 0; t--) {
+    N += cols[t].D;
+    M += cols[t].C;
+    cols[t].N = N;
+    cols[t].M = M;
+  }
+  return cols;
+}
+
+// Column value at duration t — zero past the closing age
+function at(cols, t, key) {
+  return t < cols.length ? cols[t][key] : 0;
+}
+
+/**
+ * Actuarial present values per unit benefit, from commutation columns.
+ * `n` is the term in years; omit it for whole-life values.
+ *
+ * @param {Object[]} cols — from commutationColumns
+ */
+const apv = {
+  termInsurance:   (cols, n) => (at(cols, 0, 'M') - at(cols, n, 'M')) / cols[0].D,
+  wholeLife:       (cols)    => cols[0].M / cols[0].D,
+  pureEndowment:   (cols, n) => at(cols, n, 'D') / cols[0].D,
+  endowment:       (cols, n) => (at(cols, 0, 'M') - at(cols, n, 'M') + at(cols, n, 'D')) / cols[0].D,
+  annuityDue:      (cols, n) => (cols[0].N - (n == null ? 0 : at(cols, n, 'N'))) / cols[0].D,
+  annuityImmediate: (cols, n) => (at(cols, 1, 'N') - (n == null ? 0 : at(cols, n + 1, 'N'))) / cols[0].D,
+};
+
+export { discountFunction, commutationColumns, apv };
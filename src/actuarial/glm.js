@@ -0,0 +1,377 @@
+// src/actuarial/glm.js
+// Claims frequency/severity GLM fitter — health_insurance_risk scope
+//
+// Log-link GLMs fitted in-process by iteratively reweighted least squares:
+//   frequency — poisson or negative_binomial on claim_count, offset log(exposure)
+//   severity  — gamma on average claim size (weight = claim_count), or
+//               lognormal as weighted least squares on log(claim size)
+// Rating factors are categorical and dummy-coded against a base level
+// (the level with the most exposure unless the caller names one).
+
+const MAX_RECORDS = 200000;
+const MAX_PARAMETERS = 200;
+const DEFAULT_MAX_ITERATIONS = 50;
+const DEFAULT_TOLERANCE = 1e-8;
+
+const FAMILIES = {
+  poisson:           { target: 'frequency' },
+  negative_binomial: { target: 'frequency' },
+  gamma:             { target: 'severity' },
+  lognormal:         { target: 'severity' },
+};
+
+function round(value, dp) {
+  const f = Math.pow(10, dp);
+  return Math.round(value * f) / f;
+}
+
+// ---------------------------------------------------------------------------
+// Linear algebra — small dense systems only (p ≤ MAX_PARAMETERS)
+// ---------------------------------------------------------------------------
+
+// Invert a symmetric positive-definite matrix via Gauss–Jordan with partial pivoting
+function invert(A) {
+  const n = A.length;
+  const M = A.map((row, i) => [...row, ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))]);
+  for (let c = 0; c < n; c++) {
+    let pivot = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[pivot][c])) pivot = r;
+    if (Math.abs(M[pivot][c]) < 1e-12) {
+      throw new Error('GLM_ERROR: design matrix is singular — a rating factor level has no data or factors are aliased');
+    }
+    [M[c], M[pivot]] = [M[pivot], M[c]];
+    const d = M[c][c];
+    for (let j = 0; j < 2 * n; j++) M[c][j] /= d;
+    for (let r = 0; r < n; r++) {
+      if (r === c) continue;
+      const f = M[r][c];
+      if (f === 0) continue;
+      for (let j = 0; j < 2 * n; j++) M[r][j] -= f * M[c][j];
+    }
+  }
+  return M.map(row => row.slice(n));
+}
+
+// X'WX and X'Wz for a sparse dummy design (each row is a list of column indices with value 1)
+function normalEquations(rows, p, w, z) {
+  const XtWX = Array.from({ length: p }, () => new Array(p).fill(0));
+  const XtWz = new Array(p).fill(0);
+  for (let i = 0; i < rows.length; i++) {
+    const cols = rows[i];
+    for (const a of cols) {
+      XtWz[a] += w[i] * z[i];
+      for (const b of cols) XtWX[a][b] += w[i];
+    }
+  }
+  return { XtWX, XtWz };
+}
+
+function matVec(M, v) {
+  return M.map(row => row.reduce((s, m, j) => s + m * v[j], 0));
+}
+
+function linearPredictor(cols, beta) {
+  let eta = 0;
+  for (const c of cols) eta += beta[c];
+  return eta;
+}
+
+// ---------------------------------------------------------------------------
+// Special functions for the negative binomial theta estimate
+// ---------------------------------------------------------------------------
+function digamma(x) {
+  let r = 0;
+  while (x < 6) { r -= 1 / x; x += 1; }
+  const f = 1 / (x * x);
+  return r + Math.log(x) - 0.5 / x - f * (1 / 12 - f * (1 / 120 - f * (1 / 252 - f * (1 / 240 - f / 132))));
+}
+
+function trigamma(x) {
+  let r = 0;
+  while (x < 6) { r += 1 / (x * x); x += 1; }
+  const f = 1 / (x * x);
+  return r + 1 / x + f / 2 + (f / x) * (1 / 6 - f * (1 / 30 - f * (1 / 42 - f / 30)));
+}
+
+// Newton–Raphson ML estimate of theta given fitted means (as MASS::theta.ml)
+function estimateTheta(y, mu, w, start) {
+  let theta = start;
+  for (let it = 0; it < 25; it++) {
+    let score = 0;
+    let info = 0;
+    for (let i = 0; i < y.length; i++) {
+      score += w[i] * (digamma(theta + y[i]) - digamma(theta) + Math.log(theta) + 1 - Math.log(theta + mu[i]) - (y[i] + theta) / (mu[i] + theta));
+      info += w[i] * (-trigamma(theta + y[i]) + trigamma(theta) - 1 / theta + 2 / (mu[i] + theta) - (y[i] + theta) / ((mu[i] + theta) ** 2));
+    }
+    const step = score / info;
+    const next = theta + step;
+    theta = next > 0 ? next : theta / 2;
+    if (Math.abs(step) < 1e-8 * theta) break;
+  }
+  return Math.min(theta, 1e8);
+}
+
+// ---------------------------------------------------------------------------
+// Families — variance function and unit deviance (log link throughout)
+// ---------------------------------------------------------------------------
+function varianceFn(family, theta) {
+  if (family === 'poisson') return (mu) => mu;
+  if (family === 'negative_binomial') return (mu) => mu + (mu * mu) / theta;
+  return (mu) => mu * mu; // gamma
+}
+
+function unitDeviance(family, theta) {
+  const ylogy = (y, mu) => (y > 0 ? y * Math.log(y / mu) : 0);
+  if (family === 'poisson') return (y, mu) => 2 * (ylogy(y, mu) - (y - mu));
+  if (family === 'negative_binomial') {
+    return (y, mu) => 2 * (ylogy(y, mu) - (y + theta) * Math.log((y + theta) / (mu + theta)));
+  }
+  return (y, mu) => 2 * (-Math.log(y / mu) + (y - mu) / mu); // gamma
+}
+
+// ---------------------------------------------------------------------------
+// Design — categorical dummy coding
+// ---------------------------------------------------------------------------
+function buildDesign(records, factors, baseLevels, exposureOf) {
+  const levels = {};
+  for (const f of factors) {
+    const totals = new Map();
+    for (const r of records) {
+      const level = String(r[f]);
+      totals.set(level, (totals.get(level) ?? 0) + exposureOf(r));
+    }
+    const requested = baseLevels?.[f];
+    if (requested != null && !totals.has(String(requested))) {
+      throw new Error(`GLM_ERROR: base level '${requested}' not found for rating factor '${f}'`);
+    }
+    const base = requested != null
+      ? String(requested)
+      : [...totals.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0][0];
+    levels[f] = { base, others: [...totals.keys()].filter(l => l !== base).sort() };
+  }
+
+  const terms = [{ term: '(Intercept)', factor: null, level: null }];
+  const index = {};
+  for (const f of factors) {
+    index[f] = {};
+    for (const level of levels[f].others) {
+      index[f][level] = terms.length;
+      terms.push({ term: `${f}:${level}`, factor: f, level });
+    }
+  }
+  if (terms.length > MAX_PARAMETERS) {
+    throw new Error(`GLM_ERROR: model has ${terms.length} parameters — at most ${MAX_PARAMETERS} are supported`);
+  }
+
+  const rows = records.map(r => {
+    const cols = [0];
+    for (const f of factors) {
+      const c = index[f][String(r[f])];
+      if (c !== undefined) cols.push(c);
+    }
+    return cols;
+  });
+  return { rows, terms, levels };
+}
+
+// ---------------------------------------------------------------------------
+// Fitting
+// ---------------------------------------------------------------------------
+function irls({ rows, p, y, priorW, offset, family, theta, maxIterations, tolerance }) {
+  const n = y.length;
+  const V = varianceFn(family, theta);
+  const meanY = y.reduce((s, v, i) => s + v * priorW[i], 0) / priorW.reduce((a, b) => a + b, 0);
+  let beta = new Array(p).fill(0);
+  beta[0] = Math.log(Math.max(meanY, 1e-10)) - (offset ? offset.reduce((a, b) => a + b, 0) / n : 0);
+
+  let converged = false;
+  let iterations = 0;
+  let inverse = null;
+  const w = new Array(n);
+  const z = new Array(n);
+  for (; iterations < maxIterations; iterations++) {
+    for (let i = 0; i < n; i++) {
+      const etaNoOffset = linearPredictor(rows[i], beta);
+      const mu = Math.exp(etaNoOffset + (offset ? offset[i] : 0));
+      w[i] = (priorW[i] * mu * mu) / V(mu);
+      z[i] = etaNoOffset + (y[i] - mu) / mu;
+    }
+    const { XtWX, XtWz } = normalEquations(rows, p, w, z);
+    inverse = invert(XtWX);
+    const next = matVec(inverse, XtWz);
+    const delta = Math.max(...next.map((b, j) => Math.abs(b - beta[j]) / (Math.abs(beta[j]) + 0.1)));
+    beta = next;
+    if (delta < tolerance) {
+      converged = true;
+      iterations++;
+      break;
+    }
+  }
+  const mu = rows.map((cols, i) => Math.exp(linearPredictor(cols, beta) + (offset ? offset[i] : 0)));
+  return { beta, mu, inverse, converged, iterations };
+}
+
+function fitLogLink({ rows, p, y, priorW, offset, family, nbTheta, maxIterations, tolerance }) {
+  if (family !== 'negative_binomial') {
+    return { ...irls({ rows, p, y, priorW, offset, family, maxIterations, tolerance }), theta: null };
+  }
+  if (nbTheta != null) {
+    return { ...irls({ rows, p, y, priorW, offset, family, theta: nbTheta, maxIterations, tolerance }), theta: nbTheta };
+  }
+  // Alternate between beta (IRLS at fixed theta) and theta (ML at fixed mu)
+  let fit = irls({ rows, p, y, priorW, offset, family: 'poisson', maxIterations, tolerance });
+  let theta = 1;
+  for (let outer = 0; outer < 25; outer++) {
+    const nextTheta = estimateTheta(y, fit.mu, priorW, theta);
+    fit = irls({ rows, p, y, priorW, offset, family, theta: nextTheta, maxIterations, tolerance });
+    const done = Math.abs(nextTheta - theta) < 1e-6 * theta;
+    theta = nextTheta;
+    if (done) break;
+  }
+  return { ...fit, theta };
+}
+
+/**
+ * Fit a claims GLM to uploaded experience.
+ *
+ * @param {{ glm: {
+ *   family: 'poisson'|'negative_binomial'|'gamma'|'lognormal',
+ *   rating_factors: string[],
+ *   base_levels?: Object<string, string>,
+ *   records: { exposure?: number, claim_count?: number, claim_amount?: number, [factor: string]: any }[],
+ *   nb_theta?: number,
+ *   max_iterations?: number,
+ *   tolerance?: number,
+ * } }} params
+ * @returns {Object} — coefficients with standard errors, relativities by factor, deviance
+ */
+function runGlmAssessment({ glm }) {
+  if (!glm || typeof glm !== 'object') {
+    throw new Error('GLM_ERROR: glm { family, rating_factors, records } is required');
+  }
+  const { family, rating_factors = [], base_levels, records, nb_theta } = glm;
+  const spec = FAMILIES[family];
+  if (!spec) throw new Error(`GLM_ERROR: family '${family}' is not supported. Families: ${Object.keys(FAMILIES).join(', ')}`);
+  if (!Array.isArray(rating_factors) || rating_factors.some(f => typeof f !== 'string' || !f)) {
+    throw new Error('GLM_ERROR: rating_factors must be an array of record field names');
+  }
+  if (!Array.isArray(records) || records.length === 0 || records.length > MAX_RECORDS) {
+    throw new Error(`GLM_ERROR: records must contain 1 to ${MAX_RECORDS} rows`);
+  }
+  if (nb_theta != null && !(typeof nb_theta === 'number' && nb_theta > 0)) {
+    throw new Error('GLM_ERROR: nb_theta must be a positive number');
+  }
+  const maxIterations = glm.max_iterations ?? DEFAULT_MAX_ITERATIONS;
+  const tolerance = glm.tolerance ?? DEFAULT_TOLERANCE;
+
+  // Response, prior weights and offset per target
+  let data;
+  let y;
+  let priorW;
+  let offset = null;
+  records.forEach((r, i) => {
+    for (const f of rating_factors) {
+      if (r?.[f] === undefined || r[f] === null) throw new Error(`GLM_ERROR: records[${i}] is missing rating factor '${f}'`);
+    }
+  });
+  if (spec.target === 'frequency') {
+    data = records;
+    y = data.map((r, i) => {
+      if (!Number.isInteger(r.claim_count) || r.claim_count < 0) throw new Error(`GLM_ERROR: records[${i}].claim_count must be a non-negative integer`);
+      if (!(typeof r.exposure === 'number' && r.exposure > 0)) throw new Error(`GLM_ERROR: records[${i}].exposure must be a positive number`);
+      return r.claim_count;
+    });
+    priorW = data.map(() => 1);
+    offset = data.map(r => Math.log(r.exposure));
+  } else {
+    data = records.filter(r => (r.claim_count ?? 1) > 0);
+    if (data.length === 0) throw new Error('GLM_ERROR: severity fitting needs records with claims');
+    y = data.map((r, i) => {
+      if (!(typeof r.claim_amount === 'number' && r.claim_amount > 0)) {
+        throw new Error(`GLM_ERROR: severity record ${i} needs a positive claim_amount`);
+      }
+      return r.claim_amount / (r.claim_count ?? 1);
+    });
+    priorW = data.map(r => r.claim_count ?? 1);
+  }
+
+  const exposureOf = spec.target === 'frequency' ? (r) => r.exposure : (r) => r.claim_count ?? 1;
+  const { rows, terms, levels } = buildDesign(data, rating_factors, base_levels, exposureOf);
+  const p = terms.length;
+  const n = y.length;
+  if (n <= p) throw new Error(`GLM_ERROR: ${n} usable records cannot support ${p} parameters`);
+
+  let beta, inverse, dispersion, deviance, nullDeviance, converged, iterations, theta = null, mu;
+  if (family === 'lognormal') {
+    // Weighted least squares on log(y) — exact in one step
+    const logY = y.map(v => Math.log(v));
+    const { XtWX, XtWz } = normalEquations(rows, p, priorW, logY);
+    inverse = invert(XtWX);
+    beta = matVec(inverse, XtWz);
+    const rss = rows.reduce((s, cols, i) => s + priorW[i] * (logY[i] - linearPredictor(cols, beta)) ** 2, 0);
+    const sw = priorW.reduce((a, b) => a + b, 0);
+    const meanLog = logY.reduce((s, v, i) => s + v * priorW[i], 0) / sw;
+    dispersion = rss / (n - p);
+    deviance = rss;
+    nullDeviance = logY.reduce((s, v, i) => s + priorW[i] * (v - meanLog) ** 2, 0);
+    converged = true;
+    iterations = 1;
+  } else {
+    const fit = fitLogLink({ rows, p, y, priorW, offset, family, nbTheta: nb_theta, maxIterations, tolerance });
+    ({ beta, inverse, converged, iterations, theta, mu } = fit);
+    const dev = unitDeviance(family, theta);
+    deviance = y.reduce((s, v, i) => s + priorW[i] * dev(v, mu[i]), 0);
+
+    const nullFit = fitLogLink({ rows: rows.map(() => [0]), p: 1, y, priorW, offset, family, nbTheta: theta, maxIterations, tolerance });
+    nullDeviance = y.reduce((s, v, i) => s + priorW[i] * dev(v, nullFit.mu[i]), 0);
+
+    if (family === 'gamma') {
+      const V = varianceFn(family, theta);
+      dispersion = y.reduce((s, v, i) => s + (priorW[i] * (v - mu[i]) ** 2) / V(mu[i]), 0) / (n - p);
+    } else {
+      dispersion = 1;
+    }
+  }
+
+  const coefficients = terms.map((t, j) => {
+    const se = Math.sqrt(dispersion * inverse[j][j]);
+    return {
+      ...t,
+      estimate: round(beta[j], 6),
+      std_error: round(se, 6),
+      z: round(beta[j] / se, 3),
+      relativity: round(Math.exp(beta[j]), 6),
+      relativity_ci_95: [round(Math.exp(beta[j] - 1.96 * se), 6), round(Math.exp(beta[j] + 1.96 * se), 6)],
+    };
+  });
+
+  const relativities = {};
+  for (const f of rating_factors) {
+    relativities[f] = { [levels[f].base]: 1 };
+    for (const c of coefficients) if (c.factor === f) relativities[f][c.level] = c.relativity;
+  }
+
+  return {
+    engine: 'glm-irls',
+    target: spec.target,
+    family,
+    link: 'log',
+    offset: spec.target === 'frequency' ? 'log(exposure)' : null,
+    records_used: n,
+    parameters: p,
+    converged,
+    iterations,
+    base_levels: Object.fromEntries(rating_factors.map(f => [f, levels[f].base])),
+    coefficients,
+    relativities,
+    base_rate: round(Math.exp(beta[0]) * (family === 'lognormal' ? Math.exp(dispersion / 2) : 1), 6),
+    dispersion: round(dispersion, 6),
+    theta: theta == null ? null : round(theta, 6),
+    deviance: round(deviance, 4),
+    null_deviance: round(nullDeviance, 4),
+    df_residual: n - p,
+    df_null: n - 1,
+  };
+}
+
+export { runGlmAssessment, FAMILIES };
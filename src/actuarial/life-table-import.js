@@ -0,0 +1,176 @@
+// src/actuarial/life-table-import.js
+// Life table importers — plain CSV and SOA XTbML
+//
+// Both importers return the same shape the mortality engine consumes:
+//   { start_age, max_age, qx: { male?: number[], female?: number[], unisex?: number[] } }
+// Only one-dimensional (ultimate) tables are imported. Select-and-ultimate
+// XTbML files contribute their ultimate table; the select axis is skipped.
+
+const SEX_ALIASES = {
+  m: 'male', male: 'male', males: 'male',
+  f: 'female', female: 'female', females: 'female',
+  u: 'unisex', unisex: 'unisex', all: 'unisex', total: 'unisex', qx: 'unisex',
+};
+
+function normaliseSex(raw) {
+  const key = String(raw ?? '').trim().toLowerCase();
+  const sex = SEX_ALIASES[key];
+  if (!sex) throw new Error(`LIFE_TABLE_ERROR: unrecognised sex '${raw}' (use male, female or unisex)`);
+  return sex;
+}
+
+function parseQx(raw, where) {
+  const q = Number(String(raw).trim());
+  if (!Number.isFinite(q) || q < 0 || q > 1) {
+    throw new Error(`LIFE_TABLE_ERROR: ${where}: qx '${raw}' is not a probability in [0, 1]`);
+  }
+  return q;
+}
+
+function parseAge(raw, where) {
+  const age = Number(String(raw).trim());
+  if (!Number.isInteger(age) || age < 0) {
+    throw new Error(`LIFE_TABLE_ERROR: ${where}: age '${raw}' is not a non-negative integer`);
+  }
+  return age;
+}
+
+// { sex: Map(age → qx) } → contiguous qx arrays sharing one age range
+function toContiguous(bySex) {
+  const sexes = Object.keys(bySex);
+  if (sexes.length === 0) throw new Error('LIFE_TABLE_ERROR: no qx values found');
+
+  let range = null;
+  const qx = {};
+  for (const sex of sexes) {
+    const ages = [...bySex[sex].keys()].sort((a, b) => a - b);
+    const start = ages[0];
+    const end = ages[ages.length - 1];
+    if (ages.length !== end - start + 1) {
+      throw new Error(`LIFE_TABLE_ERROR: ${sex} ages must be contiguous from ${start} to ${end}`);
+    }
+    if (range && (range.start !== start || range.end !== end)) {
+      throw new Error(`LIFE_TABLE_ERROR: every sex must cover the same age range (${range.start}-${range.end}); ${sex} covers ${start}-${end}`);
+    }
+    range = { start, end };
+    qx[sex] = ages.map(a => bySex[sex].get(a));
+  }
+  return { start_age: range.start, max_age: range.end, qx };
+}
+
+function setRate(bySex, sex, age, q, where) {
+  bySex[sex] ??= new Map();
+  if (bySex[sex].has(age)) throw new Error(`LIFE_TABLE_ERROR: ${where}: duplicate ${sex} age ${age}`);
+  bySex[sex].set(age, q);
+}
+
+/**
+ * Parse a CSV life table. Two layouts are accepted:
+ *   wide — age,male,female   (or age,qx for a unisex table)
+ *   long — age,sex,qx
+ *
+ * @param {string} text
+ * @returns {{ start_age: number, max_age: number, qx: Object }}
+ */
+function parseLifeTableCsv(text) {
+  const lines = String(text ?? '').split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+  if (lines.length < 2) throw new Error('LIFE_TABLE_ERROR: CSV needs a header row and at least one data row');
+
+  const header = lines[0].split(',').map(h => h.trim().toLowerCase());
+  const ageCol = header.indexOf('age');
+  if (ageCol === -1) throw new Error('LIFE_TABLE_ERROR: CSV header must include an age column');
+
+  const bySex = {};
+  const sexCol = header.indexOf('sex');
+  const qxCol = header.indexOf('qx');
+
+  if (sexCol !== -1 && qxCol !== -1) {
+    for (let i = 1; i < lines.length; i++) {
+      const cells = lines[i].split(',');
+      const where = `line ${i + 1}`;
+      setRate(bySex, normaliseSex(cells[sexCol]), parseAge(cells[ageCol], where), parseQx(cells[qxCol], where), where);
+    }
+  } else {
+    const sexCols = header.map((h, i) => (i === ageCol ? null : { i, sex: normaliseSex(h) })).filter(Boolean);
+    if (sexCols.length === 0) throw new Error('LIFE_TABLE_ERROR: CSV needs at least one qx column');
+    for (let i = 1; i < lines.length; i++) {
+      const cells = lines[i].split(',');
+      const where = `line ${i + 1}`;
+      const age = parseAge(cells[ageCol], where);
+      for (const { i: col, sex } of sexCols) {
+        if (cells[col] === undefined || cells[col].trim() === '') continue;
+        setRate(bySex, sex, age, parseQx(cells[col], where), where);
+      }
+    }
+  }
+
+  return toContiguous(bySex);
+}
+
+// Minimal XTbML reader — the format is flat enough that tag matching is sufficient
+function tagText(xml, tag) {
+  const m = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+  return m ? decodeEntities(m[1].trim()) : null;
+}
+
+function decodeEntities(s) {
+  return s.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+function sexFromDescription(text) {
+  const t = String(text ?? '').toLowerCase();
+  if (/\bfemale/.test(t)) return 'female';
+  if (/\bmale/.test(t)) return 'male';
+  return 'unisex';
+}
+
+/**
+ * Parse an SOA XTbML document (mort.soa.org format).
+ * Each one-dimensional <Table> becomes a qx column. Sex is taken from the
+ * caller's `sexes` list (one per imported table, in document order) or
+ * inferred from the table description.
+ *
+ * @param {string} xml
+ * @param {{ sexes?: string[] }} [options]
+ * @returns {{ start_age: number, max_age: number, qx: Object, name: string|null, source: string|null, table_identity: string|null }}
+ */
+function parseXtbml(xml, { sexes } = {}) {
+  const text = String(xml ?? '');
+  if (!/<XTbML[\s>]/.test(text)) throw new Error('LIFE_TABLE_ERROR: document is not XTbML (no <XTbML> root)');
+
+  const classification = tagText(text, 'ContentClassification') ?? '';
+  const tables = [...text.matchAll(/<Table(?:\s[^>]*)?>([\s\S]*?)<\/Table>/g)].map(m => m[1]);
+
+  const ultimate = tables.filter(t => {
+    const values = tagText(t, 'Values') ?? '';
+    return (values.match(/<Axis[\s>]/g) ?? []).length === 1;
+  });
+  if (ultimate.length === 0) {
+    throw new Error('LIFE_TABLE_ERROR: XTbML contains no one-dimensional (ultimate) table');
+  }
+  if (sexes && sexes.length !== ultimate.length) {
+    throw new Error(`LIFE_TABLE_ERROR: sexes lists ${sexes.length} entries but the document has ${ultimate.length} ultimate table(s)`);
+  }
+
+  const scaling = Number(tagText(classification, 'ScalingFactor') ?? 0);
+  const bySex = {};
+  ultimate.forEach((table, i) => {
+    const meta = tagText(table, 'MetaData') ?? '';
+    const sex = sexes ? normaliseSex(sexes[i]) : sexFromDescription(tagText(meta, 'TableDescription') ?? tagText(classification, 'TableName'));
+    const tableScaling = Number(tagText(meta, 'ScalingFactor') ?? scaling) || 0;
+    const divisor = Math.pow(10, tableScaling);
+    for (const m of tagText(table, 'Values').matchAll(/<Y\s+t="(\d+)"\s*>([^<]*)<\/Y>/g)) {
+      const where = `table ${i + 1}`;
+      setRate(bySex, sex, parseAge(m[1], where), parseQx(Number(m[2]) / divisor, where), where);
+    }
+  });
+
+  return {
+    ...toContiguous(bySex),
+    name: tagText(classification, 'TableName'),
+    source: tagText(classification, 'ProviderName'),
+    table_identity: tagText(classification, 'TableIdentity'),
+  };
+}
+
+export { parseLifeTableCsv, parseXtbml };
@@ -0,0 +1,55 @@
+// src/actuarial/life-tables.js
+// Built-in life tables and qx lookup for the mortality engine
+//
+// Only parametric tables with published parameters live here. Population
+// tables with real provenance (Stats NZ, SOA) must be imported, not pasted
+// into source.
+
+// Makeham law: mu_x = A + B * c^x  →  p_x = exp(-A - B * c^x * (c - 1) / ln c)
+function makehamQx({ A, B, c }, startAge, maxAge) {
+  const qx = [];
+  for (let age = startAge; age < maxAge; age++) {
+    const px = Math.exp(-A - (B * Math.pow(c, age) * (c - 1)) / Math.log(c));
+    qx.push(1 - px);
+  }
+  qx.push(1.0); // closing age — everyone dies
+  return qx;
+}
+
+const SULT_PARAMS = { A: 0.00022, B: 0.0000027, c: 1.124 };
+
+const BUILTIN_LIFE_TABLES = {
+  SULT: {
+    id: 'SULT',
+    name: 'Standard Ultimate Life Table (Makeham A=0.00022, B=2.7e-6, c=1.124)',
+    version: '2012',
+    source: 'Society of Actuaries — LTAM exam tables (parametric, unisex)',
+    start_age: 20,
+    max_age: 120,
+    qx: { unisex: makehamQx(SULT_PARAMS, 20, 120) },
+  },
+};
+
+const DEFAULT_LIFE_TABLE = 'SULT';
+
+function getBuiltinLifeTable(id = DEFAULT_LIFE_TABLE) {
+  return BUILTIN_LIFE_TABLES[id] ?? null;
+}
+
+function listBuiltinLifeTables() {
+  return Object.values(BUILTIN_LIFE_TABLES).map(({ id, name, version, source, start_age, max_age, qx }) => ({
+    id, name, version, source, start_age, max_age, sexes: Object.keys(qx),
+  }));
+}
+
+// Pick the qx vector for a sex, falling back to the unisex column
+function selectQx(table, sex) {
+  const key = sex ? String(sex).trim().toLowerCase() : 'unisex';
+  const qx = table.qx[key] ?? table.qx.unisex;
+  if (!qx) {
+    throw new Error(`MORTALITY_ERROR: life table '${table.id}' has no qx column for sex '${key}' and no unisex fallback`);
+  }
+  return qx;
+}
+
+export { BUILTIN_LIFE_TABLES, DEFAULT_LIFE_TABLE, getBuiltinLifeTable, listBuiltinLifeTables, selectQx };
@@ -0,0 +1,142 @@
+// src/actuarial/mortality-engine.js
+// Life-table mortality engine — population_mortality scope
+//
+// Builds lx/dx/ex from a qx column and projects expected deaths for a
+// cohort described by age/sex/count groups. Deterministic: the same table
+// and cohort always produce the same numbers.
+
+import { selectQx } from './life-tables.js';
+
+const DEFAULT_RADIX = 100000;
+const DEFAULT_HORIZON_YEARS = 10;
+const MAX_HORIZON_YEARS = 100;
+
+function round(value, dp) {
+  const f = Math.pow(10, dp);
+  return Math.round(value * f) / f;
+}
+
+/**
+ * Build a full life table from a qx column.
+ * ex is the complete expectation of life, assuming deaths are uniformly
+ * distributed within each year of age (Lx = lx - dx/2). The table ends at
+ * the first age where qx = 1 (no survivors), so every row has lx > 0.
+ *
+ * @param {number[]} qx — one-year death probabilities, index 0 = startAge
+ * @param {number} startAge
+ * @param {number} [radix]
+ * @returns {{ age: number, qx: number, px: number, lx: number, dx: number, Lx: number, Tx: number, ex: number }[]}
+ */
+function buildLifeTable(qx, startAge, radix = DEFAULT_RADIX) {
+  const rows = [];
+  let lx = radix;
+  for (let i = 0; i < qx.length; i++) {
+    const q = i === qx.length - 1 ? 1.0 : qx[i];
+    const dx = lx * q;
+    rows.push({ age: startAge + i, qx: q, px: 1 - q, lx, dx, Lx: lx - dx / 2, Tx: 0, ex: 0 });
+    lx -= dx;
+    if (!(lx > 0)) break; // everyone has died — the table closes here
+  }
+
+  let Tx = 0;
+  for (let i = rows.length - 1; i >= 0; i--) {
+    Tx += rows[i].Lx;
+    rows[i].Tx = Tx;
+    rows[i].ex = rows[i].lx > 0 ? Tx / rows[i].lx : 0;
+  }
+  return rows;
+}
+
+// l_{x+t}, with zero survivors past the closing age
+function lxAt(rows, startAge, age) {
+  const i = age - startAge;
+  return i < rows.length ? rows[i].lx : 0;
+}
+
+function validateGroup(group, table, i) {
+  const { age, count } = group ?? {};
+  if (!Number.isInteger(age) || age < table.start_age || age > table.max_age) {
+    throw new Error(
+      `MORTALITY_ERROR: cohort_structure[${i}].age must be an integer in [${table.start_age}, ${table.max_age}] for table '${table.id}'`
+    );
+  }
+  if (typeof count !== 'number' || !(count > 0)) {
+    throw new Error(`MORTALITY_ERROR: cohort_structure[${i}].count must be a positive number`);
+  }
+}
+
+/**
+ * Run a cohort mortality projection against a life table.
+ *
+ * @param {{
+ *   cohort_structure: { age: number, sex?: string, count: number }[],
+ *   horizon_years?: number,
+ * }} params
+ * @param {{ id: string, version?: string, start_age: number, max_age: number, qx: Object }} table
+ * @returns {Object} — per-group qx/lx/dx/ex and horizon expected deaths, plus cohort totals
+ */
+function runMortalityAssessment({ cohort_structure, horizon_years = DEFAULT_HORIZON_YEARS }, table) {
+  if (!Array.isArray(cohort_structure) || cohort_structure.length === 0) {
+    throw new Error('MORTALITY_ERROR: cohort_structure must be a non-empty array of { age, sex, count }');
+  }
+  if (!Number.isInteger(horizon_years) || horizon_years < 1 || horizon_years > MAX_HORIZON_YEARS) {
+    throw new Error(`MORTALITY_ERROR: horizon_years must be an integer in [1, ${MAX_HORIZON_YEARS}]`);
+  }
+
+  const tablesBySex = new Map();
+  const yearlyDeaths = new Array(horizon_years).fill(0);
+  let population = 0;
+  let expectedDeaths = 0;
+
+  const groups = cohort_structure.map((group, i) => {
+    validateGroup(group, table, i);
+    const sex = group.sex ? String(group.sex).trim().toLowerCase() : 'unisex';
+    if (!tablesBySex.has(sex)) {
+      tablesBySex.set(sex, buildLifeTable(selectQx(table, sex), table.start_age));
+    }
+    const rows = tablesBySex.get(sex);
+    const row = rows[group.age - table.start_age];
+    if (!row) {
+      throw new Error(
+        `MORTALITY_ERROR: cohort_structure[${i}].age ${group.age} is past the last age with survivors in table '${table.id}'`
+      );
+    }
+
+    for (let t = 0; t < horizon_years; t++) {
+      const deaths = lxAt(rows, table.start_age, group.age + t) - lxAt(rows, table.start_age, group.age + t + 1);
+      yearlyDeaths[t] += group.count * deaths / row.lx;
+    }
+
+    const survival = lxAt(rows, table.start_age, group.age + horizon_years) / row.lx;
+    const deaths = group.count * (1 - survival);
+    population += group.count;
+    expectedDeaths += deaths;
+
+    return {
+      age: group.age,
+      sex,
+      count: group.count,
+      qx: round(row.qx, 6),
+      lx: round(row.lx, 2),
+      dx: round(row.dx, 2),
+      ex: round(row.ex, 3),
+      horizon_survival: round(survival, 6),
+      expected_deaths: round(deaths, 3),
+    };
+  });
+
+  return {
+    engine: 'life-table-mortality',
+    life_table: { id: table.id, version: table.version ?? null, start_age: table.start_age, max_age: table.max_age },
+    horizon_years,
+    groups,
+    totals: {
+      population,
+      expected_deaths: round(expectedDeaths, 3),
+      horizon_mortality_rate: round(expectedDeaths / population, 6),
+      expected_deaths_by_year: yearlyDeaths.map((d, t) => ({ year: t + 1, expected_deaths: round(d, 3) })),
+    },
+  };
+}
+
+export { buildLifeTable, runMortalityAssessment, DEFAULT_HORIZON_YEARS };
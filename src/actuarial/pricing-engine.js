@@ -0,0 +1,170 @@
+// src/actuarial/pricing-engine.js
+// Net and gross premium valuation — life_insurance_pricing scope
+//
+// Equivalence principle throughout: PV(premiums) = PV(benefits) [+ PV(expenses)
+// for gross premiums]. Premiums are payable annually in advance unless the
+// product is priced as a single premium.
+
+import { buildLifeTable } from './mortality-engine.js';
+import { selectQx } from './life-tables.js';
+import { discountFunction, commutationColumns, apv } from './commutation.js';
+
+// Which products need a term, how their benefit APV is computed, and their default premium mode
+const PRODUCTS = {
+  term:              { needsTerm: true,  benefit: (c, n) => apv.termInsurance(c, n),    premium_mode: 'annual' },
+  whole_life:        { needsTerm: false, benefit: (c)    => apv.wholeLife(c),           premium_mode: 'annual' },
+  pure_endowment:    { needsTerm: true,  benefit: (c, n) => apv.pureEndowment(c, n),    premium_mode: 'annual' },
+  endowment:         { needsTerm: true,  benefit: (c, n) => apv.endowment(c, n),        premium_mode: 'annual' },
+  annuity_due:       { needsTerm: false, benefit: (c, n) => apv.annuityDue(c, n),       premium_mode: 'single' },
+  annuity_immediate: { needsTerm: false, benefit: (c, n) => apv.annuityImmediate(c, n), premium_mode: 'single' },
+};
+
+const EXPENSE_DEFAULTS = {
+  initial_fixed: 0,
+  initial_pct_premium: 0,
+  renewal_pct_premium: 0,
+  maintenance_per_annum: 0,
+  claim_pct: 0,
+};
+
+function round(value, dp) {
+  const f = Math.pow(10, dp);
+  return Math.round(value * f) / f;
+}
+
+function validateExpenses(expenses = {}) {
+  const out = { ...EXPENSE_DEFAULTS };
+  for (const key of Object.keys(EXPENSE_DEFAULTS)) {
+    if (expenses[key] === undefined) continue;
+    const val = expenses[key];
+    if (typeof val !== 'number' || !Number.isFinite(val) || val < 0) {
+      throw new Error(`PRICING_ERROR: expenses.${key} must be a non-negative number`);
+    }
+    if (key.endsWith('_pct_premium') || key === 'claim_pct') {
+      if (val >= 1) throw new Error(`PRICING_ERROR: expenses.${key} is a fraction and must be < 1`);
+    }
+    out[key] = val;
+  }
+  return out;
+}
+
+function validateTerm(value, name, issueAge, table) {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`PRICING_ERROR: ${name} must be a positive integer`);
+  }
+  if (issueAge + value > table.max_age + 1) {
+    throw new Error(`PRICING_ERROR: issue_age + ${name} runs past the closing age ${table.max_age} of table '${table.id}'`);
+  }
+}
+
+/**
+ * Price a single life contract against a life table.
+ *
+ * @param {{ pricing: {
+ *   product: string,
+ *   issue_age: number,
+ *   sex?: string,
+ *   term_years?: number,
+ *   premium_term_years?: number,
+ *   premium_mode?: 'annual'|'single',
+ *   sum_assured?: number,
+ *   annual_payment?: number,
+ *   interest?: { rate?: number, curve?: { from_year: number, rate: number }[] },
+ *   expenses?: Object,
+ * } }} params
+ * @param {{ id: string, version?: string, start_age: number, max_age: number, qx: Object }} table
+ * @returns {Object} — commutation columns, unit APVs, net and gross premiums
+ */
+function runPricingAssessment({ pricing }, table) {
+  if (!pricing || typeof pricing !== 'object') {
+    throw new Error('PRICING_ERROR: pricing { product, issue_age, ... } is required');
+  }
+  const { product, issue_age, sex, term_years, interest } = pricing;
+  const spec = PRODUCTS[product];
+  if (!spec) {
+    throw new Error(`PRICING_ERROR: product '${product}' is not supported. Products: ${Object.keys(PRODUCTS).join(', ')}`);
+  }
+  if (!Number.isInteger(issue_age) || issue_age < table.start_age || issue_age > table.max_age) {
+    throw new Error(`PRICING_ERROR: issue_age must be an integer in [${table.start_age}, ${table.max_age}] for table '${table.id}'`);
+  }
+  if (spec.needsTerm || term_years !== undefined) validateTerm(term_years, 'term_years', issue_age, table);
+
+  const isAnnuity = product.startsWith('annuity_');
+  const benefitAmount = isAnnuity ? pricing.annual_payment : pricing.sum_assured;
+  const benefitField = isAnnuity ? 'annual_payment' : 'sum_assured';
+  if (typeof benefitAmount !== 'number' || !(benefitAmount > 0)) {
+    throw new Error(`PRICING_ERROR: ${benefitField} must be a positive number for product '${product}'`);
+  }
+
+  const premium_mode = pricing.premium_mode ?? spec.premium_mode;
+  if (premium_mode !== 'annual' && premium_mode !== 'single') {
+    throw new Error(`PRICING_ERROR: premium_mode must be 'annual' or 'single'`);
+  }
+  const premium_term_years = premium_mode === 'single' ? null : (pricing.premium_term_years ?? term_years ?? null);
+  if (premium_term_years != null) validateTerm(premium_term_years, 'premium_term_years', issue_age, table);
+  if (premium_term_years != null && term_years != null && premium_term_years > term_years) {
+    throw new Error('PRICING_ERROR: premium_term_years cannot exceed term_years');
+  }
+
+  const expenses = validateExpenses(pricing.expenses);
+  const discount = discountFunction(interest);
+  const rows = buildLifeTable(selectQx(table, sex), table.start_age);
+  const cols = commutationColumns(rows, issue_age, discount.v);
+  const n = term_years ?? null;
+
+  // Unit APVs
+  const benefitApv = spec.benefit(cols, n ?? undefined);
+  const policyAnnuity = apv.annuityDue(cols, n ?? undefined);
+  const premiumAnnuity = premium_mode === 'single' ? 1 : apv.annuityDue(cols, premium_term_years ?? undefined);
+
+  // Net premium — benefits only
+  const pvBenefits = benefitAmount * benefitApv;
+  const netPremium = pvBenefits / premiumAnnuity;
+
+  // Gross premium — G·ä = S·A·(1+claim) + I + m·ä_policy + G·[r·ä + (i − r)]
+  const pvFixedExpenses = pvBenefits * expenses.claim_pct + expenses.initial_fixed + expenses.maintenance_per_annum * policyAnnuity;
+  const denominator = premium_mode === 'single'
+    ? 1 - expenses.initial_pct_premium
+    : premiumAnnuity * (1 - expenses.renewal_pct_premium) - (expenses.initial_pct_premium - expenses.renewal_pct_premium);
+  if (!(denominator > 0)) {
+    throw new Error('PRICING_ERROR: premium-related expense loadings absorb the entire premium — no gross premium exists');
+  }
+  const grossPremium = (pvBenefits + pvFixedExpenses) / denominator;
+
+  const lastDuration = n == null ? cols.length - 1 : Math.min(n, cols.length - 1);
+  return {
+    engine: 'life-contingencies-pricing',
+    life_table: { id: table.id, version: table.version ?? null, start_age: table.start_age, max_age: table.max_age },
+    product,
+    issue_age,
+    sex: sex ? String(sex).trim().toLowerCase() : 'unisex',
+    term_years: n,
+    premium_mode,
+    premium_term_years,
+    [benefitField]: benefitAmount,
+    interest: discount.describe,
+    expenses,
+    unit_values: {
+      benefit_apv:          round(benefitApv, 8),
+      whole_life_insurance: round(apv.wholeLife(cols), 8),
+      term_insurance:       n == null ? null : round(apv.termInsurance(cols, n), 8),
+      pure_endowment:       n == null ? null : round(apv.pureEndowment(cols, n), 8),
+      annuity_due:          round(policyAnnuity, 6),
+      annuity_immediate:    round(apv.annuityImmediate(cols, n ?? undefined), 6),
+      premium_annuity_due:  round(premiumAnnuity, 6),
+    },
+    pv_benefits: round(pvBenefits, 2),
+    net_premium: round(netPremium, 2),
+    gross_premium: round(grossPremium, 2),
+    commutation: cols.slice(0, lastDuration + 1).map(c => ({
+      duration: c.duration,
+      age: c.age,
+      D: round(c.D, 4),
+      N: round(c.N, 4),
+      C: round(c.C, 4),
+      M: round(c.M, 4),
+    })),
+  };
+}
+
+export { runPricingAssessment, PRODUCTS };
@@ -0,0 +1,191 @@
+// src/actuarial/projection.js
+// Seeded Monte Carlo projection — cohort deaths or claims over a horizon
+//
+// Returns percentile bands per projection year and for the horizon total,
+// plus a derived confidence the Satya gate checks the caller's declared
+// confidence against. The seed and simulation count are returned so the
+// ledger can reproduce the run exactly.
+
+import { createRng, randomSeed, binomial, poisson, negativeBinomial, severitySampler } from './random.js';
+import { buildLifeTable } from './mortality-engine.js';
+import { selectQx } from './life-tables.js';
+
+const DEFAULT_SIMULATIONS = 1000;
+const MAX_SIMULATIONS = 20000;
+const MAX_WORK = 5000000; // simulations × groups × years
+const DEFAULT_PERCENTILES = [0.05, 0.5, 0.95];
+
+function round(value, dp) {
+  const f = Math.pow(10, dp);
+  return Math.round(value * f) / f;
+}
+
+function quantile(sorted, p) {
+  const k = Math.min(sorted.length - 1, Math.max(0, Math.ceil(p * sorted.length) - 1));
+  return sorted[k];
+}
+
+function band(values, percentiles) {
+  const sorted = Float64Array.from(values).sort();
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const out = { mean: round(mean, 3) };
+  for (const p of percentiles) out[`p${round(p * 100, 1)}`] = round(quantile(sorted, p), 3);
+  return out;
+}
+
+/**
+ * Derived confidence — one minus the relative half-width of the central 90%
+ * band of the horizon total. A tight band around the mean gives a value near
+ * 1; a band as wide as the mean itself gives 0.
+ */
+function derivedConfidence(totals) {
+  const sorted = Float64Array.from(totals).sort();
+  const mean = totals.reduce((a, b) => a + b, 0) / totals.length;
+  if (!(mean > 0)) return 0;
+  const halfWidth = (quantile(sorted, 0.95) - quantile(sorted, 0.05)) / 2;
+  return round(Math.min(1, Math.max(0, 1 - halfWidth / mean)), 4);
+}
+
+// ---------------------------------------------------------------------------
+// Simulators — each returns annual[sim][year]
+// ---------------------------------------------------------------------------
+function simulateDeaths(rng, simulations, horizon, { cohort_structure }, table) {
+  if (!Array.isArray(cohort_structure) || cohort_structure.length === 0) {
+    throw new Error('PROJECTION_ERROR: deaths projection needs cohort_structure [{ age, sex, count }]');
+  }
+  if (simulations * cohort_structure.length * horizon > MAX_WORK) {
+    throw new Error(`PROJECTION_ERROR: simulations × groups × horizon exceeds ${MAX_WORK}`);
+  }
+  const tablesBySex = new Map();
+  const groups = cohort_structure.map((g, i) => {
+    if (!Number.isInteger(g?.age) || g.age < table.start_age || g.age > table.max_age) {
+      throw new Error(`PROJECTION_ERROR: cohort_structure[${i}].age must be an integer in [${table.start_age}, ${table.max_age}]`);
+    }
+    if (!Number.isInteger(g.count) || g.count < 1) {
+      throw new Error(`PROJECTION_ERROR: cohort_structure[${i}].count must be a positive integer for simulation`);
+    }
+    const sex = g.sex ? String(g.sex).trim().toLowerCase() : 'unisex';
+    if (!tablesBySex.has(sex)) tablesBySex.set(sex, buildLifeTable(selectQx(table, sex), table.start_age));
+    const rows = tablesBySex.get(sex);
+    const q = (t) => {
+      const i = g.age + t - table.start_age;
+      return i < rows.length ? rows[i].qx : 1;
+    };
+    return { count: g.count, q };
+  });
+
+  const annual = [];
+  for (let s = 0; s < simulations; s++) {
+    const years = new Array(horizon).fill(0);
+    for (const g of groups) {
+      let alive = g.count;
+      for (let t = 0; t < horizon && alive > 0; t++) {
+        const d = binomial(rng, alive, g.q(t));
+        years[t] += d;
+        alive -= d;
+      }
+    }
+    annual.push(years);
+  }
+  return annual;
+}
+
+function simulateClaims(rng, simulations, horizon, { claims }) {
+  if (!claims || typeof claims !== 'object') {
+    throw new Error('PROJECTION_ERROR: claims projection needs claims { exposure, frequency, severity }');
+  }
+  const { exposure, frequency = {} } = claims;
+  if (!(typeof exposure === 'number' && exposure > 0)) {
+    throw new Error('PROJECTION_ERROR: claims.exposure must be a positive number');
+  }
+  if (!(typeof frequency.mean === 'number' && frequency.mean >= 0)) {
+    throw new Error('PROJECTION_ERROR: claims.frequency.mean (claims per unit exposure per year) must be a non-negative number');
+  }
+  const lambda = frequency.mean * exposure;
+  if (simulations * horizon * Math.max(1, lambda) > MAX_WORK) {
+    throw new Error(`PROJECTION_ERROR: simulations × horizon × expected claims exceeds ${MAX_WORK}`);
+  }
+  let count;
+  if (frequency.type === 'poisson' || frequency.type === undefined) {
+    count = (r) => poisson(r, lambda);
+  } else if (frequency.type === 'negative_binomial' && frequency.size > 0) {
+    count = (r) => negativeBinomial(r, lambda, frequency.size);
+  } else {
+    throw new Error('PROJECTION_ERROR: claims.frequency.type must be poisson or negative_binomial (with size > 0)');
+  }
+  let severity;
+  try {
+    severity = severitySampler(claims.severity);
+  } catch (err) {
+    throw new Error(err.message.replace('RANDOM_ERROR', 'PROJECTION_ERROR'));
+  }
+
+  const annual = [];
+  for (let s = 0; s < simulations; s++) {
+    const years = new Array(horizon).fill(0);
+    for (let t = 0; t < horizon; t++) {
+      const n = count(rng);
+      for (let i = 0; i < n; i++) years[t] += severity(rng);
+    }
+    annual.push(years);
+  }
+  return annual;
+}
+
+const KINDS = {
+  deaths: simulateDeaths,
+  claims: simulateClaims,
+};
+
+/**
+ * Run a seeded Monte Carlo projection.
+ *
+ * @param {{ kind: 'deaths'|'claims', simulations?: number, seed?: number, percentiles?: number[],
+ *           horizon_years?: number, claims?: Object }} projection
+ * @param {{ cohort_structure?: Object[], horizon_years?: number }} body — the assessment request
+ * @param {Object|null} table — life table (deaths only)
+ * @returns {Object} — bands per year, horizon total band, derived_confidence, seed, simulations
+ */
+function runProjection(projection, body, table) {
+  const { kind = 'deaths' } = projection;
+  const simulate = KINDS[kind];
+  if (!simulate) throw new Error(`PROJECTION_ERROR: kind '${kind}' is not supported (deaths, claims)`);
+
+  const simulations = projection.simulations ?? DEFAULT_SIMULATIONS;
+  if (!Number.isInteger(simulations) || simulations < 100 || simulations > MAX_SIMULATIONS) {
+    throw new Error(`PROJECTION_ERROR: simulations must be an integer in [100, ${MAX_SIMULATIONS}]`);
+  }
+  const horizon = projection.horizon_years ?? body.horizon_years ?? 10;
+  if (!Number.isInteger(horizon) || horizon < 1 || horizon > 100) {
+    throw new Error('PROJECTION_ERROR: horizon_years must be an integer in [1, 100]');
+  }
+  const percentiles = projection.percentiles ?? DEFAULT_PERCENTILES;
+  if (!Array.isArray(percentiles) || percentiles.some(p => typeof p !== 'number' || p <= 0 || p >= 1)) {
+    throw new Error('PROJECTION_ERROR: percentiles must be numbers in (0, 1)');
+  }
+  const seed = projection.seed ?? randomSeed();
+  let rng;
+  try {
+    rng = createRng(seed);
+  } catch (err) {
+    throw new Error(err.message.replace('RANDOM_ERROR', 'PROJECTION_ERROR'));
+  }
+
+  const annual = simulate(rng, simulations, horizon, { ...body, claims: projection.claims }, table);
+  const totals = annual.map(years => years.reduce((a, b) => a + b, 0));
+
+  return {
+    engine: 'monte-carlo-projection',
+    kind,
+    seed,
+    simulations,
+    horizon_years: horizon,
+    life_table: kind === 'deaths' ? { id: table.id, version: table.version ?? null } : null,
+    bands: Array.from({ length: horizon }, (_, t) => ({ year: t + 1, ...band(annual.map(y => y[t]), percentiles) })),
+    total: band(totals, percentiles),
+    derived_confidence: derivedConfidence(totals),
+    confidence_method: 'one minus relative half-width of the central 90% band of the horizon total',
+  };
+}
+
+export { runProjection, derivedConfidence };
@@ -0,0 +1,134 @@
+// src/actuarial/random.js
+// Seedable PRNG and distribution samplers for stochastic engines
+//
+// Math.random() is never used: every stochastic result must be reproducible
+// from its seed, so the ledger can re-run it exactly.
+
+const MAX_SEED = 0xffffffff;
+
+/**
+ * mulberry32 — small, fast 32-bit generator. Not cryptographic; it only
+ * needs to be deterministic and well-distributed for Monte Carlo.
+ *
+ * @param {number} seed — unsigned 32-bit integer
+ * @returns {() => number} uniform in [0, 1)
+ */
+function createRng(seed) {
+  if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+    throw new Error(`RANDOM_ERROR: seed must be an integer in [0, ${MAX_SEED}]`);
+  }
+  let a = seed >>> 0;
+  return function next() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Fresh seed for callers that did not supply one — recorded alongside the result
+function randomSeed() {
+  return Math.floor(Math.random() * MAX_SEED);
+}
+
+// Uniform in (0, 1) — safe for log()
+function openUniform(rng) {
+  let u = rng();
+  while (u === 0) u = rng();
+  return u;
+}
+
+function standardNormal(rng) {
+  const u1 = openUniform(rng);
+  const u2 = rng();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+function poisson(rng, lambda) {
+  // Knuth for small means; normal approximation once it is accurate and Knuth is slow
+  if (lambda > 500) {
+    return Math.max(0, Math.round(lambda + Math.sqrt(lambda) * standardNormal(rng)));
+  }
+  const L = Math.exp(-lambda);
+  let k = 0;
+  let p = 1;
+  do {
+    k++;
+    p *= rng();
+  } while (p > L);
+  return k - 1;
+}
+
+// Exact Bernoulli sum for small n; normal approximation for large cohorts
+function binomial(rng, n, p) {
+  if (n <= 0 || p <= 0) return 0;
+  if (p >= 1) return n;
+  if (n > 1000) {
+    const mean = n * p;
+    const sd = Math.sqrt(n * p * (1 - p));
+    return Math.min(n, Math.max(0, Math.round(mean + sd * standardNormal(rng))));
+  }
+  let k = 0;
+  for (let i = 0; i < n; i++) if (rng() < p) k++;
+  return k;
+}
+
+// Marsaglia–Tsang
+function gamma(rng, shape, scale) {
+  if (shape < 1) {
+    return gamma(rng, shape + 1, scale) * Math.pow(openUniform(rng), 1 / shape);
+  }
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = standardNormal(rng);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = openUniform(rng);
+    if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) return d * v * scale;
+  }
+}
+
+// Negative binomial as a gamma–Poisson mixture (mean, size)
+function negativeBinomial(rng, mean, size) {
+  return poisson(rng, gamma(rng, size, mean / size));
+}
+
+const SEVERITY_SAMPLERS = {
+  lognormal:   (rng, { mu, sigma }) => Math.exp(mu + sigma * standardNormal(rng)),
+  pareto:      (rng, { alpha, theta }) => theta * (Math.pow(openUniform(rng), -1 / alpha) - 1),
+  exponential: (rng, { mean }) => -mean * Math.log(openUniform(rng)),
+  gamma:       (rng, { shape, scale }) => gamma(rng, shape, scale),
+};
+
+const SEVERITY_PARAMS = {
+  lognormal:   ['mu', 'sigma'],
+  pareto:      ['alpha', 'theta'],
+  exponential: ['mean'],
+  gamma:       ['shape', 'scale'],
+};
+
+/**
+ * Build a severity sampler from a spec like { type: 'lognormal', mu: 10, sigma: 1.2 }.
+ * @returns {(rng: () => number) => number}
+ */
+function severitySampler(spec = {}) {
+  const sampler = SEVERITY_SAMPLERS[spec.type];
+  if (!sampler) {
+    throw new Error(`RANDOM_ERROR: severity type '${spec.type}' is not supported. Types: ${Object.keys(SEVERITY_SAMPLERS).join(', ')}`);
+  }
+  for (const p of SEVERITY_PARAMS[spec.type]) {
+    const v = spec[p];
+    if (typeof v !== 'number' || !Number.isFinite(v) || (p !== 'mu' && v <= 0)) {
+      throw new Error(`RANDOM_ERROR: severity.${p} must be a ${p === 'mu' ? 'finite' : 'positive'} number for '${spec.type}'`);
+    }
+  }
+  return (rng) => sampler(rng, spec);
+}
+
+export { createRng, randomSeed, standardNormal, poisson, binomial, gamma, negativeBinomial, severitySampler, MAX_SEED };
@@ -0,0 +1,319 @@
+// src/actuarial/reinsurance-engine.js
+// Reinsurance treaty simulator — reinsurance_modelling scope
+//
+// Input is a set of simulated years, each a list of individual risk losses,
+// either supplied directly or generated from a seeded frequency/severity
+// model. Treaties apply in the order given: each one sees the loss retained
+// after the treaties before it. Per-risk treaties act on each loss; aggregate
+// stop-loss acts on the year's retained total and so must come last.
+
+import { createRng, randomSeed, poisson, negativeBinomial, severitySampler } from './random.js';
+
+const MAX_YEARS = 100000;
+const MAX_TOTAL_LOSSES = 5000000;
+const DEFAULT_YEARS = 10000;
+const DEFAULT_PERCENTILES = [0.95, 0.99, 0.995];
+
+const PER_RISK_TYPES = new Set(['quota_share', 'surplus', 'per_risk_xl']);
+const AGGREGATE_TYPES = new Set(['stop_loss']);
+
+function round(value, dp) {
+  const f = Math.pow(10, dp);
+  return Math.round(value * f) / f;
+}
+
+function requireNumber(value, where, { min = 0, max = Infinity, exclusiveMin = false } = {}) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || (exclusiveMin && value === min) || value > max) {
+    throw new Error(`REINSURANCE_ERROR: ${where} must be a number ${exclusiveMin ? '>' : '≥'} ${min}${max < Infinity ? ` and ≤ ${max}` : ''}`);
+  }
+  return value;
+}
+
+// ---------------------------------------------------------------------------
+// Treaty validation
+// ---------------------------------------------------------------------------
+function validateTreaties(treaties) {
+  if (!Array.isArray(treaties) || treaties.length === 0) {
+    throw new Error('REINSURANCE_ERROR: treaties must be a non-empty array');
+  }
+  let seenAggregate = false;
+  return treaties.map((t, i) => {
+    const where = `treaties[${i}]`;
+    const type = t?.type;
+    if (!PER_RISK_TYPES.has(type) && !AGGREGATE_TYPES.has(type)) {
+      throw new Error(`REINSURANCE_ERROR: ${where}.type '${type}' is not supported (quota_share, surplus, per_risk_xl, stop_loss)`);
+    }
+    if (PER_RISK_TYPES.has(type) && seenAggregate) {
+      throw new Error(`REINSURANCE_ERROR: ${where} is a per-risk treaty after an aggregate stop_loss — aggregate layers must come last`);
+    }
+    seenAggregate ||= AGGREGATE_TYPES.has(type);
+
+    const name = t.name ?? `${type}_${i + 1}`;
+    switch (type) {
+      case 'quota_share':
+        return { name, type, cession: requireNumber(t.cession, `${where}.cession`, { max: 1 }) };
+      case 'surplus':
+        return {
+          name,
+          type,
+          retention_line: requireNumber(t.retention_line, `${where}.retention_line`, { exclusiveMin: true }),
+          lines: requireNumber(t.lines, `${where}.lines`, { exclusiveMin: true }),
+        };
+      case 'per_risk_xl': {
+        const reinstatements = t.reinstatements ?? 0;
+        if (!Number.isInteger(reinstatements) || reinstatements < 0) {
+          throw new Error(`REINSURANCE_ERROR: ${where}.reinstatements must be a non-negative integer`);
+        }
+        return {
+          name,
+          type,
+          retention: requireNumber(t.retention, `${where}.retention`),
+          limit: requireNumber(t.limit, `${where}.limit`, { exclusiveMin: true }),
+          reinstatements,
+          premium: t.premium == null ? null : requireNumber(t.premium, `${where}.premium`),
+          reinstatement_premium_rate: requireNumber(t.reinstatement_premium_rate ?? 1, `${where}.reinstatement_premium_rate`),
+        };
+      }
+      case 'stop_loss':
+        return {
+          name,
+          type,
+          attachment: requireNumber(t.attachment, `${where}.attachment`),
+          limit: requireNumber(t.limit, `${where}.limit`, { exclusiveMin: true }),
+        };
+    }
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Loss input — supplied years or a seeded frequency/severity simulation
+// ---------------------------------------------------------------------------
+function normaliseLoss(loss, where) {
+  if (typeof loss === 'number') return { amount: requireNumber(loss, where), sum_insured: null };
+  return {
+    amount: requireNumber(loss?.amount, `${where}.amount`),
+    sum_insured: loss.sum_insured == null ? null : requireNumber(loss.sum_insured, `${where}.sum_insured`, { exclusiveMin: true }),
+  };
+}
+
+function suppliedYears(simulated_years) {
+  if (simulated_years.length === 0 || simulated_years.length > MAX_YEARS) {
+    throw new Error(`REINSURANCE_ERROR: simulated_years must contain 1 to ${MAX_YEARS} years`);
+  }
+  let total = 0;
+  return simulated_years.map((year, y) => {
+    if (!Array.isArray(year)) throw new Error(`REINSURANCE_ERROR: simulated_years[${y}] must be an array of losses`);
+    total += year.length;
+    if (total > MAX_TOTAL_LOSSES) throw new Error(`REINSURANCE_ERROR: more than ${MAX_TOTAL_LOSSES} losses supplied`);
+    return year.map((loss, i) => normaliseLoss(loss, `simulated_years[${y}][${i}]`));
+  });
+}
+
+function frequencySampler(spec = {}) {
+  const mean = requireNumber(spec.mean, 'distribution.frequency.mean', { max: 10000 });
+  if (spec.type === 'poisson') return (rng) => poisson(rng, mean);
+  if (spec.type === 'negative_binomial') {
+    const size = requireNumber(spec.size, 'distribution.frequency.size', { exclusiveMin: true });
+    return (rng) => negativeBinomial(rng, mean, size);
+  }
+  throw new Error(`REINSURANCE_ERROR: frequency type '${spec.type}' is not supported (poisson, negative_binomial)`);
+}
+
+function simulateYears(distribution) {
+  const years = distribution.years ?? DEFAULT_YEARS;
+  if (!Number.isInteger(years) || years < 1 || years > MAX_YEARS) {
+    throw new Error(`REINSURANCE_ERROR: distribution.years must be an integer in [1, ${MAX_YEARS}]`);
+  }
+  const seed = distribution.seed ?? randomSeed();
+  const rng = createRng(seed);
+  const frequency = frequencySampler(distribution.frequency);
+  let severity;
+  try {
+    severity = severitySampler(distribution.severity);
+  } catch (err) {
+    throw new Error(err.message.replace('RANDOM_ERROR', 'REINSURANCE_ERROR'));
+  }
+  const sum_insured = distribution.sum_insured == null
+    ? null
+    : requireNumber(distribution.sum_insured, 'distribution.sum_insured', { exclusiveMin: true });
+
+  let total = 0;
+  const out = [];
+  for (let y = 0; y < years; y++) {
+    const n = frequency(rng);
+    total += n;
+    if (total > MAX_TOTAL_LOSSES) {
+      throw new Error(`REINSURANCE_ERROR: simulation exceeds ${MAX_TOTAL_LOSSES} losses — reduce years or frequency`);
+    }
+    const losses = [];
+    for (let i = 0; i < n; i++) {
+      const amount = severity(rng);
+      losses.push({ amount: sum_insured ? Math.min(amount, sum_insured) : amount, sum_insured });
+    }
+    out.push(losses);
+  }
+  return { years: out, seed };
+}
+
+// ---------------------------------------------------------------------------
+// Statistics
+// ---------------------------------------------------------------------------
+function summarise(values, percentiles) {
+  const n = values.length;
+  let sum = 0;
+  for (const v of values) sum += v;
+  const mean = sum / n;
+  let ss = 0;
+  for (const v of values) ss += (v - mean) * (v - mean);
+  const variance = n > 1 ? ss / (n - 1) : 0;
+
+  const sorted = Float64Array.from(values).sort();
+  const tail = {};
+  for (const p of percentiles) {
+    const k = Math.min(n - 1, Math.max(0, Math.ceil(p * n) - 1));
+    const varP = sorted[k];
+    let tailSum = 0;
+    let tailN = 0;
+    for (let i = k; i < n; i++) {
+      tailSum += sorted[i];
+      tailN++;
+    }
+    tail[String(p)] = { var: round(varP, 2), tvar: round(tailSum / tailN, 2) };
+  }
+
+  return {
+    mean: round(mean, 2),
+    variance: round(variance, 2),
+    sd: round(Math.sqrt(variance), 2),
+    max: round(sorted[n - 1], 2),
+    tail,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Treaty application
+// ---------------------------------------------------------------------------
+
+/**
+ * Simulate a reinsurance programme over a set of loss years.
+ *
+ * @param {{ reinsurance: {
+ *   simulated_years?: (number|{ amount: number, sum_insured?: number })[][],
+ *   distribution?: { frequency: Object, severity: Object, sum_insured?: number, years?: number, seed?: number },
+ *   treaties: Object[],
+ *   percentiles?: number[],
+ * } }} params
+ * @returns {Object} — gross, per-layer ceded/retained, and net statistics
+ */
+function runReinsuranceAssessment({ reinsurance }) {
+  if (!reinsurance || typeof reinsurance !== 'object') {
+    throw new Error('REINSURANCE_ERROR: reinsurance { treaties, simulated_years | distribution } is required');
+  }
+  const treaties = validateTreaties(reinsurance.treaties);
+  const percentiles = reinsurance.percentiles ?? DEFAULT_PERCENTILES;
+  if (!Array.isArray(percentiles) || percentiles.some(p => typeof p !== 'number' || p <= 0 || p >= 1)) {
+    throw new Error('REINSURANCE_ERROR: percentiles must be numbers in (0, 1)');
+  }
+
+  let years;
+  let simulation = null;
+  if (Array.isArray(reinsurance.simulated_years)) {
+    years = suppliedYears(reinsurance.simulated_years);
+    simulation = { source: 'supplied', years: years.length };
+  } else if (reinsurance.distribution) {
+    const sim = simulateYears(reinsurance.distribution);
+    years = sim.years;
+    simulation = { source: 'simulated', years: years.length, seed: sim.seed };
+  } else {
+    throw new Error('REINSURANCE_ERROR: provide simulated_years or a distribution');
+  }
+
+  for (const t of treaties) {
+    if (t.type === 'surplus' && years.some(yr => yr.some(l => l.sum_insured == null))) {
+      throw new Error(`REINSURANCE_ERROR: surplus treaty '${t.name}' needs sum_insured on every loss`);
+    }
+  }
+
+  const Y = years.length;
+  const gross = new Float64Array(Y);
+  const ceded = treaties.map(() => new Float64Array(Y));
+  const retainedAfter = treaties.map(() => new Float64Array(Y));
+  const reinstatementsUsed = treaties.map(() => new Float64Array(Y));
+  const exhausted = treaties.map(() => 0);
+
+  years.forEach((losses, y) => {
+    const current = losses.map(l => l.amount);
+    gross[y] = current.reduce((a, b) => a + b, 0);
+    let aggregate = null; // set once the first aggregate treaty runs
+
+    treaties.forEach((t, k) => {
+      let yearCeded = 0;
+      if (t.type === 'quota_share') {
+        for (let i = 0; i < current.length; i++) {
+          const c = current[i] * t.cession;
+          current[i] -= c;
+          yearCeded += c;
+        }
+      } else if (t.type === 'surplus') {
+        for (let i = 0; i < current.length; i++) {
+          const si = losses[i].sum_insured;
+          const ratio = Math.min(t.lines * t.retention_line, Math.max(si - t.retention_line, 0)) / si;
+          const c = current[i] * ratio;
+          current[i] -= c;
+          yearCeded += c;
+        }
+      } else if (t.type === 'per_risk_xl') {
+        let capacity = t.limit * (1 + t.reinstatements);
+        for (let i = 0; i < current.length && capacity > 0; i++) {
+          const c = Math.min(Math.max(current[i] - t.retention, 0), t.limit, capacity);
+          current[i] -= c;
+          capacity -= c;
+          yearCeded += c;
+        }
+        if (capacity <= 0) exhausted[k]++;
+        reinstatementsUsed[k][y] = Math.min(yearCeded, t.limit * t.reinstatements) / t.limit;
+      } else if (t.type === 'stop_loss') {
+        if (aggregate === null) aggregate = current.reduce((a, b) => a + b, 0);
+        const c = Math.min(Math.max(aggregate - t.attachment, 0), t.limit);
+        aggregate -= c;
+        yearCeded = c;
+        if (c >= t.limit) exhausted[k]++;
+      }
+      ceded[k][y] = yearCeded;
+      retainedAfter[k][y] = aggregate ?? current.reduce((a, b) => a + b, 0);
+    });
+  });
+
+  const net = retainedAfter[treaties.length - 1];
+  const cededTotal = gross.map((g, y) => g - net[y]);
+
+  return {
+    engine: 'reinsurance-treaty-simulator',
+    simulation,
+    percentiles,
+    gross: summarise(gross, percentiles),
+    layers: treaties.map((t, k) => {
+      const layer = {
+        name: t.name,
+        terms: t,
+        ceded: summarise(ceded[k], percentiles),
+        retained_after: summarise(retainedAfter[k], percentiles),
+      };
+      if (t.type === 'per_risk_xl') {
+        const meanReinstated = reinstatementsUsed[k].reduce((a, b) => a + b, 0) / Y;
+        layer.reinstatements = {
+          expected_used: round(meanReinstated, 4),
+          expected_premium: t.premium == null ? null : round(meanReinstated * t.premium * t.reinstatement_premium_rate, 2),
+          exhaustion_probability: round(exhausted[k] / Y, 6),
+        };
+      } else if (t.type === 'stop_loss') {
+        layer.exhaustion_probability = round(exhausted[k] / Y, 6);
+      }
+      return layer;
+    }),
+    ceded_total: summarise(cededTotal, percentiles),
+    net: summarise(net, percentiles),
+  };
+}
+
+export { runReinsuranceAssessment };
@@ -0,0 +1,121 @@
+// src/actuarial/scope-engines.js
+// Maps a validated scope to the actuarial engine that computes it
+//
+// Engines only run after the Five Yamas gates pass. A scope without an
+// engine here still records its assessment, it just carries no numbers.
+
+import { runMortalityAssessment } from './mortality-engine.js';
+import { runPricingAssessment } from './pricing-engine.js';
+import { runReinsuranceAssessment } from './reinsurance-engine.js';
+import { runGlmAssessment } from './glm.js';
+import { runProjection } from './projection.js';
+import { getBuiltinLifeTable, DEFAULT_LIFE_TABLE } from './life-tables.js';
+import { applyEquityCoefficients } from '../../constitutional/equity-engine.js';
+import { getLifeTable } from '../../storage/actuary-store.js';
+
+// Registered tables (LT-…) first, then built-ins. Retired tables cannot be used.
+function resolveLifeTable(id = DEFAULT_LIFE_TABLE) {
+  const table = getLifeTable(id) ?? getBuiltinLifeTable(id);
+  if (!table) {
+    throw new Error(`MORTALITY_ERROR: life_table '${id}' is not a registered or built-in life table`);
+  }
+  if (table.status && table.status !== 'active') {
+    throw new Error(`MORTALITY_ERROR: life_table '${id}' is ${table.status}`);
+  }
+  return table;
+}
+
+// An assessment citing a registered table as model_version runs on that table
+function lifeTableFor(body) {
+  if (body.life_table) return body.life_table;
+  if (typeof body.model_version === 'string' && body.model_version.startsWith('LT-')) return body.model_version;
+  return DEFAULT_LIFE_TABLE;
+}
+
+const SCOPE_ENGINES = {
+  population_mortality:   (body) => runMortalityAssessment(body, resolveLifeTable(lifeTableFor(body))),
+  life_insurance_pricing: (body) => runPricingAssessment(body, resolveLifeTable(lifeTableFor(body))),
+  reinsurance_modelling:  (body) => runReinsuranceAssessment(body),
+  health_insurance_risk:  (body) => runGlmAssessment(body),
+};
+
+function hasScopeEngine(scope) {
+  return Object.prototype.hasOwnProperty.call(SCOPE_ENGINES, scope);
+}
+
+/**
+ * Run the engine registered for a scope.
+ * Throws on invalid engine input (message prefixed with the engine's error code).
+ *
+ * @param {string} scope
+ * @param {Object} body — the original request body
+ * @returns {Object|null} — engine result, or null when the scope has no engine yet
+ */
+function runScopeEngine(scope, body) {
+  if (!hasScopeEngine(scope)) return null;
+  return SCOPE_ENGINES[scope](body);
+}
+
+/**
+ * Run the optional Monte Carlo projection attached to an assessment
+ * (body.projection). Deaths projections use the same life table as the
+ * mortality engine.
+ *
+ * @param {Object} body — the original request body
+ * @returns {Object|null} — projection result, or null when none was requested
+ */
+function runAssessmentProjection(body) {
+  if (!body.projection) return null;
+  if (typeof body.projection !== 'object') {
+    throw new Error('PROJECTION_ERROR: projection must be an object');
+  }
+  const kind = body.projection.kind ?? 'deaths';
+  const table = kind === 'deaths' ? resolveLifeTable(lifeTableFor(body)) : null;
+  return runProjection(body.projection, body, table);
+}
+
+/**
+ * Base risk score for the equity engine (body.equity). An explicit
+ * base_risk_score wins; otherwise the mortality engine's horizon mortality
+ * rate is the cohort's risk.
+ *
+ * @param {{ base_risk_score?: number }} equity
+ * @param {Object|null} result — engine result for the assessment
+ * @returns {number} — in [0, 1]
+ */
+function equityBaseScore(equity, result) {
+  const score = equity.base_risk_score ?? result?.totals?.horizon_mortality_rate;
+  if (score === undefined) {
+    throw new Error('EQUITY_ERROR: equity.base_risk_score is required unless the scope engine yields a horizon mortality rate');
+  }
+  if (typeof score !== 'number' || score < 0 || score > 1) {
+    throw new Error('EQUITY_ERROR: equity.base_risk_score must be a number in [0, 1]');
+  }
+  return score;
+}
+
+/**
+ * The computation behind an assessment once its gates pass: the scope's
+ * engine, then the equity engine over its base score when body.equity names
+ * a condition. Shared by /api/v1/assess and the job worker (src/jobs/).
+ *
+ * @param {Object} body — the original request body
+ * @returns {{ result: Object|null, equity: Object|null }}
+ */
+function runAssessmentEngines(body) {
+  const result = runScopeEngine(body.scope, body);
+  let equity = null;
+  if (body.equity) {
+    const { condition, cohort = {} } = body.equity;
+    if (typeof condition !== 'string' || !condition) {
+      throw new Error('EQUITY_ERROR: equity.condition must name a condition key');
+    }
+    equity = applyEquityCoefficients(equityBaseScore(body.equity, result), cohort, condition);
+  }
+  return { result, equity };
+}
+
+export {
+  runScopeEngine, hasScopeEngine, resolveLifeTable, runAssessmentProjection, equityBaseScore,
+  runAssessmentEngines,
+};
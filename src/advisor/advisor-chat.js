@@ -5,7 +5,11 @@ import { callCerebras, regexGodExtract } from './llm-caller.js';
 import { AssessmentAccumulator } from './field-accumulator.js';
 import { explainGates } from './gate-explainer.js';
 import { runAllGates } from '../../constitutional/yamas-gates.js';
-import { generateConsentRecordId } from '../../constitutional/consent-protocol.js';
+import { generateConsentRecordId, consentWindow, normalisePermittedUses } from '../../constitutional/consent-protocol.js';
+import { getActiveConstitution } from '../../constitutional/constitution.js';
+import { listGates } from '../../constitutional/gate-registry.js';
+import { withGateRecords, upsertConsentRecord } from '../../storage/actuary-store.js';
+import { DEFAULT_LOCALE, localeName, translate } from '../i18n/catalogue.js';
 
 const sessions = new Map();
 
@@ -37,7 +41,7 @@ Scope mapping:
 
 Only output tags for information PRESENT in the message.`;
 
-function buildSystemPrompt(acc, completeness, gateResult, explanations) {
+function buildSystemPrompt(acc, completeness, gateResult, explanations, locale) {
   const known = acc.toSummary() || '  (none yet)';
   const missing = acc.getMissing();
 
@@ -67,7 +71,7 @@ CURRENT ISSUES:
 ${issues}
 
 CONSENT: ${acc.consentGenerated ? 'Generated' : 'Not yet generated'}
-${acc.needsEquityFlag() ? 'WARNING: Population > 10,000 — equity_flag required' : ''}
+${acc.needsEquityFlag() ? `WARNING: Population > ${getActiveConstitution().document.large_population_threshold.toLocaleString('en-NZ')} — equity_flag required` : ''}
 COMPLETENESS: ${completeness.score}% (${completeness.state})
 
 RULES:
@@ -77,7 +81,9 @@ RULES:
 4. If all required fields are set, offer to generate consent.
 5. If consent is generated and gates pass, recommend submitting.
 6. End each response with: <HINT>next most important thing</HINT>
-7. NEVER use markdown formatting. No asterisks, no hashes, no bullet points, no bold, no italics. Plain conversational sentences only.`;
+7. NEVER use markdown formatting. No asterisks, no hashes, no bullet points, no bold, no italics. Plain conversational sentences only.${
+  locale === DEFAULT_LOCALE ? '' : `
+8. Reply in ${localeName(locale)}, including the HINT. Keep field names, scope values and button labels as they are.`}`;
 }
 
 function scoreCompleteness(acc) {
@@ -104,7 +110,7 @@ function scoreCompleteness(acc) {
   return { score: pct, state, missing: acc.getMissing() };
 }
 
-async function handleAdvisorTurn(sessionId, message, history = []) {
+async function handleAdvisorTurn(sessionId, message, history = [], locale = DEFAULT_LOCALE) {
   if (!sessions.has(sessionId)) {
     sessions.set(sessionId, new AssessmentAccumulator());
   }
@@ -136,16 +142,17 @@ async function handleAdvisorTurn(sessionId, message, history = []) {
   if (extracted.STOP_SIGNAL === 'true') acc.stopSignalled = true;
 
   // Gate simulation (deterministic — no LLM needed)
-  // runAllGates returns { pass, constitutional_score, yamas: {ahimsa, satya, asteya, brahmacharya, aparigraha}, blocked_by }
+  // runAllGates returns { pass, constitutional_score, yamas: { <gate>: { score, pass, reason } }, blocked_by }
+  // with one entry per registered gate
   const ctx = acc.getFieldValues();
   let gateResult = null;
   let explanations = [];
   try {
-    gateResult = runAllGates(ctx);
+    gateResult = runAllGates(withGateRecords(ctx));
     acc.lastGateSimulation = gateResult;
-    // explainGates expects flat { ahimsa, satya, ... } — pull from yamas
+    // explainGates expects flat { <gate>: result } — pull from yamas
     const flatGates = gateResult.yamas || {};
-    explanations = explainGates(flatGates, ctx);
+    explanations = explainGates(flatGates, ctx, locale);
   } catch (e) {
     // Expected when required fields are missing (e.g. consent validation throws)
     console.error('[Advisor] Gate sim error (expected if fields missing):', e.message);
@@ -154,7 +161,7 @@ async function handleAdvisorTurn(sessionId, message, history = []) {
   const completeness = scoreCompleteness(acc);
 
   // Chat response via Cerebras
-  const systemPrompt = buildSystemPrompt(acc, completeness, gateResult, explanations);
+  const systemPrompt = buildSystemPrompt(acc, completeness, gateResult, explanations, locale);
   const chatResult = await callCerebras([
     { role: 'system', content: systemPrompt },
     ...history.slice(-8),
@@ -167,14 +174,14 @@ async function handleAdvisorTurn(sessionId, message, history = []) {
   if (chatResult.fallback || chatResult.error || !chatResult.content) {
     const missing = acc.getMissing();
     if (missing.length > 0) {
-      response = `Please provide: ${missing.slice(0, 2).join(', ')}.`;
-      hint = `Provide: ${missing[0]}`;
+      response = translate(locale, 'advisor.provide', { fields: missing.slice(0, 2) });
+      hint = translate(locale, 'advisor.provide_hint', { field: missing[0] });
     } else if (!acc.consentGenerated) {
-      response = `All fields gathered. Click "Generate Consent Record" to proceed.`;
-      hint = 'Generate consent record';
+      response = translate(locale, 'advisor.consent_ready');
+      hint = translate(locale, 'advisor.consent_hint');
     } else {
-      response = `Ready to submit. Click "Submit Assessment".`;
-      hint = 'Click Submit Assessment';
+      response = translate(locale, 'advisor.submit_ready');
+      hint = translate(locale, 'advisor.submit_hint');
     }
   } else {
     response = chatResult.content;
@@ -192,13 +199,13 @@ async function handleAdvisorTurn(sessionId, message, history = []) {
     gateSimulation = {
       pass: gateResult.pass,
       composite_score: gateResult.constitutional_score,
-      gates: {
-        ahimsa:       { score: y.ahimsa?.score,       pass: y.ahimsa?.pass },
-        satya:        { score: y.satya?.score,         pass: y.satya?.pass },
-        asteya:       { score: y.asteya?.score,        pass: y.asteya?.pass },
-        brahmacharya: { score: y.brahmacharya?.score,  pass: y.brahmacharya?.pass },
-        aparigraha:   { score: y.aparigraha?.score,    pass: y.aparigraha?.pass },
-      },
+      gates: Object.fromEntries(listGates().filter(g => y[g.name]).map(g => [g.name, {
+        label: g.label,
+        score: y[g.name].score,
+        pass: y[g.name].pass,
+        advisory: Boolean(y[g.name].advisory),
+        hard_block: g.hard_block,
+      }])),
     };
   }
 
@@ -208,6 +215,7 @@ async function handleAdvisorTurn(sessionId, message, history = []) {
     completeness,
     gateSimulation,
     explanations,
+    locale,
     fields: acc.getFieldValues(),
     consentGenerated: acc.consentGenerated,
     needsEquityFlag: acc.needsEquityFlag(),
@@ -225,14 +233,24 @@ async function handleConsentGeneration(sessionId) {
     return { error: 'Need cohort, scope, and clinician_id first' };
   }
 
+  let consent_record_id;
   try {
-    const consent_record_id = generateConsentRecordId({ cohort, scope, clinician_id });
-    acc.update('consent_record_id', consent_record_id, 'generated');
-    acc.consentGenerated = true;
-    return { consent_record_id, cohort, scope, clinician_id };
+    consent_record_id = generateConsentRecordId({ cohort, scope, clinician_id });
   } catch (e) {
     return { error: e.message };
   }
+
+  // Stored before the session sees it — Asteya blocks an id with no stored
+  // record, so a failed write must fail here rather than hand one out
+  const record = upsertConsentRecord({
+    consent_record_id, cohort, scope, clinician_id, ...consentWindow(), permitted_uses: normalisePermittedUses(),
+  });
+  if (record.status === 'revoked') {
+    return { error: `CONSENT_REVOKED: ${consent_record_id} was revoked and cannot be regenerated` };
+  }
+  acc.update('consent_record_id', consent_record_id, 'generated');
+  acc.consentGenerated = true;
+  return { consent_record_id, cohort, scope, clinician_id };
 }
 
 function clearSession(sessionId) {
@@ -1,6 +1,8 @@
 // src/advisor/field-accumulator.js
 // Accumulates assessment fields through conversation
 
+import { getActiveConstitution } from '../../constitutional/constitution.js';
+
 class AssessmentAccumulator {
   constructor() {
     this.fields = {
@@ -48,7 +50,8 @@ class AssessmentAccumulator {
   }
 
   needsEquityFlag() {
-    return (this.fields.population_size?.value || 0) > 10000 && !this.fields.equity_flag?.value;
+    const { large_population_threshold } = getActiveConstitution().document;
+    return (this.fields.population_size?.value || 0) > large_population_threshold && !this.fields.equity_flag?.value;
   }
 
   toSummary() {
@@ -0,0 +1,157 @@
+// src/advisor/remediation-solver.js
+// Counterfactual remediation — the smallest sets of field changes that would
+// make a blocked request pass, ranked, with the score each would reach
+
+import { runAllGates } from '../../constitutional/yamas-gates.js';
+import { getActiveConstitution } from '../../constitutional/constitution.js';
+import { effectiveConsentStatus } from '../../constitutional/consent-protocol.js';
+import { listGates } from '../../constitutional/gate-registry.js';
+import { withGateRecords } from '../../storage/actuary-store.js';
+import { DEFAULT_LOCALE, localiseText } from '../i18n/catalogue.js';
+
+const MAX_CHANGES = 3;       // largest set of remedies tried together
+const MAX_CANDIDATES = 16;   // remedies considered
+const MAX_VERDICTS = 200;    // runAllGates calls per request, baseline included
+const MAX_ALTERNATIVES = 5;
+
+// Remedies every registered gate proposes for a verdict. Keyed by what they
+// change, so two gates proposing the same change count once. Those needing
+// user input go to `manual` — there is no value to simulate them with
+function proposeRemedies(verdict, ctx, rules, into, manual) {
+  for (const gate of listGates()) {
+    const result = verdict.yamas[gate.name];
+    if (!result || result.advisory) continue; // advisory gates block nothing
+    for (const remedy of gate.remedies(result, ctx, rules)) {
+      const key = JSON.stringify([remedy.changes, Object.keys(remedy.assumes ?? {}), remedy.input]);
+      const target = remedy.input ? manual : into;
+      if (!target.has(key)) target.set(key, { ...remedy, gate: gate.name });
+    }
+  }
+}
+
+// The request after a set of remedies. A change of consent or model reloads
+// the stored records the gates check it against; then the records an outside
+// step would leave behind are put in their place. A consent record already in
+// force is judged as stored, and a revoked one stays revoked
+function applyRemedies(ctx, remedies) {
+  let next = { ...ctx };
+  const assumed = {};
+  for (const r of remedies) {
+    Object.assign(next, r.changes);
+    Object.assign(assumed, r.assumes);
+  }
+  if (next.consent_record_id !== ctx.consent_record_id || next.model_version !== ctx.model_version || !next.records) {
+    next = withGateRecords(next);
+  }
+  const records = { ...next.records };
+  const stored = records.consent_record ? effectiveConsentStatus(records.consent_record) : null;
+  if (assumed.consent_record && stored !== 'active' && stored !== 'revoked') {
+    records.consent_record = assumed.consent_record;
+  }
+  if (assumed.collective_approvals) records.collective_approvals = assumed.collective_approvals;
+  return { ...next, records };
+}
+
+// Two remedies that set the same field are alternatives, not a combination
+function conflicts(remedies) {
+  const fields = remedies.flatMap(r => Object.keys(r.changes));
+  return new Set(fields).size !== fields.length;
+}
+
+function* combinations(items, size, start = 0, prefix = []) {
+  if (prefix.length === size) {
+    yield prefix;
+    return;
+  }
+  for (let i = start; i < items.length; i++) {
+    yield* combinations(items, size, i + 1, [...prefix, items[i]]);
+  }
+}
+
+/**
+ * Search for minimal sets of remedies that turn a blocked verdict into a pass.
+ * Remedies come from each gate's remedies() on the original request, and on
+ * the request after each single remedy (so a fix that exposes a new
+ * requirement — a jurisdiction needing a legal basis — can be completed).
+ * A set is kept only if no smaller passing set is inside it. The search
+ * stops after MAX_VERDICTS verdicts (truncated: true). Actions are worded
+ * from the message catalogue for the locale.
+ *
+ * @param {Object} ctx — the simulated request context
+ * @param {Object} [verdict] — runAllGates(ctx), if already computed
+ * @param {string} [locale]
+ * @returns {{ needed: boolean, found: boolean, searched: number, truncated: boolean,
+ *   alternatives: Object[], manual_actions: Object[] }}
+ */
+function solveRemediation(ctx, verdict = null, locale = DEFAULT_LOCALE) {
+  const constitution = getActiveConstitution();
+  const rules = constitution.document;
+  let verdicts = 0;
+  const judge = (next) => {
+    verdicts++;
+    return runAllGates(next, constitution);
+  };
+  const baseline = verdict ?? judge(ctx);
+  if (baseline.pass) {
+    return { needed: false, found: true, searched: 0, truncated: false, alternatives: [], manual_actions: [] };
+  }
+
+  const proposed = new Map();
+  const manual = new Map();
+  proposeRemedies(baseline, ctx, rules, proposed, manual);
+  for (const remedy of [...proposed.values()]) {
+    if (verdicts >= MAX_VERDICTS) break;
+    const next = applyRemedies(ctx, [remedy]);
+    proposeRemedies(judge(next), next, rules, proposed, manual);
+  }
+  const candidates = [...proposed.values()].slice(0, MAX_CANDIDATES);
+
+  const solutions = [];
+  let searched = 0;
+  let truncated = false;
+  for (let size = 1; size <= Math.min(MAX_CHANGES, candidates.length) && !truncated; size++) {
+    for (const combo of combinations(candidates, size)) {
+      if (conflicts(combo)) continue;
+      if (solutions.some(s => s.remedies.every(r => combo.includes(r)))) continue;
+      if (verdicts >= MAX_VERDICTS) {
+        truncated = true;
+        break;
+      }
+      const result = judge(applyRemedies(ctx, combo));
+      searched++;
+      if (result.pass) {
+        solutions.push({ remedies: combo, constitutional_score: result.constitutional_score });
+      }
+    }
+  }
+
+  // Fewest changes first; among equals, prefer no outside steps, then the higher score
+  const outside = s => s.remedies.filter(r => r.requires || r.assumes).length;
+  solutions.sort((a, b) =>
+    a.remedies.length - b.remedies.length ||
+    outside(a) - outside(b) ||
+    b.constitutional_score - a.constitutional_score);
+
+  return {
+    needed: true,
+    found: solutions.length > 0,
+    searched,
+    truncated,
+    alternatives: solutions.slice(0, MAX_ALTERNATIVES).map((s, i) => ({
+      rank: i + 1,
+      changes: Object.assign({}, ...s.remedies.map(r => r.changes)),
+      steps: s.remedies.map(({ gate, action, requires, assumes }) => ({
+        gate,
+        action: localiseText(action, locale),
+        ...(requires && { requires: localiseText(requires, locale) }),
+        ...(assumes && { assumes: Object.keys(assumes) }),
+      })),
+      constitutional_score: s.constitutional_score,
+    })),
+    manual_actions: [...manual.values()].map(({ gate, action, input }) => ({
+      gate, action: localiseText(action, locale), input,
+    })),
+  };
+}
+
+export { solveRemediation };
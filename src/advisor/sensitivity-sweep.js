@@ -0,0 +1,194 @@
+// src/advisor/sensitivity-sweep.js
+// Constitutional score sensitivity — sweep numeric and enum inputs over a grid,
+// report the pass/fail surface, each field's effect on the score, and where
+// the verdict flips
+
+import { runAllGates } from '../../constitutional/yamas-gates.js';
+import { getActiveConstitution } from '../../constitutional/constitution.js';
+
+// Sweepable fields, with the value a gate assumes when the field is absent
+const FIELDS = {
+  confidence:      { kind: 'number',  fallback: 0,         min: 0, max: 1 },
+  model_count:     { kind: 'integer', fallback: 1,         min: 0, max: 100 },
+  population_size: { kind: 'integer', fallback: 0,         min: 0, max: 1e9 },
+  patient_facing:  { kind: 'boolean', fallback: false },
+  data_quality:    { kind: 'enum',    fallback: 'unknown', values: ['unknown', 'poor', 'good', 'high', 'excellent'] },
+};
+
+const MAX_VALUES_PER_FIELD = 50;
+const MAX_GRID_POINTS = 5000;
+const CONFIDENCE_RESOLUTION = 0.001;
+
+const round = (x, dp = 3) => Math.round(x * 10 ** dp) / 10 ** dp;
+
+/**
+ * A range is either a list of values or { min, max, step } for numeric
+ * fields. patient_facing and data_quality may be given as `true` to sweep
+ * every value.
+ */
+function expandRange(field, range) {
+  const spec = FIELDS[field];
+  let values;
+  if (Array.isArray(range)) {
+    values = range;
+  } else if (range === true && spec.kind === 'boolean') {
+    values = [false, true];
+  } else if (range === true && spec.kind === 'enum') {
+    values = spec.values;
+  } else if (range && typeof range === 'object' && spec.kind !== 'boolean' && spec.kind !== 'enum') {
+    const { min, max, step } = range;
+    if (![min, max, step].every(Number.isFinite) || step <= 0 || min > max) {
+      throw new Error(`SENSITIVITY_ERROR: ranges.${field} must be { min, max, step } with step > 0 and min <= max`);
+    }
+    const count = Math.floor((max - min) / step + 1e-9) + 1;
+    if (count > MAX_VALUES_PER_FIELD) {
+      throw new Error(`SENSITIVITY_ERROR: ranges.${field} gives ${count} values (max ${MAX_VALUES_PER_FIELD}) — use a coarser step`);
+    }
+    values = [];
+    for (let i = 0; i < count; i++) {
+      values.push(spec.kind === 'integer' ? Math.round(min + i * step) : round(min + i * step, 6));
+    }
+  } else {
+    throw new Error(`SENSITIVITY_ERROR: ranges.${field} must be a list of values` +
+      (spec.kind === 'boolean' || spec.kind === 'enum' ? ' or true' : ' or { min, max, step }'));
+  }
+
+  if (values.length === 0 || values.length > MAX_VALUES_PER_FIELD) {
+    throw new Error(`SENSITIVITY_ERROR: ranges.${field} must give 1-${MAX_VALUES_PER_FIELD} values`);
+  }
+  for (const v of values) {
+    const ok = spec.kind === 'boolean' ? typeof v === 'boolean'
+      : spec.kind === 'enum' ? spec.values.includes(v)
+      : spec.kind === 'integer' ? Number.isInteger(v) && v >= spec.min && v <= spec.max
+      : typeof v === 'number' && v >= spec.min && v <= spec.max;
+    if (!ok) {
+      throw new Error(`SENSITIVITY_ERROR: ranges.${field} value ${JSON.stringify(v)} is out of range` +
+        (spec.kind === 'enum' ? ` (known: ${spec.values.join(', ')})` : ''));
+    }
+  }
+  return [...new Set(values)].sort((a, b) => (spec.kind === 'enum'
+    ? spec.values.indexOf(a) - spec.values.indexOf(b)
+    : Number(a) - Number(b)));
+}
+
+function* grid(fields, valuesByField, i = 0, point = {}) {
+  if (i === fields.length) {
+    yield { ...point };
+    return;
+  }
+  for (const v of valuesByField[fields[i]]) {
+    point[fields[i]] = v;
+    yield* grid(fields, valuesByField, i + 1, point);
+  }
+}
+
+/**
+ * Narrow a flip between two numeric values to the first value on the far
+ * side (integers exactly; confidence to CONFIDENCE_RESOLUTION). Assumes the
+ * verdict does not flip back inside the interval.
+ */
+function refineFlip(evaluate, field, lo, hi, loPass) {
+  const integer = FIELDS[field].kind === 'integer';
+  const done = () => (integer ? hi - lo <= 1 : hi - lo <= CONFIDENCE_RESOLUTION);
+  while (!done()) {
+    const mid = integer ? Math.floor((lo + hi) / 2) : (lo + hi) / 2;
+    if (evaluate({ [field]: mid }).pass === loPass) lo = mid;
+    else hi = mid;
+  }
+  return integer ? hi : round(hi);
+}
+
+/**
+ * Evaluate the gates over the grid of swept values around a base context.
+ *
+ * @param {Object} base — request context held fixed except for swept fields
+ * @param {Object} ranges — { field: values | { min, max, step } | true }
+ * @returns {Object} — base verdict, surface, partial effects and boundaries
+ */
+function sweepSensitivity(base = {}, ranges = {}) {
+  if (!ranges || typeof ranges !== 'object' || Array.isArray(ranges)) {
+    throw new Error('SENSITIVITY_ERROR: ranges must be an object keyed by field');
+  }
+  const fields = Object.keys(ranges);
+  const unknown = fields.filter(f => !FIELDS[f]);
+  if (unknown.length) {
+    throw new Error(`SENSITIVITY_ERROR: cannot sweep ${unknown.join(', ')} (sweepable: ${Object.keys(FIELDS).join(', ')})`);
+  }
+  if (fields.length === 0) {
+    throw new Error(`SENSITIVITY_ERROR: give a range for at least one of ${Object.keys(FIELDS).join(', ')}`);
+  }
+  const valuesByField = Object.fromEntries(fields.map(f => [f, expandRange(f, ranges[f])]));
+  const points = fields.reduce((n, f) => n * valuesByField[f].length, 1);
+  if (points > MAX_GRID_POINTS) {
+    throw new Error(`SENSITIVITY_ERROR: grid has ${points} points (max ${MAX_GRID_POINTS}) — narrow a range or coarsen a step`);
+  }
+
+  const constitution = getActiveConstitution();
+  const threshold = constitution.document.pass_threshold;
+  const evaluate = (changes) => {
+    const v = runAllGates({ ...base, ...changes }, constitution);
+    return { pass: v.pass, constitutional_score: v.constitutional_score, blocked_by: v.blocked_by };
+  };
+
+  const baseVerdict = evaluate({});
+  const baseValues = Object.fromEntries(fields.map(f => [f, base[f] ?? FIELDS[f].fallback]));
+
+  // Full grid — the pass/fail surface
+  const surface = [];
+  for (const point of grid(fields, valuesByField)) {
+    const { pass, constitutional_score } = evaluate(point);
+    surface.push({ values: point, pass, constitutional_score });
+  }
+
+  // One field at a time (others at base), plus its mean effect across the grid
+  const partial_effects = fields.map((field) => {
+    const values = valuesByField[field].map((value) => {
+      const at = evaluate({ [field]: value });
+      const slice = surface.filter(p => p.values[field] === value);
+      return {
+        value,
+        constitutional_score: at.constitutional_score,
+        pass: at.pass,
+        grid_mean_score: round(slice.reduce((s, p) => s + p.constitutional_score, 0) / slice.length),
+        grid_pass_rate: round(slice.filter(p => p.pass).length / slice.length),
+      };
+    });
+    const scores = values.map(v => v.constitutional_score);
+    return { field, base_value: baseValues[field], score_range: round(Math.max(...scores) - Math.min(...scores)), values };
+  }).sort((a, b) => b.score_range - a.score_range);
+
+  // Where the verdict flips along each field, with numeric flips narrowed down
+  const boundaries = [];
+  for (const { field, values } of partial_effects) {
+    for (let i = 1; i < values.length; i++) {
+      const [a, b] = [values[i - 1], values[i]];
+      if (a.pass === b.pass) continue;
+      const numeric = FIELDS[field].kind === 'number' || FIELDS[field].kind === 'integer';
+      boundaries.push({
+        field,
+        between: [a.value, b.value],
+        flips_to: b.pass ? 'pass' : 'block',
+        ...(numeric && { flips_at: refineFlip(evaluate, field, a.value, b.value, a.pass) }),
+        blocked_by: (b.pass ? evaluate({ [field]: a.value }) : evaluate({ [field]: b.value })).blocked_by,
+      });
+    }
+  }
+
+  return {
+    threshold,
+    base: {
+      values: baseValues,
+      pass: baseVerdict.pass,
+      constitutional_score: baseVerdict.constitutional_score,
+      margin: round(baseVerdict.constitutional_score - threshold),
+      blocked_by: baseVerdict.blocked_by,
+    },
+    grid_points: surface.length,
+    pass_rate: round(surface.filter(p => p.pass).length / surface.length),
+    surface,
+    partial_effects,
+    boundaries,
+  };
+}
+
+export { sweepSensitivity };
@@ -0,0 +1,242 @@
+// src/analytics/log-analytics.js
+// Constitutional log analytics — block rates by time bucket, endpoint and
+// gate, the score distribution, the commonest violation codes and the
+// consents blocked again and again. Memory is bounded whatever the window:
+// scores are counted into fixed bins, not kept
+
+const BUCKETS = {
+  hour:  ts => `${ts.slice(0, 13)}:00`,
+  day:   ts => ts.slice(0, 10),
+  week:  ts => weekStart(ts),
+  month: ts => ts.slice(0, 7),
+};
+
+const MAX_BUCKETS = 1000;
+const MAX_TOP = 100;
+const HISTOGRAM_BINS = 10;
+const QUANTILE_BINS = 1000;   // percentiles to the nearest 0.001
+const PERCENTILES = [0.05, 0.1, 0.25, 0.5, 0.75, 0.9, 0.95];
+const DEFAULT_WINDOW_DAYS = 30;
+const MAX_WINDOW_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A verdict that failed no gate but scored under the pass threshold
+const BELOW_THRESHOLD = 'BELOW_PASS_THRESHOLD';
+
+const round = (x, dp = 3) => Math.round(x * 10 ** dp) / 10 ** dp;
+const rate = (n, of) => (of ? round(n / of) : null);
+
+// Monday of the ISO week containing a SQLite timestamp
+function weekStart(ts) {
+  const d = new Date(`${ts.slice(0, 10)}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+const clampScore = score => Math.min(1, Math.max(0, score));
+
+// The p-quantile of the scores counted into bins — the bin holding the
+// ceil(p·n)-th smallest score
+function quantile(bins, count, p) {
+  const rank = Math.max(1, Math.ceil(p * count));
+  let seen = 0;
+  for (let k = 0; k < bins.length; k++) {
+    seen += bins[k];
+    if (seen >= rank) return k / QUANTILE_BINS;
+  }
+  return 1;
+}
+
+const fromSqlite = ts => new Date(`${ts.replace(' ', 'T')}Z`);
+const toSqlite = d => d.toISOString().replace('T', ' ').slice(0, 19);
+
+/**
+ * The window to analyse: to defaults to now, from to DEFAULT_WINDOW_DAYS
+ * before to. No window may exceed MAX_WINDOW_DAYS.
+ *
+ * @param {{ from?: string, to?: string }} bounds — SQLite timestamps
+ * @param {Date} [now]
+ * @returns {{ from: string, to: string }}
+ */
+function analyticsWindow({ from, to } = {}, now = new Date()) {
+  const end = to ? fromSqlite(to) : now;
+  const start = from ? fromSqlite(from) : new Date(end.getTime() - DEFAULT_WINDOW_DAYS * DAY_MS);
+  if (start > end) throw new Error('ANALYTICS_ERROR: from must not be after to');
+  if (end - start > MAX_WINDOW_DAYS * DAY_MS) {
+    throw new Error(`ANALYTICS_ERROR: from/to span more than ${MAX_WINDOW_DAYS} days — analyse a narrower window`);
+  }
+  return { from: toSqlite(start), to: toSqlite(end) };
+}
+
+// Codes a verdict was blocked for, with the gate behind each. Verdicts logged
+// before gates returned findings fall back to the reason's code prefix
+function violationCodes(entry) {
+  const codes = [];
+  for (const [gate, result] of Object.entries(entry.yamas)) {
+    if (!result || result.pass !== false) continue;
+    const blocking = (result.findings ?? []).filter(f => f.severity === 'block');
+    if (blocking.length) {
+      for (const f of blocking) codes.push({ gate, code: f.code });
+    } else {
+      codes.push({ gate, code: String(result.reason ?? 'UNKNOWN').split(':')[0] });
+    }
+  }
+  if (!entry.pass && codes.length === 0) codes.push({ gate: null, code: BELOW_THRESHOLD });
+  return codes;
+}
+
+function tally(map, key, init) {
+  if (!map.has(key)) map.set(key, init());
+  return map.get(key);
+}
+
+const newGroup = () => ({ verdicts: 0, blocked: 0, score_total: 0, scored: 0, gates: new Map() });
+
+function addToGroup(group, entry) {
+  group.verdicts++;
+  if (!entry.pass) group.blocked++;
+  if (typeof entry.constitutional_score === 'number') {
+    group.score_total += entry.constitutional_score;
+    group.scored++;
+  }
+  for (const [gate, result] of Object.entries(entry.yamas)) {
+    if (!result) continue;
+    const g = tally(group.gates, gate, () => ({ evaluated: 0, blocked: 0, score_total: 0 }));
+    g.evaluated++;
+    if (result.pass === false) g.blocked++;
+    if (typeof result.score === 'number') g.score_total += result.score;
+  }
+}
+
+function gateRows(gates) {
+  return [...gates].map(([gate, g]) => ({
+    gate,
+    evaluated: g.evaluated,
+    blocked: g.blocked,
+    block_rate: rate(g.blocked, g.evaluated),
+    mean_score: g.evaluated ? round(g.score_total / g.evaluated) : null,
+  })).sort((a, b) => b.blocked - a.blocked || a.gate.localeCompare(b.gate));
+}
+
+function groupSummary(group) {
+  return {
+    verdicts: group.verdicts,
+    blocked: group.blocked,
+    block_rate: rate(group.blocked, group.verdicts),
+    mean_score: group.scored ? round(group.score_total / group.scored) : null,
+  };
+}
+
+/**
+ * Aggregate constitutional log entries (iterateConstitutionalLog in
+ * storage/actuary-store.js).
+ *
+ * @param {Iterable<Object>} entries — log entries, oldest first
+ * @param {Object} [options]
+ * @param {string} [options.bucket='day'] — hour | day | week | month
+ * @param {number} [options.top=10] — length of the violation and repeat-consent lists
+ * @param {number} [options.min_blocks=2] — blocks for a consent to count as repeat-blocked
+ * @returns {Object} — totals, by_bucket, by_endpoint, gates, scores, violations, repeat_blocked_consents
+ */
+function analyseConstitutionalLog(entries, { bucket = 'day', top = 10, min_blocks = 2 } = {}) {
+  const bucketOf = BUCKETS[bucket];
+  if (!bucketOf) {
+    throw new Error(`ANALYTICS_ERROR: bucket must be one of ${Object.keys(BUCKETS).join(', ')}`);
+  }
+  if (!Number.isInteger(top) || top < 1 || top > MAX_TOP) {
+    throw new Error(`ANALYTICS_ERROR: top must be an integer in [1, ${MAX_TOP}]`);
+  }
+  if (!Number.isInteger(min_blocks) || min_blocks < 1) {
+    throw new Error('ANALYTICS_ERROR: min_blocks must be a positive integer');
+  }
+
+  const overall = newGroup();
+  const buckets = new Map();
+  const endpoints = new Map();
+  const violations = new Map();
+  const consents = new Map();
+  const histogram = new Array(HISTOGRAM_BINS).fill(0);
+  const quantileBins = new Array(QUANTILE_BINS + 1).fill(0);
+  let scoreCount = 0;
+  let first_ts = null;
+  let last_ts = null;
+
+  for (const entry of entries) {
+    first_ts ??= entry.ts;
+    last_ts = entry.ts;
+    addToGroup(overall, entry);
+    const inBucket = tally(buckets, bucketOf(entry.ts), newGroup);
+    addToGroup(inBucket, entry);
+    if (buckets.size > MAX_BUCKETS) {
+      throw new Error(`ANALYTICS_ERROR: more than ${MAX_BUCKETS} ${bucket} buckets — use a coarser bucket or a narrower from/to`);
+    }
+    addToGroup(tally(endpoints, entry.endpoint, newGroup), entry);
+
+    if (typeof entry.constitutional_score === 'number') {
+      const score = clampScore(entry.constitutional_score);
+      scoreCount++;
+      histogram[Math.min(HISTOGRAM_BINS - 1, Math.floor(score * HISTOGRAM_BINS))]++;
+      quantileBins[Math.round(score * QUANTILE_BINS)]++;
+    }
+    if (entry.pass) continue;
+
+    for (const { gate, code } of violationCodes(entry)) {
+      const v = tally(violations, `${gate}|${code}`, () => ({ code, gate, count: 0, endpoints: new Map() }));
+      v.count++;
+      v.endpoints.set(entry.endpoint, (v.endpoints.get(entry.endpoint) ?? 0) + 1);
+    }
+    if (entry.consent_record_id) {
+      const c = tally(consents, entry.consent_record_id, () => ({
+        consent_record_id: entry.consent_record_id, blocked: 0, first_blocked_ts: entry.ts, last_blocked_ts: null, gates: new Set(),
+      }));
+      c.blocked++;
+      c.last_blocked_ts = entry.ts;
+      for (const [gate, result] of Object.entries(entry.yamas)) {
+        if (result?.pass === false) c.gates.add(gate);
+      }
+    }
+  }
+
+  return {
+    window: { first_ts, last_ts, bucket },
+    totals: groupSummary(overall),
+    by_bucket: [...buckets].map(([key, group]) => ({
+      bucket: key,
+      ...groupSummary(group),
+      blocked_by_gate: Object.fromEntries([...group.gates].filter(([, g]) => g.blocked).map(([gate, g]) => [gate, g.blocked])),
+    })),
+    by_endpoint: [...endpoints].map(([endpoint, group]) => ({
+      endpoint,
+      ...groupSummary(group),
+      gates: gateRows(group.gates),
+    })).sort((a, b) => b.verdicts - a.verdicts),
+    gates: gateRows(overall.gates),
+    scores: {
+      count: scoreCount,
+      mean: overall.scored ? round(overall.score_total / overall.scored) : null,
+      percentiles: scoreCount
+        ? Object.fromEntries(PERCENTILES.map(p => [`p${p * 100}`, round(quantile(quantileBins, scoreCount, p))]))
+        : null,
+      histogram: histogram.map((count, i) => ({
+        from: round(i / HISTOGRAM_BINS, 2),
+        to: round((i + 1) / HISTOGRAM_BINS, 2),
+        count,
+      })),
+    },
+    violations: [...violations.values()]
+      .sort((a, b) => b.count - a.count || a.code.localeCompare(b.code))
+      .slice(0, top)
+      .map(({ endpoints: byEndpoint, ...v }) => ({
+        ...v,
+        share_of_blocked: rate(v.count, overall.blocked),
+        endpoints: Object.fromEntries(byEndpoint),
+      })),
+    repeat_blocked_consents: [...consents.values()]
+      .filter(c => c.blocked >= min_blocks)
+      .sort((a, b) => b.blocked - a.blocked || b.last_blocked_ts.localeCompare(a.last_blocked_ts))
+      .slice(0, top)
+      .map(c => ({ ...c, gates: [...c.gates].sort() })),
+  };
+}
+
+export { analyseConstitutionalLog, analyticsWindow };
@@ -0,0 +1,215 @@
+// src/audit/audit-export.js
+// Regulator audit export — assessments, consent records and the
+// constitutional log for a date range or one consent, as CSV and/or JSON
+// Lines, with a manifest of file hashes signed by the Kaitiaki Ed25519 key.
+// Check a bundle with verify-bundle.js.
+//
+// Bundles are kept for a retention period; pruneAuditBundles removes older ones.
+//
+// Also a command:
+//   node src/audit/audit-export.js --out <dir> [--from <date>] [--to <date>]
+//     [--consent <consent_record_id>] [--format csv,jsonl]
+// (at least one of --from, --to, --consent)
+
+import { createHash, randomBytes } from 'crypto';
+import { closeSync, mkdirSync, openSync, readdirSync, readFileSync, rmSync, statSync, writeFileSync, writeSync } from 'fs';
+import { join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { kaitiakiSign, KAITIAKI_PUBLIC_KEY } from '../../kaitiaki/middleware.cjs';
+import { auditRows, sqliteTimestamp } from '../../storage/actuary-store.js';
+import { getActiveConstitution } from '../../constitutional/constitution.js';
+import { redactPayload } from '../privacy/pii-redaction.js';
+import { BUNDLE_FORMAT, MANIFEST_FILE, SIGNATURE_FILE } from './verify-bundle.js';
+
+const FORMATS = ['csv', 'jsonl'];
+const EXPORT_ID = /^AUDIT-[0-9a-f]{16}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Exported tables. Consent records hold only the clinician hash already;
+// assessment payloads lose their PII the same way the ledger API redacts them
+const DATASETS = [
+  {
+    name: 'assessments',
+    table: 'risk_assessments',
+    transform: (row) => {
+      if (!row.payload_json) return row;
+      const { payload } = redactPayload(JSON.parse(row.payload_json));
+      return { ...row, payload_json: JSON.stringify(payload) };
+    },
+  },
+  { name: 'consent_records', table: 'consent_records' },
+  { name: 'constitutional_log', table: 'constitutional_log' },
+];
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const s = String(value);
+  return /[",\r\n]|^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+const SERIALISERS = {
+  csv: {
+    header: columns => `${columns.map(csvField).join(',')}\r\n`,
+    row: (row, columns) => `${columns.map(c => csvField(row[c])).join(',')}\r\n`,
+  },
+  jsonl: {
+    header: () => '',
+    row: row => `${JSON.stringify(row)}\n`,
+  },
+};
+
+// Write one dataset in one format, hashing as it goes
+function writeDataset(dir, dataset, format, filters) {
+  const { columns, rows } = auditRows(dataset.table, filters);
+  const serialiser = SERIALISERS[format];
+  const name = `${dataset.name}.${format}`;
+  const hash = createHash('sha256');
+  const fd = openSync(join(dir, name), 'wx');
+  let bytes = 0;
+  let count = 0;
+  const write = (text) => {
+    const buf = Buffer.from(text, 'utf-8');
+    writeSync(fd, buf);
+    hash.update(buf);
+    bytes += buf.length;
+  };
+  try {
+    write(serialiser.header(columns));
+    for (const row of rows) {
+      write(serialiser.row(dataset.transform ? dataset.transform(row) : row, columns));
+      count++;
+    }
+  } finally {
+    closeSync(fd);
+  }
+  return { name, table: dataset.table, format, rows: count, bytes, sha256: hash.digest('hex') };
+}
+
+/**
+ * Write an audit bundle into a new directory.
+ *
+ * @param {string} parentDir — the bundle goes in <parentDir>/<export_id>/
+ * @param {Object} [options]
+ * @param {string} [options.from] — SQLite timestamp; rows at or after
+ * @param {string} [options.to] — SQLite timestamp; rows at or before
+ * @param {string} [options.consent_record_id] — only rows under this consent
+ * @param {string[]} [options.formats=['csv', 'jsonl']]
+ * @returns {{ export_id: string, dir: string, manifest: Object, signature: Object }}
+ */
+function exportAuditBundle(parentDir, { from, to, consent_record_id, formats = FORMATS } = {}) {
+  if (!Array.isArray(formats) || formats.length === 0 || formats.some(f => !FORMATS.includes(f))) {
+    throw new Error(`AUDIT_ERROR: formats must list one or more of ${FORMATS.join(', ')}`);
+  }
+  if (!from && !to && !consent_record_id) {
+    throw new Error('AUDIT_ERROR: give a date range (from and/or to) or a consent_record_id');
+  }
+  if (from && to && from > to) throw new Error('AUDIT_ERROR: from must not be after to');
+  // Checked before anything is written — kaitiakiSign would refuse at the end
+  if (!KAITIAKI_PUBLIC_KEY) throw new Error('AUDIT_ERROR: KAITIAKI_SIGNING_KEY is not set — a bundle cannot be signed');
+
+  const export_id = `AUDIT-${randomBytes(8).toString('hex')}`;
+  const dir = join(parentDir, export_id);
+  mkdirSync(dir, { recursive: true });
+
+  const filters = { from, to, consent_record_id };
+  const files = [];
+  for (const dataset of DATASETS) {
+    for (const format of [...new Set(formats)]) files.push(writeDataset(dir, dataset, format, filters));
+  }
+
+  const constitution = getActiveConstitution();
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    export_id,
+    created_ts: new Date().toISOString(),
+    filters: { from: from ?? null, to: to ?? null, consent_record_id: consent_record_id ?? null },
+    constitution_in_force: { constitution_id: constitution.constitution_id, content_hash: constitution.content_hash },
+    pii: 'clinician identities hashed; assessment payload PII redacted',
+    files,
+  };
+
+  // The signature covers the manifest's exact bytes, and the manifest covers every file
+  const manifestBytes = Buffer.from(`${JSON.stringify(manifest, null, 2)}\n`, 'utf-8');
+  writeFileSync(join(dir, MANIFEST_FILE), manifestBytes, { flag: 'wx' });
+  const signature = {
+    ...kaitiakiSign(manifestBytes),
+    signed_file: MANIFEST_FILE,
+    manifest_sha256: createHash('sha256').update(manifestBytes).digest('hex'),
+  };
+  writeFileSync(join(dir, SIGNATURE_FILE), `${JSON.stringify(signature, null, 2)}\n`, { flag: 'wx' });
+
+  return { export_id, dir, manifest, signature };
+}
+
+/**
+ * Remove bundles created more than maxAgeDays ago. Age is the manifest's
+ * created_ts, else the directory's mtime; only AUDIT-… directories are touched.
+ *
+ * @param {string} parentDir — where exportAuditBundle wrote them
+ * @param {Object} options
+ * @param {number} options.maxAgeDays
+ * @param {Date} [options.now]
+ * @returns {string[]} — the export IDs removed
+ */
+function pruneAuditBundles(parentDir, { maxAgeDays, now = new Date() }) {
+  if (!(maxAgeDays > 0)) throw new Error('AUDIT_ERROR: maxAgeDays must be a positive number');
+  const cutoff = now.getTime() - maxAgeDays * DAY_MS;
+  let entries;
+  try {
+    entries = readdirSync(parentDir, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const removed = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !EXPORT_ID.test(entry.name)) continue;
+    const dir = join(parentDir, entry.name);
+    let created;
+    try {
+      created = Date.parse(JSON.parse(readFileSync(join(dir, MANIFEST_FILE), 'utf-8')).created_ts);
+    } catch { /* no readable manifest — fall back to mtime */ }
+    if (!Number.isFinite(created)) created = statSync(dir).mtimeMs;
+    if (created < cutoff) {
+      rmSync(dir, { recursive: true, force: true });
+      removed.push(entry.name);
+    }
+  }
+  return removed;
+}
+
+// ---------------------------------------------------------------------------
+// Command line
+// ---------------------------------------------------------------------------
+function main() {
+  const { values } = parseArgs({
+    options: {
+      out: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      consent: { type: 'string' },
+      format: { type: 'string', default: FORMATS.join(',') },
+    },
+  });
+  if (!values.out) throw new Error('AUDIT_ERROR: --out <dir> is required');
+  const { export_id, dir, manifest } = exportAuditBundle(resolve(values.out), {
+    from: values.from ? sqliteTimestamp(values.from, '--from', { code: 'AUDIT_ERROR' }) : undefined,
+    to: values.to ? sqliteTimestamp(values.to, '--to', { end: true, code: 'AUDIT_ERROR' }) : undefined,
+    consent_record_id: values.consent,
+    formats: values.format.split(',').map(f => f.trim()).filter(Boolean),
+  });
+  console.log(`[audit-export] ${export_id} written to ${dir}`);
+  for (const f of manifest.files) console.log(`[audit-export]   ${f.name}  ${f.rows} rows  sha256 ${f.sha256.slice(0, 16)}…`);
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  try {
+    main();
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  }
+}
+
+export { exportAuditBundle, pruneAuditBundles, BUNDLE_FORMAT, MANIFEST_FILE, SIGNATURE_FILE, EXPORT_ID };
@@ -0,0 +1,159 @@
+// src/audit/verify-bundle.js
+// Audit bundle verification — standalone: needs only the bundle directory
+// and the Kaitiaki public key, obtained separately (GET /api/v1/kaitiaki/public-key),
+// not the database or a running server. Confirms the manifest signature, then
+// every file's size and SHA-256 against the manifest, and that nothing was added.
+// Without the key a bundle is never valid: the key it carries is whoever
+// re-signed it, so at most its signature is self-consistent.
+//
+// Also a command (exit status 0 only if the bundle verifies):
+//   node src/audit/verify-bundle.js <bundle dir> --public-key <hex>
+
+import { createHash } from 'crypto';
+import { readdirSync, readFileSync } from 'fs';
+import { basename, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import nacl from 'tweetnacl';
+
+// The bundle layout — defined here, not in audit-export.js, so verifying
+// loads no database, constitution or Kaitiaki middleware
+const BUNDLE_FORMAT = 'actuary-bot-audit-bundle/1';
+const MANIFEST_FILE = 'manifest.json';
+const SIGNATURE_FILE = 'manifest.sig.json';
+
+const HEX_KEY = /^[0-9a-f]{64}$/;
+const HEX_SIGNATURE = /^[0-9a-f]{128}$/;
+
+const sha256 = bytes => createHash('sha256').update(bytes).digest('hex');
+
+function readJson(dir, name, errors) {
+  try {
+    const bytes = readFileSync(join(dir, name));
+    return { bytes, json: JSON.parse(bytes.toString('utf-8')) };
+  } catch (err) {
+    errors.push(`${name}: cannot be read as JSON (${err.message})`);
+    return null;
+  }
+}
+
+/**
+ * @param {string} dir — the bundle directory
+ * @param {Object} [options]
+ * @param {string} [options.public_key] — expected signer (hex). Without it the
+ *   bundle is not valid; the signature is checked only against the key in
+ *   the bundle, for signature_self_consistent
+ * @returns {{ valid: boolean, export_id: string|null, public_key: string|null, key_pinned: boolean,
+ *   signature_self_consistent: boolean, files: Object[], errors: string[], warnings: string[] }}
+ */
+function verifyAuditBundle(dir, { public_key } = {}) {
+  const errors = [];
+  const warnings = [];
+  const pinned = public_key ? String(public_key).toLowerCase() : null;
+  let selfConsistent = false;
+  if (pinned && !HEX_KEY.test(pinned)) errors.push('public_key: must be 64 hex characters');
+  if (!pinned) {
+    warnings.push('no public key pinned — the bundle\'s own key proves nothing about who signed it; not valid');
+  }
+  const report = extra => ({
+    valid: errors.length === 0 && Boolean(pinned),
+    export_id: null,
+    public_key: null,
+    key_pinned: Boolean(pinned),
+    signature_self_consistent: selfConsistent,
+    files: [],
+    errors,
+    warnings,
+    ...extra,
+  });
+
+  const manifestFile = readJson(dir, MANIFEST_FILE, errors);
+  const signatureFile = readJson(dir, SIGNATURE_FILE, errors);
+  if (!manifestFile || !signatureFile) return report();
+  const manifest = manifestFile.json;
+  const sig = signatureFile.json;
+
+  // Signature over the manifest's exact bytes, by the key the bundle names —
+  // then that key must be the pinned one
+  const signer = String(sig.public_key ?? '').toLowerCase();
+  const signature = String(sig.signature ?? '').toLowerCase();
+  const wellFormed = errors.length;
+  if (sig.algorithm !== 'ed25519') errors.push(`${SIGNATURE_FILE}: algorithm must be ed25519`);
+  if (!HEX_KEY.test(signer)) errors.push(`${SIGNATURE_FILE}: public_key must be 64 hex characters`);
+  if (!HEX_SIGNATURE.test(signature)) errors.push(`${SIGNATURE_FILE}: signature must be 128 hex characters`);
+  if (errors.length === wellFormed) {
+    selfConsistent = nacl.sign.detached.verify(
+      new Uint8Array(manifestFile.bytes),
+      new Uint8Array(Buffer.from(signature, 'hex')),
+      new Uint8Array(Buffer.from(signer, 'hex')),
+    );
+    if (!selfConsistent) errors.push(`${MANIFEST_FILE}: signature does not verify — the manifest has been altered`);
+  }
+  if (pinned && HEX_KEY.test(pinned) && signer !== pinned) {
+    errors.push(`${SIGNATURE_FILE}: signed by ${signer.slice(0, 16)}…, not the expected key ${pinned.slice(0, 16)}…`);
+  }
+
+  // Every listed file as the manifest describes it, and no others
+  if (manifest.format !== BUNDLE_FORMAT) errors.push(`${MANIFEST_FILE}: format is not ${BUNDLE_FORMAT}`);
+  const listed = Array.isArray(manifest.files) ? manifest.files : [];
+  if (!Array.isArray(manifest.files)) errors.push(`${MANIFEST_FILE}: files must be a list`);
+  const files = listed.map((entry) => {
+    const name = String(entry?.name ?? '');
+    if (!name || basename(name) !== name || name === MANIFEST_FILE || name === SIGNATURE_FILE) {
+      errors.push(`${MANIFEST_FILE}: '${name}' is not a bundle file name`);
+      return { name, ok: false };
+    }
+    let bytes;
+    try {
+      bytes = readFileSync(join(dir, name));
+    } catch {
+      errors.push(`${name}: missing`);
+      return { name, ok: false };
+    }
+    const problems = [];
+    if (bytes.length !== entry.bytes) problems.push(`size ${bytes.length} ≠ ${entry.bytes}`);
+    if (sha256(bytes) !== entry.sha256) problems.push('SHA-256 does not match');
+    for (const p of problems) errors.push(`${name}: ${p} — the file has been altered`);
+    return { name, ok: problems.length === 0, rows: entry.rows, sha256: entry.sha256 };
+  });
+
+  const expected = new Set([MANIFEST_FILE, SIGNATURE_FILE, ...listed.map(f => f?.name)]);
+  for (const name of readdirSync(dir)) {
+    if (!expected.has(name)) errors.push(`${name}: not listed in the manifest`);
+  }
+
+  return report({ export_id: manifest.export_id ?? null, public_key: signer || null, files });
+}
+
+// ---------------------------------------------------------------------------
+// Command line
+// ---------------------------------------------------------------------------
+function main() {
+  const { values, positionals } = parseArgs({
+    options: { 'public-key': { type: 'string' } },
+    allowPositionals: true,
+  });
+  if (positionals.length !== 1) throw new Error('usage: verify-bundle.js <bundle dir> --public-key <hex>');
+  const result = verifyAuditBundle(resolve(positionals[0]), { public_key: values['public-key'] });
+
+  console.log(`[verify-bundle] ${result.export_id ?? positionals[0]}: ${result.valid ? 'VERIFIED' : 'NOT VERIFIED'}`);
+  for (const w of result.warnings) console.warn(`[verify-bundle] WARNING: ${w}`);
+  if (result.public_key) {
+    const state = result.key_pinned ? '' : ` (signature ${result.signature_self_consistent ? 'self-consistent' : 'inconsistent'}, signer unchecked)`;
+    console.log(`[verify-bundle] signer ${result.public_key}${state}`);
+  }
+  for (const f of result.files) console.log(`[verify-bundle]   ${f.ok ? 'ok  ' : 'FAIL'} ${f.name}`);
+  for (const e of result.errors) console.log(`[verify-bundle] ${e}`);
+  return result.valid;
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  try {
+    process.exitCode = main() ? 0 : 1;
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 2;
+  }
+}
+
+export { verifyAuditBundle, BUNDLE_FORMAT, MANIFEST_FILE, SIGNATURE_FILE };
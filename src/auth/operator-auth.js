@@ -0,0 +1,44 @@
+// src/auth/operator-auth.js
+// Operator authentication — routes that decide who may sign for the system
+// are open only to a bearer token provisioned for their role out of band
+// (environment, never an API). A role with no token configured is closed to
+// everyone.
+
+import { createHash, timingSafeEqual } from 'crypto';
+
+// Role → environment variable holding its bearer token
+const ROLE_TOKENS = {
+  admin:      'ACTUARY_ADMIN_TOKEN',       // SME reviewer, governance body, life table and GLM registries
+  governance: 'ACTUARY_GOVERNANCE_TOKEN',  // constitution amendments and their approvals
+  consent:    'ACTUARY_CONSENT_TOKEN',     // consent revocation, suspension and renewal
+  pii:        'PII_ACCESS_TOKEN',          // unredacted assessment payloads
+  audit:      'ACTUARY_AUDIT_TOKEN',       // constitutional log analytics and audit exports
+};
+
+function bearerToken(req) {
+  return /^Bearer (.+)$/.exec(req.get('authorization') ?? '')?.[1] ?? null;
+}
+
+/**
+ * Check a request's bearer token against the token configured for a role.
+ *
+ * @param {import('express').Request} req
+ * @param {string} role — a key of ROLE_TOKENS
+ * @returns {{ ok: true } | { ok: false, status: 401|403, error: string, message: string }}
+ */
+function authoriseOperator(req, role) {
+  const variable = ROLE_TOKENS[role];
+  if (!variable) throw new Error(`AUTH_ERROR: unknown operator role '${role}'`);
+  const expected = process.env[variable];
+  const presented = bearerToken(req);
+  if (!presented) {
+    return { ok: false, status: 401, error: 'OPERATOR_AUTH_REQUIRED', message: `this route needs the ${role} bearer token` };
+  }
+  const digest = value => createHash('sha256').update(value).digest();
+  if (!expected || !timingSafeEqual(digest(presented), digest(expected))) {
+    return { ok: false, status: 403, error: 'OPERATOR_AUTH_DENIED', message: `the bearer token is not the ${role} token` };
+  }
+  return { ok: true };
+}
+
+export { authoriseOperator, ROLE_TOKENS };
@@ -0,0 +1,140 @@
+// src/i18n/catalogue.js
+// Message catalogues — gate findings (by rule code) and advisor replies in
+// English, te reo Māori, Samoan and Tongan, with locale negotiation. A
+// translation is served only once fluent speakers have reviewed it (its
+// _meta.reviewed is true); until then requests for it get English.
+//
+// Review route: a fluent speaker checks every entry of a draft catalogue
+// against en.json — placeholders, API paths and field names stay as they
+// are — then sets _meta.reviewed to true and records who reviewed it and
+// when (_meta.reviewed_by, _meta.reviewed_on). Catalogues load once at
+// startup, from locales/ or I18N_LOCALE_DIR, so a reviewed catalogue is
+// served from the next restart
+
+import { readFileSync, readdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const LOCALE_DIR = process.env.I18N_LOCALE_DIR || join(__dirname, 'locales');
+const DEFAULT_LOCALE = 'en';
+
+// Every <code>.json in LOCALE_DIR, keyed by code
+const CATALOGUES = Object.fromEntries(readdirSync(LOCALE_DIR)
+  .filter(f => f.endsWith('.json'))
+  .map(f => [f.slice(0, -'.json'.length), JSON.parse(readFileSync(join(LOCALE_DIR, f), 'utf-8'))]));
+
+const SUPPORTED_LOCALES = Object.keys(CATALOGUES)
+  .filter(code => code === DEFAULT_LOCALE || CATALOGUES[code]._meta?.reviewed === true);
+
+// 'mi-NZ' → 'mi'; null when there is no reviewed catalogue for it
+function supported(tag) {
+  const primary = String(tag ?? '').trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(primary) ? primary : null;
+}
+
+/**
+ * Pick the response locale: an explicit locale field wins, then the
+ * Accept-Language header in q-value order, then English.
+ *
+ * @param {string} [requested] — request body or query `locale`
+ * @param {string} [acceptLanguage] — Accept-Language header
+ * @returns {string} — a supported locale code
+ */
+function negotiateLocale(requested, acceptLanguage) {
+  const explicit = supported(requested);
+  if (explicit) return explicit;
+
+  const ranked = String(acceptLanguage ?? '').split(',')
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { tag, q: q ? Number(q.slice(2)) : 1, i };
+    })
+    .filter(r => r.tag && r.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i);
+  for (const { tag } of ranked) {
+    const locale = supported(tag);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+}
+
+function localeName(locale) {
+  return CATALOGUES[supported(locale) ?? DEFAULT_LOCALE]._meta.name;
+}
+
+// Text a catalogue can reword — localisable() in constitutional/gate-registry.js
+const isLocalisable = value => Boolean(value && typeof value === 'object' &&
+  typeof value.key === 'string' && typeof value.text === 'string');
+
+function format(value, locale) {
+  if (isLocalisable(value)) return localiseText(value, locale);
+  if (Array.isArray(value)) return value.map(v => format(v, locale)).join(', ');
+  if (Number.isInteger(value)) return value.toLocaleString('en-NZ');
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// Fill {name} placeholders — null if any of them has no value
+function fill(template, values, locale) {
+  if (typeof template !== 'string') return null;
+  let complete = true;
+  const text = template.replace(/\{(\w+)\}/g, (_, name) => {
+    if (values[name] == null) complete = false;
+    return complete ? format(values[name], locale) : '';
+  });
+  return complete ? text : null;
+}
+
+// An entry from the locale's catalogue, or from English where it has none
+// (or the locale's catalogue is still a draft)
+function lookup(locale, path) {
+  const get = catalogue => path.reduce((node, key) => node?.[key], catalogue);
+  return get(CATALOGUES[supported(locale) ?? DEFAULT_LOCALE]) ?? get(CATALOGUES[DEFAULT_LOCALE]);
+}
+
+/**
+ * Localisable text — a consent limit, a jurisdiction rule, a remedy's
+ * action — in the given locale; its own English wording when no catalogue
+ * has the entry or a value is missing. Plain strings pass through.
+ *
+ * @param {Object|string} value — localisable() text, or a string
+ * @param {string} [locale]
+ * @returns {string}
+ */
+function localiseText(value, locale = DEFAULT_LOCALE) {
+  if (!isLocalisable(value)) return value;
+  return fill(lookup(locale, value.key.split('.')), value.values ?? {}, locale) ?? value.text;
+}
+
+/**
+ * @param {string} locale
+ * @param {string} key — dotted path, e.g. 'advisor.provide'
+ * @param {Object} [values] — placeholder values
+ * @returns {string} — the filled template (the key itself if no catalogue has it)
+ */
+function translate(locale, key, values = {}) {
+  return fill(lookup(locale, key.split('.')), values, locale) ?? key;
+}
+
+/**
+ * A gate finding as text in the given locale. Null when no catalogue knows
+ * its code — a gate registered beyond the Five Yamas — so the caller can
+ * fall back to the gate's own wording.
+ *
+ * @param {Object} f — finding (see constitutional/gate-registry.js)
+ * @param {string} [locale]
+ * @returns {string|null}
+ */
+function localiseFinding(f, locale = DEFAULT_LOCALE) {
+  const entry = lookup(locale, ['findings', f.code]);
+  if (!entry) return null;
+  const values = { field: f.field, observed: f.observed, ...f.params };
+  const message = fill(entry.message, values, locale);
+  const hint = fill(entry.hint, values, locale) ?? fill(entry.hint_default, values, locale);
+  if (message == null || hint == null) return null;
+  return translate(locale, 'finding', { severity: translate(locale, `severity.${f.severity}`), message, hint });
+}
+
+export { DEFAULT_LOCALE, SUPPORTED_LOCALES, negotiateLocale, localeName, translate, localiseText, localiseFinding };
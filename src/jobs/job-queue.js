@@ -0,0 +1,157 @@
+// src/jobs/job-queue.js
+// Durable job queue — long-running assessments are stored in SQLite (jobs
+// table), computed on a pool of worker threads (job-worker.js) and finished
+// here, on the main thread, by the finisher registered for their kind.
+//
+// A job is claimed atomically before it is handed to a worker, and its
+// outcome is kept only if it is still running under this process — so a job
+// survives a restart (it is requeued) but never runs to completion twice.
+// Claims are leased and renewed while this process lives: several servers can
+// share the database, and each takes back only its own instance's jobs, or
+// those whose lease has lapsed. JOB_INSTANCE_ID names this server (default:
+// the host name) and must differ between servers running at once.
+
+import { Worker } from 'worker_threads';
+import { randomBytes } from 'crypto';
+import { availableParallelism, hostname } from 'os';
+import {
+  insertJob, getJob, claimNextJob, setJobProgress, completeJob, cancelJob as cancelStoredJob, releaseJobs, renewJobLeases,
+} from '../../storage/actuary-store.js';
+
+const WORKER_SCRIPT = new URL('./job-worker.js', import.meta.url);
+const MAX_ATTEMPTS = 3;    // a job that kills its worker this often fails instead of requeueing
+const POLL_MS = 2000;      // pick up queued jobs even if no submission wakes the pool
+const LEASE_SECONDS = 30;  // renewed every POLL_MS; lapses only if this process stops
+
+// This server, and this process's claim on the jobs it runs
+const INSTANCE = process.env.JOB_INSTANCE_ID || hostname();
+const OWNER = `${INSTANCE}/${process.pid}-${randomBytes(4).toString('hex')}`;
+
+const pool = [];           // { worker, job_id, exitReason }
+let finishers = {};
+
+function defaultPoolSize() {
+  const configured = Number.parseInt(process.env.JOB_WORKERS, 10);
+  if (Number.isInteger(configured) && configured > 0) return configured;
+  return Math.max(1, Math.min(2, availableParallelism() - 1));
+}
+
+function spawnWorker() {
+  const slot = { worker: new Worker(WORKER_SCRIPT), job_id: null, exitReason: null };
+  slot.worker.on('message', msg => onWorkerMessage(slot, msg));
+  slot.worker.on('error', (err) => { slot.exitReason ??= `JOB_WORKER_ERROR: ${err.message}`; });
+  slot.worker.on('exit', code => onWorkerExit(slot, code));
+  slot.worker.unref(); // after the listeners — adding a 'message' listener refs the worker again
+  return slot;
+}
+
+// Hand queued jobs to idle workers until either runs out
+function dispatch() {
+  for (const slot of pool) {
+    if (slot.job_id || slot.exitReason) continue;
+    const job = claimNextJob(OWNER, LEASE_SECONDS);
+    if (!job) return;
+    slot.job_id = job.job_id;
+    slot.worker.postMessage({ job_id: job.job_id, kind: job.kind, payload: job.payload });
+  }
+}
+
+// Keep this process's leases alive, and take back jobs a stopped server left running
+function poll() {
+  renewJobLeases(OWNER, LEASE_SECONDS);
+  releaseJobs({ expired: true, reason: 'JOB_INTERRUPTED: lease expired — its server stopped mid-job', maxAttempts: MAX_ATTEMPTS });
+  dispatch();
+}
+
+function finish(job_id, output) {
+  const job = getJob(job_id);
+  try {
+    completeJob(job_id, OWNER, () => finishers[job.kind](job, output));
+  } catch (err) {
+    // The finisher itself failed — its writes were rolled back; record why
+    completeJob(job_id, OWNER, () => ({ status: 'failed', http_status: 500, error: `JOB_FINISH_ERROR: ${err.message}` }));
+  }
+}
+
+function onWorkerMessage(slot, msg) {
+  if (msg.job_id !== slot.job_id) return; // a job cancelled under this worker
+  if (msg.type === 'progress') {
+    setJobProgress(msg.job_id, OWNER, msg);
+    return;
+  }
+  slot.job_id = null;
+  finish(msg.job_id, msg.output);
+  dispatch();
+}
+
+// A worker that exits is replaced. Its job, if it had one and was not
+// cancelled, goes back on the queue.
+function onWorkerExit(slot, code) {
+  const index = pool.indexOf(slot);
+  if (index === -1) return;
+  if (slot.job_id) {
+    releaseJobs({
+      job_id: slot.job_id,
+      owner: OWNER,
+      reason: slot.exitReason ?? `JOB_WORKER_EXITED: worker exited with code ${code}`,
+      maxAttempts: MAX_ATTEMPTS,
+    });
+  }
+  pool[index] = spawnWorker();
+  dispatch();
+}
+
+/**
+ * Start the worker pool. Jobs left running by this instance's previous
+ * process, or by any server whose lease has lapsed, are requeued first (or
+ * failed, once they have had MAX_ATTEMPTS). Jobs live servers hold are left.
+ *
+ * @param {Object} options
+ * @param {Object<string, Function>} options.finishers — job kind → (job, output) => { status, http_status, result, error },
+ *   called inside the transaction that finishes the job; output is { computed } or { error }
+ * @param {number} [options.workers] — pool size (default JOB_WORKERS, else one per spare core, at most 2)
+ * @returns {{ workers: number, requeued: number, failed: number }}
+ */
+function startJobQueue({ finishers: byKind, workers = defaultPoolSize() }) {
+  finishers = byKind;
+  const recovered = releaseJobs({
+    instance: INSTANCE, expired: true, reason: 'JOB_INTERRUPTED: server restarted mid-job', maxAttempts: MAX_ATTEMPTS,
+  });
+  for (let i = 0; i < workers; i++) pool.push(spawnWorker());
+  setInterval(poll, POLL_MS).unref();
+  dispatch();
+  return { workers, ...recovered };
+}
+
+/**
+ * Queue a job. It starts as soon as a worker is free.
+ *
+ * @param {{ kind: string, consent_record_id?: string, payload: Object }} job
+ * @returns {Object} — the stored job
+ */
+function submitJob({ kind, consent_record_id, payload }) {
+  if (!finishers[kind]) throw new Error(`JOB_ERROR: no finisher registered for job kind '${kind}'`);
+  const job = insertJob({ job_id: `JOB-${randomBytes(8).toString('hex')}`, kind, consent_record_id, payload });
+  setImmediate(dispatch);
+  return job;
+}
+
+/**
+ * Cancel a queued or running job. A running job's worker is terminated (and
+ * replaced), so its computation stops and its result is never recorded.
+ *
+ * @param {string} job_id
+ * @returns {Object|null} — the cancelled job, or null if it had already finished
+ */
+function cancelJob(job_id) {
+  const job = cancelStoredJob(job_id, 'JOB_CANCELLED: cancelled by request');
+  const slot = pool.find(s => s.job_id === job_id);
+  if (job && slot) {
+    slot.job_id = null;
+    slot.exitReason = 'JOB_CANCELLED';
+    slot.worker.terminate();
+  }
+  return job;
+}
+
+export { startJobQueue, submitJob, cancelJob, getJob };
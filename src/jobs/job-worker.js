@@ -0,0 +1,32 @@
+// src/jobs/job-worker.js
+// Job worker thread — computes one job at a time and reports its progress.
+// The main thread (job-queue.js) owns the job rows, the gates and the ledger;
+// a worker only ever posts back what it computed
+
+import { parentPort } from 'worker_threads';
+import { runAssessmentProjection, runAssessmentEngines } from '../actuarial/scope-engines.js';
+
+// The computation behind each job kind. report(progress, stage) as it goes
+const TASKS = {
+  // Projection, scope engine and equity engine — /api/v1/assess without the gates
+  assessment(payload, report) {
+    report(0.1, 'projection');
+    const projection = runAssessmentProjection(payload);
+    report(0.6, 'engines');
+    const { result, equity } = runAssessmentEngines(payload);
+    report(0.9, 'recording');
+    return { projection, result, equity };
+  },
+};
+
+parentPort.on('message', ({ job_id, kind, payload }) => {
+  const report = (progress, stage) => parentPort.postMessage({ type: 'progress', job_id, progress, stage });
+  let output;
+  try {
+    if (!TASKS[kind]) throw new Error(`JOB_ERROR: no task for job kind '${kind}'`);
+    output = { computed: TASKS[kind](payload, report) };
+  } catch (err) {
+    output = { error: err.message };
+  }
+  parentPort.postMessage({ type: 'done', job_id, output });
+});
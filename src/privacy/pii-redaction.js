@@ -0,0 +1,127 @@
+// src/privacy/pii-redaction.js
+// PII redaction for stored request payloads — what the assessment ledger
+// returns to a caller not authorised to see personal information. Only the
+// fields listed in RETURNABLE come back; anything else, whatever its name,
+// is withheld
+
+import { clinicianHash } from '../../storage/actuary-store.js';
+
+// Individual-level rows rather than cohort aggregates — replaced by their count
+const ROWS = Symbol('rows');
+// An object of scalars under caller-chosen keys (GLM base levels by factor)
+const SCALAR_MAP = Symbol('scalar map');
+
+const DISTRIBUTION = {
+  type: true, mean: true, size: true, mu: true, sigma: true, alpha: true, theta: true, shape: true, scale: true,
+};
+
+// Returnable payload fields. true: a scalar, or an array of scalars. An
+// object: those fields of an object, or of each object in an array
+const RETURNABLE = {
+  consent_record_id: true,
+  cohort: true,
+  scope: true,
+  assessment_type: true,
+  integration: true,
+  confidence: true,
+  data_quality: true,
+  model_version: true,
+  model_count: true,
+  dissent_flag: true,
+  population_size: true,
+  patient_facing: true,
+  equity_flag: true,
+  maori_data: true,
+  regulatory_jurisdiction: true,
+  legal_basis: true,
+  human_review: true,
+  cross_border: { destination: true, safeguard: true },
+  locale: true,
+  life_table: true,
+  horizon_years: true,
+  cohort_structure: { age: true, sex: true, count: true },
+  projection: {
+    kind: true, simulations: true, horizon_years: true, percentiles: true, seed: true,
+    claims: { exposure: true, frequency: DISTRIBUTION, severity: DISTRIBUTION },
+  },
+  equity: {
+    condition: true,
+    base_risk_score: true,
+    cohort: { ethnicities: true, age_band: true, nzdep_quintile: true, nzdep_decile: true, maori: true, pacific: true },
+  },
+  pricing: {
+    product: true, issue_age: true, sex: true, term_years: true, premium_term_years: true, premium_mode: true,
+    sum_assured: true, annual_payment: true,
+    interest: { rate: true, curve: { from_year: true, rate: true } },
+    expenses: { initial_fixed: true, initial_pct_premium: true, renewal_pct_premium: true, maintenance_per_annum: true, claim_pct: true },
+  },
+  reinsurance: {
+    treaties: {
+      name: true, type: true, cession: true, retention_line: true, lines: true, retention: true, limit: true,
+      reinstatements: true, premium: true, reinstatement_premium_rate: true, attachment: true,
+    },
+    percentiles: true,
+    simulated_years: { amount: true, sum_insured: true },
+    distribution: { years: true, seed: true, frequency: DISTRIBUTION, severity: DISTRIBUTION, sum_insured: true },
+  },
+  glm: {
+    family: true, rating_factors: true, base_levels: SCALAR_MAP, nb_theta: true, max_iterations: true, tolerance: true,
+    records: ROWS,
+  },
+};
+
+const REDACTED = '[REDACTED]';
+
+const isScalar = value => value === null || typeof value !== 'object';
+const scalars = value => isScalar(value) || (Array.isArray(value) && value.every(scalars));
+
+// value as its schema allows, noting each path withheld
+function keep(value, schema, path, redacted) {
+  const withhold = () => {
+    redacted.push(path);
+    return REDACTED;
+  };
+  if (schema === true) return scalars(value) ? value : withhold();
+  if (schema === ROWS) {
+    if (!Array.isArray(value)) return withhold();
+    redacted.push(path);
+    return { redacted: true, rows: value.length };
+  }
+  if (isScalar(value)) return value;
+  if (Array.isArray(value)) return value.map((v, i) => keep(v, schema, `${path}[${i}]`, redacted));
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    const at = path ? `${path}.${key}` : key;
+    const field = schema === SCALAR_MAP ? true : (Object.hasOwn(schema, key) ? schema[key] : null);
+    if (field) {
+      out[key] = keep(v, field, at, redacted);
+    } else {
+      redacted.push(at);
+      out[key] = REDACTED;
+    }
+  }
+  return out;
+}
+
+/**
+ * Redact a stored assessment payload. clinician_id becomes the same
+ * clinician_hash the consent record holds (so the two can still be matched),
+ * record-level lists become a row count, and every field not in RETURNABLE is
+ * masked, at any depth.
+ *
+ * @param {Object|null} payload — the original request body
+ * @returns {{ payload: Object|null, redacted: string[] }} — redacted copy and the paths changed
+ */
+function redactPayload(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return { payload, redacted: [] };
+  const redacted = [];
+  const { clinician_id, ...rest } = payload;
+  const copy = keep(rest, RETURNABLE, '', redacted);
+  if (clinician_id !== undefined) {
+    copy.clinician_hash = clinicianHash(clinician_id);
+    redacted.push('clinician_id');
+  }
+  return { payload: copy, redacted };
+}
+
+export { redactPayload };
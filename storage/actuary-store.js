@@ -1,21 +1,33 @@
 /**
  * actuary-store.js — SQLite persistence for Actuary Bot
  *
- * Three tables:
- *   risk_assessments   — every completed actuarial assessment (immutable ledger)
- *   consent_records    — consent record IDs with metadata (audit trail)
+ * Tables:
+ *   risk_assessments   — every completed actuarial assessment (immutable ledger),
+ *                        including the engine result where the scope has one
+ *   consent_records    — consent record IDs with validity window and lifecycle status
  *   constitutional_log — every gate verdict (full transparency)
+ *   life_tables        — registry of named, versioned life tables
+ *   life_table_rates   — qx by table, sex and age
+ *   glm_models         — registry of fitted claims GLMs (citable as model_version)
+ *   equity_reviewers   — SME reviewers and their Ed25519 public keys
+ *   equity_coefficient_sets — versioned, content-hashed equity coefficients
+ *   equity_signoffs    — one reviewer signature per required role per set
+ *   governance_bodies  — iwi/hapū and Māori data governance bodies and their Ed25519 keys
+ *   collective_approvals — governance body approvals of consents covering Māori data
+ *   constitutions      — versioned constitution documents (gate weights, thresholds, scopes)
+ *   constitution_approvals — governance body signatures on proposed amendments
+ *   jobs               — durable queue of long-running assessments and their results
  *
  * Machine Elves sprint M2-STEP 5 (2026-02-24)
  */
 
 import Database from 'better-sqlite3';
-import { createHash } from 'crypto';
+import { createHash, createHmac } from 'crypto';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const DB_PATH = join(__dirname, '..', 'data', 'actuary-bot.db');
+const DB_PATH = process.env.ACTUARY_DB_PATH || join(__dirname, '..', 'data', 'actuary-bot.db');
 
 const SCHEMA = `
   CREATE TABLE IF NOT EXISTS risk_assessments (
@@ -28,7 +40,13 @@ const SCHEMA = `
     pass                 INTEGER NOT NULL,
     yamas_json           TEXT    NOT NULL,
     payload_json         TEXT,
-    source               TEXT
+    source               TEXT,
+    result_json          TEXT,
+    projection_json      TEXT,
+    sim_seed             INTEGER,
+    sim_count            INTEGER,
+    equity_json          TEXT,
+    constitution_hash    TEXT
   );
 
   CREATE TABLE IF NOT EXISTS consent_records (
@@ -37,9 +55,35 @@ const SCHEMA = `
     consent_record_id TEXT   NOT NULL UNIQUE,
     cohort           TEXT    NOT NULL,
     scope            TEXT    NOT NULL,
-    clinician_hash   TEXT    NOT NULL
+    clinician_hash   TEXT    NOT NULL,
+    valid_from       TEXT,
+    valid_until      TEXT,
+    status           TEXT    NOT NULL DEFAULT 'active',
+    status_reason    TEXT,
+    status_ts        TEXT,
+    last_generated_ts TEXT,
+    permitted_uses_json TEXT,
+    maori_data       INTEGER NOT NULL DEFAULT 0
   );
 
+  -- Append-only: every lifecycle change of a consent record, as it happened
+  CREATE TABLE IF NOT EXISTS consent_events (
+    id                INTEGER PRIMARY KEY AUTOINCREMENT,
+    ts                TEXT    NOT NULL DEFAULT (datetime('now')),
+    consent_record_id TEXT    NOT NULL,
+    event             TEXT    NOT NULL,
+    reason            TEXT,
+    detail_json       TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS consent_events_consent ON consent_events (consent_record_id, id);
+
+  CREATE TRIGGER IF NOT EXISTS consent_events_no_update BEFORE UPDATE ON consent_events
+  BEGIN SELECT RAISE(ABORT, 'consent_events is append-only'); END;
+
+  CREATE TRIGGER IF NOT EXISTS consent_events_no_delete BEFORE DELETE ON consent_events
+  BEGIN SELECT RAISE(ABORT, 'consent_events is append-only'); END;
+
   CREATE TABLE IF NOT EXISTS constitutional_log (
     id                   INTEGER PRIMARY KEY AUTOINCREMENT,
     ts                   TEXT    NOT NULL DEFAULT (datetime('now')),
@@ -48,10 +92,205 @@ const SCHEMA = `
     constitutional_score REAL,
     pass                 INTEGER NOT NULL,
     blocked_by_json      TEXT,
-    yamas_json           TEXT
+    yamas_json           TEXT,
+    constitution_hash    TEXT,
+    batch_id             TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS life_tables (
+    id             INTEGER PRIMARY KEY AUTOINCREMENT,
+    ts             TEXT    NOT NULL DEFAULT (datetime('now')),
+    table_id       TEXT    NOT NULL UNIQUE,
+    name           TEXT    NOT NULL,
+    version        TEXT    NOT NULL,
+    source         TEXT,
+    format         TEXT    NOT NULL,
+    start_age      INTEGER NOT NULL,
+    max_age        INTEGER NOT NULL,
+    sexes_json     TEXT    NOT NULL,
+    content_hash   TEXT    NOT NULL,
+    status         TEXT    NOT NULL DEFAULT 'active',
+    retired_ts     TEXT,
+    retired_reason TEXT,
+    UNIQUE (name, version)
+  );
+
+  CREATE TABLE IF NOT EXISTS life_table_rates (
+    table_id TEXT    NOT NULL REFERENCES life_tables(table_id),
+    sex      TEXT    NOT NULL,
+    age      INTEGER NOT NULL,
+    qx       REAL    NOT NULL,
+    PRIMARY KEY (table_id, sex, age)
+  );
+
+  CREATE TABLE IF NOT EXISTS glm_models (
+    id             INTEGER PRIMARY KEY AUTOINCREMENT,
+    ts             TEXT    NOT NULL DEFAULT (datetime('now')),
+    model_id       TEXT    NOT NULL UNIQUE,
+    name           TEXT    NOT NULL,
+    version        TEXT    NOT NULL,
+    assessment_id  INTEGER NOT NULL REFERENCES risk_assessments(id),
+    target         TEXT    NOT NULL,
+    family         TEXT    NOT NULL,
+    fit_json       TEXT    NOT NULL,
+    content_hash   TEXT    NOT NULL,
+    status         TEXT    NOT NULL DEFAULT 'active',
+    retired_ts     TEXT,
+    retired_reason TEXT,
+    UNIQUE (name, version)
+  );
+
+  CREATE TABLE IF NOT EXISTS equity_reviewers (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    ts          TEXT    NOT NULL DEFAULT (datetime('now')),
+    reviewer_id TEXT    NOT NULL UNIQUE,
+    name        TEXT    NOT NULL,
+    role        TEXT    NOT NULL,
+    public_key  TEXT    NOT NULL UNIQUE
+  );
+
+  CREATE TABLE IF NOT EXISTS equity_coefficient_sets (
+    id                INTEGER PRIMARY KEY AUTOINCREMENT,
+    ts                TEXT    NOT NULL DEFAULT (datetime('now')),
+    set_id            TEXT    NOT NULL UNIQUE,
+    version           INTEGER NOT NULL UNIQUE,
+    coefficients_json TEXT    NOT NULL,
+    matching_json     TEXT,
+    content_hash      TEXT    NOT NULL,
+    notes             TEXT,
+    status            TEXT    NOT NULL DEFAULT 'draft',
+    activated_ts      TEXT,
+    superseded_ts     TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS equity_signoffs (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    ts          TEXT    NOT NULL DEFAULT (datetime('now')),
+    set_id      TEXT    NOT NULL REFERENCES equity_coefficient_sets(set_id),
+    reviewer_id TEXT    NOT NULL REFERENCES equity_reviewers(reviewer_id),
+    role        TEXT    NOT NULL,
+    signature   TEXT    NOT NULL,
+    UNIQUE (set_id, role)
+  );
+
+  CREATE TABLE IF NOT EXISTS governance_bodies (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    ts          TEXT    NOT NULL DEFAULT (datetime('now')),
+    body_id     TEXT    NOT NULL UNIQUE,
+    name        TEXT    NOT NULL,
+    kind        TEXT    NOT NULL,
+    public_key  TEXT    NOT NULL UNIQUE
+  );
+
+  CREATE TABLE IF NOT EXISTS collective_approvals (
+    id                INTEGER PRIMARY KEY AUTOINCREMENT,
+    ts                TEXT    NOT NULL DEFAULT (datetime('now')),
+    consent_record_id TEXT    NOT NULL REFERENCES consent_records(consent_record_id),
+    body_id           TEXT    NOT NULL REFERENCES governance_bodies(body_id),
+    content_hash      TEXT    NOT NULL,
+    signature         TEXT    NOT NULL,
+    status            TEXT    NOT NULL DEFAULT 'active',
+    revoked_ts        TEXT,
+    revoked_reason    TEXT,
+    revocation_signature TEXT
+  );
+
+  CREATE UNIQUE INDEX IF NOT EXISTS collective_approvals_active
+    ON collective_approvals (consent_record_id, body_id) WHERE status = 'active';
+
+  CREATE TABLE IF NOT EXISTS constitutions (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    ts              TEXT    NOT NULL DEFAULT (datetime('now')),
+    constitution_id TEXT    NOT NULL UNIQUE,
+    version         INTEGER NOT NULL UNIQUE,
+    document_json   TEXT    NOT NULL,
+    content_hash    TEXT    NOT NULL,
+    rationale       TEXT,
+    base_constitution_id TEXT,
+    status          TEXT    NOT NULL DEFAULT 'draft',
+    activated_ts    TEXT,
+    superseded_ts   TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS constitution_approvals (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    ts              TEXT    NOT NULL DEFAULT (datetime('now')),
+    constitution_id TEXT    NOT NULL REFERENCES constitutions(constitution_id),
+    body_id         TEXT    NOT NULL REFERENCES governance_bodies(body_id),
+    signature       TEXT    NOT NULL,
+    UNIQUE (constitution_id, body_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS jobs (
+    id                INTEGER PRIMARY KEY AUTOINCREMENT,
+    ts                TEXT    NOT NULL DEFAULT (datetime('now')),
+    job_id            TEXT    NOT NULL UNIQUE,
+    kind              TEXT    NOT NULL,
+    consent_record_id TEXT,
+    payload_json      TEXT    NOT NULL,
+    status            TEXT    NOT NULL DEFAULT 'queued',
+    progress          REAL    NOT NULL DEFAULT 0,
+    stage             TEXT,
+    attempts          INTEGER NOT NULL DEFAULT 0,
+    owner             TEXT,
+    lease_expires_ts  TEXT,
+    started_ts        TEXT,
+    finished_ts       TEXT,
+    http_status       INTEGER,
+    result_json       TEXT,
+    error             TEXT
   );
+
+  CREATE INDEX IF NOT EXISTS jobs_status ON jobs (status, id);
 `;
 
+// Columns added after the original schema — ALTERed into existing databases
+const COLUMN_MIGRATIONS = [
+  { table: 'risk_assessments', column: 'result_json', type: 'TEXT' },
+  { table: 'risk_assessments', column: 'projection_json', type: 'TEXT' },
+  { table: 'risk_assessments', column: 'sim_seed', type: 'INTEGER' },
+  { table: 'risk_assessments', column: 'sim_count', type: 'INTEGER' },
+  { table: 'risk_assessments', column: 'equity_json', type: 'TEXT' },
+  { table: 'risk_assessments', column: 'constitution_hash', type: 'TEXT' },
+  { table: 'constitutional_log', column: 'constitution_hash', type: 'TEXT' },
+  { table: 'constitutional_log', column: 'batch_id', type: 'TEXT' },
+  { table: 'equity_coefficient_sets', column: 'matching_json', type: 'TEXT' },
+  { table: 'consent_records', column: 'valid_from', type: 'TEXT' },
+  { table: 'consent_records', column: 'valid_until', type: 'TEXT' },
+  { table: 'consent_records', column: 'status', type: "TEXT NOT NULL DEFAULT 'active'" },
+  { table: 'consent_records', column: 'status_reason', type: 'TEXT' },
+  { table: 'consent_records', column: 'status_ts', type: 'TEXT' },
+  { table: 'consent_records', column: 'last_generated_ts', type: 'TEXT' },
+  { table: 'consent_records', column: 'permitted_uses_json', type: 'TEXT' },
+  { table: 'consent_records', column: 'maori_data', type: 'INTEGER NOT NULL DEFAULT 0' },
+  { table: 'constitutions', column: 'base_constitution_id', type: 'TEXT' },
+  { table: 'jobs', column: 'lease_expires_ts', type: 'TEXT' },
+];
+
+function migrateColumns(db) {
+  for (const { table, column, type } of COLUMN_MIGRATIONS) {
+    const cols = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+    if (!cols.includes(column)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+  }
+}
+
+// Consent records from before consent_events: their generation, and the last
+// status change the record itself still remembers
+function backfillConsentEvents(db) {
+  db.exec(`
+    INSERT INTO consent_events (ts, consent_record_id, event, reason)
+    SELECT ts, consent_record_id, 'consent_generated', NULL FROM consent_records c
+    WHERE NOT EXISTS (SELECT 1 FROM consent_events e WHERE e.consent_record_id = c.consent_record_id)
+    UNION ALL
+    SELECT status_ts, consent_record_id, CASE status WHEN 'active' THEN 'consent_renewed' ELSE 'consent_' || status END,
+           status_reason
+    FROM consent_records c
+    WHERE status_ts IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM consent_events e WHERE e.consent_record_id = c.consent_record_id)
+    ORDER BY 1
+  `);
+}
+
 // ---------------------------------------------------------------------------
 // Singleton DB
 // ---------------------------------------------------------------------------
@@ -63,6 +302,8 @@ function getDb() {
     _db.pragma('journal_mode = WAL');
     _db.pragma('foreign_keys = ON');
     _db.exec(SCHEMA);
+    migrateColumns(_db);
+    backfillConsentEvents(_db);
     console.log(`[actuary-store] Database initialised at ${DB_PATH}`);
   }
   return _db;
@@ -71,10 +312,14 @@ function getDb() {
 // ---------------------------------------------------------------------------
 // Risk assessments
 // ---------------------------------------------------------------------------
-export function insertRiskAssessment({ consent_record_id, cohort, scope, constitutional_score, pass, yamas, payload, source }) {
-  getDb().prepare(`
-    INSERT INTO risk_assessments (consent_record_id, cohort, scope, constitutional_score, pass, yamas_json, payload_json, source)
-    VALUES (@consent_record_id, @cohort, @scope, @constitutional_score, @pass, @yamas_json, @payload_json, @source)
+export function insertRiskAssessment({
+  consent_record_id, cohort, scope, constitutional_score, pass, yamas, payload, source, result, projection, equity, constitution,
+}) {
+  const info = getDb().prepare(`
+    INSERT INTO risk_assessments (consent_record_id, cohort, scope, constitutional_score, pass, yamas_json, payload_json, source,
+                                  result_json, projection_json, sim_seed, sim_count, equity_json, constitution_hash)
+    VALUES (@consent_record_id, @cohort, @scope, @constitutional_score, @pass, @yamas_json, @payload_json, @source,
+            @result_json, @projection_json, @sim_seed, @sim_count, @equity_json, @constitution_hash)
   `).run({
     consent_record_id,
     cohort,
@@ -84,28 +329,257 @@ export function insertRiskAssessment({ consent_record_id, cohort, scope, constit
     yamas_json:   JSON.stringify(yamas ?? {}),
     payload_json: payload ? JSON.stringify(payload) : null,
     source:       source ?? null,
+    result_json:  result ? JSON.stringify(result) : null,
+    // Seed and simulation count as columns — enough to reproduce the run exactly
+    projection_json: projection ? JSON.stringify(projection) : null,
+    sim_seed:        projection?.seed ?? null,
+    sim_count:       projection?.simulations ?? null,
+    equity_json:     equity ? JSON.stringify(equity) : null,
+    constitution_hash: constitution?.content_hash ?? null,
   });
+  return Number(info.lastInsertRowid);
+}
+
+export function getRiskAssessment(id) {
+  const row = getDb().prepare(`SELECT * FROM risk_assessments WHERE id = ?`).get(id);
+  if (!row) return null;
+  return {
+    id:                   row.id,
+    ts:                   row.ts,
+    consent_record_id:    row.consent_record_id,
+    cohort:               row.cohort,
+    scope:                row.scope,
+    constitutional_score: row.constitutional_score,
+    pass:                 row.pass === 1,
+    yamas:                JSON.parse(row.yamas_json),
+    payload:              row.payload_json ? JSON.parse(row.payload_json) : null,
+    source:               row.source,
+    result:               row.result_json ? JSON.parse(row.result_json) : null,
+    projection:           row.projection_json ? JSON.parse(row.projection_json) : null,
+    sim_seed:             row.sim_seed,
+    sim_count:            row.sim_count,
+    equity:               row.equity_json ? JSON.parse(row.equity_json) : null,
+    constitution_hash:    row.constitution_hash,
+  };
+}
+
+// Ledger rows without the stored payload or engine output — the listing view
+function assessmentSummaryFromRow(row) {
+  return {
+    id:                   row.id,
+    ts:                   row.ts,
+    consent_record_id:    row.consent_record_id,
+    cohort:               row.cohort,
+    scope:                row.scope,
+    source:               row.source,
+    constitutional_score: row.constitutional_score,
+    pass:                 row.pass === 1,
+    has_result:           row.result_json !== null,
+    has_projection:       row.projection_json !== null,
+    has_equity:           row.equity_json !== null,
+    constitution_hash:    row.constitution_hash,
+  };
+}
+
+// Filters match cohort/scope/consent/source exactly, ts within [from, to] and
+// score within [min_score, max_score]. Newest first; keyset pagination — the
+// next page starts below before_id, so rows written meanwhile never shift it.
+export function listRiskAssessments({
+  cohort, scope, consent_record_id, source, from, to, min_score, max_score, before_id, limit = 50,
+} = {}) {
+  const where = [];
+  const params = {};
+  if (cohort)            { where.push('cohort = @cohort');                       params.cohort = cohort; }
+  if (scope)             { where.push('scope = @scope');                         params.scope = scope; }
+  if (consent_record_id) { where.push('consent_record_id = @consent_record_id'); params.consent_record_id = consent_record_id; }
+  if (source)            { where.push('source = @source');                       params.source = source; }
+  if (from)              { where.push('ts >= @from');                            params.from = from; }
+  if (to)                { where.push('ts <= @to');                              params.to = to; }
+  if (min_score !== undefined) { where.push('constitutional_score >= @min_score'); params.min_score = min_score; }
+  if (max_score !== undefined) { where.push('constitutional_score <= @max_score'); params.max_score = max_score; }
+  if (before_id !== undefined) { where.push('id < @before_id');                    params.before_id = before_id; }
+  const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const rows = getDb().prepare(`
+    SELECT * FROM risk_assessments ${clause} ORDER BY id DESC LIMIT @limit
+  `).all({ ...params, limit: limit + 1 });
+  return {
+    assessments: rows.slice(0, limit).map(assessmentSummaryFromRow),
+    has_more: rows.length > limit,
+  };
 }
 
 // ---------------------------------------------------------------------------
 // Consent records
 // ---------------------------------------------------------------------------
-export function upsertConsentRecord({ consent_record_id, cohort, scope, clinician_id }) {
+// Keyed (HMAC-SHA-256 under CLINICIAN_HASH_SECRET): clinician IDs are few and
+// guessable, so a plain hash is undone by hashing each candidate. Without the
+// secret nothing is hashed — and hashes made before it was set no longer match
+export function clinicianHash(clinician_id) {
+  const secret = process.env.CLINICIAN_HASH_SECRET;
+  if (!secret) throw new Error('PRIVACY_ERROR: CLINICIAN_HASH_SECRET is not set — clinician identities cannot be hashed');
+  return createHmac('sha256', secret).update(String(clinician_id)).digest('hex').slice(0, 16);
+}
+
+// Re-generating an existing record only notes when it was last generated.
+// The original ts, window, status and permitted uses stay — a revoked consent
+// cannot be revived, nor its purposes widened, by asking for the same hash again.
+export function upsertConsentRecord({
+  consent_record_id, cohort, scope, clinician_id, valid_from, valid_until, permitted_uses, maori_data,
+}) {
   // Store hash of clinician_id — not raw PII in logs
-  const clinician_hash = createHash('sha256').update(String(clinician_id)).digest('hex').slice(0, 16);
-  getDb().prepare(`
-    INSERT OR REPLACE INTO consent_records (consent_record_id, cohort, scope, clinician_hash)
-    VALUES (@consent_record_id, @cohort, @scope, @clinician_hash)
-  `).run({ consent_record_id, cohort, scope, clinician_hash });
+  const clinician_hash = clinicianHash(clinician_id);
+  const db = getDb();
+  db.transaction(() => {
+    const existed = db.prepare(`SELECT 1 FROM consent_records WHERE consent_record_id = ?`).get(consent_record_id);
+    db.prepare(`
+      INSERT INTO consent_records (consent_record_id, cohort, scope, clinician_hash, valid_from, valid_until,
+                                   permitted_uses_json, maori_data)
+      VALUES (@consent_record_id, @cohort, @scope, @clinician_hash, @valid_from, @valid_until,
+              @permitted_uses_json, @maori_data)
+      ON CONFLICT (consent_record_id) DO UPDATE SET last_generated_ts = datetime('now')
+    `).run({
+      consent_record_id,
+      cohort,
+      scope,
+      clinician_hash,
+      valid_from: valid_from ?? null,
+      valid_until: valid_until ?? null,
+      permitted_uses_json: permitted_uses ? JSON.stringify(permitted_uses) : null,
+      maori_data: maori_data ? 1 : 0,
+    });
+    insertConsentEvent(db, consent_record_id, existed
+      ? { event: 'consent_regenerated' }
+      : { event: 'consent_generated', detail: { valid_from: valid_from ?? null, valid_until: valid_until ?? null } });
+  })();
+  return getConsentRecord(consent_record_id);
+}
+
+function insertConsentEvent(db, consent_record_id, { event, reason, detail }) {
+  db.prepare(`
+    INSERT INTO consent_events (consent_record_id, event, reason, detail_json)
+    VALUES (@consent_record_id, @event, @reason, @detail_json)
+  `).run({ consent_record_id, event, reason: reason ?? null, detail_json: detail ? JSON.stringify(detail) : null });
+}
+
+function consentFromRow(row) {
+  return {
+    consent_record_id: row.consent_record_id,
+    ts:                row.ts,
+    cohort:            row.cohort,
+    scope:             row.scope,
+    clinician_hash:    row.clinician_hash,
+    valid_from:        row.valid_from,
+    valid_until:       row.valid_until,
+    status:            row.status,
+    status_reason:     row.status_reason,
+    status_ts:         row.status_ts,
+    last_generated_ts: row.last_generated_ts,
+    permitted_uses:    row.permitted_uses_json ? JSON.parse(row.permitted_uses_json) : null,
+    maori_data:        row.maori_data === 1,
+  };
+}
+
+export function getConsentRecord(consent_record_id) {
+  const row = getDb().prepare(`SELECT * FROM consent_records WHERE consent_record_id = ?`).get(consent_record_id);
+  return row ? consentFromRow(row) : null;
+}
+
+// Filters match on cohort/scope exactly and on ts within [from, to].
+// Newest first; offset pagination with the total for the filter.
+export function listConsentRecords({ cohort, scope, from, to, limit = 50, offset = 0 } = {}) {
+  const where = [];
+  const params = {};
+  if (cohort) { where.push('cohort = @cohort'); params.cohort = cohort; }
+  if (scope)  { where.push('scope = @scope');   params.scope = scope; }
+  if (from)   { where.push('ts >= @from');      params.from = from; }
+  if (to)     { where.push('ts <= @to');        params.to = to; }
+  const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const db = getDb();
+  const total = db.prepare(`SELECT COUNT(*) AS n FROM consent_records ${clause}`).get(params).n;
+  const rows = db.prepare(`
+    SELECT * FROM consent_records ${clause} ORDER BY ts DESC, id DESC LIMIT @limit OFFSET @offset
+  `).all({ ...params, limit, offset });
+  return { consents: rows.map(consentFromRow), total, limit, offset };
+}
+
+// Every assessment recorded and every blocked attempt made under a consent,
+// with its lifecycle events from consent_events, newest first. Offset
+// pagination, with the total and per-event counts for the whole timeline.
+const CONSENT_TIMELINE = `
+  SELECT ts, event, NULL AS endpoint, id AS ref_id, NULL AS constitutional_score, NULL AS pass,
+         json_object('reason', reason, 'detail', json(detail_json)) AS detail_json, 0 AS ord
+  FROM consent_events WHERE consent_record_id = @id
+  UNION ALL
+  SELECT ts, 'assessment_recorded', NULL, id, constitutional_score, pass,
+         json_object('scope', scope, 'source', source), 1
+  FROM risk_assessments WHERE consent_record_id = @id
+  UNION ALL
+  SELECT ts, 'blocked_attempt', endpoint, id, constitutional_score, pass,
+         json_object('blocked_by', json(blocked_by_json)), 2
+  FROM constitutional_log WHERE consent_record_id = @id AND pass = 0
+`;
+
+export function getConsentTimeline(consent_record_id, { limit = 200, offset = 0 } = {}) {
+  const db = getDb();
+  const counts = Object.fromEntries(db.prepare(`
+    SELECT event, COUNT(*) AS n FROM (${CONSENT_TIMELINE}) GROUP BY event
+  `).all({ id: consent_record_id }).map(row => [row.event, row.n]));
+  const events = db.prepare(`
+    SELECT * FROM (${CONSENT_TIMELINE})
+    ORDER BY ts DESC, ord DESC, ref_id DESC
+    LIMIT @limit OFFSET @offset
+  `).all({ id: consent_record_id, limit, offset }).map(row => ({
+    ts:                   row.ts,
+    event:                row.event,
+    endpoint:             row.endpoint,
+    ref_id:               row.ref_id,
+    constitutional_score: row.constitutional_score,
+    pass:                 row.pass === null ? null : row.pass === 1,
+    detail:               row.detail_json ? JSON.parse(row.detail_json) : null,
+  }));
+  const total = Object.values(counts).reduce((a, b) => a + b, 0);
+  return { events, counts, total, limit, offset };
+}
+
+export function setConsentStatus(consent_record_id, { status, reason }) {
+  const db = getDb();
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE consent_records
+      SET status = @status, status_reason = @reason, status_ts = datetime('now')
+      WHERE consent_record_id = @consent_record_id
+    `).run({ consent_record_id, status, reason: reason ?? null });
+    insertConsentEvent(db, consent_record_id, { event: `consent_${status}`, reason });
+  })();
+  return getConsentRecord(consent_record_id);
+}
+
+export function renewConsentRecord(consent_record_id, { valid_from, valid_until, reason }) {
+  const db = getDb();
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE consent_records
+      SET valid_from = @valid_from, valid_until = @valid_until,
+          status = 'active', status_reason = @reason, status_ts = datetime('now')
+      WHERE consent_record_id = @consent_record_id
+    `).run({ consent_record_id, valid_from, valid_until, reason: reason ?? null });
+    insertConsentEvent(db, consent_record_id, { event: 'consent_renewed', reason, detail: { valid_from, valid_until } });
+  })();
+  return getConsentRecord(consent_record_id);
 }
 
 // ---------------------------------------------------------------------------
 // Constitutional log — every gate verdict
 // ---------------------------------------------------------------------------
-export function logConstitutionalVerdict({ endpoint, consent_record_id, constitutional_score, pass, blocked_by, yamas }) {
+// batch_id links the verdicts of one /api/v1/assess/batch request
+export function logConstitutionalVerdict({
+  endpoint, consent_record_id, constitutional_score, pass, blocked_by, yamas, constitution, batch_id,
+}) {
   getDb().prepare(`
-    INSERT INTO constitutional_log (endpoint, consent_record_id, constitutional_score, pass, blocked_by_json, yamas_json)
-    VALUES (@endpoint, @consent_record_id, @constitutional_score, @pass, @blocked_by_json, @yamas_json)
+    INSERT INTO constitutional_log (endpoint, consent_record_id, constitutional_score, pass, blocked_by_json, yamas_json,
+                                    constitution_hash, batch_id)
+    VALUES (@endpoint, @consent_record_id, @constitutional_score, @pass, @blocked_by_json, @yamas_json,
+            @constitution_hash, @batch_id)
   `).run({
     endpoint,
     consent_record_id: consent_record_id ?? null,
@@ -113,7 +587,689 @@ export function logConstitutionalVerdict({ endpoint, consent_record_id, constitu
     pass: pass ? 1 : 0,
     blocked_by_json: JSON.stringify(blocked_by ?? []),
     yamas_json:      JSON.stringify(yamas ?? {}),
+    constitution_hash: constitution?.content_hash ?? null,
+    batch_id: batch_id ?? null,
+  });
+}
+
+// Verdicts in log order, filtered by ts within [from, to], endpoint and batch.
+// An iterator, so analytics over a long log never holds every row at once.
+export function* iterateConstitutionalLog({ from, to, endpoint, batch_id } = {}) {
+  const where = [];
+  const params = {};
+  if (from)     { where.push('ts >= @from');         params.from = from; }
+  if (to)       { where.push('ts <= @to');           params.to = to; }
+  if (endpoint) { where.push('endpoint = @endpoint'); params.endpoint = endpoint; }
+  if (batch_id) { where.push('batch_id = @batch_id'); params.batch_id = batch_id; }
+  const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const rows = getDb().prepare(`SELECT * FROM constitutional_log ${clause} ORDER BY id`).iterate(params);
+  for (const row of rows) {
+    yield {
+      id:                   row.id,
+      ts:                   row.ts,
+      endpoint:             row.endpoint,
+      consent_record_id:    row.consent_record_id,
+      constitutional_score: row.constitutional_score,
+      pass:                 row.pass === 1,
+      blocked_by:           row.blocked_by_json ? JSON.parse(row.blocked_by_json) : [],
+      yamas:                row.yamas_json ? JSON.parse(row.yamas_json) : {},
+      constitution_hash:    row.constitution_hash,
+      batch_id:             row.batch_id,
+    };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Timestamps — datetime('now') form, so ISO dates compare against stored ts.
+// A date-only upper bound (end) takes in the whole day: to=2026-03-31 runs to
+// 2026-03-31 23:59:59, not its first second
+// ---------------------------------------------------------------------------
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+export function sqliteTimestamp(value, field, { end = false, code = 'QUERY_ERROR' } = {}) {
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) throw new Error(`${code}: ${field} must be an ISO-8601 date`);
+  if (end && DATE_ONLY.test(String(value).trim())) d.setUTCHours(23, 59, 59);
+  return d.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// ---------------------------------------------------------------------------
+// Audit export — raw rows, every column as stored, oldest first (src/audit/)
+// ---------------------------------------------------------------------------
+const AUDIT_TABLES = ['risk_assessments', 'consent_records', 'constitutional_log'];
+
+// A consent belongs in a date-ranged export if it was generated in the range
+// or anything exported under it was
+function auditWhere(table, { from, to, consent_record_id }) {
+  const where = [];
+  if (consent_record_id) where.push('consent_record_id = @consent_record_id');
+  const range = [from && 'ts >= @from', to && 'ts <= @to'].filter(Boolean).join(' AND ');
+  if (range && table === 'consent_records') {
+    where.push(`(${range}
+      OR consent_record_id IN (SELECT consent_record_id FROM risk_assessments WHERE ${range})
+      OR consent_record_id IN (SELECT consent_record_id FROM constitutional_log WHERE ${range}))`);
+  } else if (range) {
+    where.push(range);
+  }
+  return where.length ? `WHERE ${where.join(' AND ')}` : '';
+}
+
+/**
+ * @param {string} table — risk_assessments | consent_records | constitutional_log
+ * @param {{ from?: string, to?: string, consent_record_id?: string }} filters
+ * @returns {{ columns: string[], rows: Iterable<Object> }}
+ */
+export function auditRows(table, { from, to, consent_record_id } = {}) {
+  if (!AUDIT_TABLES.includes(table)) throw new Error(`AUDIT_ERROR: ${table} is not an auditable table`);
+  const stmt = getDb().prepare(`SELECT * FROM ${table} ${auditWhere(table, { from, to, consent_record_id })} ORDER BY id`);
+  const params = {};
+  if (from) params.from = from;
+  if (to) params.to = to;
+  if (consent_record_id) params.consent_record_id = consent_record_id;
+  return { columns: stmt.columns().map(c => c.name), rows: stmt.iterate(params) };
+}
+
+// ---------------------------------------------------------------------------
+// Registry IDs — PREFIX-slug-vVERSION
+// ---------------------------------------------------------------------------
+function registryId(prefix, name, version) {
+  const slug = String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${prefix}-${slug}-v${version}`;
+}
+
+// Omitted version → one past the highest integer version for this name. Call
+// it inside the transaction that inserts, so two registrations cannot take the
+// same number; UNIQUE (name, version) rejects the loser if one ever does
+function nextVersion(db, table, name, version) {
+  if (version != null && String(version).trim() !== '') return String(version).trim();
+  return String(db.prepare(`
+    SELECT COALESCE(MAX(CAST(version AS INTEGER)), 0) + 1 AS v FROM ${table}
+    WHERE name = ? AND version GLOB '[0-9]*' AND version NOT GLOB '*[^0-9]*'
+  `).get(name).v);
+}
+
+// Run a registry insert; a duplicate ID or (name, version) is the caller's error
+function registerOnce(db, code, insert) {
+  try {
+    return db.transaction(insert).immediate();
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT_UNIQUE' || err.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+      throw new Error(`${code}: that name and version is already registered — register a new version instead`);
+    }
+    throw err;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Life table registry — versions are immutable; retire, never overwrite
+// ---------------------------------------------------------------------------
+function lifeTableMeta(row) {
+  return {
+    table_id:       row.table_id,
+    name:           row.name,
+    version:        row.version,
+    source:         row.source,
+    format:         row.format,
+    start_age:      row.start_age,
+    max_age:        row.max_age,
+    sexes:          JSON.parse(row.sexes_json),
+    content_hash:   row.content_hash,
+    status:         row.status,
+    registered_ts:  row.ts,
+    retired_ts:     row.retired_ts,
+    retired_reason: row.retired_reason,
+  };
+}
+
+export function insertLifeTable({ name, version, source, format, start_age, max_age, qx }) {
+  if (!name) throw new Error('LIFE_TABLE_ERROR: name is required');
+  const db = getDb();
+  const sexes = Object.keys(qx);
+  const content_hash = createHash('sha256')
+    .update(JSON.stringify({ start_age, max_age, qx: Object.fromEntries(sexes.sort().map(s => [s, qx[s]])) }))
+    .digest('hex');
+
+  const insertRate = db.prepare(`INSERT INTO life_table_rates (table_id, sex, age, qx) VALUES (?, ?, ?, ?)`);
+  const table_id = registerOnce(db, 'LIFE_TABLE_ERROR', () => {
+    const resolvedVersion = nextVersion(db, 'life_tables', name, version);
+    const id = registryId('LT', name, resolvedVersion);
+    if (db.prepare(`SELECT 1 FROM life_tables WHERE table_id = ? OR (name = ? AND version = ?)`).get(id, name, resolvedVersion)) {
+      throw new Error(`LIFE_TABLE_ERROR: ${id} is already registered — register a new version instead`);
+    }
+    db.prepare(`
+      INSERT INTO life_tables (table_id, name, version, source, format, start_age, max_age, sexes_json, content_hash)
+      VALUES (@table_id, @name, @version, @source, @format, @start_age, @max_age, @sexes_json, @content_hash)
+    `).run({
+      table_id: id,
+      name,
+      version: resolvedVersion,
+      source: source ?? null,
+      format,
+      start_age,
+      max_age,
+      sexes_json: JSON.stringify(sexes),
+      content_hash,
+    });
+    for (const sex of sexes) {
+      qx[sex].forEach((q, i) => insertRate.run(id, sex, start_age + i, q));
+    }
+    return id;
+  });
+
+  return getLifeTableMeta(table_id);
+}
+
+export function getLifeTableMeta(table_id) {
+  const row = getDb().prepare(`SELECT * FROM life_tables WHERE table_id = ?`).get(table_id);
+  return row ? lifeTableMeta(row) : null;
+}
+
+// Full table in the shape the mortality engine consumes
+export function getLifeTable(table_id) {
+  const meta = getLifeTableMeta(table_id);
+  if (!meta) return null;
+  const qx = {};
+  for (const sex of meta.sexes) qx[sex] = [];
+  const rates = getDb().prepare(`SELECT sex, age, qx FROM life_table_rates WHERE table_id = ? ORDER BY sex, age`).all(table_id);
+  for (const r of rates) qx[r.sex][r.age - meta.start_age] = r.qx;
+  return { ...meta, id: meta.table_id, qx };
+}
+
+export function listLifeTables({ include_retired = false } = {}) {
+  const rows = getDb().prepare(`
+    SELECT * FROM life_tables ${include_retired ? '' : `WHERE status = 'active'`} ORDER BY name, id
+  `).all();
+  return rows.map(lifeTableMeta);
+}
+
+export function retireLifeTable(table_id, reason) {
+  const info = getDb().prepare(`
+    UPDATE life_tables SET status = 'retired', retired_ts = datetime('now'), retired_reason = @reason
+    WHERE table_id = @table_id AND status = 'active'
+  `).run({ table_id, reason: reason ?? null });
+  return info.changes > 0 ? getLifeTableMeta(table_id) : null;
+}
+
+// ---------------------------------------------------------------------------
+// GLM model registry — a fitted model is registered from the ledger row that
+// produced it, so its provenance is always a gated assessment
+// ---------------------------------------------------------------------------
+function glmModelMeta(row, { includeFit = false } = {}) {
+  const meta = {
+    model_id:       row.model_id,
+    name:           row.name,
+    version:        row.version,
+    assessment_id:  row.assessment_id,
+    target:         row.target,
+    family:         row.family,
+    content_hash:   row.content_hash,
+    status:         row.status,
+    registered_ts:  row.ts,
+    retired_ts:     row.retired_ts,
+    retired_reason: row.retired_reason,
+  };
+  if (includeFit) meta.fit = JSON.parse(row.fit_json);
+  return meta;
+}
+
+export function insertGlmModel({ name, version, assessment_id, fit }) {
+  if (!name) throw new Error('GLM_ERROR: name is required');
+  const db = getDb();
+  const fit_json = JSON.stringify(fit);
+  const model_id = registerOnce(db, 'GLM_ERROR', () => {
+    const resolvedVersion = nextVersion(db, 'glm_models', name, version);
+    const id = registryId('GLM', name, resolvedVersion);
+    if (db.prepare(`SELECT 1 FROM glm_models WHERE model_id = ? OR (name = ? AND version = ?)`).get(id, name, resolvedVersion)) {
+      throw new Error(`GLM_ERROR: ${id} is already registered — register a new version instead`);
+    }
+    db.prepare(`
+      INSERT INTO glm_models (model_id, name, version, assessment_id, target, family, fit_json, content_hash)
+      VALUES (@model_id, @name, @version, @assessment_id, @target, @family, @fit_json, @content_hash)
+    `).run({
+      model_id: id,
+      name,
+      version: resolvedVersion,
+      assessment_id,
+      target: fit.target,
+      family: fit.family,
+      fit_json,
+      content_hash: createHash('sha256').update(fit_json).digest('hex'),
+    });
+    return id;
+  });
+  return getGlmModel(model_id);
+}
+
+export function getGlmModel(model_id) {
+  const row = getDb().prepare(`SELECT * FROM glm_models WHERE model_id = ?`).get(model_id);
+  return row ? glmModelMeta(row, { includeFit: true }) : null;
+}
+
+export function listGlmModels({ include_retired = false } = {}) {
+  const rows = getDb().prepare(`
+    SELECT * FROM glm_models ${include_retired ? '' : `WHERE status = 'active'`} ORDER BY name, id
+  `).all();
+  return rows.map(r => glmModelMeta(r));
+}
+
+export function retireGlmModel(model_id, reason) {
+  const info = getDb().prepare(`
+    UPDATE glm_models SET status = 'retired', retired_ts = datetime('now'), retired_reason = @reason
+    WHERE model_id = @model_id AND status = 'active'
+  `).run({ model_id, reason: reason ?? null });
+  return info.changes > 0 ? getGlmModel(model_id) : null;
+}
+
+// ---------------------------------------------------------------------------
+// Equity coefficient registry — draft → active (all roles signed) → superseded
+// ---------------------------------------------------------------------------
+export function insertEquityReviewer({ name, role, public_key }) {
+  const reviewer_id = `RV-${createHash('sha256').update(String(public_key)).digest('hex').slice(0, 16)}`;
+  getDb().prepare(`
+    INSERT INTO equity_reviewers (reviewer_id, name, role, public_key)
+    VALUES (@reviewer_id, @name, @role, @public_key)
+  `).run({ reviewer_id, name, role, public_key: String(public_key).toLowerCase() });
+  return getEquityReviewer(reviewer_id);
+}
+
+export function getEquityReviewer(reviewer_id) {
+  return getDb().prepare(`SELECT reviewer_id, name, role, public_key, ts AS registered_ts FROM equity_reviewers WHERE reviewer_id = ?`).get(reviewer_id) ?? null;
+}
+
+export function listEquityReviewers() {
+  return getDb().prepare(`SELECT reviewer_id, name, role, public_key, ts AS registered_ts FROM equity_reviewers ORDER BY role, id`).all();
+}
+
+function equitySetFromRow(row) {
+  const signoffs = getDb().prepare(`
+    SELECT s.reviewer_id, r.name AS reviewer_name, r.public_key, s.role, s.signature, s.ts AS signed_ts
+    FROM equity_signoffs s JOIN equity_reviewers r ON r.reviewer_id = s.reviewer_id
+    WHERE s.set_id = ? ORDER BY s.id
+  `).all(row.set_id);
+  return {
+    set_id:        row.set_id,
+    version:       row.version,
+    coefficients:  JSON.parse(row.coefficients_json),
+    matching:      row.matching_json ? JSON.parse(row.matching_json) : null,
+    content_hash:  row.content_hash,
+    notes:         row.notes,
+    status:        row.status,
+    created_ts:    row.ts,
+    activated_ts:  row.activated_ts,
+    superseded_ts: row.superseded_ts,
+    signoffs,
+  };
+}
+
+export function insertEquityCoefficientSet({ coefficients, matching, content_hash, notes }) {
+  const db = getDb();
+  const version = db.prepare(`SELECT COALESCE(MAX(version), 0) + 1 AS v FROM equity_coefficient_sets`).get().v;
+  const set_id = `EQ-v${version}`;
+  db.prepare(`
+    INSERT INTO equity_coefficient_sets (set_id, version, coefficients_json, matching_json, content_hash, notes)
+    VALUES (@set_id, @version, @coefficients_json, @matching_json, @content_hash, @notes)
+  `).run({
+    set_id,
+    version,
+    coefficients_json: JSON.stringify(coefficients),
+    matching_json: matching ? JSON.stringify(matching) : null,
+    content_hash,
+    notes: notes ?? null,
   });
+  return getEquityCoefficientSet(set_id);
+}
+
+export function getEquityCoefficientSet(set_id) {
+  const row = getDb().prepare(`SELECT * FROM equity_coefficient_sets WHERE set_id = ?`).get(set_id);
+  return row ? equitySetFromRow(row) : null;
+}
+
+export function listEquityCoefficientSets() {
+  return getDb().prepare(`SELECT * FROM equity_coefficient_sets ORDER BY version DESC`).all().map(equitySetFromRow);
+}
+
+export function getActiveEquityCoefficientSet() {
+  const row = getDb().prepare(`SELECT * FROM equity_coefficient_sets WHERE status = 'active'`).get();
+  return row ? equitySetFromRow(row) : null;
+}
+
+export function insertEquitySignoff({ set_id, reviewer_id, role, signature }) {
+  getDb().prepare(`
+    INSERT INTO equity_signoffs (set_id, reviewer_id, role, signature)
+    VALUES (@set_id, @reviewer_id, @role, @signature)
+  `).run({ set_id, reviewer_id, role, signature: String(signature).toLowerCase() });
+  return getEquityCoefficientSet(set_id);
+}
+
+// Activate one set and supersede whichever was active — a single transaction
+export function activateEquityCoefficientSet(set_id) {
+  const db = getDb();
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE equity_coefficient_sets SET status = 'superseded', superseded_ts = datetime('now')
+      WHERE status = 'active'
+    `).run();
+    db.prepare(`
+      UPDATE equity_coefficient_sets SET status = 'active', activated_ts = datetime('now')
+      WHERE set_id = ? AND status = 'draft'
+    `).run(set_id);
+  })();
+  return getEquityCoefficientSet(set_id);
+}
+
+// ---------------------------------------------------------------------------
+// Collective consent — governance bodies and their approvals
+// ---------------------------------------------------------------------------
+export function insertGovernanceBody({ name, kind, public_key }) {
+  const body_id = `GB-${createHash('sha256').update(String(public_key)).digest('hex').slice(0, 16)}`;
+  getDb().prepare(`
+    INSERT INTO governance_bodies (body_id, name, kind, public_key)
+    VALUES (@body_id, @name, @kind, @public_key)
+  `).run({ body_id, name, kind, public_key: String(public_key).toLowerCase() });
+  return getGovernanceBody(body_id);
+}
+
+export function getGovernanceBody(body_id) {
+  return getDb().prepare(`SELECT body_id, name, kind, public_key, ts AS registered_ts FROM governance_bodies WHERE body_id = ?`).get(body_id) ?? null;
+}
+
+export function listGovernanceBodies() {
+  return getDb().prepare(`SELECT body_id, name, kind, public_key, ts AS registered_ts FROM governance_bodies ORDER BY kind, id`).all();
+}
+
+const APPROVAL_COLUMNS = `
+  a.id AS approval_id, a.ts, a.consent_record_id, a.body_id, b.name AS body_name, b.kind AS body_kind,
+  a.content_hash, a.signature, a.status, a.revoked_ts, a.revoked_reason
+`;
+
+export function insertCollectiveApproval({ consent_record_id, body_id, content_hash, signature }) {
+  const info = getDb().prepare(`
+    INSERT INTO collective_approvals (consent_record_id, body_id, content_hash, signature)
+    VALUES (@consent_record_id, @body_id, @content_hash, @signature)
+  `).run({ consent_record_id, body_id, content_hash, signature: String(signature).toLowerCase() });
+  return getCollectiveApproval(Number(info.lastInsertRowid));
+}
+
+export function getCollectiveApproval(approval_id) {
+  return getDb().prepare(`
+    SELECT ${APPROVAL_COLUMNS}
+    FROM collective_approvals a JOIN governance_bodies b ON b.body_id = a.body_id
+    WHERE a.id = ?
+  `).get(approval_id) ?? null;
+}
+
+export function listCollectiveApprovals(consent_record_id) {
+  return getDb().prepare(`
+    SELECT ${APPROVAL_COLUMNS}
+    FROM collective_approvals a JOIN governance_bodies b ON b.body_id = a.body_id
+    WHERE a.consent_record_id = ? ORDER BY a.id
+  `).all(consent_record_id);
+}
+
+export function revokeCollectiveApproval(approval_id, { reason, signature }) {
+  const info = getDb().prepare(`
+    UPDATE collective_approvals
+    SET status = 'revoked', revoked_ts = datetime('now'), revoked_reason = @reason, revocation_signature = @signature
+    WHERE id = @approval_id AND status = 'active'
+  `).run({ approval_id, reason: reason ?? null, signature: String(signature).toLowerCase() });
+  return info.changes > 0 ? getCollectiveApproval(approval_id) : null;
+}
+
+// ---------------------------------------------------------------------------
+// Constitutions — the founding document and signed amendments
+// ---------------------------------------------------------------------------
+function constitutionFromRow(row) {
+  const approvals = getDb().prepare(`
+    SELECT a.body_id, b.name AS body_name, b.kind AS body_kind, a.signature, a.ts AS signed_ts
+    FROM constitution_approvals a JOIN governance_bodies b ON b.body_id = a.body_id
+    WHERE a.constitution_id = ? ORDER BY a.id
+  `).all(row.constitution_id);
+  return {
+    constitution_id: row.constitution_id,
+    version:         row.version,
+    document:        JSON.parse(row.document_json),
+    content_hash:    row.content_hash,
+    rationale:       row.rationale,
+    base_constitution_id: row.base_constitution_id,
+    status:          row.status,
+    created_ts:      row.ts,
+    activated_ts:    row.activated_ts,
+    superseded_ts:   row.superseded_ts,
+    approvals,
+  };
+}
+
+// base_constitution_id — the version in force the draft amends (none for the founding document)
+export function insertConstitution({ document, content_hash, rationale, base_constitution_id }) {
+  const db = getDb();
+  const version = db.prepare(`SELECT COALESCE(MAX(version), 0) + 1 AS v FROM constitutions`).get().v;
+  const constitution_id = `CON-v${version}`;
+  db.prepare(`
+    INSERT INTO constitutions (constitution_id, version, document_json, content_hash, rationale, base_constitution_id)
+    VALUES (@constitution_id, @version, @document_json, @content_hash, @rationale, @base_constitution_id)
+  `).run({
+    constitution_id,
+    version,
+    document_json: JSON.stringify(document),
+    content_hash,
+    rationale: rationale ?? null,
+    base_constitution_id: base_constitution_id ?? null,
+  });
+  return getConstitution(constitution_id);
+}
+
+export function getConstitution(constitution_id) {
+  const row = getDb().prepare(`SELECT * FROM constitutions WHERE constitution_id = ?`).get(constitution_id);
+  return row ? constitutionFromRow(row) : null;
+}
+
+export function listConstitutions() {
+  return getDb().prepare(`SELECT * FROM constitutions ORDER BY version DESC`).all().map(constitutionFromRow);
+}
+
+export function getActiveConstitutionRow() {
+  const row = getDb().prepare(`SELECT * FROM constitutions WHERE status = 'active'`).get();
+  return row ? constitutionFromRow(row) : null;
+}
+
+export function insertConstitutionApproval({ constitution_id, body_id, signature }) {
+  getDb().prepare(`
+    INSERT INTO constitution_approvals (constitution_id, body_id, signature)
+    VALUES (@constitution_id, @body_id, @signature)
+  `).run({ constitution_id, body_id, signature: String(signature).toLowerCase() });
+  return getConstitution(constitution_id);
+}
+
+// Activate one constitution and supersede whichever was in force — a single
+// transaction. Every other draft amended the superseded version, so is stale
+export function activateConstitution(constitution_id) {
+  const db = getDb();
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE constitutions SET status = 'superseded', superseded_ts = datetime('now')
+      WHERE status = 'active'
+    `).run();
+    db.prepare(`
+      UPDATE constitutions SET status = 'active', activated_ts = datetime('now')
+      WHERE constitution_id = ? AND status = 'draft'
+    `).run(constitution_id);
+    db.prepare(`
+      UPDATE constitutions SET status = 'stale', superseded_ts = datetime('now')
+      WHERE status = 'draft' AND constitution_id != ?
+    `).run(constitution_id);
+  })();
+  return getConstitution(constitution_id);
+}
+
+// A draft whose base is no longer in force can never be approved
+export function markConstitutionStale(constitution_id) {
+  getDb().prepare(`
+    UPDATE constitutions SET status = 'stale', superseded_ts = datetime('now')
+    WHERE constitution_id = ? AND status = 'draft'
+  `).run(constitution_id);
+  return getConstitution(constitution_id);
+}
+
+// ---------------------------------------------------------------------------
+// Jobs — queued → running → succeeded | failed | cancelled. A job is claimed
+// by one owner (a server process) with a single guarded UPDATE, and only that
+// owner, while the job is still running, can finish it — so no job runs or
+// records twice. Owners are '<instance>/<process claim>'; a claim is leased,
+// and the owner renews the lease while it is alive, so a job whose server
+// died is taken back once the lease lapses.
+// ---------------------------------------------------------------------------
+function jobFromRow(row) {
+  return {
+    job_id:            row.job_id,
+    kind:              row.kind,
+    consent_record_id: row.consent_record_id,
+    payload:           JSON.parse(row.payload_json),
+    status:            row.status,
+    progress:          row.progress,
+    stage:             row.stage,
+    attempts:          row.attempts,
+    submitted_ts:      row.ts,
+    started_ts:        row.started_ts,
+    finished_ts:       row.finished_ts,
+    http_status:       row.http_status,
+    result:            row.result_json ? JSON.parse(row.result_json) : null,
+    error:             row.error,
+  };
+}
+
+export function insertJob({ job_id, kind, consent_record_id, payload }) {
+  getDb().prepare(`
+    INSERT INTO jobs (job_id, kind, consent_record_id, payload_json)
+    VALUES (@job_id, @kind, @consent_record_id, @payload_json)
+  `).run({ job_id, kind, consent_record_id: consent_record_id ?? null, payload_json: JSON.stringify(payload) });
+  return getJob(job_id);
+}
+
+export function getJob(job_id) {
+  const row = getDb().prepare(`SELECT * FROM jobs WHERE job_id = ?`).get(job_id);
+  return row ? jobFromRow(row) : null;
+}
+
+const leaseUntil = leaseSeconds => `+${Math.ceil(leaseSeconds)} seconds`;
+
+// Oldest queued job, now running under owner for leaseSeconds — null when the queue is empty
+export function claimNextJob(owner, leaseSeconds) {
+  const row = getDb().prepare(`
+    UPDATE jobs SET status = 'running', owner = @owner, attempts = attempts + 1,
+                    lease_expires_ts = datetime('now', @lease),
+                    started_ts = datetime('now'), progress = 0, stage = NULL
+    WHERE id = (SELECT id FROM jobs WHERE status = 'queued' ORDER BY id LIMIT 1) AND status = 'queued'
+    RETURNING *
+  `).get({ owner, lease: leaseUntil(leaseSeconds) });
+  return row ? jobFromRow(row) : null;
+}
+
+// Extend the lease on every job owner is running. Returns how many
+export function renewJobLeases(owner, leaseSeconds) {
+  return getDb().prepare(`
+    UPDATE jobs SET lease_expires_ts = datetime('now', @lease)
+    WHERE owner = @owner AND status = 'running'
+  `).run({ owner, lease: leaseUntil(leaseSeconds) }).changes;
+}
+
+export function setJobProgress(job_id, owner, { progress, stage }) {
+  getDb().prepare(`
+    UPDATE jobs SET progress = @progress, stage = @stage
+    WHERE job_id = @job_id AND owner = @owner AND status = 'running'
+  `).run({ job_id, owner, progress, stage: stage ?? null });
+}
+
+// Finish a running job in one transaction with whatever finish() records.
+// finish() returns { status, http_status, result, error }. If the job was
+// cancelled or reclaimed meanwhile nothing is kept and null is returned.
+export function completeJob(job_id, owner, finish) {
+  const db = getDb();
+  return db.transaction(() => {
+    const running = db.prepare(`SELECT 1 FROM jobs WHERE job_id = ? AND owner = ? AND status = 'running'`).get(job_id, owner);
+    if (!running) return null;
+    const { status, http_status, result, error } = finish();
+    db.prepare(`
+      UPDATE jobs SET status = @status, progress = 1, stage = NULL, finished_ts = datetime('now'),
+                      http_status = @http_status, result_json = @result_json, error = @error
+      WHERE job_id = @job_id
+    `).run({ job_id, status, http_status: http_status ?? null, result_json: result ? JSON.stringify(result) : null, error: error ?? null });
+    return getJob(job_id);
+  })();
+}
+
+// Cancel a queued or running job. Returns the job, or null if it had already finished.
+export function cancelJob(job_id, reason) {
+  const row = getDb().prepare(`
+    UPDATE jobs SET status = 'cancelled', stage = NULL, finished_ts = datetime('now'), error = @error
+    WHERE job_id = @job_id AND status IN ('queued', 'running')
+    RETURNING *
+  `).get({ job_id, error: reason ?? 'JOB_CANCELLED' });
+  return row ? jobFromRow(row) : null;
+}
+
+// A running job whose worker died goes back on the queue, unless it has
+// already had maxAttempts — then it fails rather than crash a worker forever.
+// Released: owner's job job_id (or all of owner's jobs), any job claimed under
+// instance (startup: that instance's previous process stopped mid-job), and
+// with expired, any job whose lease has lapsed (its server stopped). Jobs
+// another live server is running are never touched.
+export function releaseJobs({ job_id = null, owner = null, instance = null, expired = false, reason, maxAttempts }) {
+  const claims = [
+    owner && `(owner = @owner${job_id ? ' AND job_id = @job_id' : ''})`,
+    instance && `substr(owner, 1, length(@instance) + 1) = @instance || '/'`,
+    expired && `(lease_expires_ts IS NULL OR lease_expires_ts <= datetime('now'))`,
+  ].filter(Boolean);
+  if (!claims.length) throw new Error('JOB_ERROR: releaseJobs needs an owner, an instance or expired');
+  const db = getDb();
+  const where = `status = 'running' AND (${claims.join(' OR ')})`;
+  return db.transaction(() => {
+    const failed = db.prepare(`
+      UPDATE jobs SET status = 'failed', stage = NULL, lease_expires_ts = NULL, finished_ts = datetime('now'), error = @error
+      WHERE ${where} AND attempts >= @maxAttempts
+    `).run({ job_id, owner, instance, maxAttempts, error: `JOB_ABANDONED: ${reason} (after ${maxAttempts} attempts)` }).changes;
+    const requeued = db.prepare(`
+      UPDATE jobs SET status = 'queued', owner = NULL, lease_expires_ts = NULL, progress = 0, stage = NULL, error = @error
+      WHERE ${where}
+    `).run({ job_id, owner, instance, error: reason }).changes;
+    return { requeued, failed };
+  })();
+}
+
+// ---------------------------------------------------------------------------
+// Registered model lookup — lets Satya check that a model_version is real.
+// Returns undefined when model_version is not a registry reference at all.
+// ---------------------------------------------------------------------------
+export function lookupRegisteredModel(model_version) {
+  if (typeof model_version !== 'string') return undefined;
+  if (model_version.startsWith('LT-')) {
+    const meta = getLifeTableMeta(model_version);
+    return meta ? { kind: 'life_table', id: meta.table_id, status: meta.status, content_hash: meta.content_hash } : null;
+  }
+  if (model_version.startsWith('GLM-')) {
+    const row = getDb().prepare(`SELECT model_id, status, content_hash FROM glm_models WHERE model_id = ?`).get(model_version);
+    return row ? { kind: 'glm', id: row.model_id, status: row.status, content_hash: row.content_hash } : null;
+  }
+  return undefined;
+}
+
+// ---------------------------------------------------------------------------
+// Gate records — the stored records the gates judge a request against, loaded
+// here and carried in ctx.records so the gates never query the database.
+// Each is keyed by the ID it was loaded for; a gate treats a record loaded for
+// a different ID as absent.
+// ---------------------------------------------------------------------------
+export function withGateRecords(ctx) {
+  const { model_version, consent_record_id } = ctx;
+  return {
+    ...ctx,
+    records: {
+      model_version,
+      registered_model: lookupRegisteredModel(model_version),
+      consent_record_id,
+      consent_record: consent_record_id ? getConsentRecord(consent_record_id) : null,
+      collective_approvals: consent_record_id ? listCollectiveApprovals(consent_record_id) : [],
+    },
+  };
 }
 
 export { getDb };
@@ -0,0 +1,43 @@
+// tests/actuarial/glm.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runGlmAssessment } from '../../src/actuarial/glm.js';
+
+// Region A claims at 0.1 per unit exposure, region B at 0.2
+const FREQUENCY = [
+  { region: 'A', exposure: 50, claim_count: 4 }, { region: 'A', exposure: 50, claim_count: 6 },
+  { region: 'B', exposure: 50, claim_count: 9 }, { region: 'B', exposure: 50, claim_count: 11 },
+];
+const close = (actual, expected, tol = 1e-6) => assert.ok(Math.abs(actual - expected) < tol, `${actual} ≉ ${expected}`);
+
+test('poisson frequency: relativities and base rate match the observed claim rates', () => {
+  const fit = runGlmAssessment({ glm: { family: 'poisson', rating_factors: ['region'], base_levels: { region: 'A' }, records: FREQUENCY } });
+  assert.equal(fit.converged, true);
+  assert.equal(fit.offset, 'log(exposure)');
+  close(fit.base_rate, 0.1);
+  assert.equal(fit.relativities.region.A, 1);
+  close(fit.relativities.region.B, 2);
+  assert.equal(fit.df_residual, 2);
+});
+
+test('gamma severity: the relativity is the ratio of mean claim sizes', () => {
+  const records = [
+    { band: 'low', claim_count: 1, claim_amount: 900 }, { band: 'low', claim_count: 1, claim_amount: 1100 },
+    { band: 'high', claim_count: 1, claim_amount: 2700 }, { band: 'high', claim_count: 1, claim_amount: 3300 },
+  ];
+  const fit = runGlmAssessment({ glm: { family: 'gamma', rating_factors: ['band'], base_levels: { band: 'low' }, records } });
+  close(fit.base_rate, 1000, 1e-3);
+  close(fit.relativities.band.high, 3);
+});
+
+test('input validation', () => {
+  assert.throws(() => runGlmAssessment({ glm: { family: 'tweedie', records: FREQUENCY } }), /GLM_ERROR: family 'tweedie'/);
+  assert.throws(
+    () => runGlmAssessment({ glm: { family: 'poisson', rating_factors: ['region'], records: [...FREQUENCY, { exposure: 1, claim_count: 0 }] } }),
+    /missing rating factor 'region'/,
+  );
+  assert.throws(
+    () => runGlmAssessment({ glm: { family: 'poisson', rating_factors: ['region'], records: [FREQUENCY[0], FREQUENCY[2]] } }),
+    /GLM_ERROR: 2 usable records cannot support 2 parameters/,
+  );
+});
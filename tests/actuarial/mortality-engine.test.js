@@ -0,0 +1,63 @@
+// tests/actuarial/mortality-engine.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildLifeTable, runMortalityAssessment } from '../../src/actuarial/mortality-engine.js';
+import { getBuiltinLifeTable } from '../../src/actuarial/life-tables.js';
+import { runPricingAssessment } from '../../src/actuarial/pricing-engine.js';
+
+// A table where everyone is dead by age 62, well before its last qx entry
+const EARLY_CLOSE = {
+  id: 'EARLY',
+  start_age: 60,
+  max_age: 65,
+  qx: { unisex: [0.5, 0.5, 1, 0.3, 0.3, 1] },
+};
+
+test('buildLifeTable: lx, dx and ex on the built-in table are finite and consistent', () => {
+  const table = getBuiltinLifeTable('SULT');
+  const rows = buildLifeTable(table.qx.unisex, table.start_age);
+  assert.equal(rows[0].lx, 100000);
+  for (const row of rows) {
+    assert.ok(row.lx > 0);
+    assert.ok(Number.isFinite(row.ex));
+  }
+  assert.equal(rows.at(-1).qx, 1);
+  assert.ok(Math.abs(rows.reduce((s, r) => s + r.dx, 0) - 100000) < 1e-6);
+});
+
+test('buildLifeTable: the table ends where lx reaches 0, with no NaN rows', () => {
+  const rows = buildLifeTable(EARLY_CLOSE.qx.unisex, EARLY_CLOSE.start_age);
+  assert.deepEqual(rows.map(r => r.age), [60, 61, 62]);
+  for (const row of rows) {
+    for (const value of Object.values(row)) assert.ok(Number.isFinite(value));
+  }
+});
+
+test('runMortalityAssessment: an age past the closing row is a MORTALITY_ERROR, not NaN', () => {
+  assert.throws(
+    () => runMortalityAssessment({ cohort_structure: [{ age: 63, count: 10 }] }, EARLY_CLOSE),
+    /MORTALITY_ERROR: .*past the last age with survivors/,
+  );
+  const result = runMortalityAssessment({ cohort_structure: [{ age: 61, count: 10 }], horizon_years: 5 }, EARLY_CLOSE);
+  assert.equal(result.totals.expected_deaths, 10);
+  assert.equal(result.groups[0].horizon_survival, 0);
+});
+
+test('runMortalityAssessment: deterministic expected deaths on SULT', () => {
+  const params = { cohort_structure: [{ age: 40, count: 1000 }, { age: 70, sex: 'unisex', count: 500 }], horizon_years: 10 };
+  const a = runMortalityAssessment(params, getBuiltinLifeTable('SULT'));
+  const b = runMortalityAssessment(params, getBuiltinLifeTable('SULT'));
+  assert.deepEqual(a, b);
+  assert.equal(a.totals.population, 1500);
+  assert.ok(a.totals.expected_deaths > 0 && a.totals.expected_deaths < 1500);
+  assert.equal(a.totals.expected_deaths_by_year.length, 10);
+});
+
+test('runPricingAssessment: an issue age with no survivors is a PRICING_ERROR', () => {
+  assert.throws(
+    () => runPricingAssessment({ pricing: { product: 'whole_life', issue_age: 64, sum_assured: 1000 } }, EARLY_CLOSE),
+    /PRICING_ERROR: issue_age 64 has no survivors/,
+  );
+  const priced = runPricingAssessment({ pricing: { product: 'whole_life', issue_age: 61, sum_assured: 1000 } }, EARLY_CLOSE);
+  assert.ok(Number.isFinite(priced.net_premium) && Number.isFinite(priced.gross_premium));
+});
@@ -0,0 +1,32 @@
+// tests/actuarial/pricing-engine.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { discountFunction } from '../../src/actuarial/commutation.js';
+import { runPricingAssessment } from '../../src/actuarial/pricing-engine.js';
+import { getBuiltinLifeTable } from '../../src/actuarial/life-tables.js';
+
+const price = pricing => runPricingAssessment({ pricing: { product: 'term', issue_age: 40, term_years: 10, sum_assured: 100000, ...pricing } },
+  getBuiltinLifeTable('SULT'));
+
+test('discountFunction: flat rate, stepped curve and the 4% default for an omitted spec', () => {
+  assert.equal(discountFunction({ rate: 0.05 }).v(2), 1 / 1.05 ** 2);
+  const stepped = discountFunction({ curve: [{ from_year: 0, rate: 0.02 }, { from_year: 1, rate: 0.04 }] });
+  assert.equal(stepped.v(2), 1 / (1.02 * 1.04));
+  assert.deepEqual(discountFunction().describe, { type: 'flat', rate: 0.04 });
+  assert.deepEqual(discountFunction({}).describe, { type: 'flat', rate: 0.04 });
+});
+
+test('discountFunction: a non-object interest spec is a validation error, not 4%', () => {
+  for (const bad of [0.05, '0.05', null, [0.05], true]) {
+    assert.throws(() => discountFunction(bad), /PRICING_ERROR: interest must be an object/, String(bad));
+  }
+  assert.throws(() => discountFunction({ curve: 0.05 }), /PRICING_ERROR: interest.curve must be an array/);
+  assert.throws(() => discountFunction({ rate: 2 }), /PRICING_ERROR: interest.rate/);
+});
+
+test('runPricingAssessment: interest given as a bare number is rejected', () => {
+  assert.throws(() => price({ interest: 0.05 }), /PRICING_ERROR: interest must be an object/);
+  const priced = price({ interest: { rate: 0.05 } });
+  assert.deepEqual(priced.interest, { type: 'flat', rate: 0.05 });
+  assert.ok(priced.net_premium > 0 && priced.gross_premium >= priced.net_premium);
+});
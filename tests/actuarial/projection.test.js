@@ -0,0 +1,42 @@
+// tests/actuarial/projection.test.js
+import '../helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runProjection, derivedConfidence } from '../../src/actuarial/projection.js';
+import { getBuiltinLifeTable } from '../../src/actuarial/life-tables.js';
+import { satyaGate } from '../../constitutional/yamas-gates.js';
+import { remedySatya } from '../../constitutional/yamas-remedies.js';
+import { explainGates } from '../../src/advisor/gate-explainer.js';
+
+const BODY = { cohort_structure: [{ age: 50, count: 2000 }, { age: 70, count: 500 }], horizon_years: 5 };
+
+test('runProjection: the same seed reproduces the same bands', () => {
+  const a = runProjection({ kind: 'deaths', seed: 7, simulations: 200 }, BODY, getBuiltinLifeTable('SULT'));
+  const b = runProjection({ kind: 'deaths', seed: 7, simulations: 200 }, BODY, getBuiltinLifeTable('SULT'));
+  assert.deepEqual(a, b);
+  assert.equal(a.bands.length, 5);
+  assert.ok(a.total.p5 <= a.total.p50 && a.total.p50 <= a.total.p95);
+  assert.ok(a.derived_confidence > 0 && a.derived_confidence <= 1);
+});
+
+test('derivedConfidence: 1 for a degenerate band, 0 for no deaths', () => {
+  assert.equal(derivedConfidence([10, 10, 10]), 1);
+  assert.equal(derivedConfidence([0, 0, 0]), 0);
+});
+
+test('an overclaimed confidence is explained and remedied from the Satya finding', () => {
+  const ctx = { confidence: 0.9, data_quality: 'good', model_version: 'cox-ph-v2', derived_confidence: 0.7,
+    records: { model_version: 'cox-ph-v2', registered_model: undefined } };
+  const satya = satyaGate(ctx);
+  assert.equal(satya.pass, false);
+  const [finding] = satya.findings;
+  assert.equal(finding.code, 'SATYA_CONFIDENCE_OVERCLAIMED');
+  assert.deepEqual(finding.required, { max: 0.75 });
+
+  // The explainer and the remedy read the finding, not a second copy of the tolerance
+  const [explanation] = explainGates({ satya }, { ...ctx, derived_confidence: undefined });
+  assert.match(explanation, /0\.9.*0\.7/);
+  const [remedy] = remedySatya(satya, { ...ctx, derived_confidence: undefined });
+  assert.deepEqual(remedy.changes, { confidence: 0.7 });
+  assert.equal(satyaGate({ ...ctx, confidence: 0.75 }).pass, true);
+});
@@ -0,0 +1,57 @@
+// tests/actuarial/reinsurance-engine.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runReinsuranceAssessment } from '../../src/actuarial/reinsurance-engine.js';
+
+const run = reinsurance => runReinsuranceAssessment({ reinsurance });
+
+test('quota share then per-risk XL then stop loss, on supplied years', () => {
+  const result = run({
+    simulated_years: [[100, 50], [400], []],
+    treaties: [
+      { type: 'quota_share', cession: 0.5 },
+      { type: 'per_risk_xl', retention: 100, limit: 50 },
+      { type: 'stop_loss', attachment: 100, limit: 1000 },
+    ],
+    percentiles: [0.5],
+  });
+  assert.deepEqual(result.simulation, { source: 'supplied', years: 3 });
+  // Year 2: 400 → QS cedes 200 → XL cedes min(200 − 100, 50) = 50 → SL cedes 150 − 100 = 50 → net 100
+  assert.equal(result.gross.max, 400);
+  assert.equal(result.layers[0].ceded.max, 200);
+  assert.equal(result.layers[1].ceded.max, 50);
+  assert.equal(result.net.max, 100);
+  assert.ok(Math.abs(result.gross.mean - (result.ceded_total.mean + result.net.mean)) < 0.011);
+});
+
+test('surplus cedes by lines over the retention and needs sum_insured', () => {
+  const result = run({
+    simulated_years: [[{ amount: 1000, sum_insured: 4000 }]],
+    treaties: [{ type: 'surplus', retention_line: 1000, lines: 2 }],
+  });
+  // Ceded share min(2 × 1000, 4000 − 1000) / 4000 = 0.5
+  assert.equal(result.layers[0].ceded.mean, 500);
+  assert.throws(
+    () => run({ simulated_years: [[1000]], treaties: [{ type: 'surplus', retention_line: 1000, lines: 2 }] }),
+    /REINSURANCE_ERROR: surplus treaty .* needs sum_insured/,
+  );
+});
+
+test('a seeded simulation is reproducible', () => {
+  const spec = {
+    distribution: { frequency: { type: 'poisson', mean: 3 }, severity: { type: 'lognormal', mu: 8, sigma: 1 }, years: 500, seed: 42 },
+    treaties: [{ type: 'per_risk_xl', retention: 5000, limit: 20000, reinstatements: 1, premium: 1000 }],
+  };
+  const a = run(spec);
+  assert.deepEqual(a, run(spec));
+  assert.equal(a.simulation.seed, 42);
+  assert.ok(a.layers[0].reinstatements.exhaustion_probability >= 0);
+});
+
+test('treaty validation: aggregate layers must come last', () => {
+  assert.throws(
+    () => run({ simulated_years: [[1]], treaties: [{ type: 'stop_loss', attachment: 0, limit: 1 }, { type: 'quota_share', cession: 0.1 }] }),
+    /REINSURANCE_ERROR: treaties\[1\] is a per-risk treaty after an aggregate stop_loss/,
+  );
+  assert.throws(() => run({ simulated_years: [[1]], treaties: [{ type: 'cat_bond' }] }), /not supported/);
+});
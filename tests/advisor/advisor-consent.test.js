@@ -0,0 +1,48 @@
+// tests/advisor/advisor-consent.test.js
+// The advisor's consent step stores the record before handing out its id
+import '../helpers/setup.js';
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleAdvisorTurn, handleConsentGeneration, clearSession } from '../../src/advisor/advisor-chat.js';
+import { getConsentRecord, getDb } from '../../storage/actuary-store.js';
+
+process.env.CEREBRAS_API_KEY = 'test-key';
+
+// The field extractor answers with tags; the chat reply is empty
+function stubLlm(tags) {
+  mock.method(globalThis, 'fetch', async (_url, init) => {
+    const { messages } = JSON.parse(init.body);
+    const content = messages[0].content.startsWith('You extract') ? tags : '';
+    return { ok: true, json: async () => ({ choices: [{ message: { content } }] }) };
+  });
+}
+
+afterEach(() => mock.restoreAll());
+
+test('a generated consent is stored, so Asteya finds it', async () => {
+  stubLlm('<COHORT>advisor-cohort</COHORT><SCOPE>population_mortality</SCOPE><CLINICIAN_ID>dr-advisor</CLINICIAN_ID>');
+  await handleAdvisorTurn('stored', 'mortality for advisor-cohort, I am dr-advisor');
+  const result = await handleConsentGeneration('stored');
+  assert.ok(result.consent_record_id);
+  assert.equal(getConsentRecord(result.consent_record_id).status, 'active');
+  const turn = await handleAdvisorTurn('stored', 'ok');
+  assert.equal(turn.consentGenerated, true);
+  assert.equal(turn.gateSimulation.gates.asteya.pass, true);
+  clearSession('stored');
+});
+
+test('a failed write fails the step and the session gets no consent id', async () => {
+  stubLlm('<COHORT>unwritten-cohort</COHORT><SCOPE>population_mortality</SCOPE><CLINICIAN_ID>dr-advisor</CLINICIAN_ID>');
+  await handleAdvisorTurn('unwritten', 'mortality for unwritten-cohort, I am dr-advisor');
+  getDb().pragma('query_only = ON');
+  try {
+    await assert.rejects(handleConsentGeneration('unwritten'), /readonly/);
+  } finally {
+    getDb().pragma('query_only = OFF');
+  }
+  stubLlm('');
+  const turn = await handleAdvisorTurn('unwritten', 'ok');
+  assert.equal(turn.consentGenerated, false);
+  assert.equal(turn.fields.consent_record_id, undefined);
+  clearSession('unwritten');
+});
@@ -0,0 +1,54 @@
+// tests/advisor/remediation-solver.test.js
+// What-ifs run through the gates on a changed ctx — records included
+import '../helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { solveRemediation } from '../../src/advisor/remediation-solver.js';
+import { generateConsentRecordId } from '../../constitutional/consent-protocol.js';
+import { upsertConsentRecord, setConsentStatus, withGateRecords } from '../../storage/actuary-store.js';
+
+const REQUEST = {
+  cohort: 'remedy-cohort', scope: 'population_mortality', clinician_id: 'dr-remedy',
+  assessment_type: 'population_mortality', model_version: 'cox-ph-v2.1', confidence: 0.8, data_quality: 'good', model_count: 2,
+};
+const steps = result => result.alternatives.flatMap(a => a.steps);
+
+test('missing consent is remedied by assuming the generated record, not a gate result', () => {
+  const result = solveRemediation(withGateRecords(REQUEST));
+  assert.equal(result.found, true);
+  const [best] = result.alternatives;
+  assert.equal(best.changes.consent_record_id, generateConsentRecordId(REQUEST));
+  assert.deepEqual(best.steps[0].assumes, ['consent_record']);
+  assert.equal(best.steps[0].action, `use consent ${best.changes.consent_record_id} for cohort 'remedy-cohort', scope 'population_mortality'`);
+  assert.equal(typeof best.steps[0].requires, 'string');
+  assert.equal(result.truncated, false);
+});
+
+test('a revoked consent stays revoked in every what-if', () => {
+  const consent_record_id = generateConsentRecordId({ ...REQUEST, cohort: 'revoked-cohort' });
+  upsertConsentRecord({ ...REQUEST, cohort: 'revoked-cohort', consent_record_id });
+  setConsentStatus(consent_record_id, { status: 'revoked', reason: 'withdrawn by the patient' });
+  const result = solveRemediation(withGateRecords({ ...REQUEST, cohort: 'revoked-cohort', consent_record_id }));
+  assert.equal(result.found, false);
+});
+
+test('a missing model_version is a manual action, left out of the simulated score', () => {
+  const { model_version, ...rest } = REQUEST;
+  const consent_record_id = generateConsentRecordId(rest);
+  upsertConsentRecord({ ...rest, consent_record_id });
+  const result = solveRemediation(withGateRecords({ ...rest, consent_record_id }));
+  assert.deepEqual(result.manual_actions.map(m => [m.gate, m.input]), [['satya', 'model_version']]);
+  assert.equal(result.found, false);
+  assert.ok(steps(result).every(s => !s.action.includes('model')));
+});
+
+test('a request broken every way stays within the verdict budget', () => {
+  const result = solveRemediation(withGateRecords({
+    cohort: 'broken-cohort', scope: 'underwriting', clinician_id: 'dr-remedy', assessment_type: 'genetic_exclusion',
+    model_version: 'cox-ph-v2.1', confidence: 0.2, data_quality: 'poor', model_count: 1, population_size: 500000,
+    patient_facing: true, regulatory_jurisdiction: 'eu-gdpr', cross_border: { destination: 'br' },
+  }));
+  assert.equal(result.needed, true);
+  assert.equal(result.truncated, true);
+  assert.ok(result.searched < 200);
+});
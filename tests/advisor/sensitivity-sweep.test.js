@@ -0,0 +1,67 @@
+// tests/advisor/sensitivity-sweep.test.js
+import '../helpers/setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { sweepSensitivity } from '../../src/advisor/sensitivity-sweep.js';
+import { generateConsentRecordId } from '../../constitutional/consent-protocol.js';
+import { upsertConsentRecord, withGateRecords } from '../../storage/actuary-store.js';
+import { startServer } from '../helpers/server.js';
+
+const REQUEST = {
+  cohort: 'sweep-cohort', scope: 'population_mortality', clinician_id: 'dr-sweep',
+  assessment_type: 'population_mortality', model_version: 'cox-ph-v2.1', confidence: 0.8, data_quality: 'good', model_count: 2,
+};
+const consent_record_id = generateConsentRecordId(REQUEST);
+let base;
+let api;
+before(async () => {
+  upsertConsentRecord({ ...REQUEST, consent_record_id });
+  base = withGateRecords({ ...REQUEST, consent_record_id });
+  api = await startServer();
+});
+after(() => api.close());
+
+test('the grid covers every combination and the base verdict is reported', () => {
+  const sweep = sweepSensitivity(base, { confidence: { min: 0.4, max: 0.8, step: 0.1 }, model_count: [1, 2], patient_facing: true });
+  assert.equal(sweep.grid_points, 20);
+  assert.equal(sweep.base.pass, true);
+  assert.deepEqual(sweep.base.values, { confidence: 0.8, model_count: 2, patient_facing: false });
+  assert.equal(sweep.base.margin, Math.round((sweep.base.constitutional_score - sweep.threshold) * 1000) / 1000);
+  assert.equal(sweep.pass_rate, sweep.surface.filter(p => p.pass).length / 20);
+  // Effects are ordered by how far each field moves the score
+  const ranges = sweep.partial_effects.map(e => e.score_range);
+  assert.deepEqual(ranges, [...ranges].sort((a, b) => b - a));
+});
+
+test('a numeric flip is narrowed to the value where the verdict changes', () => {
+  const { boundaries } = sweepSensitivity(base, { confidence: { min: 0.4, max: 0.8, step: 0.2 }, model_count: [1, 2, 3] });
+  const confidence = boundaries.find(b => b.field === 'confidence');
+  assert.deepEqual(confidence.between, [0.4, 0.6]);
+  assert.equal(confidence.flips_to, 'pass');
+  assert.equal(confidence.flips_at, 0.6);
+  assert.match(confidence.blocked_by[0], /^satya: SATYA_VIOLATION/);
+  const models = boundaries.find(b => b.field === 'model_count');
+  assert.equal(models.flips_at, 2);
+  assert.match(models.blocked_by[0], /^aparigraha/);
+});
+
+test('bad ranges are refused before any verdict is run', () => {
+  assert.throws(() => sweepSensitivity(base, {}), /SENSITIVITY_ERROR: give a range/);
+  assert.throws(() => sweepSensitivity(base, { scope: ['x'] }), /cannot sweep scope/);
+  assert.throws(() => sweepSensitivity(base, { confidence: { min: 0, max: 1, step: 0.001 } }), /max 50/);
+  assert.throws(() => sweepSensitivity(base, { data_quality: ['superb'] }), /out of range \(known:/);
+  assert.throws(
+    () => sweepSensitivity(base, { confidence: { min: 0, max: 0.98, step: 0.02 }, population_size: { min: 0, max: 490, step: 10 }, model_count: [1, 2, 3] }),
+    /grid has 7500 points/,
+  );
+});
+
+test('POST /api/v1/simulate/sensitivity sweeps the context and persists nothing', async () => {
+  const res = await api.post('/api/v1/simulate/sensitivity', { context: { ...REQUEST, consent_record_id }, ranges: { data_quality: true } });
+  assert.equal(res.status, 200);
+  assert.equal(res.json.persisted, false);
+  assert.deepEqual(res.json.surface.map(p => p.values.data_quality), ['unknown', 'poor', 'good', 'high', 'excellent']);
+  const bad = await api.post('/api/v1/simulate/sensitivity', { context: REQUEST, ranges: { confidence: 'high' } });
+  assert.equal(bad.status, 400);
+  assert.match(bad.json.message, /^SENSITIVITY_ERROR/);
+});
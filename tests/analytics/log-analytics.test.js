@@ -0,0 +1,84 @@
+// tests/analytics/log-analytics.test.js
+// Log aggregation over a bounded window, with percentiles from fixed bins
+import { TOKENS } from '../helpers/setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/server.js';
+import { analyseConstitutionalLog, analyticsWindow } from '../../src/analytics/log-analytics.js';
+import { getDb, logConstitutionalVerdict } from '../../storage/actuary-store.js';
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+const entry = (ts, score, blocked = null, consent_record_id = 'CR-analytics') => ({
+  ts,
+  endpoint: '/api/v1/assess',
+  consent_record_id,
+  constitutional_score: score,
+  pass: !blocked,
+  yamas: {
+    satya: blocked === 'satya'
+      ? { pass: false, score: 0, findings: [{ code: 'SATYA_CONFIDENCE_LOW', severity: 'block' }] }
+      : { pass: true, score: 0.9, findings: [] },
+    ahimsa: { pass: true, score: 0.8, findings: [] },
+  },
+});
+
+test('verdicts are aggregated by bucket, gate, violation and consent', () => {
+  const result = analyseConstitutionalLog([
+    entry('2026-03-01 09:00:00', 0.9),
+    entry('2026-03-01 10:00:00', 0.4, 'satya'),
+    entry('2026-03-02 09:00:00', 0.5, 'satya'),
+    entry('2026-03-02 11:00:00', 0.6, 'threshold', 'CR-other'),
+  ]);
+  assert.deepEqual(result.totals, { verdicts: 4, blocked: 3, block_rate: 0.75, mean_score: 0.6 });
+  assert.deepEqual(result.by_bucket.map(b => [b.bucket, b.verdicts, b.blocked_by_gate]),
+    [['2026-03-01', 2, { satya: 1 }], ['2026-03-02', 2, { satya: 1 }]]);
+  assert.deepEqual(result.gates.map(g => [g.gate, g.blocked]), [['satya', 2], ['ahimsa', 0]]);
+  assert.deepEqual(result.violations.map(v => [v.code, v.count, v.share_of_blocked]),
+    [['SATYA_CONFIDENCE_LOW', 2, 0.667], ['BELOW_PASS_THRESHOLD', 1, 0.333]]);
+  assert.deepEqual(result.repeat_blocked_consents.map(c => [c.consent_record_id, c.blocked, c.gates]),
+    [['CR-analytics', 2, ['satya']]]);
+});
+
+test('percentiles come from fixed bins, to the nearest 0.001', () => {
+  const scores = Array.from({ length: 1000 }, (_, i) => (i + 1) / 1000);
+  const result = analyseConstitutionalLog(scores.map(s => entry('2026-03-01 09:00:00', s)));
+  assert.equal(result.scores.count, 1000);
+  assert.deepEqual(result.scores.percentiles, {
+    p5: 0.05, p10: 0.1, p25: 0.25, p50: 0.5, p75: 0.75, p90: 0.9, p95: 0.95,
+  });
+  assert.equal(result.scores.histogram.reduce((n, b) => n + b.count, 0), 1000);
+  assert.equal(analyseConstitutionalLog([]).scores.percentiles, null);
+});
+
+test('the window defaults to the last 30 days and is capped', () => {
+  const now = new Date('2026-03-31T12:00:00Z');
+  assert.deepEqual(analyticsWindow({}, now), { from: '2026-03-01 12:00:00', to: '2026-03-31 12:00:00' });
+  assert.deepEqual(analyticsWindow({ to: '2026-02-01 00:00:00' }, now), { from: '2026-01-02 00:00:00', to: '2026-02-01 00:00:00' });
+  assert.equal(analyticsWindow({ from: '2026-03-30 00:00:00' }, now).to, '2026-03-31 12:00:00');
+  assert.throws(() => analyticsWindow({ from: '2024-01-01 00:00:00' }, now), /^Error: ANALYTICS_ERROR: from\/to span more than 366 days/);
+  assert.throws(() => analyticsWindow({ from: '2026-03-02 00:00:00', to: '2026-03-01 00:00:00' }, now), /from must not be after to/);
+});
+
+test('the route is for audit operators, and a date-only to includes that day', async () => {
+  const path = '/api/v1/constitutional_log/analytics';
+  assert.equal((await api.get(path)).status, 401);
+  assert.equal((await api.get(path, { token: TOKENS.admin })).status, 403);
+
+  logConstitutionalVerdict({ endpoint: '/api/analytics-test', pass: false, constitutional_score: 0.3, blocked_by: ['satya'], yamas: {} });
+  getDb().prepare(`UPDATE constitutional_log SET ts = '2026-03-31 18:30:00' WHERE endpoint = '/api/analytics-test'`).run();
+
+  const res = await api.get(`${path}?from=2026-03-31&to=2026-03-31&endpoint=/api/analytics-test`, { token: TOKENS.audit });
+  assert.equal(res.status, 200);
+  assert.equal(res.json.filters.from, '2026-03-31 00:00:00');
+  assert.equal(res.json.filters.to, '2026-03-31 23:59:59');
+  assert.equal(res.json.totals.verdicts, 1);
+
+  const defaulted = await api.get(path, { token: TOKENS.audit });
+  assert.equal(defaulted.status, 200);
+  assert.ok(defaulted.json.filters.from < defaulted.json.filters.to);
+  const wide = await api.get(`${path}?from=2020-01-01`, { token: TOKENS.audit });
+  assert.equal(wide.status, 400);
+});
@@ -0,0 +1,83 @@
+// tests/api/batch.test.js
+// NDJSON batches — item by item, within the same byte limit as a JSON body
+import '../helpers/setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from 'http';
+import { startServer } from '../helpers/server.js';
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+const CONTEXT = { cohort: 'batch-cohort', scope: 'population_mortality', clinician_id: 'dr-batch' };
+const NDJSON = { headers: { 'content-type': 'application/x-ndjson' } };
+const lines = res => res.text.trim().split('\n').map(l => JSON.parse(l));
+
+test('each NDJSON line is one item; a bad line costs only itself', async () => {
+  const body = [JSON.stringify(CONTEXT), '', '{not json', '[1]', `${JSON.stringify(CONTEXT)}\r`].join('\n');
+  const res = await api.post('/api/v1/assess/batch', body, NDJSON);
+  assert.equal(res.status, 200);
+  const out = lines(res);
+  assert.deepEqual(out.map(l => l.type), ['item', 'item', 'item', 'item', 'summary']);
+  assert.deepEqual(out.slice(0, 4).map(l => l.index), [0, 1, 2, 3]);
+  assert.match(out[1].message, /line is not JSON/);
+  assert.match(out[2].message, /must be an assessment context object/);
+  assert.equal(out[0].verdict, out[3].verdict);
+  assert.equal(out[4].items, 4);
+  assert.equal(out[4].truncated, false);
+});
+
+test('a line over the per-line limit is refused without being parsed', async () => {
+  const long = JSON.stringify({ ...CONTEXT, padding: 'x'.repeat(70 * 1024) });
+  const res = await api.post('/api/v1/assess/batch', `${long}\n${JSON.stringify(CONTEXT)}\n`, NDJSON);
+  const [tooLong, next, summary] = lines(res);
+  assert.equal(tooLong.error, 'BATCH_ITEM_INVALID');
+  assert.match(tooLong.message, /exceeds 65536 bytes/);
+  assert.notEqual(next.error, 'BATCH_ITEM_INVALID');
+  assert.equal(summary.items, 2);
+});
+
+test('a body declared over the byte limit is refused with 413', async () => {
+  const res = await api.post('/api/v1/assess/batch', `${' '.repeat(2 * 1024 * 1024)}\n`, NDJSON);
+  assert.equal(res.status, 413);
+  assert.equal(res.json.error, 'BATCH_TOO_LARGE');
+  assert.equal(res.json.kaitiaki.endpoint, '/api/v1/assess/batch');
+  assert.equal(res.json.kaitiaki.pass, false);
+});
+
+test('a body that is not a batch is refused with 400 and a receipt', async () => {
+  for (const body of [CONTEXT, Array(1001).fill(CONTEXT)]) {
+    const res = await api.post('/api/v1/assess/batch', body);
+    assert.equal(res.status, 400);
+    assert.equal(res.json.error, 'BATCH_INPUT_ERROR');
+    assert.equal(res.json.kaitiaki.endpoint, '/api/v1/assess/batch');
+    assert.equal(res.json.kaitiaki.pass, false);
+  }
+});
+
+test('a streamed body stops being read at the byte limit', async () => {
+  const { port } = new URL(api.base);
+  const text = await new Promise((resolve, reject) => {
+    const req = request({
+      port, host: '127.0.0.1', method: 'POST', path: '/api/v1/assess/batch',
+      headers: { 'content-type': 'application/x-ndjson', 'transfer-encoding': 'chunked' },
+    }, (res) => {
+      let body = '';
+      res.setEncoding('utf-8');
+      res.on('data', (d) => { body += d; });
+      res.on('end', () => resolve(body));
+    });
+    req.on('error', reject);
+    req.write(`${JSON.stringify(CONTEXT)}\n`);
+    const blank = `${' '.repeat(1023)}\n`.repeat(64); // 64 KiB of blank lines
+    for (let i = 0; i < 40; i++) req.write(blank);
+    req.end();
+  });
+  const out = text.trim().split('\n').map(l => JSON.parse(l));
+  const summary = out.at(-1);
+  assert.equal(summary.type, 'summary');
+  assert.equal(summary.items, 1);
+  assert.equal(summary.truncated, true);
+  assert.match(summary.message, /^BATCH_TOO_LARGE: body exceeds 2097152 bytes/);
+});
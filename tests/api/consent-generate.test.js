@@ -0,0 +1,27 @@
+// tests/api/consent-generate.test.js
+import '../helpers/setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/server.js';
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+const CONSENT = { cohort: 'generate-cohort', scope: 'population_mortality', clinician_id: 'dr-generate' };
+
+test('regenerating with different permitted_uses is a conflict, not the old envelope', async () => {
+  const uses = { assessment_types: ['population_mortality'], max_population: 500 };
+  const first = await api.post('/api/consent/generate', { ...CONSENT, permitted_uses: uses });
+  assert.equal(first.status, 200);
+  assert.equal(first.json.permitted_uses.max_population, 500);
+
+  // The same declaration again, or none at all, returns the stored record
+  assert.equal((await api.post('/api/consent/generate', { ...CONSENT, permitted_uses: uses })).status, 200);
+  assert.equal((await api.post('/api/consent/generate', CONSENT)).json.permitted_uses.max_population, 500);
+
+  const wider = await api.post('/api/consent/generate', { ...CONSENT, permitted_uses: { ...uses, max_population: 50000 } });
+  assert.equal(wider.status, 409);
+  assert.equal(wider.json.error, 'CONSENT_PURPOSE_CONFLICT');
+  assert.equal(wider.json.permitted_uses.max_population, 500);
+});
@@ -0,0 +1,39 @@
+// tests/api/consent-lifecycle.test.js
+// Revoking, suspending and renewing a consent — consent operator only
+import { TOKENS } from '../helpers/setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/server.js';
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+const newConsent = async cohort => (await api.post('/api/consent/generate',
+  { cohort, scope: 'population_mortality', clinician_id: 'dr-lifecycle' })).json.consent_record_id;
+
+test('an unauthenticated caller can neither revoke nor renew a consent', async () => {
+  const consent_record_id = await newConsent('lifecycle-closed');
+  for (const action of ['revoke', 'renew']) {
+    const path = `/api/consent/${consent_record_id}/${action}`;
+    const body = { reason: 'not mine to change', valid_for_days: 365 };
+    const anonymous = await api.post(path, body);
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.json.error, 'OPERATOR_AUTH_REQUIRED');
+    assert.equal((await api.post(path, body, { token: TOKENS.admin })).status, 403);
+  }
+  assert.equal((await api.get(`/api/consent/${consent_record_id}`)).json.consent.status, 'active');
+});
+
+test('the consent operator suspends, renews and finally revokes', async () => {
+  const consent_record_id = await newConsent('lifecycle-operator');
+  const post = (action, body) => api.post(`/api/consent/${consent_record_id}/${action}`, body, { token: TOKENS.consent });
+
+  const suspended = await post('revoke', { reason: 'data access review', suspend: true });
+  assert.equal(suspended.json.consent.status, 'suspended');
+  const renewed = await post('renew', { valid_for_days: 30, reason: 'review complete' });
+  assert.equal(renewed.status, 200);
+  assert.equal(renewed.json.consent.status, 'active');
+  assert.equal((await post('revoke', { reason: 'withdrawn by the cohort' })).json.consent.status, 'revoked');
+  assert.equal((await post('renew', { valid_for_days: 30 })).status, 409);
+});
@@ -0,0 +1,94 @@
+// tests/api/constitution-amendments.test.js
+import { TOKENS } from '../helpers/setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import nacl from 'tweetnacl';
+import { startServer } from '../helpers/server.js';
+import { insertConstitution } from '../../storage/actuary-store.js';
+import { constitutionHash } from '../../constitutional/constitution.js';
+
+let api;
+const bodies = [];
+before(async () => {
+  api = await startServer();
+  for (const name of ['Iwi A', 'Iwi B', 'Hapū C']) {
+    const key = nacl.sign.keyPair();
+    const { json } = await api.post('/api/v1/governance/bodies',
+      { name, kind: 'iwi', public_key: Buffer.from(key.publicKey).toString('hex') }, { token: TOKENS.admin });
+    bodies.push({ ...json.body, key });
+  }
+});
+after(() => api.close());
+
+const inForce = async () => (await api.get('/api/v1/constitution')).json.constitution;
+const propose = (document, token = TOKENS.governance) =>
+  api.post('/api/v1/constitution/amendments', { document, rationale: 'test amendment' }, { token });
+const approve = (amendment, body, token = TOKENS.governance) => api.post(
+  `/api/v1/constitution/amendments/${amendment.constitution_id}/approvals`,
+  {
+    body_id: body.body_id,
+    signature: Buffer.from(nacl.sign.detached(new Uint8Array(Buffer.from(amendment.content_hash, 'hex')), body.key.secretKey)).toString('hex'),
+  },
+  { token },
+);
+
+test('proposing and approving amendments needs the governance token', async () => {
+  const { document } = await inForce();
+  const stricter = { ...document, pass_threshold: 0.62 };
+  assert.equal((await propose(stricter, null)).status, 401);
+  assert.equal((await propose(stricter, TOKENS.admin)).status, 403);
+  const proposed = await propose(stricter);
+  assert.equal(proposed.status, 201);
+  assert.equal((await approve(proposed.json.amendment, bodies[0], null)).status, 401);
+});
+
+test('an amendment cannot set the quorum to one', async () => {
+  const { document } = await inForce();
+  const res = await propose({ ...document, amendment_quorum: 1 });
+  assert.equal(res.status, 400);
+  assert.match(res.json.error, /amendment_quorum must be at least 2/);
+});
+
+test('one body is not a quorum; a second activates, and the other drafts go stale', async () => {
+  const base = await inForce();
+  const first = (await propose({ ...base.document, pass_threshold: 0.65 })).json;
+  const rival = (await propose({ ...base.document, large_population_threshold: 5000 })).json;
+  assert.equal(first.approvals_required, 2);
+  assert.equal(first.amendment.base_constitution_id, base.constitution_id);
+
+  const one = await approve(first.amendment, bodies[0]);
+  assert.equal(one.json.activated, false);
+  assert.equal((await approve(first.amendment, bodies[0])).status, 409);
+  const two = await approve(first.amendment, bodies[1]);
+  assert.equal(two.json.activated, true);
+  assert.equal((await inForce()).constitution_id, first.amendment.constitution_id);
+
+  const late = await approve(rival.amendment, bodies[0]);
+  assert.equal(late.status, 409);
+  assert.match(late.json.error, /is stale/);
+});
+
+test('a draft on a superseded base is refused with 409 and marked stale', async () => {
+  const { document } = await inForce();
+  const orphan = { ...document, large_population_threshold: 7500 };
+  // Stored before drafts recorded their base
+  const legacy = insertConstitution({ document: orphan, content_hash: constitutionHash(orphan), rationale: 'legacy draft' });
+  const res = await approve(legacy, bodies[0]);
+  assert.equal(res.status, 409);
+  assert.match(res.json.error, /CONSTITUTION_STALE/);
+  const versions = (await api.get('/api/v1/constitution/versions')).json.versions;
+  assert.equal(versions.find(v => v.constitution_id === legacy.constitution_id).status, 'stale');
+});
+
+test('weakening a safeguard needs a supermajority beyond the quorum', async () => {
+  const current = await inForce();
+  const weaker = (await propose({ ...current.document, pass_threshold: 0.55 })).json;
+  assert.equal(weaker.supermajority, true);
+  assert.equal(weaker.approvals_required, 3);
+  assert.match(weaker.weakened_safeguards[0], /pass_threshold lowered/);
+
+  assert.equal((await approve(weaker.amendment, bodies[0])).json.activated, false);
+  assert.equal((await approve(weaker.amendment, bodies[1])).json.activated, false);
+  assert.equal((await approve(weaker.amendment, bodies[2])).json.activated, true);
+  assert.equal((await inForce()).document.pass_threshold, 0.55);
+});
@@ -0,0 +1,76 @@
+// tests/api/equity-signoff.test.js
+import { TOKENS } from '../helpers/setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import nacl from 'tweetnacl';
+import { startServer } from '../helpers/server.js';
+import { insertEquityReviewer } from '../../storage/actuary-store.js';
+import { REQUIRED_REVIEWER_ROLES, separationOfDuties } from '../../constitutional/equity-signoff.js';
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+const hex = bytes => Buffer.from(bytes).toString('hex');
+const newKey = () => nacl.sign.keyPair();
+const sign = (key, contentHash) => hex(nacl.sign.detached(new Uint8Array(Buffer.from(contentHash, 'hex')), key.secretKey));
+const register = (body, token = TOKENS.admin) => api.post('/api/v1/equity/reviewers', body, { token });
+
+test('registering a reviewer needs the admin token', async () => {
+  const body = { name: 'Unauthorised', role: REQUIRED_REVIEWER_ROLES[0], public_key: hex(newKey().publicKey) };
+  assert.equal((await register(body, null)).status, 401);
+  const wrong = await register(body, 'not-the-token');
+  assert.equal(wrong.status, 403);
+  assert.equal(wrong.json.error, 'OPERATOR_AUTH_DENIED');
+  assert.equal((await register(body)).status, 201);
+});
+
+test('one name or key cannot be registered under a second role', async () => {
+  const key = newKey();
+  assert.equal((await register({ name: 'Dr Aroha Ngata', role: 'biostatistician', public_key: hex(key.publicKey) })).status, 201);
+  const sameName = await register({ name: 'dr  aroha ngata', role: 'maori_equity_advisor', public_key: hex(newKey().publicKey) });
+  assert.equal(sameName.status, 409);
+  assert.match(sameName.json.error, /one person, one role/);
+});
+
+test('a set activates only when four different people have signed', async () => {
+  const created = await api.post('/api/v1/equity/coefficient_sets', { from_provisional: true });
+  assert.equal(created.status, 201);
+  const { set_id, content_hash } = created.json.set;
+  const signoff = (reviewer, key) => api.post(`/api/v1/equity/coefficient_sets/${set_id}/signoffs`,
+    { reviewer_id: reviewer.reviewer_id, signature: sign(key, content_hash) });
+
+  // Registered before the route checked identities: one person under two roles, a key for each
+  const [first, second, ...rest] = REQUIRED_REVIEWER_ROLES;
+  const talaKeys = [newKey(), newKey()];
+  const tala = insertEquityReviewer({ name: 'Tala Faleolo', role: first, public_key: hex(talaKeys[0].publicKey) });
+  const talaAgain = insertEquityReviewer({ name: 'Tala Faleolo', role: second, public_key: hex(talaKeys[1].publicKey) });
+
+  assert.equal((await signoff(tala, talaKeys[0])).status, 201);
+  const rejected = await signoff(talaAgain, talaKeys[1]);
+  assert.equal(rejected.status, 409);
+  assert.match(rejected.json.error, /SIGNOFF_REJECTED: 'Tala Faleolo' would sign as \w+ and \w+/);
+
+  assert.equal((await api.get('/api/health')).json.equity_engine, 'SCAFFOLD_ONLY');
+  let last;
+  for (const [i, role] of [second, ...rest].entries()) {
+    const key = newKey();
+    const reviewer = insertEquityReviewer({ name: `Reviewer ${i}`, role, public_key: hex(key.publicKey) });
+    last = await signoff(reviewer, key);
+    assert.equal(last.status, 201);
+  }
+  assert.equal(last.json.activated, true);
+  assert.equal((await api.get('/api/health')).json.equity_engine, 'ACTIVE');
+});
+
+test('separationOfDuties: a shared key is rejected too', () => {
+  const key = 'ab'.repeat(32);
+  assert.equal(separationOfDuties([
+    { role: 'biostatistician', public_key: key, reviewer_name: 'A' },
+    { role: 'maori_equity_advisor', public_key: key, reviewer_name: 'B' },
+  ]).valid, false);
+  assert.equal(separationOfDuties([
+    { role: 'biostatistician', public_key: key, reviewer_name: 'A' },
+    { role: 'maori_equity_advisor', public_key: 'cd'.repeat(32), reviewer_name: 'B' },
+  ]).valid, true);
+});
@@ -0,0 +1,78 @@
+// tests/api/gate-weights.test.js
+// A gate registered after the constitution was adopted is advisory — reported,
+// never blocking or scored — until an amendment weights it
+import { TOKENS } from '../helpers/setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import nacl from 'tweetnacl';
+import { startServer } from '../helpers/server.js';
+import { registerGate } from '../../constitutional/gate-registry.js';
+import { advisoryGates, gatesMismatch, getActiveConstitution } from '../../constitutional/constitution.js';
+import { runAllGates } from '../../constitutional/yamas-gates.js';
+import { solveRemediation } from '../../src/advisor/remediation-solver.js';
+import { withGateRecords } from '../../storage/actuary-store.js';
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+const REQUEST = { cohort: 'santosha-cohort', scope: 'population_mortality', clinician_id: 'dr-santosha' };
+
+test('gatesMismatch names weighted gates that are not registered', () => {
+  const { document } = getActiveConstitution();
+  assert.equal(gatesMismatch(document), null);
+  const { aparigraha, ...rest } = document.weights;
+  assert.match(gatesMismatch({ ...document, weights: { ...rest, ishvara: aparigraha } }),
+    /^CONSTITUTION_GATES_MISMATCH: weighted gates not registered: ishvara/);
+  assert.deepEqual(advisoryGates({ ...document, weights: rest }), [{ name: 'aparigraha', proposed_weight: 0.15 }]);
+});
+
+test('an unweighted gate is advisory until an amendment weights it', async () => {
+  registerGate({
+    name: 'santosha', weight: 0.1,
+    evaluate: ctx => (ctx.cohort === 'discontent-cohort'
+      ? { pass: false, score: 0, reason: 'SANTOSHA_FAIL', findings: [] }
+      : { pass: true, score: 1, reason: 'SANTOSHA_PASS', findings: [] }),
+    remedies: () => [{ changes: { cohort: 'santosha-cohort' } }],
+  });
+
+  // Scored as before, with santosha reported alongside — even when it fails
+  const baseline = runAllGates(REQUEST);
+  const discontent = runAllGates({ ...REQUEST, cohort: 'discontent-cohort' });
+  assert.deepEqual(discontent.advisory_gates, ['santosha']);
+  assert.equal(discontent.yamas.santosha.pass, false);
+  assert.equal(discontent.yamas.santosha.advisory, true);
+  assert.equal(discontent.yamas.santosha.proposed_weight, 0.1);
+  assert.ok(discontent.blocked_by.every(b => !b.startsWith('santosha')));
+  assert.equal(discontent.constitutional_score, baseline.constitutional_score);
+  const remedies = solveRemediation(withGateRecords({ ...REQUEST, cohort: 'discontent-cohort' }));
+  assert.ok(remedies.alternatives.flatMap(a => a.steps).every(step => step.gate !== 'santosha'));
+
+  const assess = await api.post('/api/v1/assess', REQUEST);
+  assert.notEqual(assess.status, 503);
+  const santosha = (await api.get('/api/v1/gates')).json.gates.find(g => g.name === 'santosha');
+  assert.deepEqual([santosha.weight, santosha.declared_weight, santosha.advisory], [null, 0.1, true]);
+
+  // An amendment ratifies it (taking weight off ahimsa and satya weakens
+  // them, so a supermajority — three bodies — adopts it). The new hash covers the gate
+  const { document, content_hash } = getActiveConstitution();
+  const weights = { ...document.weights, ahimsa: 0.2, satya: 0.2, santosha: 0.1 };
+  const { json } = await api.post('/api/v1/constitution/amendments',
+    { document: { ...document, weights }, rationale: 'weight santosha' }, { token: TOKENS.governance });
+  for (const name of ['Iwi A', 'Iwi B', 'Iwi C']) {
+    const key = nacl.sign.keyPair();
+    const body = (await api.post('/api/v1/governance/bodies',
+      { name, kind: 'iwi', public_key: Buffer.from(key.publicKey).toString('hex') }, { token: TOKENS.admin })).json.body;
+    await api.post(`/api/v1/constitution/amendments/${json.amendment.constitution_id}/approvals`, {
+      body_id: body.body_id,
+      signature: Buffer.from(nacl.sign.detached(new Uint8Array(Buffer.from(json.amendment.content_hash, 'hex')), key.secretKey)).toString('hex'),
+    }, { token: TOKENS.governance });
+  }
+  const amended = getActiveConstitution();
+  assert.notEqual(amended.content_hash, content_hash);
+  const verdict = runAllGates({ ...REQUEST, cohort: 'discontent-cohort' });
+  assert.deepEqual(verdict.advisory_gates, []);
+  assert.equal(verdict.yamas.santosha.advisory, undefined);
+  assert.ok(verdict.blocked_by.includes('santosha: SANTOSHA_FAIL'));
+  assert.equal(verdict.constitution.content_hash, amended.content_hash);
+});
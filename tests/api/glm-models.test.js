@@ -0,0 +1,46 @@
+// tests/api/glm-models.test.js
+// The GLM registry — registrations and retirements are admin only, and a
+// retirement needs a reason
+import { TOKENS } from '../helpers/setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/server.js';
+import { insertRiskAssessment } from '../../storage/actuary-store.js';
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+// A recorded assessment carrying a fitted GLM, as /api/v1/assess stores one
+function glmAssessment() {
+  return insertRiskAssessment({
+    consent_record_id: 'CONSENT-glm-test', cohort: 'glm-cohort', scope: 'health_insurance_risk',
+    constitutional_score: 0.9, pass: true, yamas: {},
+    result: { engine: 'glm-irls', target: 'claim_count', family: 'poisson', coefficients: [] },
+  });
+}
+
+test('only the admin token can register a GLM', async () => {
+  const registration = { assessment_id: glmAssessment(), name: 'Claims Test' };
+  assert.equal((await api.post('/api/v1/models/glm/register', registration)).status, 401);
+  assert.equal((await api.post('/api/v1/models/glm/register', registration, { token: TOKENS.audit })).status, 403);
+  const created = await api.post('/api/v1/models/glm/register', registration, { token: TOKENS.admin });
+  assert.equal(created.status, 201);
+  assert.equal(created.json.model.family, 'poisson');
+});
+
+test('only the admin token can retire a GLM, and only with a reason', async () => {
+  const { json: { model } } = await api.post('/api/v1/models/glm/register',
+    { assessment_id: glmAssessment(), name: 'Retire Test' }, { token: TOKENS.admin });
+  const path = `/api/v1/models/glm/${model.model_id}/retire`;
+  assert.equal((await api.post(path, { reason: 'refitted' })).status, 401);
+  assert.equal((await api.post(path, { reason: 'refitted' }, { token: 'guess' })).status, 403);
+  const unexplained = await api.post(path, {}, { token: TOKENS.admin });
+  assert.equal(unexplained.status, 400);
+  assert.match(unexplained.json.error, /reason is required/);
+  assert.equal((await api.get(`/api/v1/models/glm/${model.model_id}`)).json.model.status, 'active');
+
+  const retired = await api.post(path, { reason: 'refitted' }, { token: TOKENS.admin });
+  assert.equal(retired.status, 200);
+  assert.equal(retired.json.model.status, 'retired');
+});
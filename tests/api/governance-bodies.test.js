@@ -0,0 +1,45 @@
+// tests/api/governance-bodies.test.js
+import { TOKENS } from '../helpers/setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import nacl from 'tweetnacl';
+import { startServer } from '../helpers/server.js';
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+const hex = bytes => Buffer.from(bytes).toString('hex');
+const body = { name: 'Te Rūnanga Test', kind: 'iwi' };
+
+test('only the admin token can register a governance body', async () => {
+  const key = nacl.sign.keyPair();
+  const registration = { ...body, public_key: hex(key.publicKey) };
+  assert.equal((await api.post('/api/v1/governance/bodies', registration)).status, 401);
+  assert.equal((await api.post('/api/v1/governance/bodies', registration, { token: 'guess' })).status, 403);
+  const created = await api.post('/api/v1/governance/bodies', registration, { token: TOKENS.admin });
+  assert.equal(created.status, 201);
+  // One key, one body
+  const again = await api.post('/api/v1/governance/bodies', { ...registration, name: 'Another' }, { token: TOKENS.admin });
+  assert.equal(again.status, 400);
+});
+
+test('a provisioned body approves a Māori data consent by signing its approval hash', async () => {
+  const key = nacl.sign.keyPair();
+  const { json: { body: governanceBody } } = await api.post('/api/v1/governance/bodies',
+    { ...body, name: 'Hapū Test', kind: 'hapu', public_key: hex(key.publicKey) }, { token: TOKENS.admin });
+  const consent = await api.post('/api/consent/generate',
+    { cohort: 'maori-cohort', scope: 'population_mortality', clinician_id: 'dr-collective', maori_data: true });
+  const { consent_record_id, collective_approval_hash } = consent.json;
+
+  const forged = nacl.sign.keyPair();
+  const sign = k => hex(nacl.sign.detached(new Uint8Array(Buffer.from(collective_approval_hash, 'hex')), k.secretKey));
+  const rejected = await api.post(`/api/consent/${consent_record_id}/collective_approvals`,
+    { body_id: governanceBody.body_id, signature: sign(forged) });
+  assert.equal(rejected.status, 400);
+
+  const approved = await api.post(`/api/consent/${consent_record_id}/collective_approvals`,
+    { body_id: governanceBody.body_id, signature: sign(key) });
+  assert.equal(approved.status, 201);
+  assert.equal((await api.get(`/api/consent/${consent_record_id}`)).json.collective_approvals.length, 1);
+});
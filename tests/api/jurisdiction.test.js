@@ -0,0 +1,36 @@
+// tests/api/jurisdiction.test.js
+import '../helpers/setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/server.js';
+import { getDb } from '../../storage/actuary-store.js';
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+const REQUEST = {
+  cohort: 'jurisdiction-cohort', scope: 'population_mortality', clinician_id: 'dr-jurisdiction', regulatory_jurisdiction: 'us-hipaa',
+};
+
+test('an unsupported regulatory_jurisdiction is refused with 400 before any gate runs', async () => {
+  const logged = () => getDb().prepare('SELECT COUNT(*) AS n FROM constitutional_log').get().n;
+  const before = logged();
+  for (const path of ['/api/v1/assess', '/api/v1/jobs', '/api/v1/simulate']) {
+    const res = await api.post(path, REQUEST);
+    assert.equal(res.status, 400, path);
+    assert.equal(res.json.error, 'JURISDICTION_UNSUPPORTED', path);
+    assert.ok(res.json.supported.includes('eu-gdpr'), path);
+    assert.equal(res.json.kaitiaki.pass, false, path);
+  }
+  const sweep = await api.post('/api/v1/simulate/sensitivity', { context: REQUEST });
+  assert.equal(sweep.status, 400);
+  assert.equal(sweep.json.error, 'JURISDICTION_UNSUPPORTED');
+  assert.equal(logged(), before);
+});
+
+test('a supported jurisdiction still reaches the gates', async () => {
+  const res = await api.post('/api/v1/simulate', { ...REQUEST, regulatory_jurisdiction: 'nz-privacy' });
+  assert.equal(res.status, 200);
+  assert.equal(res.json.jurisdiction.code, 'nz-privacy');
+});
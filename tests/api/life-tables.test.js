@@ -0,0 +1,37 @@
+// tests/api/life-tables.test.js
+// The life table registry — imports and retirements are admin only, and a
+// retirement needs a reason
+import { TOKENS } from '../helpers/setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/server.js';
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+const TABLE = { name: 'Registry Test', format: 'csv', content: 'age,male,female\n60,0.01,0.008\n61,0.011,0.009\n62,1,1\n' };
+
+test('only the admin token can import a life table', async () => {
+  assert.equal((await api.post('/api/v1/life_tables/import', TABLE)).status, 401);
+  assert.equal((await api.post('/api/v1/life_tables/import', TABLE, { token: TOKENS.governance })).status, 403);
+  const created = await api.post('/api/v1/life_tables/import', TABLE, { token: TOKENS.admin });
+  assert.equal(created.status, 201);
+  assert.equal(created.json.table.start_age, 60);
+});
+
+test('only the admin token can retire a life table, and only with a reason', async () => {
+  const { json: { table } } = await api.post('/api/v1/life_tables/import', TABLE, { token: TOKENS.admin });
+  const path = `/api/v1/life_tables/${table.table_id}/retire`;
+  assert.equal((await api.post(path, { reason: 'superseded' })).status, 401);
+  assert.equal((await api.post(path, { reason: 'superseded' }, { token: 'guess' })).status, 403);
+  const unexplained = await api.post(path, {}, { token: TOKENS.admin });
+  assert.equal(unexplained.status, 400);
+  assert.match(unexplained.json.error, /reason is required/);
+  assert.equal((await api.get(`/api/v1/life_tables/${table.table_id}`)).json.table.status, 'active');
+
+  const retired = await api.post(path, { reason: 'superseded' }, { token: TOKENS.admin });
+  assert.equal(retired.status, 200);
+  assert.equal(retired.json.table.status, 'retired');
+  assert.equal(retired.json.table.retired_reason, 'superseded');
+});
@@ -0,0 +1,126 @@
+// tests/audit/audit-export.test.js
+// Audit bundles — behind the audit role, valid only against a pinned key,
+// forged re-signing caught, old bundles pruned, the verifier standalone
+import { TOKENS, TEST_DIR } from '../helpers/setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { createHash } from 'crypto';
+import { cpSync, existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import nacl from 'tweetnacl';
+import { startServer } from '../helpers/server.js';
+import { exportAuditBundle, pruneAuditBundles, MANIFEST_FILE, SIGNATURE_FILE } from '../../src/audit/audit-export.js';
+import { verifyAuditBundle } from '../../src/audit/verify-bundle.js';
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+const EXPORT_DIR = process.env.AUDIT_EXPORT_DIR;
+const SERVER_KEY = Buffer.from(nacl.sign.keyPair.fromSeed(Buffer.from(process.env.KAITIAKI_SIGNING_KEY, 'hex')).publicKey)
+  .toString('hex');
+const REQUEST = { cohort: 'export-cohort', scope: 'population_mortality', clinician_id: 'dr-export' };
+const sha256 = bytes => createHash('sha256').update(bytes).digest('hex');
+
+async function newExport() {
+  await api.post('/api/v1/simulate', REQUEST);
+  const res = await api.post('/api/v1/audit/exports', { from: '2020-01-01' }, { token: TOKENS.audit });
+  assert.equal(res.status, 201);
+  return res.json;
+}
+
+// A copy of a bundle with one data file changed, its manifest re-hashed and
+// re-signed by keypair, naming public_key as the signer
+function forgeBundle(export_id, keypair, public_key) {
+  const dir = join(TEST_DIR, `forged-${export_id}-${public_key.slice(0, 8)}`);
+  cpSync(join(EXPORT_DIR, export_id), dir, { recursive: true });
+  const manifest = JSON.parse(readFileSync(join(dir, MANIFEST_FILE), 'utf-8'));
+  const file = manifest.files.find(f => f.name === 'constitutional_log.jsonl');
+  const bytes = Buffer.from('{"verdict":"pass"}\n', 'utf-8');
+  writeFileSync(join(dir, file.name), bytes);
+  Object.assign(file, { rows: 1, bytes: bytes.length, sha256: sha256(bytes) });
+  const manifestBytes = Buffer.from(`${JSON.stringify(manifest, null, 2)}\n`, 'utf-8');
+  writeFileSync(join(dir, MANIFEST_FILE), manifestBytes);
+  writeFileSync(join(dir, SIGNATURE_FILE), JSON.stringify({
+    algorithm: 'ed25519',
+    signature: Buffer.from(nacl.sign.detached(new Uint8Array(manifestBytes), keypair.secretKey)).toString('hex'),
+    public_key,
+  }));
+  return dir;
+}
+
+test('export routes are closed without the audit token', async () => {
+  const { export_id } = await newExport();
+  const routes = [`/api/v1/audit/exports/${export_id}/verify`, `/api/v1/audit/exports/${export_id}/files/${MANIFEST_FILE}`];
+  assert.equal((await api.post('/api/v1/audit/exports', { from: '2020-01-01' })).status, 401);
+  assert.equal((await api.post('/api/v1/audit/exports', { from: '2020-01-01' }, { token: TOKENS.admin })).status, 403);
+  for (const path of routes) {
+    assert.equal((await api.get(path)).status, 401);
+    assert.equal((await api.get(path, { token: TOKENS.audit })).status, 200);
+  }
+});
+
+test('the signing key is published, and a bundle verifies only against it', async () => {
+  const res = await api.get('/api/v1/kaitiaki/public-key');
+  assert.equal(res.status, 200);
+  assert.deepEqual([res.json.algorithm, res.json.public_key], ['ed25519', SERVER_KEY]);
+
+  const { export_id, signature } = await newExport();
+  assert.equal(signature.public_key, SERVER_KEY);
+  const verified = await api.get(`/api/v1/audit/exports/${export_id}/verify`, { token: TOKENS.audit });
+  assert.equal(verified.json.valid, true);
+  assert.equal(verified.json.key_pinned, true);
+
+  const dir = join(EXPORT_DIR, export_id);
+  assert.equal(verifyAuditBundle(dir, { public_key: res.json.public_key }).valid, true);
+  const unpinned = verifyAuditBundle(dir);
+  assert.equal(unpinned.valid, false);
+  assert.equal(unpinned.signature_self_consistent, true);
+  assert.deepEqual(unpinned.errors, []);
+  assert.match(unpinned.warnings[0], /no public key pinned/);
+});
+
+test('a bundle re-signed with a forged key fails against the pinned key', async () => {
+  const { export_id } = await newExport();
+  const forger = nacl.sign.keyPair();
+
+  // Signed by the forger, naming the forger's key: consistent, but not ours
+  const ownKey = forgeBundle(export_id, forger, Buffer.from(forger.publicKey).toString('hex'));
+  const pinned = verifyAuditBundle(ownKey, { public_key: SERVER_KEY });
+  assert.equal(pinned.valid, false);
+  assert.equal(pinned.signature_self_consistent, true);
+  assert.ok(pinned.errors.some(e => /not the expected key/.test(e)));
+  const unpinned = verifyAuditBundle(ownKey);
+  assert.equal(unpinned.valid, false);
+  assert.equal(unpinned.signature_self_consistent, true);
+
+  // Signed by the forger, claiming our key: the signature itself fails
+  const claimed = verifyAuditBundle(forgeBundle(export_id, forger, SERVER_KEY), { public_key: SERVER_KEY });
+  assert.equal(claimed.valid, false);
+  assert.equal(claimed.signature_self_consistent, false);
+  assert.ok(claimed.errors.some(e => /signature does not verify/.test(e)));
+});
+
+test('bundles past the retention period are pruned, nothing else', () => {
+  const parent = join(TEST_DIR, 'retention');
+  const { export_id } = exportAuditBundle(parent, { from: '2020-01-01 00:00:00' });
+  mkdirSync(join(parent, 'not-a-bundle'));
+
+  assert.deepEqual(pruneAuditBundles(parent, { maxAgeDays: 90 }), []);
+  const later = new Date(Date.now() + 91 * 24 * 60 * 60 * 1000);
+  assert.deepEqual(pruneAuditBundles(parent, { maxAgeDays: 90, now: later }), [export_id]);
+  assert.equal(existsSync(join(parent, export_id)), false);
+  assert.equal(existsSync(join(parent, 'not-a-bundle')), true);
+  assert.deepEqual(pruneAuditBundles(join(TEST_DIR, 'no-such-dir'), { maxAgeDays: 90 }), []);
+});
+
+test('the verifier loads without the database or the Kaitiaki middleware', () => {
+  const verifier = new URL('../../src/audit/verify-bundle.js', import.meta.url).href;
+  const loaded = execFileSync(process.execPath, ['--input-type=module', '-e', `
+    import { createRequire } from 'module';
+    await import('${verifier}');
+    console.log(JSON.stringify(Object.keys(createRequire(import.meta.url).cache)));
+  `], { encoding: 'utf-8', timeout: 30000 });
+  assert.deepEqual(JSON.parse(loaded).filter(path => /better-sqlite3|middleware\.cjs/.test(path)), []);
+});
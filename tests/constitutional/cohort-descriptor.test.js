@@ -0,0 +1,63 @@
+// tests/constitutional/cohort-descriptor.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_MATCHING, normaliseCohortDescriptor, validateMatching, evaluateMatching,
+} from '../../constitutional/cohort-descriptor.js';
+import { PROVISIONAL_EQUITY_COEFFICIENTS } from '../../constitutional/equity-engine.js';
+
+const coefficients = {
+  ...PROVISIONAL_EQUITY_COEFFICIENTS,
+  samoan: { gout: { coefficient: 1.9, validated: false } },
+};
+
+test('total response: legacy flags, listed ethnicities and a Pacific sub-ethnicity all count', () => {
+  const d = normaliseCohortDescriptor({ maori: true, ethnicities: ['Samoan', 'european'], nzdep_decile: 9, age_band: '45-64' });
+  assert.deepEqual(new Set(d.ethnicities), new Set(['maori', 'samoan', 'european', 'pacific']));
+  assert.equal(d.nzdep_quintile, 5);
+  assert.equal(d.age_band, '45-64');
+});
+
+test('an unknown ethnicity or a malformed age band is rejected', () => {
+  assert.throws(() => normaliseCohortDescriptor({ ethnicities: ['martian'] }), /COHORT_INVALID: ethnicity 'martian'/);
+  assert.throws(() => normaliseCohortDescriptor({ age_band: '64-45' }), /COHORT_INVALID: age_band/);
+  assert.throws(() => normaliseCohortDescriptor({ nzdep_quintile: 6 }), /COHORT_INVALID: nzdep_quintile/);
+});
+
+test('default matching: Māori first, then the disaggregated Pacific figure, then aggregate Pacific', () => {
+  const both = evaluateMatching(normaliseCohortDescriptor({ ethnicities: ['maori', 'samoan'] }), DEFAULT_MATCHING, coefficients, 'gout');
+  assert.equal(both.rule_fired.rule_id, 'maori');
+  assert.equal(both.coefficient, 1.35);
+  assert.equal(both.candidates.length, 3);
+
+  const samoan = evaluateMatching(normaliseCohortDescriptor({ ethnicities: ['samoan'] }), DEFAULT_MATCHING, coefficients, 'gout');
+  assert.deepEqual(
+    { rule_id: samoan.rule_fired.rule_id, key: samoan.rule_fired.coefficient_key },
+    { rule_id: 'pacific_disaggregated', key: 'samoan' },
+  );
+
+  const tongan = evaluateMatching(normaliseCohortDescriptor({ ethnicities: ['tongan'] }), DEFAULT_MATCHING, coefficients, 'gout');
+  assert.equal(tongan.rule_fired.coefficient_key, 'pacific');
+});
+
+test('max and mean strategies, and rules conditioned on deprivation', () => {
+  const descriptor = normaliseCohortDescriptor({ ethnicities: ['maori', 'pacific'], nzdep_quintile: 5 });
+  const max = evaluateMatching(descriptor, { ...DEFAULT_MATCHING, strategy: 'max' }, coefficients, 'gout');
+  assert.equal(max.coefficient, 1.65);
+  const mean = evaluateMatching(descriptor, { ...DEFAULT_MATCHING, strategy: 'mean' }, coefficients, 'gout');
+  assert.equal(mean.rule_fired.rule_id, 'mean_of_candidates');
+  assert.ok(Math.abs(mean.coefficient - (1.35 + 1.65) / 2) < 1e-12);
+
+  const deprived = { strategy: 'priority', rules: [{ rule_id: 'q5', when: { nzdep_quintiles: [5] }, use: ['maori'] }] };
+  assert.equal(evaluateMatching(descriptor, deprived, coefficients, 'gout').rule_fired.rule_id, 'q5');
+  const lessDeprived = normaliseCohortDescriptor({ ethnicities: ['maori'], nzdep_quintile: 2 });
+  assert.equal(evaluateMatching(lessDeprived, deprived, coefficients, 'gout').rule_fired, null);
+});
+
+test('validateMatching rejects duplicate rule ids, unknown strategies and empty use lists', () => {
+  assert.equal(validateMatching(DEFAULT_MATCHING).valid, true);
+  assert.match(validateMatching({ ...DEFAULT_MATCHING, strategy: 'first' }).reason, /strategy must be one of/);
+  const rules = [{ rule_id: 'a', use: ['maori'] }, { rule_id: 'a', use: ['pacific'] }];
+  assert.match(validateMatching({ strategy: 'priority', rules }).reason, /rule_id must be present and unique/);
+  assert.match(validateMatching({ strategy: 'priority', rules: [{ rule_id: 'a', use: [] }] }).reason, /use must list/);
+});
@@ -0,0 +1,48 @@
+// tests/constitutional/consent-purpose.test.js
+// Purpose limitation — the envelope Asteya holds a stored consent to
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { asteyaGate } from '../../constitutional/yamas-gates.js';
+import {
+  generateConsentRecordId, normalisePermittedUses, samePermittedUses, permittedUsesOf, validatePermittedUse,
+  LEGACY_PERMITTED_USES,
+} from '../../constitutional/consent-protocol.js';
+
+const REQUEST = { cohort: 'purpose-cohort', scope: 'population_mortality', clinician_id: 'dr-purpose' };
+const CONSENT_ID = generateConsentRecordId(REQUEST);
+const stored = permitted_uses => ({
+  consent_record_id: CONSENT_ID, status: 'active', valid_from: null, valid_until: null, permitted_uses, maori_data: false,
+});
+const gate = (record, extra) => asteyaGate({
+  ...REQUEST, consent_record_id: CONSENT_ID, ...extra,
+  records: { consent_record_id: CONSENT_ID, consent_record: record, collective_approvals: [] },
+});
+
+test('a record from before purpose limitation keeps its integrations and types', () => {
+  const legacy = stored(null);
+  assert.equal(permittedUsesOf(legacy), LEGACY_PERMITTED_USES);
+  for (const integration of ['drug_discovery', 'dr_bot']) {
+    assert.equal(gate(legacy, { integration, assessment_type: 'drug_discovery_integration' }).pass, true);
+  }
+  assert.equal(gate(legacy, { population_size: 5_000_000 }).pass, true);
+});
+
+test('a new record with no declared uses gets the narrow default', () => {
+  const result = gate(stored(normalisePermittedUses()), { integration: 'drug_discovery' });
+  assert.equal(result.pass, false);
+  assert.equal(result.findings[0].code, 'ASTEYA_CONSENT_LIMIT_EXCEEDED');
+  assert.equal(result.findings[0].field, 'integration');
+});
+
+test('the limit crossed is named', () => {
+  const uses = normalisePermittedUses({ max_population: 100 });
+  assert.match(validatePermittedUse(uses, { population_size: 101 }).reason, /exceeds consented max_population 100/);
+});
+
+test('samePermittedUses ignores list order, not content', () => {
+  const a = normalisePermittedUses({ assessment_types: ['population_mortality', 'life_insurance_pricing'] });
+  const b = normalisePermittedUses({ assessment_types: ['life_insurance_pricing', 'population_mortality'] });
+  assert.equal(samePermittedUses(a, b), true);
+  assert.equal(samePermittedUses(a, { ...b, max_population: 10 }), false);
+  assert.equal(samePermittedUses(LEGACY_PERMITTED_USES, normalisePermittedUses()), false);
+});
@@ -0,0 +1,60 @@
+// tests/constitutional/constitution.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import {
+  validateConstitution, amendmentQuorum, weakenedSafeguards, approvalsRequired, MIN_AMENDMENT_QUORUM,
+} from '../../constitutional/constitution.js';
+
+const FOUNDING = JSON.parse(readFileSync(new URL('../../constitutional/constitution.json', import.meta.url), 'utf-8'));
+
+test('the founding document is valid and needs more than one approval to amend', () => {
+  assert.equal(validateConstitution(FOUNDING).valid, true);
+  assert.ok(FOUNDING.amendment_quorum > 1);
+  // A document in force that still says 1 is held to the floor
+  assert.equal(amendmentQuorum({ ...FOUNDING, amendment_quorum: 1 }), MIN_AMENDMENT_QUORUM);
+});
+
+test('weakenedSafeguards names each safeguard an amendment lowers or drops', () => {
+  assert.deepEqual(weakenedSafeguards(FOUNDING, { ...FOUNDING, pass_threshold: 0.7, amendment_quorum: 3 }), []);
+  const weakened = weakenedSafeguards(FOUNDING, {
+    ...FOUNDING,
+    amendment_quorum: 1,
+    pass_threshold: 0.5,
+    forbidden_assessment_types: ['genetic_exclusion', 'racial_profiling', 'new_forbidden_type'],
+  });
+  assert.equal(weakened.length, 3);
+  assert.match(weakened[2], /no longer lists disability_penalty/);
+});
+
+test('weakenedSafeguards: a higher equity trigger, a new validated scope or a reweighted gate weakens too', () => {
+  const tighter = {
+    ...FOUNDING,
+    large_population_threshold: 5000,
+    validated_scopes: FOUNDING.validated_scopes.slice(1),
+  };
+  assert.deepEqual(weakenedSafeguards(FOUNDING, tighter), []);
+
+  assert.deepEqual(weakenedSafeguards(FOUNDING, { ...FOUNDING, large_population_threshold: 1000000 }),
+    ['large_population_threshold raised from 10000 to 1000000']);
+  assert.deepEqual(weakenedSafeguards(FOUNDING, { ...FOUNDING, validated_scopes: [...FOUNDING.validated_scopes, 'underwriting'] }),
+    ['validated_scopes adds underwriting']);
+
+  const reweighted = { ...FOUNDING, weights: { ...FOUNDING.weights, satya: 0.05, asteya: 0.10, ahimsa: 0.50 } };
+  assert.equal(validateConstitution(reweighted).valid, true);
+  assert.deepEqual(weakenedSafeguards(FOUNDING, reweighted), [
+    'weights.satya lowered from 0.25 to 0.05',
+    'weights.asteya lowered from 0.15 to 0.1',
+  ]);
+  assert.equal(approvalsRequired(FOUNDING, reweighted, 2).supermajority, true);
+});
+
+test('approvalsRequired: quorum for ordinary amendments, a supermajority beyond it for weakening ones', () => {
+  const stricter = { ...FOUNDING, pass_threshold: 0.65 };
+  assert.deepEqual(approvalsRequired(FOUNDING, stricter, 9), { required: 2, quorum: 2, supermajority: false, weakened: [] });
+
+  const looser = { ...FOUNDING, pass_threshold: 0.5 };
+  assert.equal(approvalsRequired(FOUNDING, looser, 2).required, 3); // a body beyond quorum
+  assert.equal(approvalsRequired(FOUNDING, looser, 9).required, 6); // two thirds of the registry
+  assert.equal(approvalsRequired(FOUNDING, looser, 9).supermajority, true);
+});
@@ -0,0 +1,61 @@
+// tests/constitutional/equity-engine.test.js
+import '../helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyEquityCoefficients, equityEngineSummary } from '../../constitutional/equity-engine.js';
+import { coefficientSetHash, validateCoefficientSet } from '../../constitutional/equity-signoff.js';
+import { insertEquityCoefficientSet, activateEquityCoefficientSet } from '../../storage/actuary-store.js';
+
+const coefficients = {
+  maori: {
+    gout: { coefficient: 1.4, validated: true, sources: ['test'], interval: { lower: 1.2, upper: 1.6, level: 0.95 } },
+  },
+  pacific: {
+    gout: { coefficient: 1.6, validated: false, sources: ['test'], interval: { lower: 1.5, upper: 1.8, level: 0.9 } },
+    cardiovascular: { coefficient: 1.3, validated: false, sources: ['test'] },
+  },
+};
+
+test('with no signed set active the base score comes back unchanged', () => {
+  const result = applyEquityCoefficients(0.4, { maori: true }, 'gout');
+  assert.equal(result.adjusted_score, 0.4);
+  assert.equal(result.sme_clearance, false);
+  assert.equal(result.coefficient_set, null);
+  assert.equal(equityEngineSummary().status, 'SCAFFOLD_ONLY');
+});
+
+test('an active set adjusts the score and carries the coefficient interval through', () => {
+  assert.equal(validateCoefficientSet(coefficients).valid, true);
+  const set = insertEquityCoefficientSet({ coefficients, matching: null, content_hash: coefficientSetHash(coefficients) });
+  activateEquityCoefficientSet(set.set_id);
+
+  const maori = applyEquityCoefficients(0.5, { maori: true }, 'gout');
+  assert.equal(maori.coefficient_applied, 1.4);
+  assert.equal(maori.adjusted_score, 0.7);
+  assert.equal(maori.provisional, false);
+  assert.deepEqual(maori.adjusted_interval, { lower: 0.6, upper: 0.8, level: 0.95 });
+  assert.equal(maori.coefficient_set.set_id, set.set_id);
+
+  // Capped at 1.0, bounds included
+  const pacific = applyEquityCoefficients(0.6, { ethnicities: ['tongan'] }, 'gout');
+  assert.equal(pacific.adjusted_score, 0.96);
+  assert.equal(pacific.adjusted_interval.upper, 1.0);
+  assert.equal(pacific.provisional, true);
+
+  // A coefficient without an interval claims none
+  assert.equal(applyEquityCoefficients(0.5, { pacific: true }, 'cardiovascular').adjusted_interval, null);
+
+  const summary = equityEngineSummary();
+  assert.equal(summary.status, 'ACTIVE');
+  assert.equal(summary.coefficients_with_interval, 2);
+});
+
+test('an unknown condition or an unmatched cohort leaves the score alone', () => {
+  const unknown = applyEquityCoefficients(0.5, { maori: true }, 'sudi');
+  assert.equal(unknown.adjusted_score, 0.5);
+  assert.match(unknown.warning, /'sudi' not in coefficient set/);
+
+  const european = applyEquityCoefficients(0.5, { ethnicities: ['european'] }, 'gout');
+  assert.equal(european.adjusted_score, 0.5);
+  assert.equal(european.rule_fired, null);
+});
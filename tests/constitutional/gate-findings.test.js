@@ -0,0 +1,54 @@
+// tests/constitutional/gate-findings.test.js
+// Every gate explains itself through findings; explanations are rendered
+// from them, so the two cannot disagree
+import '../helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runAllGates } from '../../constitutional/yamas-gates.js';
+import { listGates, renderFinding } from '../../constitutional/gate-registry.js';
+import { explainGates } from '../../src/advisor/gate-explainer.js';
+import { localiseFinding } from '../../src/i18n/catalogue.js';
+
+const BROKEN = {
+  cohort: 'findings-cohort', scope: 'underwriting', clinician_id: 'dr-findings', assessment_type: 'genetic_exclusion',
+  confidence: 0.2, data_quality: 'poor', model_count: 1, population_size: 500000,
+};
+const FIELDS = ['code', 'severity', 'field', 'observed', 'required', 'params', 'message', 'hint'];
+
+test('every gate returns findings of one shape, and a failed gate has a blocking one', () => {
+  const verdict = runAllGates(BROKEN);
+  for (const gate of listGates()) {
+    const result = verdict.yamas[gate.name];
+    assert.ok(Array.isArray(result.findings), gate.name);
+    for (const f of result.findings) {
+      assert.deepEqual(Object.keys(f).sort(), [...FIELDS].sort(), f.code);
+      assert.ok(f.code.startsWith(gate.name.toUpperCase()), f.code);
+    }
+    assert.equal(result.pass, !result.findings.some(f => f.severity === 'block'), gate.name);
+  }
+  // The verdict lists them all, tagged with their gate
+  assert.deepEqual(
+    verdict.findings.map(f => `${f.gate}:${f.code}`),
+    listGates().flatMap(g => verdict.yamas[g.name].findings.map(f => `${g.name}:${f.code}`)),
+  );
+  const scope = verdict.findings.find(f => f.code === 'BRAHMACHARYA_SCOPE_NOT_VALIDATED');
+  assert.equal(scope.observed, 'underwriting');
+  assert.ok(scope.required.one_of.includes('population_mortality'));
+});
+
+test('explanations are one per finding, rendered from the finding', () => {
+  const verdict = runAllGates(BROKEN);
+  const explanations = explainGates(verdict.yamas, BROKEN, 'en');
+  assert.equal(explanations.length, verdict.findings.length);
+  verdict.findings.forEach((f, i) => assert.equal(explanations[i], localiseFinding(f, 'en'), f.code));
+  assert.match(explanations.find(e => e.includes('500,000')), /^BLOCKED: Population 500,000 exceeds 10,000 without an equity_flag/);
+});
+
+test('a finding no catalogue knows falls back to the default rendering', () => {
+  const f = {
+    code: 'SANTOSHA_UNSETTLED', severity: 'note', field: null, observed: null, required: null, params: {},
+    message: 'Not yet settled', hint: 'Settle it.',
+  };
+  assert.equal(localiseFinding(f, 'en'), null);
+  assert.equal(renderFinding(f), 'NOTE: Not yet settled. Settle it.');
+});
@@ -0,0 +1,33 @@
+// tests/constitutional/jurisdiction-packs.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateJurisdiction, unsupportedJurisdiction } from '../../constitutional/jurisdiction-packs.js';
+import { brahmaacharyaGate } from '../../constitutional/yamas-gates.js';
+
+const RULES = { validated_scopes: ['population_mortality'] };
+const transfer = cross_border => evaluateJurisdiction({
+  regulatory_jurisdiction: 'eu-gdpr', legal_basis: 'scientific_research', cross_border,
+}).findings.find(f => f.rule === 'chapter_v_transfer');
+
+test('eu-gdpr: the United States is adequate under the Data Privacy Framework', () => {
+  assert.equal(transfer({ destination: 'us' }).pass, true);
+  assert.equal(transfer({ destination: 'jp', safeguard: 'adequacy_decision' }).pass, true);
+});
+
+test('eu-gdpr: adequacy_decision cannot be claimed for a destination without one', () => {
+  const claimed = transfer({ destination: 'br', safeguard: 'adequacy_decision' });
+  assert.equal(claimed.pass, false);
+  assert.match(claimed.message, /standard_contractual_clauses, binding_corporate_rules \(got 'adequacy_decision'\)/);
+  assert.equal(transfer({ destination: 'br', safeguard: 'standard_contractual_clauses' }).pass, true);
+});
+
+test('an unsupported jurisdiction is an input error, not a Brahmacharya block', () => {
+  assert.equal(unsupportedJurisdiction(undefined), null);
+  assert.equal(unsupportedJurisdiction('GDPR'), null);
+  assert.match(unsupportedJurisdiction('us-hipaa'), /^JURISDICTION_UNSUPPORTED: regulatory_jurisdiction 'us-hipaa' is not supported\. Known: nz-privacy, eu-gdpr/);
+  assert.throws(
+    () => brahmaacharyaGate({ scope: 'population_mortality', regulatory_jurisdiction: 'us-hipaa' }, RULES),
+    /^Error: JURISDICTION_UNSUPPORTED/,
+  );
+  assert.equal(brahmaacharyaGate({ scope: 'population_mortality', regulatory_jurisdiction: 'nz' }, RULES).jurisdiction.code, 'nz-privacy');
+});
@@ -0,0 +1,44 @@
+// tests/constitutional/yamas-gates.test.js
+// The gates judge stored records passed in ctx.records — no database here
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { satyaGate, asteyaGate } from '../../constitutional/yamas-gates.js';
+import { generateConsentRecordId } from '../../constitutional/consent-protocol.js';
+
+const REQUEST = { cohort: 'test-cohort', scope: 'population_mortality', clinician_id: 'dr-test', assessment_type: 'population_mortality' };
+const CONSENT_ID = generateConsentRecordId(REQUEST);
+const ACTIVE = {
+  consent_record_id: CONSENT_ID, status: 'active', valid_from: null, valid_until: null, permitted_uses: null, maori_data: false,
+};
+const codes = result => result.findings.map(f => f.code);
+
+test('satyaGate: a cited registry entry is checked from ctx.records', () => {
+  const base = { confidence: 0.8, data_quality: 'good', model_version: 'LT-test-v1' };
+  const records = entry => ({ model_version: 'LT-test-v1', registered_model: entry });
+  assert.equal(satyaGate({ ...base, records: records({ status: 'active' }) }).pass, true);
+  assert.deepEqual(codes(satyaGate({ ...base, records: records({ status: 'retired' }) })), ['SATYA_MODEL_VERSION_INACTIVE']);
+  assert.deepEqual(codes(satyaGate({ ...base, records: records(null) })), ['SATYA_MODEL_VERSION_UNREGISTERED']);
+});
+
+test('satyaGate: records loaded for another model_version count as absent', () => {
+  const ctx = { confidence: 0.8, data_quality: 'good', model_version: 'LT-other-v1',
+    records: { model_version: 'LT-test-v1', registered_model: { status: 'active' } } };
+  assert.deepEqual(codes(satyaGate(ctx)), ['SATYA_MODEL_VERSION_UNREGISTERED']);
+});
+
+test('asteyaGate: passes on an active stored record, fails closed without one', () => {
+  const ctx = { ...REQUEST, consent_record_id: CONSENT_ID };
+  assert.equal(asteyaGate({ ...ctx, records: { consent_record_id: CONSENT_ID, consent_record: ACTIVE, collective_approvals: [] } }).pass, true);
+  assert.deepEqual(codes(asteyaGate(ctx)), ['ASTEYA_CONSENT_UNREGISTERED']);
+  assert.deepEqual(
+    codes(asteyaGate({ ...ctx, records: { consent_record_id: 'CR-other', consent_record: ACTIVE } })),
+    ['ASTEYA_CONSENT_UNREGISTERED'],
+  );
+});
+
+test('asteyaGate: lifecycle and Māori data are judged from the stored record', () => {
+  const ctx = { ...REQUEST, consent_record_id: CONSENT_ID };
+  const withRecord = record => ({ ...ctx, records: { consent_record_id: CONSENT_ID, consent_record: record, collective_approvals: [] } });
+  assert.deepEqual(codes(asteyaGate(withRecord({ ...ACTIVE, status: 'revoked' }))), ['ASTEYA_CONSENT_REVOKED']);
+  assert.deepEqual(codes(asteyaGate(withRecord({ ...ACTIVE, maori_data: true }))), ['ASTEYA_COLLECTIVE_CONSENT_REQUIRED']);
+});
@@ -0,0 +1,35 @@
+// tests/helpers/server.js
+// The app on an ephemeral port, with small fetch helpers. Import
+// ./setup.js first so the server opens the test database.
+
+import { once } from 'events';
+
+export async function startServer() {
+  const { default: app } = await import('../../server.js');
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { body, token, headers = {} } = {}) => {
+    const res = await fetch(base + path, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'content-type': 'application/json' }),
+        ...(token && { authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+      body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)),
+    });
+    const text = await res.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch { /* not JSON */ }
+    return { status: res.status, headers: res.headers, json, text };
+  };
+
+  return {
+    base,
+    get: (path, options) => request('GET', path, options),
+    post: (path, body, options = {}) => request('POST', path, { ...options, body }),
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
@@ -0,0 +1,33 @@
+// tests/helpers/setup.js
+// Import first in any test that reaches storage/ — points the store at a
+// throwaway database and sets the secrets the server expects, before the
+// modules that read them load.
+
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const dir = mkdtempSync(join(tmpdir(), 'actuary-bot-test-'));
+process.env.ACTUARY_DB_PATH = join(dir, 'actuary-bot.db');
+process.env.AUDIT_EXPORT_DIR = join(dir, 'exports');
+process.env.JOB_WORKERS = '1';
+
+// Operator tokens — routes behind them are closed when unset
+export const TOKENS = {
+  admin: 'test-admin-token',
+  governance: 'test-governance-token',
+  consent: 'test-consent-token',
+  pii: 'test-pii-token',
+  audit: 'test-audit-token',
+};
+process.env.ACTUARY_ADMIN_TOKEN = TOKENS.admin;
+process.env.ACTUARY_GOVERNANCE_TOKEN = TOKENS.governance;
+process.env.ACTUARY_CONSENT_TOKEN = TOKENS.consent;
+process.env.PII_ACCESS_TOKEN = TOKENS.pii;
+process.env.ACTUARY_AUDIT_TOKEN = TOKENS.audit;
+process.env.CLINICIAN_HASH_SECRET = 'test-clinician-hash-secret';
+// Kaitiaki signing key — an Ed25519 seed (hex)
+process.env.KAITIAKI_SIGNING_KEY = '7e'.repeat(32);
+process.on('exit', () => rmSync(dir, { recursive: true, force: true }));
+
+export const TEST_DIR = dir;
@@ -0,0 +1,90 @@
+// tests/i18n/catalogue.test.js
+// Draft translations fall back to English; consent limits, jurisdiction rules
+// and remedies are worded from the catalogue
+import '../helpers/setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'fs';
+import { startServer } from '../helpers/server.js';
+import {
+  SUPPORTED_LOCALES, negotiateLocale, localeName, localiseText, localiseFinding,
+} from '../../src/i18n/catalogue.js';
+import { asteyaGate, runAllGates } from '../../constitutional/yamas-gates.js';
+import { generateConsentRecordId, normalisePermittedUses } from '../../constitutional/consent-protocol.js';
+import { remedyText } from '../../constitutional/jurisdictions/common.js';
+import { localisable } from '../../constitutional/gate-registry.js';
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+const REQUEST = { cohort: 'locale-cohort', scope: 'population_mortality', clinician_id: 'dr-locale' };
+
+test('draft catalogues are not served until reviewed', async () => {
+  assert.deepEqual(SUPPORTED_LOCALES, ['en']);
+  assert.equal(negotiateLocale('mi'), 'en');
+  assert.equal(negotiateLocale(undefined, 'mi-NZ, sm;q=0.9, to;q=0.8'), 'en');
+  assert.equal(localeName('mi'), 'English');
+
+  const finding = runAllGates({ ...REQUEST, scope: 'underwriting' }).findings[0];
+  assert.equal(localiseFinding(finding, 'mi'), localiseFinding(finding, 'en'));
+
+  const res = await api.post('/api/v1/simulate', { ...REQUEST, locale: 'mi' });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-language'), 'en');
+  assert.equal(res.json.locale, 'en');
+});
+
+test('every catalogue has every English entry, with the same placeholders', () => {
+  const dir = new URL('../../src/i18n/locales/', import.meta.url);
+  const load = file => JSON.parse(readFileSync(new URL(file, dir), 'utf-8'));
+  // 'a.b' → the entry's placeholder names, sorted
+  const entries = (node, prefix = '') => Object.entries(node).flatMap(([key, value]) =>
+    typeof value === 'string'
+      ? [[`${prefix}${key}`, (value.match(/\{\w+\}/g) ?? []).sort().join(' ')]]
+      : entries(value, `${prefix}${key}.`));
+  const { _meta, ...en } = load('en.json');
+  const expected = Object.fromEntries(entries(en));
+
+  for (const file of readdirSync(dir).filter(f => f.endsWith('.json') && f !== 'en.json')) {
+    const { _meta: meta, ...catalogue } = load(file);
+    assert.equal(typeof meta.reviewed, 'boolean', file);
+    assert.deepEqual(Object.fromEntries(entries(catalogue)), expected, file);
+  }
+});
+
+test('localisable text is filled from the catalogue, nested values included', () => {
+  const renew = remedyText('renew_consent', { consent_record_id: 'CONSENT-1' }, 'renew consent CONSENT-1');
+  assert.equal(localiseText(remedyText('change_scope', { scope: 'population_mortality', then: renew }, 'unused')),
+    "change scope to 'population_mortality' and renew consent CONSENT-1");
+  assert.equal(localiseText(remedyText('split_cohort', { threshold: 10000 }, 'unused')),
+    'split the cohort so population_size ≤ 10,000');
+  // No entry, or a value missing — the English it was made with
+  assert.equal(localiseText(localisable('remedies.santosha_settle', {}, 'settle it')), 'settle it');
+  assert.equal(localiseText(remedyText('renew_consent', {}, 'renew consent')), 'renew consent');
+  assert.equal(localiseText('plain text'), 'plain text');
+});
+
+test('a consent limit renders from the catalogue inside the finding', () => {
+  const consent_record_id = generateConsentRecordId(REQUEST);
+  const record = {
+    consent_record_id, status: 'active', valid_from: null, valid_until: null, maori_data: false,
+    permitted_uses: normalisePermittedUses({ max_population: 1000 }),
+  };
+  const [f] = asteyaGate({
+    ...REQUEST, consent_record_id, population_size: 5000,
+    records: { consent_record_id, consent_record: record, collective_approvals: [] },
+  }).findings;
+  assert.equal(f.params.limit.key, 'consent_limits.population_size');
+  assert.match(localiseFinding(f, 'en'), /consent covers \(population_size 5,000 exceeds consented max_population 1,000\)/);
+});
+
+test('a jurisdiction rule and its example remedy render from the catalogue', () => {
+  const verdict = runAllGates({ ...REQUEST, regulatory_jurisdiction: 'eu-gdpr' });
+  const f = verdict.findings.find(x => x.code === 'BRAHMACHARYA_JURISDICTION_RULE');
+  assert.equal(f.params.detail.key, 'jurisdiction_rules.art9_special_category');
+  assert.equal(f.params.example.key, 'remedies.declare_research_basis');
+  const text = localiseFinding(f, 'en');
+  assert.match(text, /GDPR Art\. 9\(2\): Health data is special-category data — legal_basis must be one of: explicit_consent, /);
+  assert.match(text, /For example: declare the Art\. 9\(2\)\(j\) condition 'scientific_research' as legal_basis\./);
+});
@@ -0,0 +1,49 @@
+// tests/i18n/reviewed-locale.test.js
+// A catalogue marked reviewed is served — negotiated, sent as
+// Content-Language, and used for explanations and remedies
+import { TEST_DIR } from '../helpers/setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { copyFileSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { startServer } from '../helpers/server.js';
+
+const SOURCE_DIR = new URL('../../src/i18n/locales/', import.meta.url);
+const LOCALE_DIR = join(TEST_DIR, 'locales');
+mkdirSync(LOCALE_DIR);
+copyFileSync(new URL('en.json', SOURCE_DIR), join(LOCALE_DIR, 'en.json'));
+const mi = JSON.parse(readFileSync(new URL('mi.json', SOURCE_DIR), 'utf-8'));
+mi._meta = { ...mi._meta, reviewed: true, reviewed_by: 'test reviewer', reviewed_on: '2026-01-01' };
+writeFileSync(join(LOCALE_DIR, 'mi.json'), JSON.stringify(mi));
+process.env.I18N_LOCALE_DIR = LOCALE_DIR;
+
+const { SUPPORTED_LOCALES, negotiateLocale, localeName } = await import('../../src/i18n/catalogue.js');
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+const REQUEST = { cohort: 'reviewed-cohort', scope: 'population_mortality', clinician_id: 'dr-reviewed' };
+
+test('a reviewed catalogue is negotiated; drafts beside it are not', () => {
+  assert.deepEqual(SUPPORTED_LOCALES.sort(), ['en', 'mi']);
+  assert.equal(negotiateLocale('mi-NZ'), 'mi');
+  assert.equal(negotiateLocale(undefined, 'sm, mi;q=0.5'), 'mi');
+  assert.equal(negotiateLocale('to'), 'en');
+  assert.equal(localeName('mi'), 'Te reo Māori');
+});
+
+test('a reviewed catalogue words the response', async () => {
+  const res = await api.post('/api/v1/simulate', { ...REQUEST, scope: 'underwriting', locale: 'mi' });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-language'), 'mi');
+  assert.equal(res.json.locale, 'mi');
+  assert.ok(res.json.explanations.some(e => e.startsWith(`${mi.severity.block}: `)));
+
+  const actions = res.json.remediation.manual_actions.map(a => a.action);
+  assert.ok(actions.includes(mi.remedies.declare_model));
+
+  const english = await api.post('/api/v1/simulate', { ...REQUEST, scope: 'underwriting' });
+  assert.equal(english.headers.get('content-language'), 'en');
+  assert.ok(!english.json.remediation.manual_actions.some(a => a.action === mi.remedies.declare_model));
+});
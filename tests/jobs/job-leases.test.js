@@ -0,0 +1,61 @@
+// tests/jobs/job-leases.test.js
+// Releasing jobs takes back only the caller's own claims and lapsed leases —
+// never a job another live server is running
+import '../helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getDb, insertJob, getJob, claimNextJob, renewJobLeases, releaseJobs, completeJob, cancelJob,
+} from '../../storage/actuary-store.js';
+
+const RELEASE = { reason: 'JOB_INTERRUPTED: test', maxAttempts: 3 };
+let seq = 0;
+const claimed = (owner) => {
+  const job = insertJob({ job_id: `JOB-lease-${++seq}`, kind: 'assessment', payload: {} });
+  assert.equal(claimNextJob(owner, 30).job_id, job.job_id);
+  return job.job_id;
+};
+// Leave nothing queued for the next test to claim
+const done = (...job_ids) => job_ids.forEach(job_id => cancelJob(job_id, 'JOB_CANCELLED: test done'));
+const lapse = job_id => getDb().prepare(`UPDATE jobs SET lease_expires_ts = datetime('now', '-1 seconds') WHERE job_id = ?`).run(job_id);
+
+test('a restarted instance takes back its own jobs, not a live server\'s', () => {
+  const mine = claimed('host-a/100-old');
+  const theirs = claimed('host-b/200-live');
+  const lookalike = claimed('host-ab/300-live');
+  assert.deepEqual(releaseJobs({ instance: 'host-a', expired: true, ...RELEASE }), { requeued: 1, failed: 0 });
+  assert.equal(getJob(mine).status, 'queued');
+  assert.equal(getJob(mine).error, 'JOB_INTERRUPTED: test');
+  assert.equal(getJob(theirs).status, 'running');
+  assert.equal(getJob(lookalike).status, 'running');
+  done(mine, theirs, lookalike);
+});
+
+test('a lapsed lease is taken back; a renewed one is not', () => {
+  const stopped = claimed('host-c/1-stopped');
+  const alive = claimed('host-d/1-alive');
+  lapse(stopped);
+  lapse(alive);
+  assert.equal(renewJobLeases('host-d/1-alive', 30), 1);
+  releaseJobs({ expired: true, ...RELEASE });
+  assert.equal(getJob(stopped).status, 'queued');
+  assert.equal(getJob(alive).status, 'running');
+
+  // The stopped server cannot finish the job it lost
+  assert.equal(completeJob(stopped, 'host-c/1-stopped', () => ({ status: 'succeeded', http_status: 200 })), null);
+  done(stopped, alive);
+});
+
+test('a job released too often fails instead of requeueing', () => {
+  const job_id = claimed('host-e/1');
+  for (let attempt = 1; attempt < 3; attempt++) {
+    releaseJobs({ owner: 'host-e/1', job_id, ...RELEASE });
+    assert.equal(claimNextJob('host-e/1', 30).job_id, job_id);
+  }
+  assert.deepEqual(releaseJobs({ owner: 'host-e/1', job_id, ...RELEASE }), { requeued: 0, failed: 1 });
+  assert.match(getJob(job_id).error, /^JOB_ABANDONED: JOB_INTERRUPTED: test \(after 3 attempts\)/);
+});
+
+test('releasing with no claim named is refused', () => {
+  assert.throws(() => releaseJobs(RELEASE), /^Error: JOB_ERROR/);
+});
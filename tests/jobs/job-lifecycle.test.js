@@ -0,0 +1,76 @@
+// tests/jobs/job-lifecycle.test.js
+// Submit → run → result through the API, with each verdict logged once
+import '../helpers/setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { startServer } from '../helpers/server.js';
+import { getDb } from '../../storage/actuary-store.js';
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+const REQUEST = {
+  cohort: 'job-cohort', scope: 'population_mortality', clinician_id: 'dr-job',
+  assessment_type: 'population_mortality', model_version: 'cox-ph-v2.1', confidence: 0.8, data_quality: 'good', model_count: 2,
+  cohort_structure: [{ age: 50, count: 2000 }, { age: 70, count: 500 }], horizon_years: 5,
+};
+const logged = consent_record_id => getDb()
+  .prepare(`SELECT pass FROM constitutional_log WHERE endpoint = '/api/v1/jobs' AND consent_record_id IS ?`)
+  .all(consent_record_id);
+
+async function finished(job_id) {
+  for (let i = 0; i < 100; i++) {
+    const { json } = await api.get(`/api/v1/jobs/${job_id}`);
+    if (!['queued', 'running'].includes(json.job.status)) return json.job;
+    await sleep(50);
+  }
+  throw new Error(`job ${job_id} did not finish`);
+}
+
+test('a passing job runs to its result, and its verdict is logged once, at finish', async () => {
+  const { consent_record_id } = (await api.post('/api/consent/generate', REQUEST)).json;
+  const submitted = await api.post('/api/v1/jobs', { ...REQUEST, consent_record_id });
+  assert.equal(submitted.status, 202);
+  assert.equal(submitted.headers.get('location'), `/api/v1/jobs/${submitted.json.job.job_id}`);
+  assert.equal(logged(consent_record_id).length, 0);
+
+  const job = await finished(submitted.json.job.job_id);
+  assert.equal(job.status, 'succeeded');
+  assert.equal(job.progress, 1);
+  assert.equal(job.attempts, 1);
+  const result = await api.get(`/api/v1/jobs/${job.job_id}/result`);
+  assert.equal(result.status, 200);
+  assert.equal(result.json.status, 'ASSESSMENT_RECORDED');
+  assert.deepEqual(logged(consent_record_id), [{ pass: 1 }]);
+
+  const again = await api.post(`/api/v1/jobs/${job.job_id}/cancel`);
+  assert.equal(again.status, 409);
+  assert.equal(again.json.error, 'JOB_ALREADY_FINISHED');
+});
+
+test('a blocked job is refused at submission and logged there, once', async () => {
+  const res = await api.post('/api/v1/jobs', { ...REQUEST, cohort: 'job-blocked-cohort' });
+  assert.equal(res.status, 403);
+  assert.equal(res.json.error, 'CONSTITUTIONAL_BLOCK');
+  assert.deepEqual(logged(null), [{ pass: 0 }]);
+});
+
+test('a cancelled job has no result', async () => {
+  const { consent_record_id } = (await api.post('/api/consent/generate', { ...REQUEST, cohort: 'job-cancel-cohort' })).json;
+  const { json } = await api.post('/api/v1/jobs', { ...REQUEST, cohort: 'job-cancel-cohort', consent_record_id });
+  const cancelled = await api.post(`/api/v1/jobs/${json.job.job_id}/cancel`);
+  if (cancelled.status === 409) return; // finished before the cancel arrived — nothing to check
+  assert.equal(cancelled.json.job.status, 'cancelled');
+  const result = await api.get(`/api/v1/jobs/${json.job.job_id}/result`);
+  assert.equal(result.status, 409);
+  assert.equal(result.json.error, 'JOB_CANCELLED');
+  assert.equal(logged(consent_record_id).length, 0);
+});
+
+test('an unknown job is 404', async () => {
+  const res = await api.get('/api/v1/jobs/JOB-0000000000000000');
+  assert.equal(res.status, 404);
+  assert.equal(res.json.error, 'JOB_NOT_FOUND');
+});
@@ -0,0 +1,79 @@
+// tests/privacy/pii-redaction.test.js
+// The ledger returns only allowlisted payload fields; everything else is
+// withheld unless the pii operator token asks for it
+import { TOKENS } from '../helpers/setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import { startServer } from '../helpers/server.js';
+import { redactPayload } from '../../src/privacy/pii-redaction.js';
+import { clinicianHash } from '../../storage/actuary-store.js';
+
+let api;
+before(async () => { api = await startServer(); });
+after(() => api.close());
+
+test('fields not on the allowlist are withheld, whatever they are called', () => {
+  const { payload, redacted } = redactPayload({
+    cohort: 'pii-cohort',
+    clinician_id: 'dr-pii',
+    patient_surname: 'Smith',
+    notes: { free_text: 'lives at 12 Example St' },
+    cohort_structure: [{ age: 50, count: 10, nhi: 'ABC1234' }],
+    equity: { condition: 'diabetes_t2', cohort: { age_band: '45-64', whanau_contact: '021 000 000' } },
+    glm: { family: 'poisson', base_levels: { region: 'north' }, records: [{ claim_count: 1 }, { claim_count: 0 }] },
+    population_size: { size: 10, owner: 'someone' },
+  });
+  assert.equal(payload.cohort, 'pii-cohort');
+  assert.equal(payload.patient_surname, '[REDACTED]');
+  assert.equal(payload.notes, '[REDACTED]');
+  assert.deepEqual(payload.cohort_structure, [{ age: 50, count: 10, nhi: '[REDACTED]' }]);
+  assert.deepEqual(payload.equity, { condition: 'diabetes_t2', cohort: { age_band: '45-64', whanau_contact: '[REDACTED]' } });
+  assert.deepEqual(payload.glm, { family: 'poisson', base_levels: { region: 'north' }, records: { redacted: true, rows: 2 } });
+  // A scalar field given an object is not a way round the allowlist
+  assert.equal(payload.population_size, '[REDACTED]');
+  assert.equal(payload.clinician_id, undefined);
+  assert.equal(payload.clinician_hash, clinicianHash('dr-pii'));
+  assert.deepEqual(redacted.sort(), [
+    'clinician_id', 'cohort_structure[0].nhi', 'equity.cohort.whanau_contact', 'glm.records', 'notes',
+    'patient_surname', 'population_size',
+  ]);
+});
+
+test('the clinician hash is keyed with the server secret', () => {
+  const expected = createHmac('sha256', process.env.CLINICIAN_HASH_SECRET).update('dr-pii').digest('hex').slice(0, 16);
+  assert.equal(clinicianHash('dr-pii'), expected);
+  const secret = process.env.CLINICIAN_HASH_SECRET;
+  delete process.env.CLINICIAN_HASH_SECRET;
+  try {
+    assert.throws(() => clinicianHash('dr-pii'), /^Error: PRIVACY_ERROR: CLINICIAN_HASH_SECRET is not set/);
+  } finally {
+    process.env.CLINICIAN_HASH_SECRET = secret;
+  }
+});
+
+test('include_pii needs the pii operator token', async () => {
+  const request = {
+    cohort: 'pii-api-cohort', scope: 'population_mortality', clinician_id: 'dr-pii-api', model_version: 'cox-ph-v2.1',
+    confidence: 0.8, model_count: 2, cohort_structure: [{ age: 50, count: 2000 }], patient_name: 'Aroha Smith',
+  };
+  const { consent_record_id } = (await api.post('/api/consent/generate', request)).json;
+  const recorded = await api.post('/api/v1/assess', { ...request, consent_record_id });
+  assert.equal(recorded.status, 200);
+  const path = `/api/v1/assessments/${recorded.json.assessment_id}`;
+
+  const redacted = await api.get(path);
+  assert.equal(redacted.json.pii, 'redacted');
+  assert.equal(redacted.json.assessment.payload.patient_name, '[REDACTED]');
+  assert.ok(!redacted.text.includes('Aroha') && !redacted.text.includes('dr-pii-api'));
+
+  assert.equal((await api.get(`${path}?include_pii=true`)).status, 401);
+  const wrong = await api.get(`${path}?include_pii=true`, { token: TOKENS.admin });
+  assert.equal(wrong.status, 403);
+  assert.equal(wrong.json.error, 'OPERATOR_AUTH_DENIED');
+
+  const full = await api.get(`${path}?include_pii=true`, { token: TOKENS.pii });
+  assert.equal(full.status, 200);
+  assert.equal(full.json.pii, 'included');
+  assert.equal(full.json.assessment.payload.patient_name, 'Aroha Smith');
+});
@@ -0,0 +1,45 @@
+// tests/storage/consent-events.test.js
+import '../helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getDb, upsertConsentRecord, setConsentStatus, renewConsentRecord, getConsentTimeline, logConstitutionalVerdict,
+} from '../../storage/actuary-store.js';
+
+const CONSENT = { consent_record_id: 'CR-timeline-test', cohort: 'timeline-cohort', scope: 'population_mortality', clinician_id: 'dr-timeline' };
+
+test('every lifecycle change is appended, and the timeline reads newest first', () => {
+  upsertConsentRecord(CONSENT);
+  upsertConsentRecord(CONSENT);
+  setConsentStatus(CONSENT.consent_record_id, { status: 'suspended', reason: 'data review' });
+  renewConsentRecord(CONSENT.consent_record_id, { valid_from: null, valid_until: null, reason: 'review complete' });
+  for (let i = 0; i < 3; i++) {
+    logConstitutionalVerdict({ endpoint: '/api/v1/assess', consent_record_id: CONSENT.consent_record_id, pass: false, blocked_by: ['satya'] });
+  }
+  setConsentStatus(CONSENT.consent_record_id, { status: 'revoked', reason: 'withdrawn by cohort' });
+
+  const { events, counts, total } = getConsentTimeline(CONSENT.consent_record_id);
+  assert.equal(total, 8);
+  assert.equal(counts.blocked_attempt, 3);
+  const lifecycle = events.filter(e => e.event.startsWith('consent_'));
+  assert.deepEqual(lifecycle.map(e => e.event),
+    ['consent_revoked', 'consent_renewed', 'consent_suspended', 'consent_regenerated', 'consent_generated']);
+  assert.equal(lifecycle[0].detail.reason, 'withdrawn by cohort');
+  // The suspension is still there after the renewal and revocation that followed
+  assert.equal(lifecycle[2].detail.reason, 'data review');
+  for (let i = 1; i < events.length; i++) assert.ok(events[i - 1].ts >= events[i].ts);
+});
+
+test('the timeline pages with limit and offset over the same order', () => {
+  const all = getConsentTimeline(CONSENT.consent_record_id).events;
+  const first = getConsentTimeline(CONSENT.consent_record_id, { limit: 3, offset: 0 });
+  const second = getConsentTimeline(CONSENT.consent_record_id, { limit: 3, offset: 3 });
+  assert.deepEqual([...first.events, ...second.events], all.slice(0, 6));
+  assert.equal(second.total, all.length);
+});
+
+test('consent events cannot be edited or deleted', () => {
+  const db = getDb();
+  assert.throws(() => db.prepare(`UPDATE consent_events SET reason = 'rewritten'`).run(), /append-only/);
+  assert.throws(() => db.prepare(`DELETE FROM consent_events`).run(), /append-only/);
+});
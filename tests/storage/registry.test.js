@@ -0,0 +1,33 @@
+// tests/storage/registry.test.js
+import '../helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { insertLifeTable, retireLifeTable, lookupRegisteredModel, withGateRecords } from '../../storage/actuary-store.js';
+
+const QX = { unisex: [0.01, 0.02, 1] };
+const register = (name, version) => insertLifeTable({ name, version, source: 'test', format: 'csv', start_age: 60, max_age: 62, qx: QX });
+
+test('insertLifeTable: omitted versions count up from the highest integer version', () => {
+  assert.equal(register('Versioned').version, '1');
+  assert.equal(register('Versioned', '5').version, '5');
+  assert.equal(register('Versioned', '2012-draft').version, '2012-draft');
+  // COUNT(*)+1 would give 4 here, which is free, but sits below v5
+  assert.equal(register('Versioned').version, '6');
+});
+
+test('insertLifeTable: a version already taken is rejected, not overwritten', () => {
+  register('Taken', '1');
+  assert.throws(() => register('Taken', '1'), /LIFE_TABLE_ERROR: .* already registered/);
+  retireLifeTable('LT-taken-v1', 'superseded');
+  assert.equal(register('Taken').version, '2');
+});
+
+test('withGateRecords: loads the registry entry and consent for the IDs in ctx', () => {
+  const table = register('Cited');
+  const ctx = withGateRecords({ model_version: table.table_id, consent_record_id: 'CR-none' });
+  assert.deepEqual(ctx.records.registered_model, lookupRegisteredModel(table.table_id));
+  assert.equal(ctx.records.consent_record_id, 'CR-none');
+  assert.equal(ctx.records.consent_record, null);
+  assert.deepEqual(ctx.records.collective_approvals, []);
+  assert.equal(withGateRecords({ model_version: 'cox-ph-v2' }).records.registered_model, undefined);
+});